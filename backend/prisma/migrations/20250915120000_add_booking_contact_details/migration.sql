@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "public"."ServiceCity" AS ENUM ('HELSINKI', 'VANTAA', 'ESPOO');
+
+-- CreateEnum
+CREATE TYPE "public"."PaymentMethod" AS ENUM ('CARD', 'MOBILEPAY', 'BANK', 'CASH');
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "city" "public"."ServiceCity",
+ADD COLUMN     "paymentMethod" "public"."PaymentMethod",
+ADD COLUMN     "phoneNumber" TEXT,
+ADD COLUMN     "postalCode" TEXT,
+ADD COLUMN     "streetAddress" TEXT;
+
+-- Backfill city and street address from existing "<address>, <City>" locations
+UPDATE "public"."Booking"
+SET "city" = UPPER(SUBSTRING("location" FROM ', ([^,]+)$'))::"public"."ServiceCity",
+    "streetAddress" = REGEXP_REPLACE("location", ', [^,]+$', '')
+WHERE UPPER(SUBSTRING("location" FROM ', ([^,]+)$')) IN ('HELSINKI', 'VANTAA', 'ESPOO');
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3);
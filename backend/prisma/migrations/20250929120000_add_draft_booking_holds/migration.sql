@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "holdExpiresAt" TIMESTAMP(3),
+ALTER COLUMN "location" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Booking_status_holdExpiresAt_idx" ON "public"."Booking"("status", "holdExpiresAt");
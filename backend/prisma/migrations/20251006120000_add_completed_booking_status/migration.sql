@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."BookingStatus" ADD VALUE 'COMPLETED';
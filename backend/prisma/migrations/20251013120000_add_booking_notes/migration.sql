@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "notes" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "language" TEXT NOT NULL DEFAULT 'fi';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "city" "public"."ServiceCity",
+ADD COLUMN     "phoneNumber" TEXT,
+ADD COLUMN     "postalCode" TEXT,
+ADD COLUMN     "streetAddress" TEXT;
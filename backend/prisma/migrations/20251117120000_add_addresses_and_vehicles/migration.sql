@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "vehicleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Address" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "city" "public"."ServiceCity" NOT NULL,
+    "streetAddress" TEXT NOT NULL,
+    "postalCode" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Address_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."Vehicle" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "licensePlate" TEXT NOT NULL,
+    "make" TEXT,
+    "color" TEXT,
+    "parkingNotes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Vehicle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Address_userId_idx" ON "public"."Address"("userId");
+
+-- CreateIndex
+CREATE INDEX "Vehicle_userId_idx" ON "public"."Vehicle"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Address" ADD CONSTRAINT "Address_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Vehicle" ADD CONSTRAINT "Vehicle_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Booking" ADD CONSTRAINT "Booking_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "public"."Vehicle"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "public"."SeriesStatus" AS ENUM ('ACTIVE', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "seriesId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."BookingSeries" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "weekday" INTEGER NOT NULL,
+    "timeSlot" TEXT NOT NULL,
+    "weeks" INTEGER NOT NULL,
+    "status" "public"."SeriesStatus" NOT NULL DEFAULT 'ACTIVE',
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingSeries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BookingSeries_userId_idx" ON "public"."BookingSeries"("userId");
+
+-- CreateIndex
+CREATE INDEX "Booking_seriesId_idx" ON "public"."Booking"("seriesId");
+
+-- AddForeignKey
+ALTER TABLE "public"."BookingSeries" ADD CONSTRAINT "BookingSeries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Booking" ADD CONSTRAINT "Booking_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "public"."BookingSeries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
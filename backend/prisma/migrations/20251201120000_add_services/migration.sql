@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "priceCents" INTEGER,
+ADD COLUMN     "serviceId" TEXT,
+ADD COLUMN     "vatRate" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "public"."Service" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "nameFi" TEXT NOT NULL,
+    "nameEn" TEXT NOT NULL,
+    "tasksFi" TEXT[],
+    "tasksEn" TEXT[],
+    "priceCents" INTEGER NOT NULL,
+    "vatRate" DOUBLE PRECISION NOT NULL DEFAULT 25.5,
+    "durationMinutes" INTEGER NOT NULL DEFAULT 120,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Service_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Service_slug_key" ON "public"."Service"("slug");
+
+-- AddForeignKey
+ALTER TABLE "public"."Booking" ADD CONSTRAINT "Booking_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "public"."Service"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed the service tiers shown in the booking carousel
+INSERT INTO "public"."Service" ("id", "slug", "nameFi", "nameEn", "tasksFi", "tasksEn", "priceCents", "sortOrder") VALUES
+(gen_random_uuid()::text, 'basic', 'Wocuuming', 'Wocuuming',
+ ARRAY['Imurointi', 'Pintojen pyyhintä', 'Ikkunoiden sisäpesu', 'Penkkien kuivapesu'],
+ ARRAY['Vacuuming', 'Surface wiping', 'Interior window cleaning', 'Dry seat cleaning'],
+ 4900, 0),
+(gen_random_uuid()::text, 'premium', 'Wocuuming Plus', 'Wocuuming Plus',
+ ARRAY['Imurointi', 'Pintojen pyyhintä ja suojaus', 'Ikkunoiden sisäpesu', 'Penkkien ja mattojen märkäpesu'],
+ ARRAY['Vacuuming', 'Surface wiping and protection', 'Interior window cleaning', 'Wet cleaning of seats and mats'],
+ 7900, 1);
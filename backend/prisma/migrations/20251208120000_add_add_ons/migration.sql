@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "public"."AddOn" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "nameFi" TEXT NOT NULL,
+    "nameEn" TEXT NOT NULL,
+    "priceCents" INTEGER NOT NULL,
+    "vatRate" DOUBLE PRECISION NOT NULL DEFAULT 25.5,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AddOn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."BookingAddOn" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "addOnId" TEXT NOT NULL,
+    "priceCents" INTEGER NOT NULL,
+    "vatRate" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "BookingAddOn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AddOn_slug_key" ON "public"."AddOn"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingAddOn_bookingId_addOnId_key" ON "public"."BookingAddOn"("bookingId", "addOnId");
+
+-- AddForeignKey
+ALTER TABLE "public"."BookingAddOn" ADD CONSTRAINT "BookingAddOn_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "public"."Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."BookingAddOn" ADD CONSTRAINT "BookingAddOn_addOnId_fkey" FOREIGN KEY ("addOnId") REFERENCES "public"."AddOn"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Seed the add-ons offered in the booking form
+INSERT INTO "public"."AddOn" ("id", "slug", "nameFi", "nameEn", "priceCents", "sortOrder") VALUES
+(gen_random_uuid()::text, 'pet-hair', 'Lemmikin karvojen poisto', 'Pet hair removal', 1500, 0),
+(gen_random_uuid()::text, 'seat-shampoo', 'Penkkien shampoopesu', 'Seat shampoo', 2500, 1),
+(gen_random_uuid()::text, 'odour-removal', 'Hajunpoisto', 'Odour removal', 1900, 2);
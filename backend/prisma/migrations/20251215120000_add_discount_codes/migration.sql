@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "public"."DiscountType" AS ENUM ('PERCENTAGE', 'FIXED');
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "discountCents" INTEGER,
+ADD COLUMN     "discountCodeId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."DiscountCode" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" "public"."DiscountType" NOT NULL,
+    "value" INTEGER NOT NULL,
+    "validFrom" TIMESTAMP(3),
+    "validUntil" TIMESTAMP(3),
+    "maxUses" INTEGER,
+    "maxUsesPerUser" INTEGER,
+    "firstBookingOnly" BOOLEAN NOT NULL DEFAULT false,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DiscountCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DiscountCode_code_key" ON "public"."DiscountCode"("code");
+
+-- AddForeignKey
+ALTER TABLE "public"."Booking" ADD CONSTRAINT "Booking_discountCodeId_fkey" FOREIGN KEY ("discountCodeId") REFERENCES "public"."DiscountCode"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "netCents" INTEGER,
+ADD COLUMN     "totalCents" INTEGER,
+ADD COLUMN     "vatBreakdown" JSONB,
+ADD COLUMN     "vatCents" INTEGER;
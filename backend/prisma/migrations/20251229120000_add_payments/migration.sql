@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "public"."PaymentStatus" AS ENUM ('PENDING', 'PAID', 'FAILED', 'EXPIRED');
+
+-- AlterEnum
+ALTER TYPE "public"."BookingStatus" ADD VALUE 'PENDING_PAYMENT';
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "paymentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Payment" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "method" "public"."PaymentMethod" NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "status" "public"."PaymentStatus" NOT NULL DEFAULT 'PENDING',
+    "provider" TEXT NOT NULL,
+    "providerReference" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_providerReference_key" ON "public"."Payment"("providerReference");
+
+-- CreateIndex
+CREATE INDEX "Payment_userId_idx" ON "public"."Payment"("userId");
+
+-- CreateIndex
+CREATE INDEX "Booking_paymentId_idx" ON "public"."Booking"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Booking" ADD CONSTRAINT "Booking_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "public"."Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
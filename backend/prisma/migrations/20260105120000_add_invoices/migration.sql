@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "public"."InvoiceStatus" AS ENUM ('UNPAID', 'PAID', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "invoiceId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Invoice" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "referenceNumber" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "netCents" INTEGER NOT NULL,
+    "vatCents" INTEGER NOT NULL,
+    "vatBreakdown" JSONB NOT NULL,
+    "status" "public"."InvoiceStatus" NOT NULL DEFAULT 'UNPAID',
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_number_key" ON "public"."Invoice"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_referenceNumber_key" ON "public"."Invoice"("referenceNumber");
+
+-- CreateIndex
+CREATE INDEX "Invoice_userId_idx" ON "public"."Invoice"("userId");
+
+-- CreateIndex
+CREATE INDEX "Invoice_status_dueDate_idx" ON "public"."Invoice"("status", "dueDate");
+
+-- CreateIndex
+CREATE INDEX "Booking_invoiceId_idx" ON "public"."Booking"("invoiceId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Booking" ADD CONSTRAINT "Booking_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "public"."Invoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Invoice" ADD CONSTRAINT "Invoice_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "endsAt" TIMESTAMP(3),
+ADD COLUMN     "startsAt" TIMESTAMP(3);
+
+-- Fill in the slot times of existing bookings from the Helsinki day of
+-- "date" and the "HH:MM - HH:MM" time slot label
+UPDATE "public"."Booking" AS b
+SET "startsAt" = ((slot."day" + slot."starts") AT TIME ZONE 'Europe/Helsinki') AT TIME ZONE 'UTC',
+    "endsAt" = ((slot."day" + slot."ends") AT TIME ZONE 'Europe/Helsinki') AT TIME ZONE 'UTC'
+FROM (
+  SELECT "id",
+    (("date" AT TIME ZONE 'UTC') AT TIME ZONE 'Europe/Helsinki')::date AS "day",
+    substring("timeSlot" from '^(\d{2}:\d{2})')::time AS "starts",
+    substring("timeSlot" from '(\d{2}:\d{2})$')::time AS "ends"
+  FROM "public"."Booking"
+  WHERE "timeSlot" ~ '^\d{2}:\d{2}\s*-\s*\d{2}:\d{2}$'
+) AS slot
+WHERE b."id" = slot."id";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."EmailVerificationToken" ADD COLUMN     "usedAt" TIMESTAMP(3);
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "sequence" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing bookings were last changed when they were created or cancelled
+UPDATE "public"."Booking" SET "updatedAt" = COALESCE("cancelledAt", "createdAt");
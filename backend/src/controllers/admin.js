@@ -0,0 +1,470 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { z } from "zod";
+import { requireAuth, requireRole } from "../utils/middleware.js";
+import {
+  SERVICE_CITIES,
+  cancelBookingSchema,
+  getFieldErrors,
+} from "../utils/bookingRules.js";
+import {
+  reserveSlot,
+  findAlternatives,
+  SlotUnavailableError,
+} from "../utils/availability.js";
+import { isDayKey, getDayBounds } from "../utils/time.js";
+import {
+  buildRouteSheetRows,
+  toRouteSheetCsv,
+  toRouteSheetHtml,
+} from "../utils/routeSheet.js";
+import { syncInvoiceStatus, toInvoiceResponse } from "../utils/invoices.js";
+import { cancelBookings } from "../utils/cancellation.js";
+
+const router = express.Router();
+let prisma = new PrismaClient();
+
+// For testing: allow setting a custom Prisma instance
+export const setPrismaInstance = (customPrisma) => {
+  prisma = customPrisma;
+};
+
+// All admin routes require a logged in ADMIN user
+router.use(requireAuth);
+router.use(requireRole("ADMIN"));
+
+// Statuses an admin can filter by and set
+const BOOKING_STATUSES = [
+  "DRAFT",
+  "PENDING_PAYMENT",
+  "CONFIRMED",
+  "CANCELLED",
+  "COMPLETED",
+];
+const ADMIN_STATUSES = ["CONFIRMED", "CANCELLED", "COMPLETED"];
+
+// Invoice statuses an admin can filter by, and the ones they can set
+const INVOICE_STATUSES = ["UNPAID", "PAID", "CANCELLED"];
+const ADMIN_INVOICE_STATUSES = ["UNPAID", "PAID"];
+
+const MAX_PAGE_SIZE = 100;
+
+// User info included in admin booking responses
+const bookingUserSelect = {
+  select: {
+    id: true,
+    email: true,
+    fullName: true,
+  },
+};
+
+const dayKeySchema = z.string().refine(isDayKey, {
+  message: "Invalid date, use YYYY-MM-DD",
+});
+
+// Validation schema for the booking list filters and pagination
+const listBookingsQuerySchema = z
+  .object({
+    from: dayKeySchema.optional(),
+    to: dayKeySchema.optional(),
+    city: z
+      .string()
+      .transform((value) => value.toLowerCase())
+      .pipe(
+        z.enum(SERVICE_CITIES, {
+          message: `City must be one of: ${SERVICE_CITIES.join(", ")}`,
+        })
+      )
+      .optional(),
+    status: z
+      .string()
+      .transform((value) => value.toUpperCase())
+      .pipe(
+        z.enum(BOOKING_STATUSES, {
+          message: `Status must be one of: ${BOOKING_STATUSES.join(", ")}`,
+        })
+      )
+      .optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    pageSize: z.coerce.number().int().min(1).max(MAX_PAGE_SIZE).default(20),
+  })
+  .refine((query) => !query.from || !query.to || query.from <= query.to, {
+    message: "Start date must be before end date",
+    path: ["to"],
+  });
+
+// Validation schema for the invoice list filters and pagination
+const listInvoicesQuerySchema = z.object({
+  status: z
+    .string()
+    .transform((value) => value.toUpperCase())
+    .pipe(
+      z.enum(INVOICE_STATUSES, {
+        message: `Status must be one of: ${INVOICE_STATUSES.join(", ")}`,
+      })
+    )
+    .optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(MAX_PAGE_SIZE).default(20),
+});
+
+// Validation schema for marking an invoice paid or unpaid
+const updateInvoiceStatusSchema = z.object({
+  status: z
+    .string()
+    .transform((value) => value.toUpperCase())
+    .pipe(
+      z.enum(ADMIN_INVOICE_STATUSES, {
+        message: `Status must be one of: ${ADMIN_INVOICE_STATUSES.join(", ")}`,
+      })
+    ),
+});
+
+// Validation schema for the daily route sheet export
+const routeSheetQuerySchema = z.object({
+  date: dayKeySchema,
+  format: z
+    .enum(["html", "csv"], { message: "Format must be html or csv" })
+    .default("html"),
+});
+
+// Validation schema for an admin status change
+const updateStatusSchema = z.object({
+  status: z
+    .string()
+    .transform((value) => value.toUpperCase())
+    .pipe(
+      z.enum(ADMIN_STATUSES, {
+        message: `Status must be one of: ${ADMIN_STATUSES.join(", ")}`,
+      })
+    ),
+  reason: cancelBookingSchema.shape.reason,
+});
+
+/**
+ * GET /api/admin/bookings
+ * List all customers' bookings for the operator, drafts excluded unless
+ * filtered by status. Ordered by date so a day's jobs come in slot order.
+ *
+ * @query {string} [from] - First day in YYYY-MM-DD format (Helsinki time)
+ * @query {string} [to] - Last day in YYYY-MM-DD format (Helsinki time)
+ * @query {string} [city] - helsinki, vantaa or espoo
+ * @query {string} [status] - DRAFT, PENDING_PAYMENT, CONFIRMED, CANCELLED or COMPLETED
+ * @query {number} [page=1] - Page number
+ * @query {number} [pageSize=20] - Bookings per page (max 100)
+ *
+ * @returns {Object} Bookings with user info and pagination details
+ */
+router.get("/bookings", async (req, res) => {
+  try {
+    const validation = listBookingsQuerySchema.safeParse(req.query ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const { from, to, city, status, page, pageSize } = validation.data;
+
+    const where = { status: status ?? { not: "DRAFT" } };
+
+    if (city) {
+      where.city = city.toUpperCase();
+    }
+
+    if (from || to) {
+      where.date = {};
+      if (from) where.date.gte = getDayBounds(from).start;
+      if (to) where.date.lt = getDayBounds(to).end;
+    }
+
+    const [bookings, total] = await prisma.$transaction([
+      prisma.booking.findMany({
+        where,
+        include: { user: bookingUserSelect },
+        orderBy: [{ date: "asc" }, { timeSlot: "asc" }],
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      prisma.booking.count({ where }),
+    ]);
+
+    res.json({
+      bookings,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching admin bookings:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * PATCH /api/admin/bookings/:id/status
+ * Change the status of any booking. Unlike customers, the operator is not
+ * bound by the change cutoff. Cancelling an unpaid booking expires its pending
+ * payment, restoring a cancelled booking needs a free slot.
+ *
+ * @param {string} id - Booking ID
+ * @body {string} status - CONFIRMED, CANCELLED or COMPLETED
+ * @body {string} [reason] - Cancellation reason when cancelling
+ *
+ * @returns {Object} Updated booking with user info
+ * @returns {Object} 409 with alternative free slots if a restored booking's slot is full
+ */
+router.patch("/bookings/:id/status", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const validation = updateStatusSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid status data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const { status, reason } = validation.data;
+
+    const booking = await prisma.booking.findFirst({
+      where: { id, status: { not: "DRAFT" } },
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    if (booking.status === status) {
+      return res
+        .status(400)
+        .json({ error: `Booking is already ${status.toLowerCase()}` });
+    }
+
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      // Cancelling expires an unpaid booking's pending payment as well
+      if (status === "CANCELLED") {
+        await cancelBookings(tx, [booking], { reason: reason || null });
+        return tx.booking.findUnique({
+          where: { id },
+          include: { user: bookingUserSelect },
+        });
+      }
+
+      // A cancelled booking freed its slot, take it again only if still free
+      if (booking.status === "CANCELLED") {
+        await reserveSlot(tx, {
+          date: booking.date,
+          timeSlot: booking.timeSlot,
+          excludeBookingId: booking.id,
+        });
+      }
+
+      const updatedBooking = await tx.booking.update({
+        where: { id },
+        data: {
+          status,
+          cancelledAt: null,
+          cancellationReason: null,
+          sequence: { increment: 1 },
+        },
+        include: { user: bookingUserSelect },
+      });
+      await syncInvoiceStatus(tx, [booking.invoiceId]);
+
+      return updatedBooking;
+    });
+
+    res.json(updatedBooking);
+  } catch (error) {
+    if (error instanceof SlotUnavailableError) {
+      const alternatives = await findAlternatives(prisma, error.dayKey);
+      return res.status(409).json({ error: error.message, alternatives });
+    }
+
+    console.error("Error updating booking status:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Relations included in admin invoice responses
+const invoiceInclude = {
+  user: bookingUserSelect,
+  bookings: { orderBy: { date: "asc" } },
+};
+
+/**
+ * Shape an invoice for the operator with the customer and whether an unpaid
+ * invoice is past its due date
+ * @param {Object} invoice - Invoice with its user and bookings
+ * @returns {Object}
+ */
+const toAdminInvoiceResponse = (invoice) => ({
+  ...toInvoiceResponse(invoice),
+  overdue: invoice.status === "UNPAID" && invoice.dueDate < new Date(),
+  user: invoice.user,
+});
+
+/**
+ * GET /api/admin/invoices
+ * Invoices of bank transfer bookings, newest first
+ *
+ * @query {string} [status] - UNPAID, PAID or CANCELLED
+ * @query {number} [page=1] - Page number
+ * @query {number} [pageSize=20] - Invoices per page (max 100)
+ *
+ * @returns {Object} Invoices and pagination details
+ */
+router.get("/invoices", async (req, res) => {
+  try {
+    const validation = listInvoicesQuerySchema.safeParse(req.query ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const { status, page, pageSize } = validation.data;
+    const where = status ? { status } : {};
+
+    const [invoices, total] = await prisma.$transaction([
+      prisma.invoice.findMany({
+        where,
+        include: invoiceInclude,
+        orderBy: { number: "desc" },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      prisma.invoice.count({ where }),
+    ]);
+
+    res.json({
+      invoices: invoices.map(toAdminInvoiceResponse),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * PATCH /api/admin/invoices/:id/status
+ * Mark an invoice paid when the bank transfer has arrived, or unpaid again
+ *
+ * @param {string} id - Invoice ID
+ * @body {string} status - PAID or UNPAID
+ *
+ * @returns {Object} Updated invoice
+ * @returns {Object} 400 if the invoice is cancelled or already has the status
+ */
+router.patch("/invoices/:id/status", async (req, res) => {
+  try {
+    const validation = updateInvoiceStatusSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid status data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const { status } = validation.data;
+
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    if (invoice.status === "CANCELLED") {
+      return res
+        .status(400)
+        .json({ error: "Cancelled invoices can't be changed" });
+    }
+
+    if (invoice.status === status) {
+      return res
+        .status(400)
+        .json({ error: `Invoice is already ${status.toLowerCase()}` });
+    }
+
+    const updatedInvoice = await prisma.invoice.update({
+      where: { id: invoice.id },
+      data: { status, paidAt: status === "PAID" ? new Date() : null },
+      include: invoiceInclude,
+    });
+
+    res.json(toAdminInvoiceResponse(updatedInvoice));
+  } catch (error) {
+    console.error("Error updating invoice status:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/admin/route-sheet
+ * The crew's route sheet: a day's CONFIRMED bookings ordered by time slot
+ * and area. The HTML version is meant to be printed (or saved as PDF).
+ *
+ * @query {string} date - Day in YYYY-MM-DD format (Helsinki time)
+ * @query {string} [format=html] - html or csv
+ *
+ * @returns {string} Printable HTML page or CSV file download
+ */
+router.get("/route-sheet", async (req, res) => {
+  try {
+    const validation = routeSheetQuerySchema.safeParse(req.query ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid route sheet request",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const { date, format } = validation.data;
+    const { start, end } = getDayBounds(date);
+
+    const bookings = await prisma.booking.findMany({
+      where: {
+        status: "CONFIRMED",
+        date: { gte: start, lt: end },
+      },
+      include: {
+        user: bookingUserSelect,
+        vehicle: true,
+        service: true,
+        addOns: {
+          include: { addOn: true },
+          orderBy: { addOn: { sortOrder: "asc" } },
+        },
+      },
+    });
+
+    const rows = buildRouteSheetRows(bookings);
+
+    if (format === "csv") {
+      res.attachment(`route-sheet-${date}.csv`);
+      return res.type("text/csv; charset=utf-8").send(toRouteSheetCsv(rows));
+    }
+
+    res.type("html").send(toRouteSheetHtml(rows, date));
+  } catch (error) {
+    console.error("Error building route sheet:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
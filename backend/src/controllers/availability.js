@@ -0,0 +1,52 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import {
+  getAvailability,
+  getSlotCapacity,
+  resolveAvailabilityRange,
+} from "../utils/availability.js";
+
+const router = express.Router();
+let prisma = new PrismaClient();
+
+// For testing: allow setting a custom Prisma instance
+export const setPrismaInstance = (customPrisma) => {
+  prisma = customPrisma;
+};
+
+/**
+ * GET /api/availability
+ * Get free time slots per weekday, computed from existing bookings
+ * Public endpoint, the calendar is shown before login
+ *
+ * @query {string} [from] - First day in YYYY-MM-DD format (defaults to first bookable day)
+ * @query {string} [to] - Last day in YYYY-MM-DD format (defaults to last bookable day)
+ *
+ * @returns {Object} Slot capacity and available slots per day
+ */
+router.get("/", async (req, res) => {
+  try {
+    const range = resolveAvailabilityRange({
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    if (!range) {
+      return res.json({ from: null, to: null, capacity: 0, dates: [] });
+    }
+
+    const dates = await getAvailability(prisma, range);
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      capacity: getSlotCapacity(),
+      dates,
+    });
+  } catch (error) {
+    console.error("Error fetching availability:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
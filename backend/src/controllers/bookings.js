@@ -2,6 +2,70 @@ import express from "express";
 import { PrismaClient } from "@prisma/client";
 import { requireAuth } from "../utils/middleware.js";
 import { sanitizeString } from "../utils/sanitization.js";
+import {
+  createBookingSchema,
+  draftBookingSchema,
+  confirmBookingSchema,
+  quoteSchema,
+  createSeriesSchema,
+  getSeriesDayKeys,
+  updateBookingSchema,
+  cancelBookingSchema,
+  receiptQuerySchema,
+  calendarFeedQuerySchema,
+  getFieldErrors,
+  parseAddress,
+  formatLocation,
+  isBeforeCutoff,
+  getBookingStart,
+  toSlotTimes,
+  toBookingDayKey,
+  CHANGE_CUTOFF_HOURS,
+  CANCELLATION_CUTOFF_HOURS,
+} from "../utils/bookingRules.js";
+import {
+  reserveSlot,
+  findAlternatives,
+  getHoldMinutes,
+  occupiesSlotWhere,
+  SlotUnavailableError,
+} from "../utils/availability.js";
+import {
+  findBookableService,
+  findBookableAddOns,
+  toPriceData,
+  toAddOnData,
+  buildQuote,
+  toQuoteData,
+  toReceipt,
+} from "../utils/pricing.js";
+import {
+  findApplicableDiscount,
+  reserveDiscount,
+  DiscountCodeError,
+} from "../utils/discounts.js";
+import {
+  requiresOnlinePayment,
+  createPendingPayment,
+  startPayment,
+} from "../utils/payments.js";
+import { createInvoice } from "../utils/invoices.js";
+import { cancelBookings } from "../utils/cancellation.js";
+import {
+  hasReceipt,
+  toReceiptHtml,
+  renderReceiptPdf,
+  toBookingHistoryCsv,
+} from "../utils/receipts.js";
+import {
+  CALENDAR_STATUSES,
+  createCalendarToken,
+  toBookingCalendar,
+  toCalendarFeed,
+  toCalendarAttachment,
+} from "../utils/calendar.js";
+import { sendTemplateMail, getAppUrl } from "../utils/mailer.js";
+import { toDayKey, getWeekday } from "../utils/time.js";
 
 const router = express.Router();
 let prisma = new PrismaClient();
@@ -11,41 +75,449 @@ export const setPrismaInstance = (customPrisma) => {
   prisma = customPrisma;
 };
 
-// Apply authentication middleware to all booking routes
+/**
+ * Only users with a verified email address can book, so booking
+ * confirmations reach the customer. Responds 403 with
+ * code EMAIL_NOT_VERIFIED so the frontend can offer to resend the link.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { emailVerified: true },
+    });
+
+    if (!user?.emailVerified) {
+      return res.status(403).json({
+        error: "Please verify your email address before booking",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error checking email verification:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// User info included in booking responses
+const bookingUserSelect = {
+  select: {
+    id: true,
+    email: true,
+    fullName: true,
+  },
+};
+
+// Vehicle info included in booking responses
+const bookingVehicleSelect = {
+  select: {
+    id: true,
+    licensePlate: true,
+    make: true,
+    color: true,
+    parkingNotes: true,
+  },
+};
+
+// Service tier included in booking responses
+const bookingServiceSelect = {
+  select: {
+    id: true,
+    slug: true,
+    nameFi: true,
+    nameEn: true,
+  },
+};
+
+// Add-ons with their booked prices included in booking responses
+const bookingAddOnSelect = {
+  select: {
+    priceCents: true,
+    vatRate: true,
+    addOn: {
+      select: { id: true, slug: true, nameFi: true, nameEn: true },
+    },
+  },
+  orderBy: { addOn: { sortOrder: "asc" } },
+};
+
+// Discount code included in booking responses
+const bookingDiscountSelect = {
+  select: { code: true },
+};
+
+// Invoice of a bank transfer booking included in booking responses
+const bookingInvoiceSelect = {
+  select: {
+    id: true,
+    number: true,
+    referenceNumber: true,
+    amountCents: true,
+    status: true,
+    dueDate: true,
+  },
+};
+
+// Online payment status, tells whether a card or MobilePay booking has a receipt
+const bookingPaymentSelect = {
+  select: { status: true },
+};
+
+// Relations included in booking responses
+const bookingInclude = {
+  user: bookingUserSelect,
+  vehicle: bookingVehicleSelect,
+  service: bookingServiceSelect,
+  addOns: bookingAddOnSelect,
+  discountCode: bookingDiscountSelect,
+  invoice: bookingInvoiceSelect,
+  payment: bookingPaymentSelect,
+};
+
+/**
+ * Check that a vehicle picked for a booking is saved on the user's profile
+ * @param {string} userId - Booking owner
+ * @param {string} [vehicleId] - Picked vehicle, none is always fine
+ * @returns {Promise<boolean>}
+ */
+const isOwnVehicle = async (userId, vehicleId) => {
+  if (!vehicleId) return true;
+
+  const vehicle = await prisma.vehicle.findFirst({
+    where: { id: vehicleId, userId },
+    select: { id: true },
+  });
+  return Boolean(vehicle);
+};
+
+/**
+ * Look up the vehicle, service tier and add-ons picked for a new booking
+ * @param {string} userId - Booking owner
+ * @param {Object} details - Validated vehicleId, serviceId and addOnIds
+ * @returns {Promise<Object>} - The service and add-ons, or field-level
+ * `errors` if one of them can't be booked
+ */
+const resolveBookingOptions = async (
+  userId,
+  { vehicleId, serviceId, addOnIds }
+) => {
+  if (!(await isOwnVehicle(userId, vehicleId))) {
+    return { errors: { vehicleId: ["Vehicle not found"] } };
+  }
+
+  const service = await findBookableService(prisma, serviceId);
+  if (!service) {
+    return { errors: { serviceId: ["Service not found"] } };
+  }
+
+  const addOns = await findBookableAddOns(prisma, addOnIds);
+  if (!addOns) {
+    return { errors: { addOnIds: ["Add-on not found"] } };
+  }
+
+  return { service, addOns };
+};
+
+/**
+ * Map validated checkout details to booking columns
+ * @param {Object} details - Validated city, address, phoneNumber, paymentMethod, notes and vehicleId
+ * @returns {Object} - Booking data for Prisma
+ */
+const toContactData = ({
+  city,
+  address,
+  phoneNumber,
+  paymentMethod,
+  notes,
+  vehicleId,
+}) => {
+  const { streetAddress, postalCode } = parseAddress(address);
+
+  return {
+    // Location string combining address and city
+    location: formatLocation(address, city),
+    city: city.toUpperCase(),
+    streetAddress,
+    postalCode,
+    phoneNumber,
+    paymentMethod: paymentMethod.toUpperCase(),
+    notes: notes || null,
+    vehicleId: vehicleId || null,
+  };
+};
+
+/**
+ * Status of a new booking: card and MobilePay bookings wait for their payment
+ * and hold the slot like a draft, bank and cash bookings are confirmed
+ * @param {string} paymentMethod - Validated payment method
+ * @returns {Object} - Booking data for Prisma
+ */
+const toStatusData = (paymentMethod) =>
+  requiresOnlinePayment(paymentMethod)
+    ? {
+        status: "PENDING_PAYMENT",
+        holdExpiresAt: new Date(Date.now() + getHoldMinutes() * 60 * 1000),
+      }
+    : { status: "CONFIRMED", holdExpiresAt: null };
+
+/**
+ * Shape a created or confirmed booking for the frontend
+ * @param {Object} booking - Booking with user included
+ * @returns {Object}
+ */
+const toBookingResponse = (booking) => ({
+  id: booking.id,
+  date: booking.date,
+  timeSlot: booking.timeSlot,
+  startsAt: booking.startsAt,
+  endsAt: booking.endsAt,
+  location: booking.location,
+  status: booking.status,
+  createdAt: booking.createdAt,
+  city: booking.city,
+  streetAddress: booking.streetAddress,
+  postalCode: booking.postalCode,
+  phoneNumber: booking.phoneNumber,
+  paymentMethod: booking.paymentMethod,
+  notes: booking.notes,
+  vehicle: booking.vehicle ?? null,
+  service: booking.service ?? null,
+  addOns: booking.addOns ?? [],
+  priceCents: booking.priceCents,
+  vatRate: booking.vatRate,
+  discountCode: booking.discountCode?.code ?? null,
+  discountCents: booking.discountCents,
+  totalCents: booking.totalCents,
+  receipt: toReceipt(booking),
+  receiptAvailable: hasReceipt(booking),
+  invoice: booking.invoice ?? null,
+  user: booking.user,
+});
+
+/**
+ * Add the receipt to a booking returned as stored
+ * @param {Object} booking - Booking with service, add-ons, discount code, invoice and payment
+ * @returns {Object}
+ */
+const withReceipt = (booking) => ({
+  ...booking,
+  receipt: toReceipt(booking),
+  receiptAvailable: hasReceipt(booking),
+});
+
+/**
+ * Invoice new bank transfer bookings inside the booking transaction, one
+ * invoice covers every occurrence of a series
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - Booking owner
+ * @param {Array} bookings - Confirmed bookings with their price snapshot
+ * @returns {Promise<Object|null>} - Invoice as included in booking
+ * responses, null for other payment methods
+ */
+const invoiceBankBookings = async (tx, userId, bookings) => {
+  if (bookings[0].paymentMethod !== "BANK") return null;
+
+  const invoice = await createInvoice(tx, { userId, bookings });
+  return Object.fromEntries(
+    Object.keys(bookingInvoiceSelect.select).map((key) => [key, invoice[key]])
+  );
+};
+
+/**
+ * Email the owner of a booking in their language, failures are only logged
+ * @param {string} template - bookingConfirmed, bookingUpdated, bookingCancelled, seriesConfirmed or seriesCancelled
+ * @param {Object} booking - Booking to describe in the email
+ * @param {Object} [data] - Extra template data, e.g. the dates of a series
+ * @param {Array} [calendarBookings] - Bookings attached as an .ics calendar invite
+ * @param {string} [calendarMethod] - REQUEST adds or updates the events,
+ * CANCEL removes them
+ */
+const notifyBookingOwner = async (
+  template,
+  booking,
+  data = {},
+  calendarBookings = [],
+  calendarMethod = "REQUEST"
+) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: booking.userId },
+      select: { email: true, language: true },
+    });
+
+    if (user) {
+      await sendTemplateMail({
+        to: user.email,
+        template,
+        language: user.language,
+        data: { booking, ...data },
+        attachments: calendarBookings.length
+          ? [
+              toCalendarAttachment(calendarBookings, user.language, {
+                method: calendarMethod,
+                attendee: user.email,
+              }),
+            ]
+          : [],
+      });
+    }
+  } catch (error) {
+    console.error("Error sending booking email:", error);
+  }
+};
+
+/**
+ * Register the payment of new bookings with the payment provider. If the
+ * provider can't be reached the bookings are cancelled so their slots and
+ * discount code are free again.
+ * @param {Object} payment - Pending payment of the bookings
+ * @returns {Promise<Object|null>} - Payment with the address where the
+ * customer pays, null if the payment couldn't be started
+ */
+const startBookingPayment = async (payment) => {
+  try {
+    const redirectUrl = await startPayment(prisma, payment);
+    return {
+      id: payment.id,
+      status: payment.status,
+      amountCents: payment.amountCents,
+      redirectUrl,
+    };
+  } catch (error) {
+    console.error("Error starting payment:", error);
+
+    await prisma.$transaction([
+      prisma.booking.updateMany({
+        where: { paymentId: payment.id },
+        data: {
+          status: "CANCELLED",
+          holdExpiresAt: null,
+          cancelledAt: new Date(),
+          cancellationReason: "Payment could not be started",
+          sequence: { increment: 1 },
+        },
+      }),
+      prisma.payment.update({
+        where: { id: payment.id },
+        data: { status: "FAILED" },
+      }),
+    ]);
+    return null;
+  }
+};
+
+/**
+ * Respond 502 when the payment provider couldn't start the payment
+ * @param {Object} res - Express response
+ */
+const sendPaymentUnavailable = (res) =>
+  res.status(502).json({ error: "Payment could not be started" });
+
+/**
+ * Respond 409 with the closest free slots when a time slot is full
+ * @param {Object} res - Express response
+ * @param {SlotUnavailableError} error - Error from reserveSlot
+ */
+const sendSlotUnavailable = async (res, error) => {
+  const alternatives = await findAlternatives(prisma, error.dayKey);
+  return res.status(409).json({
+    error: error.message,
+    alternatives,
+  });
+};
+
+/**
+ * Respond 400 with a field-level error when a discount code can't be used
+ * @param {Object} res - Express response
+ * @param {DiscountCodeError} error - Error from the discount code rules
+ */
+const sendInvalidDiscount = (res, error) =>
+  res.status(400).json({
+    error: "Invalid booking data",
+    errors: { discountCode: [error.message] },
+  });
+
+/**
+ * Address of a user's calendar feed, through the frontend like email links
+ * @param {string|null} token - Calendar token of the user
+ * @returns {string|null} - null when the feed is turned off
+ */
+const toCalendarFeedUrl = (token) =>
+  token ? `${getAppUrl()}/api/bookings/calendar.ics?token=${token}` : null;
+
+/**
+ * GET /api/bookings/calendar.ics
+ * The user's bookings as an iCalendar feed that Outlook, Google Calendar and
+ * other calendar apps subscribe to. Calendar apps have no session, so the
+ * secret token in the address identifies the user. Rescheduled and cancelled
+ * bookings update on the next refresh.
+ *
+ * @query {string} token - Calendar token from GET /api/bookings/calendar-feed
+ *
+ * @returns {string} iCalendar feed of the user's bookings in the user's language
+ * @returns {Object} 404 if the token is unknown or revoked
+ */
+router.get("/calendar.ics", async (req, res) => {
+  try {
+    const validation = calendarFeedQuerySchema.safeParse(req.query ?? {});
+    const user =
+      validation.success &&
+      (await prisma.user.findUnique({
+        where: { calendarToken: validation.data.token },
+        select: { id: true, language: true },
+      }));
+
+    if (!user) {
+      return res.status(404).json({ error: "Calendar not found" });
+    }
+
+    const bookings = await prisma.booking.findMany({
+      where: { userId: user.id, status: { in: CALENDAR_STATUSES } },
+      orderBy: { date: "asc" },
+      include: bookingInclude,
+    });
+
+    res.set("Cache-Control", "private, no-cache");
+    res
+      .type("text/calendar; charset=utf-8")
+      .send(toCalendarFeed(bookings, user.language));
+  } catch (error) {
+    console.error("Error building calendar feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Apply authentication middleware to all other booking routes
 router.use(requireAuth);
 
 /**
  * POST /api/bookings
  * Create a new booking for authenticated user
  *
- * @body {string} date - Booking date in ISO format
+ * @body {string} date - Booking day as YYYY-MM-DD in Helsinki time (weekday, 2-31 days ahead)
  * @body {string} timeSlot - Selected time slot
- * @body {string} city - Selected city
+ * @body {string} city - Selected city (helsinki, vantaa or espoo)
  * @body {string} address - Customer address
  * @body {string} phoneNumber - Customer phone number
- * @body {string} paymentMethod - Selected payment method
+ * @body {string} paymentMethod - Selected payment method (card, mobilepay, bank or cash)
+ * @body {string} [notes] - Instructions for the crew, e.g. door code
+ * @body {string} [vehicleId] - Saved vehicle from the user's profile
+ * @body {string} [serviceId] - Service tier, the first active tier when left out
+ * @body {string[]} [addOnIds] - Extras on top of the service
+ * @body {string} [discountCode] - Campaign code
  *
- * @returns {Object} Created booking with details
+ * @returns {Object} Created booking with details. Card and MobilePay bookings
+ * wait in PENDING_PAYMENT and include the `payment` with its `redirectUrl`
+ * @returns {Object} 400 with field-level errors if business rules are not met
+ * or the discount code can't be used
+ * @returns {Object} 403 if the user's email address is not verified
+ * @returns {Object} 409 with alternative free slots if the time slot is full
+ * @returns {Object} 502 if the payment couldn't be started
  */
-router.post("/", async (req, res) => {
+router.post("/", requireVerifiedEmail, async (req, res) => {
   try {
-    // Sanitize all input fields
-    const {
-      date,
-      timeSlot: rawTimeSlot,
-      city: rawCity,
-      address: rawAddress,
-      phoneNumber: rawPhoneNumber,
-      paymentMethod: rawPaymentMethod,
-    } = req.body;
-
-    // Sanitize string inputs
-    const timeSlot = sanitizeString(rawTimeSlot);
-    const city = sanitizeString(rawCity);
-    const address = sanitizeString(rawAddress);
-    const phoneNumber = sanitizeString(rawPhoneNumber);
-    const paymentMethod = sanitizeString(rawPaymentMethod);
-
     const userId = req.user?.id;
 
     // Validate required fields
@@ -53,87 +525,643 @@ router.post("/", async (req, res) => {
       return res.status(401).json({ error: "User not authenticated" });
     }
 
-    if (
-      !date ||
-      !timeSlot ||
-      !city ||
-      !address ||
-      !phoneNumber ||
-      !paymentMethod
-    ) {
+    const requiredFields = [
+      "date",
+      "timeSlot",
+      "city",
+      "address",
+      "phoneNumber",
+      "paymentMethod",
+    ];
+    if (requiredFields.some((field) => !sanitizeString(req.body?.[field]))) {
       return res.status(400).json({
         error: "Missing required fields",
-        required: [
-          "date",
-          "timeSlot",
-          "city",
-          "address",
-          "phoneNumber",
-          "paymentMethod",
-        ],
+        required: requiredFields,
       });
     }
 
-    // Validate date format and ensure it's in the future
-    const bookingDate = new Date(date);
-    if (isNaN(bookingDate.getTime())) {
-      return res.status(400).json({ error: "Invalid date format" });
+    // Validate and sanitize input against booking business rules
+    const validation = createBookingSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: getFieldErrors(validation.error),
+      });
     }
 
-    if (bookingDate <= new Date()) {
+    const { date, timeSlot, ...details } = validation.data;
+    const slotTimes = toSlotTimes(date, timeSlot);
+
+    const options = await resolveBookingOptions(userId, details);
+    if (options.errors) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: options.errors,
+      });
+    }
+
+    // Create the booking in database, checking slot capacity in the same
+    // transaction so concurrent requests can't overbook the slot
+    const { booking, payment } = await prisma.$transaction(async (tx) => {
+      await reserveSlot(tx, { date: slotTimes.date, timeSlot });
+
+      const discount = details.discountCode
+        ? await reserveDiscount(tx, { code: details.discountCode, userId })
+        : null;
+
+      const booking = await tx.booking.create({
+        data: {
+          userId,
+          ...slotTimes,
+          timeSlot,
+          ...toStatusData(details.paymentMethod),
+          ...toContactData(details),
+          ...toPriceData(options.service),
+          ...toAddOnData(options.addOns),
+          ...toQuoteData(buildQuote({ ...options, discount }), discount),
+        },
+        include: bookingInclude,
+      });
+
+      const payment =
+        booking.status === "PENDING_PAYMENT"
+          ? await createPendingPayment(tx, {
+              userId,
+              method: booking.paymentMethod,
+              bookings: [booking],
+            })
+          : null;
+      const invoice = await invoiceBankBookings(tx, userId, [booking]);
+
+      return { booking: { ...booking, invoice }, payment };
+    });
+
+    // The confirmation email is sent when the payment arrives
+    if (payment) {
+      const startedPayment = await startBookingPayment(payment);
+      if (!startedPayment) {
+        return sendPaymentUnavailable(res);
+      }
+
       return res
-        .status(400)
-        .json({ error: "Booking date must be in the future" });
+        .status(201)
+        .json({ ...toBookingResponse(booking), payment: startedPayment });
     }
 
-    //
+    await notifyBookingOwner("bookingConfirmed", booking, {}, [booking]);
 
-    // Create location string combining city and address and capitalize first letter of the city
-    const location = `${address}, ${city.replace(/^./, (match) =>
-      match.toUpperCase()
-    )}`;
+    res.status(201).json(toBookingResponse(booking));
+  } catch (error) {
+    if (error instanceof SlotUnavailableError) {
+      return sendSlotUnavailable(res, error);
+    }
+    if (error instanceof DiscountCodeError) {
+      return sendInvalidDiscount(res, error);
+    }
 
-    // Create the booking in database
-    const booking = await prisma.booking.create({
-      data: {
-        userId,
-        date: bookingDate,
-        timeSlot,
-        location,
-        status: "CONFIRMED",
-      },
+    console.error("Error creating booking:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/bookings/quote
+ * Price of a booking before it is made, with the discount code applied and
+ * the VAT broken down. Nothing is reserved, the code is checked again when
+ * booking.
+ *
+ * @body {string} [serviceId] - Service tier, the first active tier when left out
+ * @body {string[]} [addOnIds] - Extras on top of the service
+ * @body {string} [discountCode] - Campaign code
+ *
+ * @returns {Object} Lines, subtotal, discount, total and VAT per rate in cents
+ * @returns {Object} 400 with field-level errors if an item or the code can't be used
+ */
+router.post("/quote", async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const validation = quoteSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const { discountCode, ...details } = validation.data;
+
+    const options = await resolveBookingOptions(userId, details);
+    if (options.errors) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: options.errors,
+      });
+    }
+
+    const discount = discountCode
+      ? await findApplicableDiscount(prisma, { code: discountCode, userId })
+      : null;
+
+    res.json(buildQuote({ ...options, discount }));
+  } catch (error) {
+    if (error instanceof DiscountCodeError) {
+      return sendInvalidDiscount(res, error);
+    }
+
+    console.error("Error quoting booking:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/bookings/series
+ * Book the same weekday and time slot every week for the given number of
+ * weeks, starting from the given date. Each occurrence is a normal booking;
+ * weeks whose slot is already full are skipped and returned in `skipped`.
+ * Any draft of the user is released, it usually holds the first occurrence.
+ *
+ * @body {string} date - Day of the first occurrence as YYYY-MM-DD (weekday, 2-31 days ahead)
+ * @body {string} timeSlot - Selected time slot
+ * @body {number} weeks - Number of weeks (SERIES_WEEKS)
+ * @body {string} city - Selected city (helsinki, vantaa or espoo)
+ * @body {string} address - Customer address
+ * @body {string} phoneNumber - Customer phone number
+ * @body {string} paymentMethod - Selected payment method (card, mobilepay, bank or cash)
+ * @body {string} [notes] - Instructions for the crew, e.g. door code
+ * @body {string} [vehicleId] - Saved vehicle from the user's profile
+ * @body {string} [serviceId] - Service tier, the first active tier when left out
+ * @body {string[]} [addOnIds] - Extras on top of the service
+ * @body {string} [discountCode] - Campaign code, applied to the first occurrence
+ *
+ * @returns {Object} Created series with its bookings and skipped days. Card
+ * and MobilePay series are paid at once and include the `payment`
+ * @returns {Object} 403 if the user's email address is not verified
+ * @returns {Object} 409 with alternative free slots if no week has a free slot
+ * @returns {Object} 502 if the payment couldn't be started
+ */
+router.post("/series", requireVerifiedEmail, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const validation = createSeriesSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const { date, weeks, timeSlot, ...details } = validation.data;
+    const firstDayKey = toBookingDayKey(date);
+
+    const options = await resolveBookingOptions(userId, details);
+    if (options.errors) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: options.errors,
+      });
+    }
+
+    // All occurrences are reserved in one transaction, a full week is
+    // skipped instead of failing the whole series
+    const { series, bookings, skipped, payment } = await prisma.$transaction(
+      async (tx) => {
+        await tx.booking.deleteMany({
+          where: { userId, status: "DRAFT" },
+        });
+
+        const series = await tx.bookingSeries.create({
+          data: { userId, weekday: getWeekday(firstDayKey), timeSlot, weeks },
+        });
+
+        const discount = details.discountCode
+          ? await reserveDiscount(tx, { code: details.discountCode, userId })
+          : null;
+        const firstQuote = buildQuote({ ...options, discount });
+        const quote = buildQuote(options);
+
+        const bookings = [];
+        const skipped = [];
+
+        for (const dayKey of getSeriesDayKeys(firstDayKey, weeks)) {
+          const slotTimes = toSlotTimes(dayKey, timeSlot);
+
+          try {
+            await reserveSlot(tx, { date: slotTimes.date, timeSlot });
+          } catch (error) {
+            if (!(error instanceof SlotUnavailableError)) throw error;
+            skipped.push(dayKey);
+            continue;
+          }
+
+          bookings.push(
+            await tx.booking.create({
+              data: {
+                userId,
+                seriesId: series.id,
+                ...slotTimes,
+                timeSlot,
+                ...toStatusData(details.paymentMethod),
+                ...toContactData(details),
+                ...toPriceData(options.service),
+                ...toAddOnData(options.addOns),
+                // The discount is for one booking, the first occurrence
+                ...(bookings.length === 0
+                  ? toQuoteData(firstQuote, discount)
+                  : toQuoteData(quote)),
+              },
+              include: bookingInclude,
+            })
+          );
+        }
+
+        // Nothing could be booked, roll back the empty series
+        if (bookings.length === 0) {
+          throw new SlotUnavailableError(skipped[0], timeSlot);
+        }
+
+        // One payment or invoice covers every booked week
+        const payment =
+          bookings[0].status === "PENDING_PAYMENT"
+            ? await createPendingPayment(tx, {
+                userId,
+                method: bookings[0].paymentMethod,
+                bookings,
+              })
+            : null;
+        const invoice = await invoiceBankBookings(tx, userId, bookings);
+
+        return {
+          series,
+          bookings: bookings.map((booking) => ({ ...booking, invoice })),
+          skipped,
+          payment,
+        };
+      }
+    );
+
+    if (payment) {
+      const startedPayment = await startBookingPayment(payment);
+      if (!startedPayment) {
+        return sendPaymentUnavailable(res);
+      }
+
+      return res.status(201).json({
+        ...series,
+        bookings: bookings.map(toBookingResponse),
+        skipped,
+        payment: startedPayment,
+      });
+    }
+
+    await notifyBookingOwner(
+      "seriesConfirmed",
+      bookings[0],
+      { dates: bookings.map((booking) => booking.date), skipped },
+      bookings
+    );
+
+    res.status(201).json({
+      ...series,
+      bookings: bookings.map(toBookingResponse),
+      skipped,
+    });
+  } catch (error) {
+    if (error instanceof SlotUnavailableError) {
+      return sendSlotUnavailable(res, error);
+    }
+    if (error instanceof DiscountCodeError) {
+      return sendInvalidDiscount(res, error);
+    }
+
+    console.error("Error creating booking series:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/bookings/series
+ * Get the user's recurring series with their occurrences, newest first
+ *
+ * @returns {Array} Series with bookings ordered by date
+ */
+router.get("/series", async (req, res) => {
+  try {
+    const series = await prisma.bookingSeries.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "desc" },
       include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            fullName: true,
+        bookings: {
+          orderBy: { date: "asc" },
+          include: {
+            vehicle: bookingVehicleSelect,
+            service: bookingServiceSelect,
+            addOns: bookingAddOnSelect,
+            discountCode: bookingDiscountSelect,
+            invoice: bookingInvoiceSelect,
           },
         },
       },
     });
 
-    // Return booking details with additional info for frontend
-    const bookingResponse = {
-      id: booking.id,
-      date: booking.date,
-      timeSlot: booking.timeSlot,
-      location: booking.location,
-      status: booking.status,
-      createdAt: booking.createdAt,
-      user: booking.user,
-      // Include the additional details that were submitted but not stored in DB
-      bookingDetails: {
-        city,
-        address,
-        phoneNumber,
-        paymentMethod,
+    res.json(series);
+  } catch (error) {
+    console.error("Error fetching booking series:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/bookings/series/:id
+ * Cancel a whole series. Upcoming occurrences are cancelled, confirmed ones
+ * closer than CANCELLATION_CUTOFF_HOURS still take place and are returned in
+ * `kept`. Unpaid occurrences are always cancelled together with their
+ * pending payment. A single occurrence is skipped by cancelling it with
+ * DELETE /api/bookings/:id.
+ *
+ * @param {string} id - Series ID
+ * @body {string} [reason] - Optional cancellation reason
+ * @returns {Object} Cancelled series with the number of cancelled occurrences
+ */
+router.delete("/series/:id", async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const validation = cancelBookingSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid cancellation data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const series = await prisma.bookingSeries.findFirst({
+      where: { id: req.params.id, userId },
+      include: {
+        bookings: {
+          // Every occurrence still holding its slot, completed ones are done
+          where: {
+            AND: [occupiesSlotWhere(), { status: { not: "COMPLETED" } }],
+          },
+          orderBy: { date: "asc" },
+        },
       },
-    };
+    });
+
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" });
+    }
+
+    if (series.status === "CANCELLED") {
+      return res.status(400).json({ error: "Series is already cancelled" });
+    }
+
+    const upcoming = series.bookings.filter(
+      (booking) => getBookingStart(booking) > new Date()
+    );
+    const cancellable = upcoming.filter(
+      (booking) =>
+        booking.status !== "CONFIRMED" ||
+        isBeforeCutoff(booking, CANCELLATION_CUTOFF_HOURS)
+    );
+    const kept = upcoming.filter((booking) => !cancellable.includes(booking));
+
+    const cancelledAt = new Date();
+    const cancelledSeries = await prisma.$transaction(async (tx) => {
+      await cancelBookings(tx, cancellable, {
+        reason: validation.data.reason || null,
+        cancelledAt,
+      });
 
-    res.status(201).json(bookingResponse);
+      return tx.bookingSeries.update({
+        where: { id: series.id },
+        data: { status: "CANCELLED", cancelledAt },
+      });
+    });
+
+    if (cancellable.length > 0) {
+      // Removes the cancelled occurrences from the owner's calendar
+      const cancelledBookings = await prisma.booking.findMany({
+        where: { id: { in: cancellable.map((booking) => booking.id) } },
+        orderBy: { date: "asc" },
+        include: bookingInclude,
+      });
+
+      await notifyBookingOwner(
+        "seriesCancelled",
+        cancellable[0],
+        { dates: cancellable.map((booking) => booking.date) },
+        cancelledBookings,
+        "CANCEL"
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Series cancelled successfully",
+      series: cancelledSeries,
+      cancelledCount: cancellable.length,
+      kept,
+    });
   } catch (error) {
-    console.error("Error creating booking:", error);
+    console.error("Error cancelling booking series:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/bookings/draft
+ * Create a draft booking that holds a time slot while the user finishes
+ * checkout. The hold lasts BOOKING_HOLD_MINUTES, after which the slot is
+ * free again and the draft is removed by the draft cleanup.
+ * Any earlier draft of the user is released.
+ *
+ * @body {string} date - Booking day as YYYY-MM-DD in Helsinki time (weekday, 2-31 days ahead)
+ * @body {string} timeSlot - Selected time slot
+ *
+ * @returns {Object} Draft booking with holdExpiresAt
+ * @returns {Object} 403 if the user's email address is not verified
+ * @returns {Object} 409 with alternative free slots if the time slot is full
+ */
+router.post("/draft", requireVerifiedEmail, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: "User not authenticated" });
+    }
+
+    const validation = draftBookingSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const { date, timeSlot } = validation.data;
+    const slotTimes = toSlotTimes(date, timeSlot);
+
+    const draft = await prisma.$transaction(async (tx) => {
+      // A user holds at most one slot at a time
+      await tx.booking.deleteMany({
+        where: { userId, status: "DRAFT" },
+      });
+
+      await reserveSlot(tx, { date: slotTimes.date, timeSlot });
+
+      return tx.booking.create({
+        data: {
+          userId,
+          ...slotTimes,
+          timeSlot,
+          status: "DRAFT",
+          holdExpiresAt: new Date(Date.now() + getHoldMinutes() * 60 * 1000),
+        },
+      });
+    });
+
+    res.status(201).json({
+      id: draft.id,
+      date: draft.date,
+      timeSlot: draft.timeSlot,
+      startsAt: draft.startsAt,
+      endsAt: draft.endsAt,
+      status: draft.status,
+      holdExpiresAt: draft.holdExpiresAt,
+    });
+  } catch (error) {
+    if (error instanceof SlotUnavailableError) {
+      return sendSlotUnavailable(res, error);
+    }
+
+    console.error("Error creating draft booking:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/bookings/:id/confirm
+ * Confirm a draft booking with the checkout details.
+ * If the hold has expired the slot is taken again only if it is still free.
+ *
+ * @param {string} id - Draft booking ID
+ * @body {string} city - Selected city (helsinki, vantaa or espoo)
+ * @body {string} address - Customer address
+ * @body {string} phoneNumber - Customer phone number
+ * @body {string} paymentMethod - Selected payment method (card, mobilepay, bank or cash)
+ * @body {string} [notes] - Instructions for the crew, e.g. door code
+ * @body {string} [vehicleId] - Saved vehicle from the user's profile
+ * @body {string} [serviceId] - Service tier, the first active tier when left out
+ * @body {string[]} [addOnIds] - Extras on top of the service
+ * @body {string} [discountCode] - Campaign code
+ *
+ * @returns {Object} Confirmed booking with details. Card and MobilePay
+ * bookings wait in PENDING_PAYMENT and include the `payment`
+ * @returns {Object} 403 if the user's email address is not verified
+ * @returns {Object} 404 if the draft doesn't exist (anymore)
+ * @returns {Object} 409 with alternative free slots if the slot was taken after the hold expired
+ * @returns {Object} 502 if the payment couldn't be started
+ */
+router.post("/:id/confirm", requireVerifiedEmail, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: "User not authenticated" });
+    }
+
+    const validation = confirmBookingSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const draft = await prisma.booking.findFirst({
+      where: { id, userId, status: "DRAFT" },
+    });
+
+    if (!draft) {
+      return res.status(404).json({ error: "Draft booking not found" });
+    }
+
+    const options = await resolveBookingOptions(userId, validation.data);
+    if (options.errors) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: options.errors,
+      });
+    }
+
+    const { booking, payment } = await prisma.$transaction(async (tx) => {
+      // Re-check capacity, another booking may have taken an expired hold
+      await reserveSlot(tx, {
+        date: draft.date,
+        timeSlot: draft.timeSlot,
+        excludeBookingId: draft.id,
+      });
+
+      const discount = validation.data.discountCode
+        ? await reserveDiscount(tx, {
+            code: validation.data.discountCode,
+            userId,
+          })
+        : null;
+
+      const booking = await tx.booking.update({
+        where: { id },
+        data: {
+          // Unpaid bookings get a new hold for the payment
+          ...toStatusData(validation.data.paymentMethod),
+          ...toContactData(validation.data),
+          ...toPriceData(options.service),
+          ...toAddOnData(options.addOns),
+          ...toQuoteData(buildQuote({ ...options, discount }), discount),
+        },
+        include: bookingInclude,
+      });
+
+      const payment =
+        booking.status === "PENDING_PAYMENT"
+          ? await createPendingPayment(tx, {
+              userId,
+              method: booking.paymentMethod,
+              bookings: [booking],
+            })
+          : null;
+      const invoice = await invoiceBankBookings(tx, userId, [booking]);
+
+      return { booking: { ...booking, invoice }, payment };
+    });
+
+    if (payment) {
+      const startedPayment = await startBookingPayment(payment);
+      if (!startedPayment) {
+        return sendPaymentUnavailable(res);
+      }
+
+      return res.json({
+        ...toBookingResponse(booking),
+        payment: startedPayment,
+      });
+    }
+
+    await notifyBookingOwner("bookingConfirmed", booking, {}, [booking]);
+
+    res.json(toBookingResponse(booking));
+  } catch (error) {
+    if (error instanceof SlotUnavailableError) {
+      return sendSlotUnavailable(res, error);
+    }
+    if (error instanceof DiscountCodeError) {
+      return sendInvalidDiscount(res, error);
+    }
+
+    console.error("Error confirming booking:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
@@ -142,7 +1170,8 @@ router.post("/", async (req, res) => {
  * GET /api/bookings
  * Get all bookings for authenticated user
  *
- * @returns {Array} Array of user's bookings
+ * @returns {Array} Array of user's bookings, including city, street address,
+ * postal code, phone number, payment method and the receipt of the booked price
  */
 router.get("/", async (req, res) => {
   try {
@@ -155,34 +1184,353 @@ router.get("/", async (req, res) => {
     const bookings = await prisma.booking.findMany({
       where: {
         userId,
+        // Drafts only exist during checkout
+        status: { not: "DRAFT" },
       },
       orderBy: {
         date: "desc",
       },
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            fullName: true,
-          },
-        },
-      },
+      include: bookingInclude,
     });
 
-    res.json(bookings);
+    res.json(bookings.map(withReceipt));
   } catch (error) {
     console.error("Error fetching bookings:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Booking owner with the language of receipts and the history export
+const bookingOwnerSelect = {
+  select: { email: true, fullName: true, language: true },
+};
+
+/**
+ * GET /api/bookings/export
+ * Download the user's booking history as CSV in the user's language
+ *
+ * @returns {string} CSV file download with date, time, service, add-ons,
+ * address, payment method, status, discount code, price, VAT and invoice number
+ */
+router.get("/export", async (req, res) => {
+  try {
+    const [user, bookings] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { language: true },
+      }),
+      prisma.booking.findMany({
+        where: { userId: req.user.id, status: { not: "DRAFT" } },
+        orderBy: { date: "desc" },
+        include: bookingInclude,
+      }),
+    ]);
+
+    res.attachment(`bookings-${toDayKey(new Date())}.csv`);
+    res
+      .type("text/csv; charset=utf-8")
+      .send(toBookingHistoryCsv(bookings, user?.language));
+  } catch (error) {
+    console.error("Error exporting bookings:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/bookings/calendar-feed
+ * Address of the user's calendar feed
+ *
+ * @returns {Object} { url } with the feed address, null if the feed is off
+ */
+router.get("/calendar-feed", async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { calendarToken: true },
+    });
+
+    res.json({ url: toCalendarFeedUrl(user?.calendarToken ?? null) });
+  } catch (error) {
+    console.error("Error fetching calendar feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/bookings/calendar-feed
+ * Turn on the user's calendar feed with a new secret address. The previous
+ * address stops working, e.g. after it was shared by accident.
+ *
+ * @returns {Object} { url } with the new feed address
+ */
+router.post("/calendar-feed", async (req, res) => {
+  try {
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarToken: createCalendarToken() },
+      select: { calendarToken: true },
+    });
+
+    res.json({ url: toCalendarFeedUrl(user.calendarToken) });
+  } catch (error) {
+    console.error("Error creating calendar feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/bookings/calendar-feed
+ * Turn off the user's calendar feed, subscribed calendars stop updating
+ *
+ * @returns {Object} { url: null }
+ */
+router.delete("/calendar-feed", async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarToken: null },
+    });
+
+    res.json({ url: null });
+  } catch (error) {
+    console.error("Error removing calendar feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/receipt
+ * Receipt of a paid booking in the user's language: service, date, time slot,
+ * address, price with VAT and payment method. Card and MobilePay bookings are
+ * paid online, bank transfers when the invoice is paid and cash when the job
+ * is done.
+ *
+ * @param {string} id - Booking ID
+ * @query {string} [format=html] - html (printable) or pdf
+ *
+ * @returns {string|Buffer} Printable HTML page or PDF file download
+ * @returns {Object} 404 if the booking doesn't belong to the user
+ * @returns {Object} 409 if the booking is unpaid, cancelled or has no stored price
+ */
+router.get("/:id/receipt", async (req, res) => {
+  try {
+    const validation = receiptQuerySchema.safeParse(req.query ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid receipt request",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { ...bookingInclude, user: bookingOwnerSelect },
+    });
+
+    if (!booking || booking.status === "DRAFT") {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    if (!hasReceipt(booking)) {
+      return res
+        .status(409)
+        .json({ error: "Receipt is not available for this booking" });
+    }
+
+    if (validation.data.format === "pdf") {
+      const pdf = await renderReceiptPdf(booking, booking.user.language);
+      res.attachment(`receipt-${booking.id}.pdf`);
+      return res.type("application/pdf").send(pdf);
+    }
+
+    res.type("html").send(toReceiptHtml(booking, booking.user.language));
+  } catch (error) {
+    console.error("Error building receipt:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/calendar.ics
+ * Download a booking as an .ics calendar event for the booked time slot in
+ * Europe/Helsinki time
+ *
+ * @param {string} id - Booking ID
+ *
+ * @returns {string} iCalendar file download
+ * @returns {Object} 404 if the booking doesn't belong to the user
+ */
+router.get("/:id/calendar.ics", async (req, res) => {
+  try {
+    const booking = await prisma.booking.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { ...bookingInclude, user: bookingOwnerSelect },
+    });
+
+    if (!booking || booking.status === "DRAFT") {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    res.attachment(`booking-${booking.id}.ics`);
+    res
+      .type("text/calendar; charset=utf-8")
+      .send(toBookingCalendar([booking], booking.user.language));
+  } catch (error) {
+    console.error("Error building calendar event:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * PATCH /api/bookings/:id
+ * Reschedule a booking or update its address and phone number.
+ * Changes are allowed until CHANGE_CUTOFF_HOURS before the booked time slot.
+ * The owner gets an updated calendar invite.
+ *
+ * @param {string} id - Booking ID
+ * @body {string} [date] - New booking day as YYYY-MM-DD (weekday, 2-31 days ahead)
+ * @body {string} [timeSlot] - New time slot
+ * @body {string} [address] - New address
+ * @body {string} [phoneNumber] - New phone number
+ * @body {string} [notes] - New instructions for the crew, empty clears them
+ *
+ * @returns {Object} Updated booking
+ * @returns {Object} 409 with alternative free slots if the new time slot is full
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: "User not authenticated" });
+    }
+
+    const validation = updateBookingSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid booking data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const updates = validation.data;
+    if (Object.values(updates).every((value) => value === undefined)) {
+      return res.status(400).json({
+        error: "No fields to update",
+        allowed: ["date", "timeSlot", "address", "phoneNumber", "notes"],
+      });
+    }
+
+    // Check if booking exists and belongs to user
+    const existingBooking = await prisma.booking.findFirst({
+      where: {
+        id,
+        userId,
+        status: { not: "DRAFT" },
+      },
+    });
+
+    if (!existingBooking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    if (existingBooking.status === "CANCELLED") {
+      return res
+        .status(400)
+        .json({ error: "Cancelled bookings can't be changed" });
+    }
+
+    if (existingBooking.status === "COMPLETED") {
+      return res
+        .status(400)
+        .json({ error: "Completed bookings can't be changed" });
+    }
+
+    // The slot is only held until the payment arrives
+    if (existingBooking.status === "PENDING_PAYMENT") {
+      return res
+        .status(400)
+        .json({ error: "Bookings waiting for payment can't be changed" });
+    }
+
+    if (!isBeforeCutoff(existingBooking, CHANGE_CUTOFF_HOURS)) {
+      return res.status(400).json({
+        error: `Bookings can't be changed later than ${CHANGE_CUTOFF_HOURS} hours before the time slot`,
+      });
+    }
+
+    const data = {};
+
+    // A new day or time slot moves both slot times
+    if (updates.date || updates.timeSlot) {
+      data.timeSlot = updates.timeSlot ?? existingBooking.timeSlot;
+      Object.assign(
+        data,
+        toSlotTimes(updates.date ?? existingBooking.date, data.timeSlot)
+      );
+    }
+
+    if (updates.address) {
+      // Older bookings without a stored city keep the city from their location
+      const city =
+        existingBooking.city ?? existingBooking.location.split(", ").pop();
+      const { streetAddress, postalCode } = parseAddress(updates.address);
+
+      data.location = formatLocation(updates.address, city);
+      data.streetAddress = streetAddress;
+      data.postalCode = postalCode;
+    }
+
+    if (updates.phoneNumber) data.phoneNumber = updates.phoneNumber;
+
+    // Empty notes clear the previous instructions
+    if (updates.notes !== undefined) data.notes = updates.notes || null;
+
+    const isRescheduled = Boolean(data.date);
+
+    // Reserve the new slot in the same transaction as the update,
+    // the booking itself doesn't count against the slot it is moved within
+    const booking = await prisma.$transaction(async (tx) => {
+      if (isRescheduled) {
+        await reserveSlot(tx, {
+          date: data.date,
+          timeSlot: data.timeSlot,
+          excludeBookingId: id,
+        });
+      }
+
+      return tx.booking.update({
+        where: { id },
+        data: { ...data, sequence: { increment: 1 } },
+        include: bookingInclude,
+      });
+    });
+
+    // The updated invite moves the event in the owner's calendar
+    await notifyBookingOwner("bookingUpdated", booking, {}, [booking]);
+
+    res.json(withReceipt(booking));
+  } catch (error) {
+    if (error instanceof SlotUnavailableError) {
+      return sendSlotUnavailable(res, error);
+    }
+
+    console.error("Error updating booking:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * DELETE /api/bookings/:id
- * Delete a booking completely for an authenticated user
+ * Cancel a booking for an authenticated user. The booking is kept with
+ * CANCELLED status for history, and its time slot is freed.
+ * Allowed until CANCELLATION_CUTOFF_HOURS before the booked time slot.
+ * The owner gets a calendar cancellation that removes the event.
  *
  * @param {string} id - Booking ID
- * @returns {Object} Delete confirmation
+ * @body {string} [reason] - Optional cancellation reason
+ * @returns {Object} Cancellation confirmation with the cancelled booking
  */
 router.delete("/:id", async (req, res) => {
   try {
@@ -193,11 +1541,20 @@ router.delete("/:id", async (req, res) => {
       return res.status(401).json({ error: "User not authenticated" });
     }
 
+    const validation = cancelBookingSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid cancellation data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
     // Check if booking exists and belongs to user
     const existingBooking = await prisma.booking.findFirst({
       where: {
         id,
         userId,
+        status: { not: "DRAFT" },
       },
     });
 
@@ -205,18 +1562,47 @@ router.delete("/:id", async (req, res) => {
       return res.status(404).json({ error: "Booking not found" });
     }
 
-    // Delete the booking completely
-    await prisma.booking.delete({
-      where: { id },
+    if (existingBooking.status === "CANCELLED") {
+      return res.status(400).json({ error: "Booking is already cancelled" });
+    }
+
+    if (existingBooking.status === "COMPLETED") {
+      return res
+        .status(400)
+        .json({ error: "Completed bookings can't be cancelled" });
+    }
+
+    if (!isBeforeCutoff(existingBooking, CANCELLATION_CUTOFF_HOURS)) {
+      return res.status(400).json({
+        error: `Bookings can't be cancelled later than ${CANCELLATION_CUTOFF_HOURS} hours before the time slot`,
+      });
+    }
+
+    // Mark the booking cancelled instead of deleting it, its pending payment
+    // expires and an unpaid invoice with nothing left to pay is cancelled
+    const booking = await prisma.$transaction(async (tx) => {
+      await cancelBookings(tx, [existingBooking], {
+        reason: validation.data.reason || null,
+      });
+
+      return tx.booking.findUnique({ where: { id }, include: bookingInclude });
     });
 
+    await notifyBookingOwner(
+      "bookingCancelled",
+      booking,
+      {},
+      [booking],
+      "CANCEL"
+    );
+
     res.json({
       success: true,
-      message: "Booking deleted successfully",
-      deletedBookingId: id,
+      message: "Booking cancelled successfully",
+      booking,
     });
   } catch (error) {
-    console.error("Error deleting booking:", error);
+    console.error("Error cancelling booking:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
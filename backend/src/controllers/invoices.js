@@ -0,0 +1,88 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { requireAuth } from "../utils/middleware.js";
+import { toInvoiceResponse } from "../utils/invoices.js";
+import { renderInvoicePdf } from "../utils/invoicePdf.js";
+
+const router = express.Router();
+let prisma = new PrismaClient();
+
+// For testing: allow setting a custom Prisma instance
+export const setPrismaInstance = (customPrisma) => {
+  prisma = customPrisma;
+};
+
+router.use(requireAuth);
+
+// Bookings with the details printed on an invoice
+const invoiceBookingsInclude = {
+  orderBy: { date: "asc" },
+  include: {
+    service: true,
+    addOns: {
+      include: { addOn: true },
+      orderBy: { addOn: { sortOrder: "asc" } },
+    },
+    discountCode: { select: { code: true } },
+  },
+};
+
+/**
+ * GET /api/invoices
+ * The user's invoices of bank transfer bookings, newest first
+ *
+ * @returns {Array} Invoices with their number, reference number, due date,
+ * VAT and bookings
+ */
+router.get("/", async (req, res) => {
+  try {
+    const invoices = await prisma.invoice.findMany({
+      where: { userId: req.user.id },
+      orderBy: { number: "desc" },
+      include: { bookings: { orderBy: { date: "asc" } } },
+    });
+
+    res.json(invoices.map(toInvoiceResponse));
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Download an invoice as a PDF in the customer's language. Admins can
+ * download any customer's invoice.
+ *
+ * @param {string} id - Invoice ID
+ * @returns {Buffer} PDF file download
+ * @returns {Object} 404 if the invoice doesn't belong to the user
+ */
+router.get("/:id/pdf", async (req, res) => {
+  try {
+    const invoice = await prisma.invoice.findFirst({
+      where: {
+        id: req.params.id,
+        ...(req.user.role !== "ADMIN" && { userId: req.user.id }),
+      },
+      include: {
+        user: { select: { email: true, fullName: true, language: true } },
+        bookings: invoiceBookingsInclude,
+      },
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const pdf = await renderInvoicePdf(invoice, invoice.user.language);
+
+    res.attachment(`invoice-${invoice.number}.pdf`);
+    res.type("application/pdf").send(pdf);
+  } catch (error) {
+    console.error("Error rendering invoice:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
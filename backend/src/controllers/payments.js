@@ -0,0 +1,342 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import logger from "../utils/logger.js";
+import { requireAuth } from "../utils/middleware.js";
+import {
+  getPaymentProvider,
+  isMockCheckoutEnabled,
+  PaymentWebhookError,
+} from "../utils/payments.js";
+import { sendTemplateMail, getAppUrl } from "../utils/mailer.js";
+import { formatEmailPrice } from "../utils/emailTemplates.js";
+import { toCalendarAttachment } from "../utils/calendar.js";
+
+const router = express.Router();
+
+// Provider notifications come without a session or CSRF token,
+// mounted before the session middleware
+export const webhookRouter = express.Router();
+
+// Checkout of the mock provider, mounted only outside production
+const mockCheckoutRouter = express.Router();
+
+let prisma = new PrismaClient();
+
+// For testing: allow setting a custom Prisma instance
+export const setPrismaInstance = (customPrisma) => {
+  prisma = customPrisma;
+};
+
+// Booking details shown in the confirmation email
+const paidBookingInclude = {
+  service: true,
+  addOns: {
+    include: { addOn: true },
+    orderBy: { addOn: { sortOrder: "asc" } },
+  },
+  discountCode: { select: { code: true } },
+};
+
+/**
+ * Shape a payment for the frontend
+ * @param {Object} payment - Payment with its bookings
+ * @returns {Object}
+ */
+const toPaymentResponse = (payment) => ({
+  id: payment.id,
+  status: payment.status,
+  method: payment.method,
+  amountCents: payment.amountCents,
+  currency: payment.currency,
+  paidAt: payment.paidAt,
+  bookings: payment.bookings.map((booking) => ({
+    id: booking.id,
+    date: booking.date,
+    timeSlot: booking.timeSlot,
+    status: booking.status,
+    seriesId: booking.seriesId,
+  })),
+});
+
+/**
+ * Email the booking confirmation with a calendar invite once the payment
+ * has arrived
+ * @param {Object} payment - Paid payment
+ */
+const notifyPaid = async (payment) => {
+  try {
+    const bookings = await prisma.booking.findMany({
+      where: { paymentId: payment.id, status: "CONFIRMED" },
+      orderBy: { date: "asc" },
+      include: paidBookingInclude,
+    });
+
+    // Bookings cancelled before the payment arrived are refunded by hand
+    if (bookings.length === 0) {
+      logger.warn(
+        { paymentId: payment.id },
+        "Payment received for cancelled bookings, refund needed"
+      );
+      return;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payment.userId },
+      select: { email: true, language: true },
+    });
+    if (!user) return;
+
+    await sendTemplateMail({
+      to: user.email,
+      language: user.language,
+      ...(bookings[0].seriesId
+        ? {
+            template: "seriesConfirmed",
+            data: {
+              booking: bookings[0],
+              dates: bookings.map((booking) => booking.date),
+            },
+          }
+        : { template: "bookingConfirmed", data: { booking: bookings[0] } }),
+      attachments: [
+        toCalendarAttachment(bookings, user.language, {
+          attendee: user.email,
+        }),
+      ],
+    });
+  } catch (error) {
+    console.error("Error sending payment confirmation:", error);
+  }
+};
+
+/**
+ * Apply a verified provider notification. Paid bookings are confirmed,
+ * failed ones cancelled so their slots are free again. A payment arriving
+ * after the hold expired no longer confirms the bookings, another customer
+ * may already have the slot. Providers may send the same notification more
+ * than once, only a pending payment changes.
+ * @param {Object} event - Notification from the provider
+ * @param {string} event.reference - Provider's id for the payment
+ * @param {string} event.status - PAID or FAILED
+ * @returns {Promise<Object|null>} - Payment after the update, null if unknown
+ */
+const applyPaymentEvent = async ({ reference, status }) => {
+  const payment = await prisma.payment.findUnique({
+    where: { providerReference: reference },
+  });
+
+  if (!payment) return null;
+
+  const now = new Date();
+  const updated = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payment.updateMany({
+      where: { id: payment.id, status: "PENDING" },
+      data: { status, paidAt: status === "PAID" ? now : null },
+    });
+    if (count === 0) return null;
+
+    if (status === "PAID") {
+      // Expired holds stop reserving the slot before cancelUnpaidBookings
+      // cancels them, so only bookings still holding their slot are confirmed
+      const { count: confirmed } = await tx.booking.updateMany({
+        where: {
+          paymentId: payment.id,
+          status: "PENDING_PAYMENT",
+          holdExpiresAt: { gt: now },
+        },
+        data: {
+          status: "CONFIRMED",
+          holdExpiresAt: null,
+          sequence: { increment: 1 },
+        },
+      });
+
+      if (confirmed === 0) {
+        return tx.payment.update({
+          where: { id: payment.id },
+          data: { status: "EXPIRED", paidAt: null },
+        });
+      }
+    } else {
+      await tx.booking.updateMany({
+        where: { paymentId: payment.id, status: "PENDING_PAYMENT" },
+        data: {
+          status: "CANCELLED",
+          holdExpiresAt: null,
+          cancelledAt: now,
+          cancellationReason: "Payment failed",
+          sequence: { increment: 1 },
+        },
+      });
+    }
+
+    return tx.payment.findUnique({ where: { id: payment.id } });
+  });
+
+  const result = updated ?? payment;
+
+  if (status === "PAID" && result.status === "EXPIRED") {
+    logger.warn(
+      { paymentId: payment.id },
+      "Payment received after the booking hold expired, refund needed"
+    );
+  }
+
+  if (updated?.status === "PAID") {
+    await notifyPaid(updated);
+  }
+
+  return result;
+};
+
+/**
+ * POST /api/payments/webhook
+ * Payment notification from the provider, verified with the provider's
+ * signature. Moves the bookings of the payment from PENDING_PAYMENT to
+ * CONFIRMED when paid while their hold lasts and to CANCELLED when the
+ * payment failed. A payment after the hold expired is marked EXPIRED.
+ *
+ * @returns {Object} Received status of the payment
+ * @returns {Object} 400 if the notification isn't valid or signed
+ * @returns {Object} 404 if the payment is unknown
+ */
+webhookRouter.post("/", async (req, res) => {
+  try {
+    const event = getPaymentProvider().parseWebhook(req.body, req.headers);
+
+    const payment = await applyPaymentEvent(event);
+    if (!payment) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+
+    res.json({ received: true, status: payment.status });
+  } catch (error) {
+    if (error instanceof PaymentWebhookError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Error handling payment webhook:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Checkout page of the mock provider with pay and cancel links
+ * @param {Object} payment - Pending payment
+ * @returns {string} - Complete HTML document
+ */
+const toMockCheckoutHtml = (payment) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Mock payment</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 48px auto; max-width: 360px; text-align: center; }
+  a { display: block; margin: 12px 0; padding: 12px; border: 1px solid #333; color: #000; text-decoration: none; }
+</style>
+</head>
+<body>
+<h1>Mock payment</h1>
+<p>${payment.method === "MOBILEPAY" ? "MobilePay" : "Card"}: ${formatEmailPrice(
+  payment.amountCents,
+  "en"
+)}</p>
+<a href="${payment.providerReference}/paid">Pay</a>
+<a href="${payment.providerReference}/failed">Cancel payment</a>
+</body>
+</html>
+`;
+
+/**
+ * Find a payment of the mock provider, other providers have their own checkout
+ * @param {string} reference - Mock payment reference
+ * @returns {Promise<Object|null>}
+ */
+const findMockPayment = (reference) =>
+  getPaymentProvider().name === "mock"
+    ? prisma.payment.findUnique({ where: { providerReference: reference } })
+    : null;
+
+/**
+ * GET /api/payments/mock/:reference
+ * Checkout page of the mock provider, the redirect target of card and
+ * MobilePay bookings when PAYMENT_PROVIDER is mock
+ *
+ * @param {string} reference - Mock payment reference
+ * @returns {string} HTML page with pay and cancel links
+ */
+mockCheckoutRouter.get("/:reference", async (req, res) => {
+  try {
+    const payment = await findMockPayment(req.params.reference);
+    if (!payment) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+
+    res.type("html").send(toMockCheckoutHtml(payment));
+  } catch (error) {
+    console.error("Error showing mock checkout:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/payments/mock/:reference/:result
+ * Finish a mock payment: applies the result like a provider's webhook and
+ * returns the customer to the frontend with `?payment=<id>`
+ *
+ * @param {string} reference - Mock payment reference
+ * @param {string} result - paid or failed
+ */
+mockCheckoutRouter.get("/:reference/:result", async (req, res) => {
+  try {
+    const { reference, result } = req.params;
+    if (!["paid", "failed"].includes(result)) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+
+    const payment = await findMockPayment(reference);
+    if (!payment) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+
+    await applyPaymentEvent({ reference, status: result.toUpperCase() });
+
+    res.redirect(`${getAppUrl()}/?payment=${payment.id}`);
+  } catch (error) {
+    console.error("Error finishing mock payment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+if (isMockCheckoutEnabled()) {
+  router.use("/mock", mockCheckoutRouter);
+}
+
+/**
+ * GET /api/payments/:id
+ * Status of the user's payment, checked when the customer returns from the
+ * payment provider
+ *
+ * @param {string} id - Payment ID
+ * @returns {Object} Payment with status, amount and the paid bookings
+ * @returns {Object} 404 if the payment doesn't belong to the user
+ */
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    const payment = await prisma.payment.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { bookings: { orderBy: { date: "asc" } } },
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+
+    res.json(toPaymentResponse(payment));
+  } catch (error) {
+    console.error("Error fetching payment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,358 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { z } from "zod";
+import { requireAuth } from "../utils/middleware.js";
+import { sanitizeString } from "../utils/sanitization.js";
+import {
+  createBookingSchema,
+  parseAddress,
+  getFieldErrors,
+} from "../utils/bookingRules.js";
+
+const router = express.Router();
+let prisma = new PrismaClient();
+
+// For testing: allow setting a custom Prisma instance
+export const setPrismaInstance = (customPrisma) => {
+  prisma = customPrisma;
+};
+
+// All saved addresses and vehicles belong to the logged in user
+router.use(requireAuth);
+
+// Most addresses and vehicles one user can save
+export const MAX_SAVED_ITEMS = 10;
+
+// Optional free text field, empty strings are stored as null
+const optionalText = (maxLength, message) =>
+  z
+    .string()
+    .transform(sanitizeString)
+    .pipe(z.string().max(maxLength, { message }))
+    .transform((value) => value || null)
+    .nullable()
+    .optional();
+
+// Validation schema for a saved address, city and address follow the booking rules
+const addressSchema = z.object({
+  label: z
+    .string()
+    .transform(sanitizeString)
+    .pipe(
+      z
+        .string()
+        .min(1, { message: "Label is required" })
+        .max(50, { message: "Label is too long" })
+    ),
+  city: createBookingSchema.shape.city,
+  address: createBookingSchema.shape.address,
+});
+
+// Validation schema for a saved vehicle
+const vehicleSchema = z.object({
+  licensePlate: z
+    .string()
+    .transform((value) => sanitizeString(value).toUpperCase())
+    .pipe(
+      z.string().regex(/^[A-Z0-9ÅÄÖ][A-Z0-9ÅÄÖ -]{0,8}[A-Z0-9ÅÄÖ]$/, {
+        message: "Invalid license plate",
+      })
+    ),
+  make: optionalText(50, "Make is too long"),
+  color: optionalText(30, "Colour is too long"),
+  parkingNotes: optionalText(200, "Parking notes are too long"),
+});
+
+/**
+ * Map a validated address to Address columns
+ * @param {Object} details - Validated label, city and address
+ * @returns {Object} - Address data for Prisma
+ */
+const toAddressData = ({ label, city, address }) => {
+  const data = {};
+  if (label !== undefined) data.label = label;
+  if (city !== undefined) data.city = city.toUpperCase();
+  if (address !== undefined) {
+    const { streetAddress, postalCode } = parseAddress(address);
+    data.streetAddress = streetAddress;
+    data.postalCode = postalCode;
+  }
+  return data;
+};
+
+/**
+ * Check that a partial update changes at least one field
+ * @param {Object} updates - Validated updates
+ * @returns {boolean}
+ */
+const hasUpdates = (updates) =>
+  Object.values(updates).some((value) => value !== undefined);
+
+/**
+ * Respond 400 with field-level errors for invalid saved details
+ * @param {Object} res - Express response
+ * @param {z.ZodError} error - Validation error
+ */
+const sendInvalid = (res, error) =>
+  res.status(400).json({
+    error: "Invalid data",
+    errors: getFieldErrors(error),
+  });
+
+/**
+ * GET /api/users/me/addresses
+ * List the user's saved addresses, oldest first
+ *
+ * @returns {Array} Saved addresses
+ */
+router.get("/addresses", async (req, res) => {
+  try {
+    const addresses = await prisma.address.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.json(addresses);
+  } catch (error) {
+    console.error("Error fetching addresses:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/users/me/addresses
+ * Save a new address
+ *
+ * @body {string} label - Name shown in the address picker, e.g. "Office"
+ * @body {string} city - helsinki, vantaa or espoo
+ * @body {string} address - Street address and postal code
+ *
+ * @returns {Object} Created address
+ * @returns {Object} 400 with field-level errors or if MAX_SAVED_ITEMS is reached
+ */
+router.post("/addresses", async (req, res) => {
+  try {
+    const validation = addressSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return sendInvalid(res, validation.error);
+    }
+
+    const count = await prisma.address.count({
+      where: { userId: req.user.id },
+    });
+    if (count >= MAX_SAVED_ITEMS) {
+      return res.status(400).json({
+        error: `You can save at most ${MAX_SAVED_ITEMS} addresses`,
+      });
+    }
+
+    const address = await prisma.address.create({
+      data: { userId: req.user.id, ...toAddressData(validation.data) },
+    });
+
+    res.status(201).json(address);
+  } catch (error) {
+    console.error("Error saving address:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * PATCH /api/users/me/addresses/:id
+ * Change a saved address, all fields optional
+ *
+ * @param {string} id - Address ID
+ * @body {string} [label] - New label
+ * @body {string} [city] - New city
+ * @body {string} [address] - New street address and postal code
+ *
+ * @returns {Object} Updated address
+ * @returns {Object} 404 if the address doesn't exist or belongs to someone else
+ */
+router.patch("/addresses/:id", async (req, res) => {
+  try {
+    const validation = addressSchema.partial().safeParse(req.body ?? {});
+    if (!validation.success) {
+      return sendInvalid(res, validation.error);
+    }
+    if (!hasUpdates(validation.data)) {
+      return res.status(400).json({
+        error: "No fields to update",
+        allowed: ["label", "city", "address"],
+      });
+    }
+
+    const { count } = await prisma.address.updateMany({
+      where: { id: req.params.id, userId: req.user.id },
+      data: toAddressData(validation.data),
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: "Address not found" });
+    }
+
+    const address = await prisma.address.findUnique({
+      where: { id: req.params.id },
+    });
+
+    res.json(address);
+  } catch (error) {
+    console.error("Error updating address:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/users/me/addresses/:id
+ * Remove a saved address, bookings keep their own copy of the address
+ *
+ * @param {string} id - Address ID
+ *
+ * @returns {Object} Success message
+ * @returns {Object} 404 if the address doesn't exist or belongs to someone else
+ */
+router.delete("/addresses/:id", async (req, res) => {
+  try {
+    const { count } = await prisma.address.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: "Address not found" });
+    }
+
+    res.json({ message: "Address deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting address:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/users/me/vehicles
+ * List the user's saved vehicles, oldest first
+ *
+ * @returns {Array} Saved vehicles
+ */
+router.get("/vehicles", async (req, res) => {
+  try {
+    const vehicles = await prisma.vehicle.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.json(vehicles);
+  } catch (error) {
+    console.error("Error fetching vehicles:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/users/me/vehicles
+ * Save a new vehicle
+ *
+ * @body {string} licensePlate - Registration number, e.g. ABC-123
+ * @body {string} [make] - Make and model
+ * @body {string} [color] - Colour
+ * @body {string} [parkingNotes] - Where the car is usually parked
+ *
+ * @returns {Object} Created vehicle
+ * @returns {Object} 400 with field-level errors or if MAX_SAVED_ITEMS is reached
+ */
+router.post("/vehicles", async (req, res) => {
+  try {
+    const validation = vehicleSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return sendInvalid(res, validation.error);
+    }
+
+    const count = await prisma.vehicle.count({
+      where: { userId: req.user.id },
+    });
+    if (count >= MAX_SAVED_ITEMS) {
+      return res.status(400).json({
+        error: `You can save at most ${MAX_SAVED_ITEMS} vehicles`,
+      });
+    }
+
+    const vehicle = await prisma.vehicle.create({
+      data: { userId: req.user.id, ...validation.data },
+    });
+
+    res.status(201).json(vehicle);
+  } catch (error) {
+    console.error("Error saving vehicle:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * PATCH /api/users/me/vehicles/:id
+ * Change a saved vehicle, all fields optional, null clears an optional field
+ *
+ * @param {string} id - Vehicle ID
+ *
+ * @returns {Object} Updated vehicle
+ * @returns {Object} 404 if the vehicle doesn't exist or belongs to someone else
+ */
+router.patch("/vehicles/:id", async (req, res) => {
+  try {
+    const validation = vehicleSchema.partial().safeParse(req.body ?? {});
+    if (!validation.success) {
+      return sendInvalid(res, validation.error);
+    }
+    if (!hasUpdates(validation.data)) {
+      return res.status(400).json({
+        error: "No fields to update",
+        allowed: ["licensePlate", "make", "color", "parkingNotes"],
+      });
+    }
+
+    const { count } = await prisma.vehicle.updateMany({
+      where: { id: req.params.id, userId: req.user.id },
+      data: validation.data,
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: "Vehicle not found" });
+    }
+
+    const vehicle = await prisma.vehicle.findUnique({
+      where: { id: req.params.id },
+    });
+
+    res.json(vehicle);
+  } catch (error) {
+    console.error("Error updating vehicle:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/users/me/vehicles/:id
+ * Remove a saved vehicle, bookings made with it no longer show the vehicle
+ *
+ * @param {string} id - Vehicle ID
+ *
+ * @returns {Object} Success message
+ * @returns {Object} 404 if the vehicle doesn't exist or belongs to someone else
+ */
+router.delete("/vehicles/:id", async (req, res) => {
+  try {
+    const { count } = await prisma.vehicle.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: "Vehicle not found" });
+    }
+
+    res.json({ message: "Vehicle deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting vehicle:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
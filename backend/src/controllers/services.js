@@ -0,0 +1,77 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+
+const router = express.Router();
+let prisma = new PrismaClient();
+
+// For testing: allow setting a custom Prisma instance
+export const setPrismaInstance = (customPrisma) => {
+  prisma = customPrisma;
+};
+
+/**
+ * Shape a service tier for the frontend, names and tasks in both languages
+ * @param {Object} service - Service row
+ * @returns {Object}
+ */
+const toServiceResponse = (service) => ({
+  id: service.id,
+  slug: service.slug,
+  name: { fi: service.nameFi, en: service.nameEn },
+  tasks: { fi: service.tasksFi, en: service.tasksEn },
+  priceCents: service.priceCents,
+  vatRate: service.vatRate,
+  durationMinutes: service.durationMinutes,
+});
+
+/**
+ * GET /api/services
+ * Get the bookable service tiers in carousel order
+ * Public endpoint, prices are shown before login
+ *
+ * @returns {Array} Active services with price in cents (VAT included) and VAT rate
+ */
+router.get("/", async (req, res) => {
+  try {
+    const services = await prisma.service.findMany({
+      where: { active: true },
+      orderBy: { sortOrder: "asc" },
+    });
+
+    res.json(services.map(toServiceResponse));
+  } catch (error) {
+    console.error("Error fetching services:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/services/add-ons
+ * Get the add-ons that can be picked on top of any service tier
+ * Public endpoint like the service tiers
+ *
+ * @returns {Array} Active add-ons with price in cents (VAT included) and VAT rate
+ */
+router.get("/add-ons", async (req, res) => {
+  try {
+    const addOns = await prisma.addOn.findMany({
+      where: { active: true },
+      orderBy: { sortOrder: "asc" },
+    });
+
+    res.json(
+      addOns.map((addOn) => ({
+        id: addOn.id,
+        slug: addOn.slug,
+        name: { fi: addOn.nameFi, en: addOn.nameEn },
+        priceCents: addOn.priceCents,
+        vatRate: addOn.vatRate,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching add-ons:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -5,6 +5,25 @@ import { z } from "zod";
 import rateLimit from "express-rate-limit";
 import { authLogger, requireAuth } from "../utils/middleware.js";
 import { sanitizeString } from "../utils/sanitization.js";
+import { destroyUserSessions } from "../utils/session.js";
+import { sendTemplateMail, getAppUrl } from "../utils/mailer.js";
+import {
+  EMAIL_LANGUAGES,
+  DEFAULT_EMAIL_LANGUAGE,
+} from "../utils/emailTemplates.js";
+import {
+  passwordResetTokens,
+  getResetTokenMinutes,
+} from "../utils/passwordReset.js";
+import {
+  emailVerificationTokens,
+  getVerificationTokenHours,
+} from "../utils/emailVerification.js";
+import {
+  createBookingSchema,
+  parseAddress,
+  getFieldErrors,
+} from "../utils/bookingRules.js";
 
 const router = Router();
 // Default prisma instance, can be overridden for testing
@@ -73,11 +92,41 @@ const resetPasswordRateLimit = rateLimit({
   skipFailedRequests: false,
 });
 
+// Rate limiter for resending verification emails
+const verifyEmailRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour window
+  max: 5, // Limit each IP to 5 verification emails per windowMs
+  message: {
+    ok: false,
+    message: "Too many verification emails requested. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+});
+
+// Rate limiter for password changes to prevent guessing the current password
+const changePasswordRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour window
+  max: 5, // Limit each IP to 5 failed attempts per windowMs
+  message: {
+    ok: false,
+    message: "Too many password change attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  skipFailedRequests: false,
+});
+
 // Validation schemas with sanitization
 const registerSchema = z.object({
   email: z.string().email().transform(sanitizeString),
   password: z.string().min(6).transform(sanitizeString),
   fullName: z.string().min(1).max(100).transform(sanitizeString),
+  // Language of the emails sent to the user
+  language: z.enum(EMAIL_LANGUAGES).default(DEFAULT_EMAIL_LANGUAGE),
 });
 
 const loginSchema = z.object({
@@ -89,15 +138,86 @@ const resetPasswordSchema = z.object({
   email: z.string().email().transform(sanitizeString),
 });
 
+const confirmResetPasswordSchema = z.object({
+  token: z.string().min(1),
+  password: z.string().min(6).transform(sanitizeString),
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1),
+});
+
 const deleteUserSchema = z.object({
   password: z.string().min(1).transform(sanitizeString),
 });
 
+// Profile changes, all fields optional. Contact details follow the booking
+// rules and null clears them
+const updateProfileSchema = z.object({
+  fullName: z.string().min(1).max(100).transform(sanitizeString).optional(),
+  email: z.string().email().transform(sanitizeString).optional(),
+  language: z.enum(EMAIL_LANGUAGES).optional(),
+  city: createBookingSchema.shape.city.nullable().optional(),
+  address: createBookingSchema.shape.address.nullable().optional(),
+  phoneNumber: createBookingSchema.shape.phoneNumber.nullable().optional(),
+});
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1).transform(sanitizeString),
+  newPassword: z.string().min(6).transform(sanitizeString),
+});
+
+// User fields returned to the logged in user
+const userProfileSelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  role: true,
+  language: true,
+  emailVerified: true,
+  city: true,
+  streetAddress: true,
+  postalCode: true,
+  phoneNumber: true,
+  createdAt: true,
+};
+
+/**
+ * Email a verification link to the user
+ * @param {Object} user - User with email, fullName and language
+ * @param {string} template - welcome (on registration) or verifyEmail
+ * @param {string} token - Plain verification token
+ * @returns {Promise<boolean>} - false if the email couldn't be sent
+ */
+const mailVerificationLink = (user, template, token) =>
+  sendTemplateMail({
+    to: user.email,
+    template,
+    language: user.language,
+    data: {
+      fullName: user.fullName,
+      link: `${getAppUrl()}/?verifyToken=${token}`,
+      hours: getVerificationTokenHours(),
+    },
+  });
+
+/**
+ * Create a new email verification token for the user and email the link,
+ * earlier links stop working
+ * @param {Object} user - User with id, email, fullName and language
+ * @param {string} template - welcome (on registration) or verifyEmail
+ * @returns {Promise<boolean>} - false if the email couldn't be sent
+ */
+const sendVerificationEmail = async (user, template) => {
+  const token = await emailVerificationTokens.issue(prisma, user.id);
+  return mailVerificationLink(user, template, token);
+};
+
 // Registration endpoint
 export const register = async (req, res) => {
   try {
     const validatedData = registerSchema.parse(req.body);
-    const { email, password, fullName } = validatedData;
+    const { email, password, fullName, language } = validatedData;
 
     // Check if user already exists
     const existingUser = await prisma.user.findFirst({
@@ -117,24 +237,25 @@ export const register = async (req, res) => {
     // Hash password
     const passwordHash = await argon2.hash(password);
 
-    // Create user
+    // Create the user together with the first verification link
+    const { token, tokenHash, expiresAt } = emailVerificationTokens.generate();
     const user = await prisma.user.create({
       data: {
         email,
         passwordHash,
         fullName: fullName || null,
+        language,
+        emailVerificationTokens: { create: { tokenHash, expiresAt } },
       },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        role: true,
-        createdAt: true,
-      },
+      select: userProfileSelect,
     });
 
     authLogger.registration(email, email, req.ip);
 
+    // The account exists even if the welcome email fails, the mailer logs
+    // the failure and the user can ask for a new link from the profile
+    await mailVerificationLink(user, "welcome", token);
+
     res.status(201).json({
       ok: true,
       message: "User registered successfully",
@@ -204,6 +325,11 @@ export const login = async (req, res) => {
         email: user.email,
         fullName: user.fullName,
         role: user.role,
+        emailVerified: user.emailVerified,
+        city: user.city,
+        streetAddress: user.streetAddress,
+        postalCode: user.postalCode,
+        phoneNumber: user.phoneNumber,
       },
     });
   } catch (error) {
@@ -229,19 +355,32 @@ export const requestPasswordReset = async (req, res) => {
     const validatedData = resetPasswordSchema.parse(req.body);
     const { email } = validatedData;
 
-    authLogger.loginAttempt(email, req.ip, "Password reset requested");
+    authLogger.passwordResetRequested(email, req.ip);
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+    });
 
-    // Always send reset instructions for security purposes
+    if (user) {
+      // A new link replaces any earlier unused ones
+      const token = await passwordResetTokens.issue(prisma, user.id);
+
+      await sendTemplateMail({
+        to: user.email,
+        template: "passwordReset",
+        language: user.language,
+        data: {
+          link: `${getAppUrl()}/?resetToken=${token}`,
+          minutes: getResetTokenMinutes(),
+        },
+      });
+    }
+
+    // Same response whether the account exists or not for security purposes
     res.json({
       ok: true,
       message: "Password reset instructions sent!",
     });
-
-    // If project goes further:
-    // 1. Generate a secure reset token
-    // 2. Store it in database with expiration
-    // 3. Send email with reset link
-    // This project will just return success
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({
@@ -259,6 +398,161 @@ export const requestPasswordReset = async (req, res) => {
   }
 };
 
+// Password reset confirmation endpoint
+export const confirmPasswordReset = async (req, res) => {
+  try {
+    const validatedData = confirmResetPasswordSchema.parse(req.body);
+    const { token, password } = validatedData;
+
+    const resetToken = await passwordResetTokens.findUsable(prisma, token, {
+      include: { user: { select: { id: true, email: true } } },
+    });
+
+    if (!resetToken) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid or expired reset link",
+      });
+    }
+
+    const passwordHash = await argon2.hash(password);
+
+    const wasReset = await prisma.$transaction(async (tx) => {
+      // Claim the token first so it can't be used twice concurrently,
+      // other outstanding links stop working
+      if (!(await passwordResetTokens.claim(tx, resetToken))) {
+        return false;
+      }
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { passwordHash },
+      });
+
+      // Every logged in session stops working
+      await destroyUserSessions(tx, resetToken.userId);
+
+      return true;
+    });
+
+    if (!wasReset) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid or expired reset link",
+      });
+    }
+
+    authLogger.passwordResetCompleted(resetToken.user.email, req.ip);
+
+    res.json({
+      ok: true,
+      message: "Password has been reset, please log in with your new password",
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid password reset data",
+        errors: error.errors,
+      });
+    }
+
+    console.error("Password reset confirmation error:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Email verification endpoint, the token comes from the link in the email
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = verifyEmailSchema.parse(req.query ?? {});
+
+    const verificationToken = await emailVerificationTokens.findUsable(
+      prisma,
+      token
+    );
+
+    const isVerified =
+      verificationToken &&
+      (await prisma.$transaction(async (tx) => {
+        if (!(await emailVerificationTokens.claim(tx, verificationToken))) {
+          return false;
+        }
+
+        await tx.user.update({
+          where: { id: verificationToken.userId },
+          data: { emailVerified: true },
+        });
+        return true;
+      }));
+
+    if (!isVerified) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid or expired verification link",
+      });
+    }
+
+    res.json({
+      ok: true,
+      message: "Email address verified",
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        ok: false,
+        message: "Verification token is required",
+        errors: error.errors,
+      });
+    }
+
+    console.error("Email verification error:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Resend the verification email to the logged in user
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.session.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        ok: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        ok: false,
+        message: "Email address is already verified",
+      });
+    }
+
+    await sendVerificationEmail(user, "verifyEmail");
+
+    res.json({
+      ok: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification email error:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 // Logout endpoint
 export const logout = async (req, res) => {
   try {
@@ -386,13 +680,7 @@ export const getCurrentUser = async (req, res) => {
 
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        role: true,
-        createdAt: true,
-      },
+      select: userProfileSelect,
     });
 
     if (!user) {
@@ -415,12 +703,196 @@ export const getCurrentUser = async (req, res) => {
   }
 };
 
+// Update the logged in user's profile. A new email address has to be verified again
+export const updateProfile = async (req, res) => {
+  try {
+    const validation = updateProfileSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid profile data",
+        errors: getFieldErrors(validation.error),
+      });
+    }
+
+    const updates = validation.data;
+    if (Object.values(updates).every((value) => value === undefined)) {
+      return res.status(400).json({
+        ok: false,
+        message: "No fields to update",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.session.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        ok: false,
+        message: "User not found",
+      });
+    }
+
+    const data = {};
+    if (updates.fullName !== undefined) data.fullName = updates.fullName;
+    if (updates.language !== undefined) data.language = updates.language;
+    if (updates.city !== undefined) {
+      data.city = updates.city?.toUpperCase() ?? null;
+    }
+    if (updates.phoneNumber !== undefined) {
+      data.phoneNumber = updates.phoneNumber;
+    }
+    if (updates.address !== undefined) {
+      const { streetAddress, postalCode } = updates.address
+        ? parseAddress(updates.address)
+        : { streetAddress: null, postalCode: null };
+      data.streetAddress = streetAddress;
+      data.postalCode = postalCode;
+    }
+
+    const emailChanged =
+      updates.email !== undefined && updates.email !== user.email;
+
+    if (emailChanged) {
+      const existingUser = await prisma.user.findUnique({
+        where: { email: updates.email },
+      });
+
+      if (existingUser) {
+        return res.status(409).json({
+          ok: false,
+          message: "User with this email already exists",
+        });
+      }
+
+      data.email = updates.email;
+      data.emailVerified = false;
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data,
+      select: userProfileSelect,
+    });
+
+    if (emailChanged) {
+      req.session.email = updatedUser.email;
+      authLogger.emailChanged(user.email, updatedUser.email, req.ip);
+      await sendVerificationEmail(updatedUser, "verifyEmail");
+    }
+
+    res.json({
+      ok: true,
+      message: emailChanged
+        ? "Profile updated, verify your new email address"
+        : "Profile updated",
+      user: updatedUser,
+    });
+  } catch (error) {
+    console.error("Update profile error:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Change the password of the logged in user, other sessions are logged out
+export const changePassword = async (req, res) => {
+  try {
+    const validatedData = changePasswordSchema.parse(req.body);
+    const { currentPassword, newPassword } = validatedData;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.session.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        ok: false,
+        message: "User not found",
+      });
+    }
+
+    const isValidPassword = await argon2.verify(
+      user.passwordHash,
+      currentPassword
+    );
+
+    if (!isValidPassword) {
+      authLogger.loginFailure(
+        user.email,
+        req.ip,
+        "Invalid password for password change"
+      );
+      return res.status(401).json({
+        ok: false,
+        message: "Invalid password",
+      });
+    }
+
+    const passwordHash = await argon2.hash(newPassword);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { passwordHash },
+      });
+
+      // Outstanding reset links and sessions on other devices stop working
+      await tx.passwordResetToken.deleteMany({ where: { userId: user.id } });
+      await destroyUserSessions(tx, user.id, req.sessionID);
+    });
+
+    authLogger.passwordChanged(user.email, req.ip);
+
+    res.json({
+      ok: true,
+      message: "Password changed",
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid password change data",
+        errors: error.errors,
+      });
+    }
+
+    console.error("Change password error:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 // Routes
 router.post("/register", registerRateLimit, register);
 router.post("/login", loginRateLimit, login);
 router.post("/logout", logout);
 router.post("/reset-password", resetPasswordRateLimit, requestPasswordReset);
+router.post(
+  "/reset-password/confirm",
+  resetPasswordRateLimit,
+  confirmPasswordReset
+);
+router.get("/verify-email", verifyEmail);
+router.post(
+  "/verify-email/resend",
+  requireAuth,
+  verifyEmailRateLimit,
+  resendVerificationEmail
+);
 router.delete("/delete", requireAuth, deleteUserRateLimit, deleteUser);
 router.get("/info", requireAuth, getCurrentUser);
+router.patch("/me", requireAuth, updateProfile);
+router.post(
+  "/change-password",
+  requireAuth,
+  changePasswordRateLimit,
+  changePassword
+);
 
 export default router;
@@ -5,7 +5,15 @@ import { fileURLToPath } from "url";
 import helmet from "helmet";
 
 import usersRouter from "./controllers/users.js";
+import profileRouter from "./controllers/profile.js";
 import bookingsRouter from "./controllers/bookings.js";
+import availabilityRouter from "./controllers/availability.js";
+import servicesRouter from "./controllers/services.js";
+import adminRouter from "./controllers/admin.js";
+import paymentsRouter, {
+  webhookRouter as paymentWebhookRouter,
+} from "./controllers/payments.js";
+import invoicesRouter from "./controllers/invoices.js";
 
 import { requestLogger, errorLogger } from "./utils/middleware.js";
 import { sanitizeInput } from "./utils/sanitization.js";
@@ -37,6 +45,9 @@ app.use(express.json());
 // Input sanitization middleware
 app.use(sanitizeInput);
 
+// Payment provider notifications, server to server without session or CSRF token
+app.use("/api/payments/webhook", paymentWebhookRouter);
+
 // Session and CSRF protection configuration
 app.use(...configureSession());
 
@@ -55,7 +66,13 @@ app.get("/api/csrf-token", (req, res) => {
 });
 
 app.use("/api/users", usersRouter);
+app.use("/api/users/me", profileRouter);
 app.use("/api/bookings", bookingsRouter);
+app.use("/api/availability", availabilityRouter);
+app.use("/api/services", servicesRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/payments", paymentsRouter);
+app.use("/api/invoices", invoicesRouter);
 
 // Error logging middleware
 app.use(errorLogger);
@@ -2,9 +2,33 @@ import { describe, it, expect, beforeAll, beforeEach, afterAll } from "vitest";
 import request from "supertest";
 import { createTestApp, initTestDatabase } from "./testApp.js";
 import { testPrisma, teardownTestDb } from "./testSetup.js";
+import { setMailTransport, createMemoryTransport } from "../utils/mailer.js";
+import { hashToken } from "../utils/singleUseTokens.js";
+import { getSeriesDayKeys } from "../utils/bookingRules.js";
+import { getPaymentProvider } from "../utils/payments.js";
+import {
+  formatReferenceNumber,
+  getReferenceNumber,
+} from "../utils/invoices.js";
+import {
+  zonedTimeToUtc,
+  toDayKey,
+  addDays,
+  getWeekday,
+} from "../utils/time.js";
+
+// First weekday that is bookable (at least 3 days ahead) at 09:00 Helsinki time
+const getBookableDate = () => {
+  let dayKey = addDays(toDayKey(new Date()), 3);
+  while (getWeekday(dayKey) === 0 || getWeekday(dayKey) === 6) {
+    dayKey = addDays(dayKey, 1);
+  }
+  return zonedTimeToUtc(dayKey, "09:00").toISOString();
+};
 
 describe("Full API Tests", () => {
   let app;
+  let mailTransport;
 
   beforeAll(async () => {
     // Initialize test-app and test-database
@@ -12,6 +36,20 @@ describe("Full API Tests", () => {
     await initTestDatabase();
   });
 
+  beforeEach(() => {
+    // Capture emails instead of logging them
+    mailTransport = createMemoryTransport();
+    setMailTransport(mailTransport);
+  });
+
+  afterAll(() => {
+    setMailTransport(null);
+  });
+
+  // Emails sent during the current test with the given subject
+  const getSentMails = (subject) =>
+    mailTransport.messages.filter((message) => message.subject === subject);
+
   describe("Users API", () => {
     describe("POST /users/register", () => {
       it("should create a new user successfully", async () => {
@@ -51,6 +89,52 @@ describe("Full API Tests", () => {
         expect(userInDb.fullName).toBe(userData.fullName);
         expect(userInDb.passwordHash).toBeDefined();
         expect(userInDb.passwordHash).not.toBe(userData.password); // Password must be hashed
+        expect(userInDb.language).toBe("fi");
+        expect(userInDb.emailVerified).toBe(false);
+
+        // Welcome email in Finnish by default
+        const [welcomeMail] = getSentMails("Tervetuloa Workday-Vacuumersiin!");
+        expect(welcomeMail.to).toBe(userData.email);
+        expect(welcomeMail.text).toContain("Hei Test User,");
+      });
+
+      it("should register the user even if the welcome email fails", async () => {
+        setMailTransport({
+          send: async () => {
+            throw new Error("SMTP server unavailable");
+          },
+        });
+
+        const response = await request(app)
+          .post("/users/register")
+          .send({
+            email: "nomail@example.com",
+            password: "testpassword123",
+          })
+          .expect(201);
+
+        // The verification link can be sent again later
+        expect(
+          await testPrisma.emailVerificationToken.count({
+            where: { userId: response.body.user.id },
+          })
+        ).toBe(1);
+      });
+
+      it("should send the welcome email in the chosen language", async () => {
+        await request(app)
+          .post("/users/register")
+          .send({
+            email: "english@example.com",
+            password: "testpassword123",
+            fullName: "English User",
+            language: "en",
+          })
+          .expect(201);
+
+        const [welcomeMail] = getSentMails("Welcome to Workday-Vacuumers!");
+        expect(welcomeMail.to).toBe("english@example.com");
+        expect(welcomeMail.text).toContain("Hi English User,");
       });
 
       it("should register multiple users", async () => {
@@ -372,284 +456,2583 @@ describe("Full API Tests", () => {
         expect(response.body.message || response.body.error).toBeDefined();
       });
     });
-  });
-
-  describe("Bookings API", () => {
-    let testUser;
-    let authCookie;
 
-    beforeEach(async () => {
-      // Create and register a test user for authentication
+    describe("Email verification", () => {
       const userData = {
-        email: `bookinguser-${Math.random()
-          .toString(36)
-          .substring(7)}@example.com`,
+        email: "verify@example.com",
         password: "testpassword123",
-        fullName: "Booking Test User",
+        fullName: "Verify User",
       };
 
-      // Register the user
-      await request(app).post("/users/register").send(userData).expect(201);
-
-      // Login to get session cookie
-      const loginResponse = await request(app)
-        .post("/users/login")
-        .send({
-          email: userData.email,
-          password: userData.password,
-        })
-        .expect(200);
-
-      // Extract session cookie from response
-      const cookies = loginResponse.headers["set-cookie"];
-      authCookie = cookies ? cookies[0] : null;
+      const getVerifyToken = (mail) =>
+        mail.text.match(/verifyToken=([a-f0-9]+)/)[1];
 
-      // Get the created user from database
-      testUser = await testPrisma.user.findUnique({
-        where: { email: userData.email },
-      });
-    });
+      it("should verify the email address with the link from the welcome email", async () => {
+        await request(app).post("/users/register").send(userData).expect(201);
 
-    describe("POST /bookings", () => {
-      const validBookingData = {
-        date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // Tomorrow
-        timeSlot: "10:00-12:00",
-        city: "helsinki",
-        address: "Esimerkkitie 123",
-        phoneNumber: "+358501234567",
-        paymentMethod: "card",
-      };
+        const [welcomeMail] = getSentMails("Tervetuloa Workday-Vacuumersiin!");
+        const token = getVerifyToken(welcomeMail);
 
-      it("should create a new booking successfully when authenticated", async () => {
         const response = await request(app)
-          .post("/bookings")
-          .set("Cookie", authCookie || "")
-          .send(validBookingData)
-          .expect(201);
+          .get("/users/verify-email")
+          .query({ token })
+          .expect(200);
 
-        // Check response structure
-        expect(response.body.id).toBeDefined();
-        expect(response.body.date).toBe(validBookingData.date);
-        expect(response.body.timeSlot).toBe(validBookingData.timeSlot);
-        expect(response.body.location).toBe(
-          `${validBookingData.address}, Helsinki`
-        );
-        expect(response.body.status).toBe("CONFIRMED");
-        expect(response.body.createdAt).toBeDefined();
-        expect(response.body.user).toBeDefined();
-        expect(response.body.user.id).toBe(testUser.id);
-        expect(response.body.user.email).toBe(testUser.email);
-        expect(response.body.user.fullName).toBe(testUser.fullName);
-        expect(response.body.bookingDetails).toBeDefined();
-        expect(response.body.bookingDetails.city).toBe(validBookingData.city);
-        expect(response.body.bookingDetails.address).toBe(
-          validBookingData.address
-        );
-        expect(response.body.bookingDetails.phoneNumber).toBe(
-          validBookingData.phoneNumber
-        );
-        expect(response.body.bookingDetails.paymentMethod).toBe(
-          validBookingData.paymentMethod
-        );
+        expect(response.body.ok).toBe(true);
 
-        // Verify booking was saved to database
-        const bookingInDb = await testPrisma.booking.findUnique({
-          where: { id: response.body.id },
-          include: { user: true },
+        const userInDb = await testPrisma.user.findUnique({
+          where: { email: userData.email },
         });
+        expect(userInDb.emailVerified).toBe(true);
 
-        expect(bookingInDb).toBeDefined();
-        expect(bookingInDb.userId).toBe(testUser.id);
-        expect(bookingInDb.timeSlot).toBe(validBookingData.timeSlot);
-        expect(bookingInDb.location).toBe(
-          `${validBookingData.address}, Helsinki`
+        // The link works only once
+        const reuseResponse = await request(app)
+          .get("/users/verify-email")
+          .query({ token })
+          .expect(400);
+        expect(reuseResponse.body.message).toBe(
+          "Invalid or expired verification link"
         );
-        expect(bookingInDb.status).toBe("CONFIRMED");
       });
 
-      it("should return 401 when not authenticated", async () => {
-        const response = await request(app)
-          .post("/bookings")
-          .send(validBookingData)
-          .expect(401);
-
-        expect(response.body.error).toBe("Authentication required");
+      it("should reject unknown and missing verification tokens", async () => {
+        await request(app)
+          .get("/users/verify-email")
+          .query({ token: "not-a-real-token" })
+          .expect(400);
+        await request(app).get("/users/verify-email").expect(400);
       });
 
-      it("should return 400 when required fields are missing", async () => {
-        const incompleteData = { ...validBookingData };
-        delete incompleteData.timeSlot;
+      it("should resend the verification email and invalidate the old link", async () => {
+        await request(app).post("/users/register").send(userData).expect(201);
+        const [welcomeMail] = getSentMails("Tervetuloa Workday-Vacuumersiin!");
+        const oldToken = getVerifyToken(welcomeMail);
 
-        const response = await request(app)
-          .post("/bookings")
-          .set("Cookie", authCookie || "")
-          .send(incompleteData)
-          .expect(400);
+        const loginResponse = await request(app).post("/users/login").send({
+          email: userData.email,
+          password: userData.password,
+        });
+        expect(loginResponse.body.user.emailVerified).toBe(false);
+        const authCookie = loginResponse.headers["set-cookie"][0];
 
-        expect(response.body.error).toBe("Missing required fields");
-        expect(response.body.required).toContain("timeSlot");
-      });
+        await request(app)
+          .post("/users/verify-email/resend")
+          .set("Cookie", authCookie)
+          .expect(200);
 
-      it("should return 400 when date is invalid", async () => {
-        const invalidData = { ...validBookingData, date: "invalid-date" };
+        const [resendMail] = getSentMails("Vahvista sähköpostiosoitteesi");
+        expect(resendMail.to).toBe(userData.email);
 
-        const response = await request(app)
-          .post("/bookings")
-          .set("Cookie", authCookie || "")
-          .send(invalidData)
+        await request(app)
+          .get("/users/verify-email")
+          .query({ token: oldToken })
           .expect(400);
+        await request(app)
+          .get("/users/verify-email")
+          .query({ token: getVerifyToken(resendMail) })
+          .expect(200);
 
-        expect(response.body.error).toBe("Invalid date format");
-      });
-
-      it("should capitalize city name in location", async () => {
-        const lowercaseCity = { ...validBookingData, city: "tampere" };
-
+        // Nothing to resend once verified
         const response = await request(app)
-          .post("/bookings")
-          .set("Cookie", authCookie || "")
-          .send(lowercaseCity)
-          .expect(201);
+          .post("/users/verify-email/resend")
+          .set("Cookie", authCookie)
+          .expect(400);
+        expect(response.body.message).toBe("Email address is already verified");
+      });
 
-        expect(response.body.location).toBe(
-          `${validBookingData.address}, Tampere`
-        );
+      it("should require login to resend the verification email", async () => {
+        await request(app).post("/users/verify-email/resend").expect(401);
       });
     });
 
-    describe("GET /bookings", () => {
-      beforeEach(async () => {
-        // Create test bookings for the user
-        await testPrisma.booking.createMany({
-          data: [
-            {
-              userId: testUser.id,
-              date: new Date("2025-12-01T10:00:00.000Z"),
-              timeSlot: "10:00-12:00",
-              location: "Test Location 1, Helsinki",
-              status: "CONFIRMED",
-            },
-            {
-              userId: testUser.id,
-              date: new Date("2025-12-02T14:00:00.000Z"),
-              timeSlot: "14:00-16:00",
-              location: "Test Location 2, Tampere",
-              status: "CONFIRMED",
-            },
-          ],
-        });
-
-        // Create a booking for another user (should not be returned)
-        const otherUserData = {
-          email: `other-${Math.random().toString(36).substring(7)}@example.com`,
-          password: "testpassword123",
-          fullName: "Other User",
-        };
-
-        await request(app).post("/users/register").send(otherUserData);
+    describe("PATCH /users/me", () => {
+      const userData = {
+        email: "profile@example.com",
+        password: "testpassword123",
+        fullName: "Profile User",
+      };
 
-        const otherUser = await testPrisma.user.findUnique({
-          where: { email: otherUserData.email },
-        });
+      let authCookie;
 
-        await testPrisma.booking.create({
-          data: {
-            userId: otherUser.id,
-            date: new Date("2025-12-03T10:00:00.000Z"),
-            timeSlot: "10:00-12:00",
-            location: "Other Location, Oulu",
-            status: "CONFIRMED",
-          },
+      beforeEach(async () => {
+        await request(app).post("/users/register").send(userData);
+        const loginResponse = await request(app).post("/users/login").send({
+          email: userData.email,
+          password: userData.password,
         });
+        authCookie = loginResponse.headers["set-cookie"][0];
       });
 
-      it("should return user's bookings when authenticated", async () => {
+      it("should update name and default contact details", async () => {
         const response = await request(app)
-          .get("/bookings")
-          .set("Cookie", authCookie || "")
+          .patch("/users/me")
+          .set("Cookie", authCookie)
+          .send({
+            fullName: "Fixed Name",
+            city: "espoo",
+            address: "Testikatu 1, 02100",
+            phoneNumber: "+358401234567",
+          })
           .expect(200);
 
-        expect(Array.isArray(response.body)).toBe(true);
-        expect(response.body).toHaveLength(2);
-
-        // Check that only user's bookings are returned
-        response.body.forEach((booking) => {
-          expect(booking.userId).toBe(testUser.id);
-          expect(booking.user).toBeDefined();
-          expect(booking.user.id).toBe(testUser.id);
-          expect(booking.timeSlot).toBeDefined();
-          expect(booking.location).toBeDefined();
-          expect(booking.status).toBe("CONFIRMED");
+        expect(response.body.ok).toBe(true);
+        expect(response.body.user).toMatchObject({
+          fullName: "Fixed Name",
+          city: "ESPOO",
+          streetAddress: "Testikatu 1",
+          postalCode: "02100",
+          phoneNumber: "+358401234567",
+          emailVerified: false,
         });
+        expect(response.body.user.passwordHash).toBeUndefined();
 
-        // Check that bookings are ordered by date (desc)
-        const dates = response.body.map((booking) => new Date(booking.date));
-        expect(dates[0].getTime()).toBeGreaterThan(dates[1].getTime());
-      });
-
-      it("should return 401 when not authenticated", async () => {
-        const response = await request(app).get("/bookings").expect(401);
+        // null clears the saved contact details
+        const clearResponse = await request(app)
+          .patch("/users/me")
+          .set("Cookie", authCookie)
+          .send({ address: null, phoneNumber: null })
+          .expect(200);
 
-        expect(response.body.error).toBe("Authentication required");
+        expect(clearResponse.body.user.streetAddress).toBeNull();
+        expect(clearResponse.body.user.postalCode).toBeNull();
+        expect(clearResponse.body.user.phoneNumber).toBeNull();
+        expect(clearResponse.body.user.city).toBe("ESPOO");
       });
 
-      it("should return empty array when user has no bookings", async () => {
-        // Delete all bookings for the test user
-        await testPrisma.booking.deleteMany({
-          where: { userId: testUser.id },
+      it("should require verifying a new email address", async () => {
+        await testPrisma.user.update({
+          where: { email: userData.email },
+          data: { emailVerified: true },
         });
 
         const response = await request(app)
-          .get("/bookings")
-          .set("Cookie", authCookie || "")
+          .patch("/users/me")
+          .set("Cookie", authCookie)
+          .send({ email: "new-profile@example.com" })
           .expect(200);
 
-        expect(Array.isArray(response.body)).toBe(true);
-        expect(response.body).toHaveLength(0);
-      });
-    });
-
-    describe("DELETE /bookings/:id", () => {
-      let testBooking;
+        expect(response.body.user.email).toBe("new-profile@example.com");
+        expect(response.body.user.emailVerified).toBe(false);
 
-      beforeEach(async () => {
-        // Create a test booking
-        testBooking = await testPrisma.booking.create({
-          data: {
-            userId: testUser.id,
-            date: new Date("2025-12-01T10:00:00.000Z"),
-            timeSlot: "10:00-12:00",
-            location: "Test Location, Helsinki",
-            status: "CONFIRMED",
-          },
-        });
-      });
+        const [verifyMail] = getSentMails("Vahvista sähköpostiosoitteesi");
+        expect(verifyMail.to).toBe("new-profile@example.com");
 
-      it("should delete booking successfully when authenticated and owns booking", async () => {
-        const response = await request(app)
-          .delete(`/bookings/${testBooking.id}`)
-          .set("Cookie", authCookie || "")
+        // The session follows the new address
+        const infoResponse = await request(app)
+          .get("/users/info")
+          .set("Cookie", authCookie)
           .expect(200);
+        expect(infoResponse.body.user.email).toBe("new-profile@example.com");
+      });
 
-        expect(response.body.success).toBe(true);
-        expect(response.body.message).toBe("Booking deleted successfully");
+      it("should reject an email address used by another account", async () => {
+        await request(app)
+          .post("/users/register")
+          .send({
+            ...userData,
+            email: "taken@example.com",
+          });
 
-        // Verify booking was deleted from database
-        const deletedBooking = await testPrisma.booking.findUnique({
-          where: { id: testBooking.id },
-        });
+        const response = await request(app)
+          .patch("/users/me")
+          .set("Cookie", authCookie)
+          .send({ email: "taken@example.com" })
+          .expect(409);
 
-        expect(deletedBooking).toBeNull();
+        expect(response.body.message).toBe(
+          "User with this email already exists"
+        );
       });
 
-      it("should return 401 when not authenticated", async () => {
+      it("should reject invalid contact details with field errors", async () => {
         const response = await request(app)
-          .delete(`/bookings/${testBooking.id}`)
-          .expect(401);
+          .patch("/users/me")
+          .set("Cookie", authCookie)
+          .send({ city: "tampere", phoneNumber: "abc" })
+          .expect(400);
 
-        expect(response.body.error).toBe("Authentication required");
+        expect(response.body.errors.city).toBeDefined();
+        expect(response.body.errors.phoneNumber).toBeDefined();
 
-        // Verify booking still exists
+        await request(app)
+          .patch("/users/me")
+          .set("Cookie", authCookie)
+          .send({})
+          .expect(400);
+      });
+
+      it("should require login", async () => {
+        await request(app)
+          .patch("/users/me")
+          .send({ fullName: "Nobody" })
+          .expect(401);
+      });
+    });
+
+    describe("POST /users/change-password", () => {
+      const userData = {
+        email: "change-password@example.com",
+        password: "testpassword123",
+        fullName: "Change Password User",
+      };
+
+      const login = async (password) =>
+        request(app).post("/users/login").send({
+          email: userData.email,
+          password,
+        });
+
+      it("should change the password and log out other sessions", async () => {
+        await request(app).post("/users/register").send(userData);
+        const currentCookie = (await login(userData.password)).headers[
+          "set-cookie"
+        ][0];
+        const otherCookie = (await login(userData.password)).headers[
+          "set-cookie"
+        ][0];
+
+        const response = await request(app)
+          .post("/users/change-password")
+          .set("Cookie", currentCookie)
+          .send({
+            currentPassword: userData.password,
+            newPassword: "newpassword456",
+          })
+          .expect(200);
+
+        expect(response.body.ok).toBe(true);
+
+        // The session that changed the password stays logged in
+        await request(app)
+          .get("/users/info")
+          .set("Cookie", currentCookie)
+          .expect(200);
+        await request(app)
+          .get("/users/info")
+          .set("Cookie", otherCookie)
+          .expect(401);
+
+        expect((await login(userData.password)).status).toBe(401);
+        expect((await login("newpassword456")).status).toBe(200);
+      });
+
+      it("should reject a wrong current password", async () => {
+        await request(app).post("/users/register").send(userData);
+        const authCookie = (await login(userData.password)).headers[
+          "set-cookie"
+        ][0];
+
+        const response = await request(app)
+          .post("/users/change-password")
+          .set("Cookie", authCookie)
+          .send({
+            currentPassword: "wrongpassword",
+            newPassword: "newpassword456",
+          })
+          .expect(401);
+
+        expect(response.body.message).toBe("Invalid password");
+        expect((await login(userData.password)).status).toBe(200);
+      });
+
+      it("should require login", async () => {
+        await request(app)
+          .post("/users/change-password")
+          .send({
+            currentPassword: userData.password,
+            newPassword: "newpassword456",
+          })
+          .expect(401);
+      });
+    });
+
+    describe("Saved addresses and vehicles", () => {
+      const userData = {
+        email: "garage@example.com",
+        password: "testpassword123",
+        fullName: "Garage User",
+      };
+
+      let authCookie;
+
+      // Register and log in a user, returns the session cookie
+      const loginAs = async (email) => {
+        await request(app)
+          .post("/users/register")
+          .send({ ...userData, email });
+        const loginResponse = await request(app)
+          .post("/users/login")
+          .send({ email, password: userData.password });
+        return loginResponse.headers["set-cookie"][0];
+      };
+
+      beforeEach(async () => {
+        authCookie = await loginAs(userData.email);
+      });
+
+      it("should save, list, update and delete addresses", async () => {
+        const created = await request(app)
+          .post("/users/me/addresses")
+          .set("Cookie", authCookie)
+          .send({
+            label: "Office",
+            city: "espoo",
+            address: "Keilaranta 1, 02150",
+          })
+          .expect(201);
+
+        expect(created.body).toMatchObject({
+          label: "Office",
+          city: "ESPOO",
+          streetAddress: "Keilaranta 1",
+          postalCode: "02150",
+        });
+
+        const updated = await request(app)
+          .patch(`/users/me/addresses/${created.body.id}`)
+          .set("Cookie", authCookie)
+          .send({ label: "Work" })
+          .expect(200);
+        expect(updated.body.label).toBe("Work");
+
+        const list = await request(app)
+          .get("/users/me/addresses")
+          .set("Cookie", authCookie)
+          .expect(200);
+        expect(list.body).toHaveLength(1);
+
+        await request(app)
+          .delete(`/users/me/addresses/${created.body.id}`)
+          .set("Cookie", authCookie)
+          .expect(200);
+        expect(
+          await testPrisma.address.count({ where: { id: created.body.id } })
+        ).toBe(0);
+      });
+
+      it("should validate addresses and vehicles", async () => {
+        const address = await request(app)
+          .post("/users/me/addresses")
+          .set("Cookie", authCookie)
+          .send({ label: "", city: "turku", address: "x" })
+          .expect(400);
+        expect(Object.keys(address.body.errors)).toEqual(
+          expect.arrayContaining(["label", "city", "address"])
+        );
+
+        const vehicle = await request(app)
+          .post("/users/me/vehicles")
+          .set("Cookie", authCookie)
+          .send({ licensePlate: "<script>" })
+          .expect(400);
+        expect(vehicle.body.errors.licensePlate).toBeDefined();
+      });
+
+      it("should not let users see or change each other's vehicles", async () => {
+        const created = await request(app)
+          .post("/users/me/vehicles")
+          .set("Cookie", authCookie)
+          .send({ licensePlate: "abc-123", make: "Toyota Corolla" })
+          .expect(201);
+        expect(created.body.licensePlate).toBe("ABC-123");
+
+        const otherCookie = await loginAs("other-garage@example.com");
+
+        const list = await request(app)
+          .get("/users/me/vehicles")
+          .set("Cookie", otherCookie)
+          .expect(200);
+        expect(list.body).toEqual([]);
+
+        await request(app)
+          .patch(`/users/me/vehicles/${created.body.id}`)
+          .set("Cookie", otherCookie)
+          .send({ color: "Red" })
+          .expect(404);
+        await request(app)
+          .delete(`/users/me/vehicles/${created.body.id}`)
+          .set("Cookie", otherCookie)
+          .expect(404);
+      });
+
+      it("should attach a saved vehicle to a booking", async () => {
+        await testPrisma.user.update({
+          where: { email: userData.email },
+          data: { emailVerified: true },
+        });
+        const vehicle = await request(app)
+          .post("/users/me/vehicles")
+          .set("Cookie", authCookie)
+          .send({ licensePlate: "XYZ-987", parkingNotes: "Level 2" })
+          .expect(201);
+
+        const bookingData = {
+          date: getBookableDate(),
+          timeSlot: "09:00 - 11:00",
+          city: "helsinki",
+          address: "Esimerkkitie 123, 00100",
+          phoneNumber: "+358501234567",
+          paymentMethod: "card",
+        };
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie)
+          .send({ ...bookingData, vehicleId: vehicle.body.id })
+          .expect(201);
+        expect(response.body.vehicle).toMatchObject({
+          licensePlate: "XYZ-987",
+          parkingNotes: "Level 2",
+        });
+
+        // Someone else's vehicle can't be used
+        const otherCookie = await loginAs("other-garage@example.com");
+        await testPrisma.user.update({
+          where: { email: "other-garage@example.com" },
+          data: { emailVerified: true },
+        });
+        const rejected = await request(app)
+          .post("/bookings")
+          .set("Cookie", otherCookie)
+          .send({
+            ...bookingData,
+            timeSlot: "11:00 - 13:00",
+            vehicleId: vehicle.body.id,
+          })
+          .expect(400);
+        expect(rejected.body.errors.vehicleId).toEqual(["Vehicle not found"]);
+      });
+
+      it("should require login", async () => {
+        await request(app).get("/users/me/addresses").expect(401);
+        await request(app).get("/users/me/vehicles").expect(401);
+      });
+    });
+
+    describe("Password reset", () => {
+      const userData = {
+        email: "reset@example.com",
+        password: "oldpassword123",
+        fullName: "Reset User",
+      };
+
+      const requestResetToken = async () => {
+        await request(app)
+          .post("/users/reset-password")
+          .send({ email: userData.email })
+          .expect(200);
+
+        return getSentMails("Palauta salasana")
+          .at(-1)
+          .text.match(/resetToken=([a-f0-9]+)/)[1];
+      };
+
+      it("should email a single-use reset link and store only its hash", async () => {
+        await request(app).post("/users/register").send(userData);
+
+        const token = await requestResetToken();
+
+        const resetMails = getSentMails("Palauta salasana");
+        expect(resetMails).toHaveLength(1);
+        expect(resetMails[0].to).toBe(userData.email);
+
+        const storedTokens = await testPrisma.passwordResetToken.findMany();
+        expect(storedTokens).toHaveLength(1);
+        expect(storedTokens[0].tokenHash).toBe(hashToken(token));
+        expect(storedTokens[0].tokenHash).not.toBe(token);
+        expect(storedTokens[0].expiresAt.getTime()).toBeGreaterThan(Date.now());
+      });
+
+      it("should respond the same for unknown emails without sending mail", async () => {
+        const response = await request(app)
+          .post("/users/reset-password")
+          .send({ email: "nobody@example.com" })
+          .expect(200);
+
+        expect(response.body.message).toBe("Password reset instructions sent!");
+        expect(mailTransport.messages).toHaveLength(0);
+      });
+
+      it("should set a new password and end all existing sessions", async () => {
+        await request(app).post("/users/register").send(userData);
+        const loginResponse = await request(app).post("/users/login").send({
+          email: userData.email,
+          password: userData.password,
+        });
+        const authCookie = loginResponse.headers["set-cookie"][0];
+
+        const token = await requestResetToken();
+
+        const response = await request(app)
+          .post("/users/reset-password/confirm")
+          .send({ token, password: "newpassword456" })
+          .expect(200);
+
+        expect(response.body.ok).toBe(true);
+
+        // The old session no longer works
+        await request(app)
+          .get("/users/info")
+          .set("Cookie", authCookie)
+          .expect(401);
+
+        // Only the new password works
+        await request(app)
+          .post("/users/login")
+          .send({ email: userData.email, password: userData.password })
+          .expect(401);
+        await request(app)
+          .post("/users/login")
+          .send({ email: userData.email, password: "newpassword456" })
+          .expect(200);
+
+        // The link can't be used twice
+        const reuseResponse = await request(app)
+          .post("/users/reset-password/confirm")
+          .send({ token, password: "anotherpassword789" })
+          .expect(400);
+
+        expect(reuseResponse.body.message).toBe(
+          "Invalid or expired reset link"
+        );
+      });
+
+      it("should reject expired and unknown reset tokens", async () => {
+        await request(app).post("/users/register").send(userData);
+        const token = await requestResetToken();
+
+        await testPrisma.passwordResetToken.updateMany({
+          data: { expiresAt: new Date(Date.now() - 1000) },
+        });
+
+        const expiredResponse = await request(app)
+          .post("/users/reset-password/confirm")
+          .send({ token, password: "newpassword456" })
+          .expect(400);
+        expect(expiredResponse.body.message).toBe(
+          "Invalid or expired reset link"
+        );
+
+        await request(app)
+          .post("/users/reset-password/confirm")
+          .send({ token: "not-a-real-token", password: "newpassword456" })
+          .expect(400);
+      });
+    });
+  });
+
+  describe("Bookings API", () => {
+    let testUser;
+    let authCookie;
+
+    beforeEach(async () => {
+      // Create and register a test user for authentication
+      const userData = {
+        email: `bookinguser-${Math.random()
+          .toString(36)
+          .substring(7)}@example.com`,
+        password: "testpassword123",
+        fullName: "Booking Test User",
+      };
+
+      // Register the user, bookings require a verified email address
+      await request(app).post("/users/register").send(userData).expect(201);
+      await testPrisma.user.update({
+        where: { email: userData.email },
+        data: { emailVerified: true },
+      });
+
+      // Login to get session cookie
+      const loginResponse = await request(app)
+        .post("/users/login")
+        .send({
+          email: userData.email,
+          password: userData.password,
+        })
+        .expect(200);
+
+      // Extract session cookie from response
+      const cookies = loginResponse.headers["set-cookie"];
+      authCookie = cookies ? cookies[0] : null;
+
+      // Get the created user from database
+      testUser = await testPrisma.user.findUnique({
+        where: { email: userData.email },
+      });
+    });
+
+    describe("POST /bookings", () => {
+      const validBookingData = {
+        date: getBookableDate(),
+        timeSlot: "09:00 - 11:00",
+        city: "helsinki",
+        address: "Esimerkkitie 123, 00100",
+        phoneNumber: "+358501234567",
+        paymentMethod: "cash",
+      };
+
+      it("should create a new booking successfully when authenticated", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(validBookingData)
+          .expect(201);
+
+        // Check response structure
+        expect(response.body.id).toBeDefined();
+        expect(response.body.date).toBe(validBookingData.date);
+        expect(response.body.startsAt).toBe(validBookingData.date);
+        expect(response.body.timeSlot).toBe(validBookingData.timeSlot);
+        expect(response.body.location).toBe(
+          `${validBookingData.address}, Helsinki`
+        );
+        expect(response.body.status).toBe("CONFIRMED");
+        expect(response.body.createdAt).toBeDefined();
+        expect(response.body.user).toBeDefined();
+        expect(response.body.user.id).toBe(testUser.id);
+        expect(response.body.user.email).toBe(testUser.email);
+        expect(response.body.user.fullName).toBe(testUser.fullName);
+        expect(response.body.city).toBe("HELSINKI");
+        expect(response.body.streetAddress).toBe("Esimerkkitie 123");
+        expect(response.body.postalCode).toBe("00100");
+        expect(response.body.phoneNumber).toBe(validBookingData.phoneNumber);
+        expect(response.body.paymentMethod).toBe("CASH");
+
+        // Booking confirmation email with the booking details
+        const [confirmationMail] = getSentMails("Varaus onnistui!");
+        expect(confirmationMail.to).toBe(testUser.email);
+        expect(confirmationMail.text).toContain("Aika: 09:00 - 11:00");
+        expect(confirmationMail.text).toContain("Osoite: Esimerkkitie 123");
+        expect(confirmationMail.text).toContain("Maksutapa: Käteinen");
+
+        // Verify booking was saved to database
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: response.body.id },
+          include: { user: true },
+        });
+
+        expect(bookingInDb).toBeDefined();
+        expect(bookingInDb.userId).toBe(testUser.id);
+        expect(bookingInDb.timeSlot).toBe(validBookingData.timeSlot);
+        expect(bookingInDb.location).toBe(
+          `${validBookingData.address}, Helsinki`
+        );
+        expect(bookingInDb.status).toBe("CONFIRMED");
+        expect(bookingInDb.city).toBe("HELSINKI");
+        expect(bookingInDb.streetAddress).toBe("Esimerkkitie 123");
+        expect(bookingInDb.postalCode).toBe("00100");
+        expect(bookingInDb.phoneNumber).toBe(validBookingData.phoneNumber);
+        expect(bookingInDb.paymentMethod).toBe("CASH");
+      });
+
+      it("should store the slot times of a Helsinki day in UTC", async () => {
+        const dayKey = toDayKey(validBookingData.date);
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...validBookingData, date: dayKey })
+          .expect(201);
+
+        expect(response.body.date).toBe(validBookingData.date);
+        expect(response.body.startsAt).toBe(validBookingData.date);
+        expect(response.body.endsAt).toBe(
+          zonedTimeToUtc(dayKey, "11:00").toISOString()
+        );
+      });
+
+      it("should store optional notes for the crew", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...validBookingData, notes: "Door code 1234" })
+          .expect(201);
+
+        expect(response.body.notes).toBe("Door code 1234");
+
+        const tooLong = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...validBookingData, notes: "x".repeat(501) })
+          .expect(400);
+        expect(tooLong.body.errors.notes).toEqual(["Notes are too long"]);
+      });
+
+      it("should return 401 when not authenticated", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .send(validBookingData)
+          .expect(401);
+
+        expect(response.body.error).toBe("Authentication required");
+      });
+
+      it("should return 400 when required fields are missing", async () => {
+        const incompleteData = { ...validBookingData };
+        delete incompleteData.timeSlot;
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(incompleteData)
+          .expect(400);
+
+        expect(response.body.error).toBe("Missing required fields");
+        expect(response.body.required).toContain("timeSlot");
+      });
+
+      it("should return 400 when date is invalid", async () => {
+        const invalidData = { ...validBookingData, date: "invalid-date" };
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(invalidData)
+          .expect(400);
+
+        expect(response.body.error).toBe("Invalid booking data");
+        expect(response.body.errors.date).toContain("Invalid date format");
+      });
+
+      it("should return 400 when date is outside the booking window", async () => {
+        const tomorrow = new Date(
+          Date.now() + 24 * 60 * 60 * 1000
+        ).toISOString();
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...validBookingData, date: tomorrow })
+          .expect(400);
+
+        expect(response.body.errors.date).toContain(
+          "Booking date must be 2 to 31 days ahead"
+        );
+      });
+
+      it("should return 400 when date is on a weekend", async () => {
+        let dayKey = toDayKey(validBookingData.date);
+        while (getWeekday(dayKey) !== 6) {
+          dayKey = addDays(dayKey, 1);
+        }
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({
+            ...validBookingData,
+            date: zonedTimeToUtc(dayKey, "09:00").toISOString(),
+          })
+          .expect(400);
+
+        expect(response.body.errors.date).toContain(
+          "Bookings are only available from Monday to Friday"
+        );
+      });
+
+      it("should return field errors for invalid time slot, city and payment method", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({
+            ...validBookingData,
+            timeSlot: "10:00-12:00",
+            city: "tampere",
+            paymentMethod: "bitcoin",
+          })
+          .expect(400);
+
+        expect(response.body.error).toBe("Invalid booking data");
+        expect(response.body.errors.timeSlot).toBeDefined();
+        expect(response.body.errors.city).toContain(
+          "We only operate in Helsinki, Vantaa and Espoo"
+        );
+        expect(response.body.errors.paymentMethod).toBeDefined();
+        expect(response.body.errors.date).toBeUndefined();
+
+        const bookingsInDb = await testPrisma.booking.count();
+        expect(bookingsInDb).toBe(0);
+      });
+
+      it("should return 400 when phone number is invalid", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...validBookingData, phoneNumber: "12ab" })
+          .expect(400);
+
+        expect(response.body.errors.phoneNumber).toContain(
+          "Invalid phone number"
+        );
+      });
+
+      it("should return 409 with alternatives when the time slot is full", async () => {
+        // Fill the slot with another booking (default capacity is 1)
+        await testPrisma.booking.create({
+          data: {
+            userId: testUser.id,
+            date: new Date(validBookingData.date),
+            timeSlot: validBookingData.timeSlot,
+            location: "Other Location, Helsinki",
+            status: "CONFIRMED",
+          },
+        });
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(validBookingData)
+          .expect(409);
+
+        expect(response.body.error).toBe("Selected time slot is fully booked");
+        expect(Array.isArray(response.body.alternatives)).toBe(true);
+      });
+
+      it("should not overbook a slot with concurrent requests", async () => {
+        const responses = await Promise.all([
+          request(app)
+            .post("/bookings")
+            .set("Cookie", authCookie || "")
+            .send(validBookingData),
+          request(app)
+            .post("/bookings")
+            .set("Cookie", authCookie || "")
+            .send(validBookingData),
+        ]);
+
+        const statuses = responses.map((response) => response.status).sort();
+        expect(statuses).toEqual([201, 409]);
+
+        const bookingsInSlot = await testPrisma.booking.count({
+          where: { timeSlot: validBookingData.timeSlot },
+        });
+        expect(bookingsInSlot).toBe(1);
+      });
+
+      it("should store the chosen service with its price", async () => {
+        const premium = await testPrisma.service.findUnique({
+          where: { slug: "premium" },
+        });
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...validBookingData, serviceId: premium.id })
+          .expect(201);
+
+        expect(response.body.service.slug).toBe("premium");
+        expect(response.body.priceCents).toBe(premium.priceCents);
+        expect(response.body.vatRate).toBe(25.5);
+
+        const [confirmationMail] = getSentMails("Varaus onnistui!");
+        expect(confirmationMail.text).toContain("Palvelu: Wocuuming Plus");
+      });
+
+      it("should book the first service tier when none is chosen", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(validBookingData)
+          .expect(201);
+
+        expect(response.body.service.slug).toBe("basic");
+        expect(response.body.priceCents).toBe(4900);
+      });
+
+      it("should return 400 for an unknown service", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({
+            ...validBookingData,
+            serviceId: "00000000-0000-4000-8000-000000000000",
+          })
+          .expect(400);
+
+        expect(response.body.errors.serviceId).toContain("Service not found");
+        expect(await testPrisma.booking.count()).toBe(0);
+      });
+
+      it("should store the picked add-ons with their prices", async () => {
+        const addOns = await testPrisma.addOn.findMany({
+          where: { slug: { in: ["pet-hair", "seat-shampoo"] } },
+        });
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({
+            ...validBookingData,
+            addOnIds: addOns.map((addOn) => addOn.id),
+          })
+          .expect(201);
+
+        expect(
+          response.body.addOns.map((item) => [item.addOn.slug, item.priceCents])
+        ).toEqual([
+          ["pet-hair", 1500],
+          ["seat-shampoo", 2500],
+        ]);
+        expect(
+          await testPrisma.bookingAddOn.count({
+            where: { bookingId: response.body.id },
+          })
+        ).toBe(2);
+
+        const [confirmationMail] = getSentMails("Varaus onnistui!");
+        expect(confirmationMail.text).toContain(
+          "Lisäpalvelut: Lemmikin karvojen poisto, Penkkien shampoopesu"
+        );
+      });
+
+      it("should return 400 for an unknown add-on", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({
+            ...validBookingData,
+            addOnIds: ["00000000-0000-4000-8000-000000000000"],
+          })
+          .expect(400);
+
+        expect(response.body.errors.addOnIds).toContain("Add-on not found");
+        expect(await testPrisma.booking.count()).toBe(0);
+      });
+
+      it("should capitalize city name in location", async () => {
+        const lowercaseCity = { ...validBookingData, city: "espoo" };
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(lowercaseCity)
+          .expect(201);
+
+        expect(response.body.location).toBe(
+          `${validBookingData.address}, Espoo`
+        );
+      });
+    });
+
+    describe("Email verification required", () => {
+      it("should refuse bookings and drafts from unverified accounts", async () => {
+        await testPrisma.user.update({
+          where: { id: testUser.id },
+          data: { emailVerified: false },
+        });
+
+        const bookingResponse = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({
+            date: getBookableDate(),
+            timeSlot: "09:00 - 11:00",
+            city: "helsinki",
+            address: "Esimerkkitie 123, 00100",
+            phoneNumber: "+358501234567",
+            paymentMethod: "card",
+          })
+          .expect(403);
+
+        expect(bookingResponse.body.code).toBe("EMAIL_NOT_VERIFIED");
+        expect(bookingResponse.body.error).toBe(
+          "Please verify your email address before booking"
+        );
+
+        const draftResponse = await request(app)
+          .post("/bookings/draft")
+          .set("Cookie", authCookie || "")
+          .send({ date: getBookableDate(), timeSlot: "09:00 - 11:00" })
+          .expect(403);
+
+        expect(draftResponse.body.code).toBe("EMAIL_NOT_VERIFIED");
+        expect(await testPrisma.booking.count()).toBe(0);
+      });
+    });
+
+    describe("Draft bookings", () => {
+      const draftData = {
+        date: getBookableDate(),
+        timeSlot: "11:00 - 13:00",
+      };
+
+      const contactDetails = {
+        city: "vantaa",
+        address: "Draftikuja 5, 01300",
+        phoneNumber: "0401234567",
+        paymentMethod: "bank",
+      };
+
+      it("should hold the time slot with a draft booking", async () => {
+        const response = await request(app)
+          .post("/bookings/draft")
+          .set("Cookie", authCookie || "")
+          .send(draftData)
+          .expect(201);
+
+        expect(response.body.status).toBe("DRAFT");
+        expect(new Date(response.body.holdExpiresAt).getTime()).toBeGreaterThan(
+          Date.now()
+        );
+
+        // The held slot can't be booked by anyone else
+        await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...draftData, ...contactDetails })
+          .expect(409);
+      });
+
+      it("should not block the slot after the hold has expired", async () => {
+        await testPrisma.booking.create({
+          data: {
+            userId: testUser.id,
+            date: new Date(draftData.date),
+            timeSlot: draftData.timeSlot,
+            status: "DRAFT",
+            holdExpiresAt: new Date(Date.now() - 60 * 1000),
+          },
+        });
+
+        await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...draftData, ...contactDetails })
+          .expect(201);
+      });
+
+      it("should replace the user's previous draft", async () => {
+        await request(app)
+          .post("/bookings/draft")
+          .set("Cookie", authCookie || "")
+          .send(draftData)
+          .expect(201);
+        await request(app)
+          .post("/bookings/draft")
+          .set("Cookie", authCookie || "")
+          .send({ ...draftData, timeSlot: "13:00 - 15:00" })
+          .expect(201);
+
+        const drafts = await testPrisma.booking.findMany({
+          where: { userId: testUser.id, status: "DRAFT" },
+        });
+        expect(drafts).toHaveLength(1);
+        expect(drafts[0].timeSlot).toBe("13:00 - 15:00");
+      });
+
+      it("should confirm a draft with contact and payment details", async () => {
+        const draft = await request(app)
+          .post("/bookings/draft")
+          .set("Cookie", authCookie || "")
+          .send(draftData)
+          .expect(201);
+
+        const response = await request(app)
+          .post(`/bookings/${draft.body.id}/confirm`)
+          .set("Cookie", authCookie || "")
+          .send(contactDetails)
+          .expect(200);
+
+        expect(response.body).toMatchObject({
+          id: draft.body.id,
+          status: "CONFIRMED",
+          location: "Draftikuja 5, 01300, Vantaa",
+          city: "VANTAA",
+          postalCode: "01300",
+          paymentMethod: "BANK",
+        });
+
+        const stored = await testPrisma.booking.findUnique({
+          where: { id: draft.body.id },
+        });
+        expect(stored.holdExpiresAt).toBeNull();
+      });
+
+      it("should return 404 when the draft has expired and been removed", async () => {
+        const response = await request(app)
+          .post("/bookings/non-existent-id/confirm")
+          .set("Cookie", authCookie || "")
+          .send(contactDetails)
+          .expect(404);
+
+        expect(response.body.error).toBe("Draft booking not found");
+      });
+
+      it("should not list drafts among the user's bookings", async () => {
+        await request(app)
+          .post("/bookings/draft")
+          .set("Cookie", authCookie || "")
+          .send(draftData)
+          .expect(201);
+
+        const response = await request(app)
+          .get("/bookings")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        expect(response.body).toEqual([]);
+      });
+    });
+
+    describe("Recurring series", () => {
+      const seriesData = {
+        date: getBookableDate(),
+        timeSlot: "13:00 - 15:00",
+        weeks: 3,
+        city: "espoo",
+        address: "Keilaranta 1, 02150",
+        phoneNumber: "0401234567",
+        paymentMethod: "cash",
+      };
+
+      it("should book the same slot every week and skip full weeks", async () => {
+        const [firstDay, secondDay, thirdDay] = getSeriesDayKeys(
+          toDayKey(seriesData.date),
+          3
+        );
+
+        // Someone has already booked the second week
+        await testPrisma.booking.create({
+          data: {
+            userId: testUser.id,
+            date: zonedTimeToUtc(secondDay, "13:00"),
+            timeSlot: seriesData.timeSlot,
+            location: "Varattu 1, Espoo",
+            status: "CONFIRMED",
+          },
+        });
+
+        const response = await request(app)
+          .post("/bookings/series")
+          .set("Cookie", authCookie || "")
+          .send(seriesData)
+          .expect(201);
+
+        expect(response.body.status).toBe("ACTIVE");
+        expect(response.body.skipped).toEqual([secondDay]);
+        expect(
+          response.body.bookings.map((booking) => toDayKey(booking.date))
+        ).toEqual([firstDay, thirdDay]);
+        expect(response.body.bookings[0]).toMatchObject({
+          status: "CONFIRMED",
+          city: "ESPOO",
+          streetAddress: "Keilaranta 1",
+        });
+        expect(getSentMails("Toistuva varaus onnistui!")).toHaveLength(1);
+
+        const list = await request(app)
+          .get("/bookings/series")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        expect(list.body).toHaveLength(1);
+        expect(list.body[0].bookings).toHaveLength(2);
+      });
+
+      it("should reject invalid series", async () => {
+        const response = await request(app)
+          .post("/bookings/series")
+          .set("Cookie", authCookie || "")
+          .send({ ...seriesData, date: "2020-01-01", weeks: 20 })
+          .expect(400);
+
+        expect(response.body.errors.date).toBeDefined();
+        expect(response.body.errors.weeks).toEqual([
+          "A series lasts 2 to 12 weeks",
+        ]);
+        expect(await testPrisma.bookingSeries.count()).toBe(0);
+      });
+
+      it("should skip one occurrence and keep the rest of the series", async () => {
+        const created = await request(app)
+          .post("/bookings/series")
+          .set("Cookie", authCookie || "")
+          .send(seriesData)
+          .expect(201);
+
+        await request(app)
+          .delete(`/bookings/${created.body.bookings[1].id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        const bookings = await testPrisma.booking.findMany({
+          where: { seriesId: created.body.id },
+          orderBy: { date: "asc" },
+        });
+        expect(bookings.map((booking) => booking.status)).toEqual([
+          "CONFIRMED",
+          "CANCELLED",
+          "CONFIRMED",
+        ]);
+      });
+
+      it("should cancel the upcoming occurrences of a series", async () => {
+        const created = await request(app)
+          .post("/bookings/series")
+          .set("Cookie", authCookie || "")
+          .send(seriesData)
+          .expect(201);
+
+        const response = await request(app)
+          .delete(`/bookings/series/${created.body.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ reason: "Moving offices" })
+          .expect(200);
+
+        expect(response.body.series.status).toBe("CANCELLED");
+        expect(response.body.cancelledCount).toBe(3);
+        expect(
+          await testPrisma.booking.count({
+            where: { seriesId: created.body.id, status: "CANCELLED" },
+          })
+        ).toBe(3);
+        expect(getSentMails("Toistuva varaus peruttu")).toHaveLength(1);
+
+        await request(app)
+          .delete(`/bookings/series/${created.body.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(400);
+      });
+
+      it("should cancel unpaid occurrences and their payment", async () => {
+        const created = await request(app)
+          .post("/bookings/series")
+          .set("Cookie", authCookie || "")
+          .send({ ...seriesData, paymentMethod: "card" })
+          .expect(201);
+        expect(created.body.bookings[0].status).toBe("PENDING_PAYMENT");
+
+        const response = await request(app)
+          .delete(`/bookings/series/${created.body.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        expect(response.body.cancelledCount).toBe(3);
+        expect(
+          await testPrisma.booking.count({
+            where: { seriesId: created.body.id, status: { not: "CANCELLED" } },
+          })
+        ).toBe(0);
+        const payment = await testPrisma.payment.findUnique({
+          where: { id: created.body.payment.id },
+        });
+        expect(payment.status).toBe("EXPIRED");
+      });
+
+      it("should not cancel another user's series", async () => {
+        const otherUser = await testPrisma.user.create({
+          data: { email: "other-series@example.com", passwordHash: "hash" },
+        });
+        const series = await testPrisma.bookingSeries.create({
+          data: {
+            userId: otherUser.id,
+            weekday: 3,
+            timeSlot: "09:00 - 11:00",
+            weeks: 2,
+          },
+        });
+
+        await request(app)
+          .delete(`/bookings/series/${series.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(404);
+        expect(
+          (
+            await testPrisma.bookingSeries.findUnique({
+              where: { id: series.id },
+            })
+          ).status
+        ).toBe("ACTIVE");
+      });
+    });
+
+    describe("Discount codes", () => {
+      const bookingData = {
+        date: getBookableDate(),
+        timeSlot: "11:00 - 13:00",
+        city: "vantaa",
+        address: "Tikkurilantie 10, 01300",
+        phoneNumber: "0401234567",
+        paymentMethod: "cash",
+      };
+
+      // Launch campaign: first wash for 29 €
+      const createDiscountCode = (data = {}) =>
+        testPrisma.discountCode.create({
+          data: { code: "ENSIPESU", type: "FIXED", value: 2000, ...data },
+        });
+
+      it("should quote the price with the discount and VAT", async () => {
+        await createDiscountCode();
+
+        const response = await request(app)
+          .post("/bookings/quote")
+          .set("Cookie", authCookie || "")
+          .send({ discountCode: "ensipesu" })
+          .expect(200);
+
+        expect(response.body.lines[0].slug).toBe("basic");
+        expect(response.body.subtotalCents).toBe(4900);
+        expect(response.body.discount).toMatchObject({
+          code: "ENSIPESU",
+          amountCents: 2000,
+        });
+        expect(response.body.totalCents).toBe(2900);
+        expect(response.body.vatCents).toBe(589);
+        expect(response.body.netCents).toBe(2311);
+      });
+
+      it("should return 400 for an unknown or expired code", async () => {
+        await createDiscountCode({ validUntil: new Date("2025-01-01") });
+
+        const unknown = await request(app)
+          .post("/bookings/quote")
+          .set("Cookie", authCookie || "")
+          .send({ discountCode: "NOPE" })
+          .expect(400);
+        expect(unknown.body.errors.discountCode).toContain(
+          "Discount code not found"
+        );
+
+        const expired = await request(app)
+          .post("/bookings/quote")
+          .set("Cookie", authCookie || "")
+          .send({ discountCode: "ENSIPESU" })
+          .expect(400);
+        expect(expired.body.errors.discountCode).toContain(
+          "Discount code has expired"
+        );
+      });
+
+      it("should store the discount and enforce the per-user limit", async () => {
+        await createDiscountCode({ maxUsesPerUser: 1 });
+
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, discountCode: "ENSIPESU" })
+          .expect(201);
+
+        expect(response.body.discountCode).toBe("ENSIPESU");
+        expect(response.body.discountCents).toBe(2000);
+        expect(response.body.receipt).toMatchObject({
+          subtotalCents: 4900,
+          discount: { code: "ENSIPESU", amountCents: 2000 },
+          totalCents: 2900,
+          netCents: 2311,
+          vatCents: 589,
+        });
+
+        // The price snapshot is stored on the booking
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: response.body.id },
+        });
+        expect(bookingInDb).toMatchObject({
+          totalCents: 2900,
+          netCents: 2311,
+          vatCents: 589,
+          vatBreakdown: [
+            { vatRate: 25.5, netCents: 2311, vatCents: 589, grossCents: 2900 },
+          ],
+        });
+
+        const [confirmationMail] = getSentMails("Varaus onnistui!");
+        expect(confirmationMail.text).toContain("Alennus: ENSIPESU");
+
+        const secondResponse = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({
+            ...bookingData,
+            timeSlot: "15:00 - 17:00",
+            discountCode: "ENSIPESU",
+          })
+          .expect(400);
+
+        expect(secondResponse.body.errors.discountCode).toContain(
+          "You have already used this discount code"
+        );
+        expect(await testPrisma.booking.count()).toBe(1);
+      });
+
+      it("should give first booking codes only to new customers", async () => {
+        await createDiscountCode({ firstBookingOnly: true });
+
+        await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const response = await request(app)
+          .post("/bookings/quote")
+          .set("Cookie", authCookie || "")
+          .send({ discountCode: "ENSIPESU" })
+          .expect(400);
+
+        expect(response.body.errors.discountCode).toContain(
+          "Discount code is only valid for your first booking"
+        );
+      });
+    });
+
+    describe("Payments", () => {
+      const bookingData = {
+        date: getBookableDate(),
+        timeSlot: "13:00 - 15:00",
+        city: "helsinki",
+        address: "Maksukatu 3, 00100",
+        phoneNumber: "0401234567",
+        paymentMethod: "card",
+      };
+
+      // Signed notification from the mock provider for a started payment
+      const sendWebhook = (payment, status) =>
+        request(app)
+          .post("/payments/webhook")
+          .send(
+            getPaymentProvider().signEvent({
+              reference: payment.redirectUrl.split("/").pop(),
+              status,
+            })
+          );
+
+      it("should confirm a card booking when the payment arrives", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        expect(response.body.status).toBe("PENDING_PAYMENT");
+        expect(response.body.payment).toMatchObject({
+          status: "PENDING",
+          amountCents: 4900,
+        });
+        expect(response.body.payment.redirectUrl).toMatch(
+          /^\/api\/payments\/mock\/mock_/
+        );
+        // Confirmation is sent only after the payment
+        expect(getSentMails("Varaus onnistui!")).toHaveLength(0);
+
+        const webhook = await sendWebhook(response.body.payment, "PAID").expect(
+          200
+        );
+        expect(webhook.body).toEqual({ received: true, status: "PAID" });
+
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: response.body.id },
+          include: { payment: true },
+        });
+        expect(bookingInDb.status).toBe("CONFIRMED");
+        expect(bookingInDb.holdExpiresAt).toBeNull();
+        expect(bookingInDb.payment.status).toBe("PAID");
+        expect(bookingInDb.payment.paidAt).toBeInstanceOf(Date);
+
+        const [confirmationMail] = getSentMails("Varaus onnistui!");
+        expect(confirmationMail.text).toContain("Maksutapa: Kortti");
+
+        // The invite names the sender and the booking owner, long lines
+        // are folded
+        const [invite] = confirmationMail.attachments;
+        const inviteLines = invite.content.replace(/\r\n /g, "");
+        expect(invite.contentType).toContain("method=REQUEST");
+        expect(inviteLines).toMatch(/\r\nORGANIZER:mailto:[^\r]+\r\n/);
+        expect(inviteLines).toContain(
+          `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${confirmationMail.to}\r\n`
+        );
+
+        // A repeated notification changes nothing
+        await sendWebhook(response.body.payment, "PAID").expect(200);
+        expect(getSentMails("Varaus onnistui!")).toHaveLength(1);
+      });
+
+      it("should not confirm a booking whose hold expired before the payment", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        // The slot is free for others once the hold has passed
+        await testPrisma.booking.update({
+          where: { id: response.body.id },
+          data: { holdExpiresAt: new Date(Date.now() - 60 * 1000) },
+        });
+        await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, paymentMethod: "cash" })
+          .expect(201);
+
+        const webhook = await sendWebhook(response.body.payment, "PAID").expect(
+          200
+        );
+        expect(webhook.body).toEqual({ received: true, status: "EXPIRED" });
+
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: response.body.id },
+          include: { payment: true },
+        });
+        expect(bookingInDb.status).toBe("PENDING_PAYMENT");
+        expect(bookingInDb.payment.status).toBe("EXPIRED");
+        expect(bookingInDb.payment.paidAt).toBeNull();
+        // Only the cash booking was confirmed
+        expect(getSentMails("Varaus onnistui!")).toHaveLength(1);
+      });
+
+      it("should reject notifications without a valid signature", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const webhook = await request(app)
+          .post("/payments/webhook")
+          .send({
+            reference: response.body.payment.redirectUrl.split("/").pop(),
+            status: "PAID",
+            signature: "forged",
+          })
+          .expect(400);
+        expect(webhook.body.error).toBe("Invalid payment signature");
+
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: response.body.id },
+        });
+        expect(bookingInDb.status).toBe("PENDING_PAYMENT");
+      });
+
+      it("should free the slot when the payment fails", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, paymentMethod: "mobilepay" })
+          .expect(201);
+
+        // The unpaid booking holds the slot
+        await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, paymentMethod: "cash" })
+          .expect(409);
+
+        await sendWebhook(response.body.payment, "FAILED").expect(200);
+
+        const payment = await request(app)
+          .get(`/payments/${response.body.payment.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        expect(payment.body).toMatchObject({
+          status: "FAILED",
+          method: "MOBILEPAY",
+          bookings: [{ id: response.body.id, status: "CANCELLED" }],
+        });
+
+        await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, paymentMethod: "cash" })
+          .expect(201);
+      });
+
+      it("should expire the payment of a cancelled unpaid booking", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        await request(app)
+          .delete(`/bookings/${response.body.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: response.body.id },
+          include: { payment: true },
+        });
+        expect(bookingInDb.status).toBe("CANCELLED");
+        expect(bookingInDb.holdExpiresAt).toBeNull();
+        expect(bookingInDb.payment.status).toBe("EXPIRED");
+
+        // A late payment doesn't bring the booking back
+        const webhook = await sendWebhook(response.body.payment, "PAID").expect(
+          200
+        );
+        expect(webhook.body).toEqual({ received: true, status: "EXPIRED" });
+        const afterWebhook = await testPrisma.booking.findUnique({
+          where: { id: response.body.id },
+        });
+        expect(afterWebhook.status).toBe("CANCELLED");
+        expect(getSentMails("Varaus onnistui!")).toHaveLength(0);
+      });
+
+      it("should pay a series at once on the mock checkout page", async () => {
+        const response = await request(app)
+          .post("/bookings/series")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, weeks: 2 })
+          .expect(201);
+
+        const { payment } = response.body;
+        expect(payment.amountCents).toBe(9800);
+        expect(response.body.bookings.map((booking) => booking.status)).toEqual(
+          ["PENDING_PAYMENT", "PENDING_PAYMENT"]
+        );
+
+        const checkoutUrl = payment.redirectUrl.replace(/^\/api/, "");
+        const checkout = await request(app).get(checkoutUrl).expect(200);
+        expect(checkout.text).toContain("Pay");
+
+        const paid = await request(app).get(`${checkoutUrl}/paid`).expect(302);
+        expect(paid.headers.location).toMatch(
+          new RegExp(`/\\?payment=${payment.id}$`)
+        );
+
+        const bookingsInDb = await testPrisma.booking.findMany({
+          where: { paymentId: payment.id },
+        });
+        expect(bookingsInDb.map((booking) => booking.status)).toEqual([
+          "CONFIRMED",
+          "CONFIRMED",
+        ]);
+        expect(getSentMails("Toistuva varaus onnistui!")).toHaveLength(1);
+      });
+
+      it("should only show the user's own payments", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const otherUserData = {
+          email: "other-payer@example.com",
+          password: "testpassword123",
+          fullName: "Other Payer",
+        };
+        await request(app).post("/users/register").send(otherUserData);
+        const loginResponse = await request(app)
+          .post("/users/login")
+          .send(otherUserData)
+          .expect(200);
+
+        await request(app)
+          .get(`/payments/${response.body.payment.id}`)
+          .set("Cookie", loginResponse.headers["set-cookie"][0])
+          .expect(404);
+        await request(app)
+          .get(`/payments/${response.body.payment.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+      });
+    });
+
+    describe("Invoices", () => {
+      const bookingData = {
+        date: getBookableDate(),
+        timeSlot: "09:00 - 11:00",
+        city: "espoo",
+        address: "Laskutie 4, 02100",
+        phoneNumber: "0401234567",
+        paymentMethod: "bank",
+      };
+
+      it("should invoice a bank transfer booking when it is confirmed", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const { invoice } = response.body;
+        expect(response.body.status).toBe("CONFIRMED");
+        expect(invoice).toMatchObject({
+          status: "UNPAID",
+          amountCents: 4900,
+          referenceNumber: getReferenceNumber(invoice.number),
+        });
+        // Due in 14 days by default
+        expect(
+          new Date(invoice.dueDate) - new Date(response.body.createdAt)
+        ).toBeGreaterThanOrEqual(14 * 24 * 60 * 60 * 1000 - 60 * 1000);
+
+        const [confirmationMail] = getSentMails("Varaus onnistui!");
+        expect(confirmationMail.text).toContain(
+          `Viitenumero: ${formatReferenceNumber(invoice.referenceNumber)}`
+        );
+
+        const invoices = await request(app)
+          .get("/invoices")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        expect(invoices.body).toHaveLength(1);
+        expect(invoices.body[0]).toMatchObject({
+          id: invoice.id,
+          vatCents: 996,
+          bookings: [{ id: response.body.id }],
+        });
+
+        const pdf = await request(app)
+          .get(`/invoices/${invoice.id}/pdf`)
+          .set("Cookie", authCookie || "")
+          .responseType("blob")
+          .expect(200);
+        expect(pdf.headers["content-type"]).toContain("application/pdf");
+        expect(pdf.headers["content-disposition"]).toContain(
+          `invoice-${invoice.number}.pdf`
+        );
+        expect(pdf.body.subarray(0, 5).toString()).toBe("%PDF-");
+      });
+
+      it("should number invoices one after another", async () => {
+        const first = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+        const second = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, timeSlot: "11:00 - 13:00" })
+          .expect(201);
+
+        expect(second.body.invoice.number).toBe(first.body.invoice.number + 1);
+
+        // Other payment methods are not invoiced
+        const cash = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({
+            ...bookingData,
+            timeSlot: "13:00 - 15:00",
+            paymentMethod: "cash",
+          })
+          .expect(201);
+        expect(cash.body.invoice).toBeNull();
+      });
+
+      it("should cancel the invoice with its booking", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        await request(app)
+          .delete(`/bookings/${response.body.id}`)
+          .set("Cookie", authCookie || "")
+          .send({})
+          .expect(200);
+
+        const invoiceInDb = await testPrisma.invoice.findUnique({
+          where: { id: response.body.invoice.id },
+        });
+        expect(invoiceInDb.status).toBe("CANCELLED");
+      });
+
+      it("should only bill the bookings left on the invoice", async () => {
+        const response = await request(app)
+          .post("/bookings/series")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, weeks: 2 })
+          .expect(201);
+        const [first, second] = response.body.bookings;
+        expect(first.invoice.id).toBe(second.invoice.id);
+        expect(first.invoice.amountCents).toBe(9800);
+
+        await request(app)
+          .delete(`/bookings/${first.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        const invoiceInDb = await testPrisma.invoice.findUnique({
+          where: { id: first.invoice.id },
+        });
+        expect(invoiceInDb).toMatchObject({
+          status: "UNPAID",
+          amountCents: 4900,
+          netCents: 3904,
+          vatCents: 996,
+          vatBreakdown: [
+            { vatRate: 25.5, netCents: 3904, vatCents: 996, grossCents: 4900 },
+          ],
+        });
+      });
+
+      it("should not show other users' invoices", async () => {
+        const response = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const otherUserData = {
+          email: "other-invoiced@example.com",
+          password: "testpassword123",
+          fullName: "Other Customer",
+        };
+        await request(app).post("/users/register").send(otherUserData);
+        const loginResponse = await request(app)
+          .post("/users/login")
+          .send(otherUserData)
+          .expect(200);
+        const otherCookie = loginResponse.headers["set-cookie"][0];
+
+        await request(app)
+          .get(`/invoices/${response.body.invoice.id}/pdf`)
+          .set("Cookie", otherCookie)
+          .expect(404);
+        const invoices = await request(app)
+          .get("/invoices")
+          .set("Cookie", otherCookie)
+          .expect(200);
+        expect(invoices.body).toEqual([]);
+      });
+    });
+
+    describe("Receipts", () => {
+      const bookingData = {
+        date: getBookableDate(),
+        timeSlot: "09:00 - 11:00",
+        city: "helsinki",
+        address: "Kuittikatu 2, 00100",
+        phoneNumber: "0401234567",
+        paymentMethod: "cash",
+      };
+
+      it("should show the receipt of a booking as HTML and PDF", async () => {
+        const booking = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+        expect(booking.body.receiptAvailable).toBe(false);
+
+        // Cash is collected when the job is done
+        await request(app)
+          .get(`/bookings/${booking.body.id}/receipt`)
+          .set("Cookie", authCookie || "")
+          .expect(409);
+        await testPrisma.booking.update({
+          where: { id: booking.body.id },
+          data: { status: "COMPLETED" },
+        });
+
+        const html = await request(app)
+          .get(`/bookings/${booking.body.id}/receipt`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        expect(html.headers["content-type"]).toContain("text/html");
+        expect(html.text).toContain("KUITTI");
+        expect(html.text).toContain("Kuittikatu 2, 00100 Helsinki");
+        expect(html.text).toContain("Käteinen");
+        expect(html.text).toContain("ALV 25,5 %");
+        expect(html.text).toMatch(/Yhteensä<\/td><td class="amount">49,00\s€/);
+
+        const pdf = await request(app)
+          .get(`/bookings/${booking.body.id}/receipt?format=pdf`)
+          .set("Cookie", authCookie || "")
+          .responseType("blob")
+          .expect(200);
+        expect(pdf.headers["content-type"]).toContain("application/pdf");
+        expect(pdf.headers["content-disposition"]).toContain(
+          `receipt-${booking.body.id}.pdf`
+        );
+        expect(pdf.body.subarray(0, 5).toString()).toBe("%PDF-");
+      });
+
+      it("should give receipts for bank transfers once the invoice is paid", async () => {
+        const booking = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send({ ...bookingData, paymentMethod: "bank" })
+          .expect(201);
+
+        await request(app)
+          .get(`/bookings/${booking.body.id}/receipt`)
+          .set("Cookie", authCookie || "")
+          .expect(409);
+
+        await testPrisma.invoice.update({
+          where: { id: booking.body.invoice.id },
+          data: { status: "PAID", paidAt: new Date() },
+        });
+
+        const bookings = await request(app)
+          .get("/bookings")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        expect(bookings.body[0].receiptAvailable).toBe(true);
+
+        const html = await request(app)
+          .get(`/bookings/${booking.body.id}/receipt`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        expect(html.text).toContain("Laskun numero");
+      });
+
+      it("should not give receipts for cancelled bookings", async () => {
+        const booking = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        await request(app)
+          .get(`/bookings/${booking.body.id}/receipt?format=docx`)
+          .set("Cookie", authCookie || "")
+          .expect(400);
+
+        await request(app)
+          .delete(`/bookings/${booking.body.id}`)
+          .set("Cookie", authCookie || "")
+          .send({})
+          .expect(200);
+
+        const response = await request(app)
+          .get(`/bookings/${booking.body.id}/receipt`)
+          .set("Cookie", authCookie || "")
+          .expect(409);
+        expect(response.body.error).toBe(
+          "Receipt is not available for this booking"
+        );
+      });
+
+      it("should not show other users' receipts", async () => {
+        const booking = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const otherUserData = {
+          email: "other-receipt@example.com",
+          password: "testpassword123",
+          fullName: "Other Customer",
+        };
+        await request(app).post("/users/register").send(otherUserData);
+        const loginResponse = await request(app)
+          .post("/users/login")
+          .send(otherUserData)
+          .expect(200);
+
+        await request(app)
+          .get(`/bookings/${booking.body.id}/receipt`)
+          .set("Cookie", loginResponse.headers["set-cookie"][0])
+          .expect(404);
+      });
+
+      it("should export the booking history as CSV", async () => {
+        await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const response = await request(app)
+          .get("/bookings/export")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        expect(response.headers["content-type"]).toContain("text/csv");
+        expect(response.headers["content-disposition"]).toMatch(
+          /bookings-\d{4}-\d{2}-\d{2}\.csv/
+        );
+        const lines = response.text.replace("\uFEFF", "").trim().split("\r\n");
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toContain('"Päivämäärä";"Aika";"Palvelu"');
+        expect(lines[1]).toContain('"Käteinen";"Vahvistettu"');
+        expect(lines[1]).toContain('"49,00";"9,96"');
+      });
+    });
+
+    describe("Calendar", () => {
+      const bookingData = {
+        date: getBookableDate(),
+        timeSlot: "09:00 - 11:00",
+        city: "helsinki",
+        address: "Kalenterikatu 3, 00100",
+        phoneNumber: "0401234567",
+        paymentMethod: "cash",
+      };
+
+      it("should download a booking as a calendar event", async () => {
+        const booking = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const [confirmationMail] = getSentMails("Varaus onnistui!");
+        expect(confirmationMail.attachments).toHaveLength(1);
+        expect(confirmationMail.attachments[0].filename).toBe("booking.ics");
+        expect(confirmationMail.attachments[0].content).toContain(
+          `UID:${booking.body.id}@workday-vacuumers`
+        );
+
+        const response = await request(app)
+          .get(`/bookings/${booking.body.id}/calendar.ics`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        expect(response.headers["content-type"]).toContain("text/calendar");
+        expect(response.headers["content-disposition"]).toContain(
+          `booking-${booking.body.id}.ics`
+        );
+        expect(response.text).toMatch(
+          /DTSTART;TZID=Europe\/Helsinki:\d{8}T090000\r\n/
+        );
+        expect(response.text).toMatch(
+          /DTEND;TZID=Europe\/Helsinki:\d{8}T110000\r\n/
+        );
+        expect(response.text).toContain(
+          "LOCATION:Kalenterikatu 3\\, 00100 Helsinki"
+        );
+      });
+
+      it("should send updated invites and cancellations", async () => {
+        const booking = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const [confirmationMail] = getSentMails("Varaus onnistui!");
+        expect(confirmationMail.attachments[0].contentType).toContain(
+          "method=REQUEST"
+        );
+        expect(confirmationMail.attachments[0].content).toContain(
+          "SEQUENCE:0\r\n"
+        );
+
+        await request(app)
+          .patch(`/bookings/${booking.body.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ timeSlot: "13:00 - 15:00" })
+          .expect(200);
+
+        const [updateMail] = getSentMails("Varausta muutettu");
+        const update = updateMail.attachments[0];
+        expect(update.contentType).toContain("method=REQUEST");
+        expect(update.content).toContain(
+          `UID:${booking.body.id}@workday-vacuumers`
+        );
+        expect(update.content).toMatch(
+          /DTSTART;TZID=Europe\/Helsinki:\d{8}T130000\r\n/
+        );
+        expect(update.content).toContain("SEQUENCE:1\r\n");
+        expect(update.content).toContain("LAST-MODIFIED:");
+
+        await request(app)
+          .delete(`/bookings/${booking.body.id}`)
+          .set("Cookie", authCookie || "")
+          .send({})
+          .expect(200);
+
+        const [cancelMail] = getSentMails("Varaus peruttu");
+        const cancellation = cancelMail.attachments[0];
+        expect(cancellation.contentType).toContain("method=CANCEL");
+        expect(cancellation.content).toContain("METHOD:CANCEL\r\n");
+        expect(cancellation.content).toContain("STATUS:CANCELLED\r\n");
+        expect(cancellation.content).toContain("SEQUENCE:2\r\n");
+      });
+
+      it("should serve the calendar feed at a secret address", async () => {
+        const booking = await request(app)
+          .post("/bookings")
+          .set("Cookie", authCookie || "")
+          .send(bookingData)
+          .expect(201);
+
+        const feed = await request(app)
+          .get("/bookings/calendar-feed")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        expect(feed.body.url).toBeNull();
+
+        const created = await request(app)
+          .post("/bookings/calendar-feed")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        const token = new URL(created.body.url).searchParams.get("token");
+        expect(created.body.url).toContain("/api/bookings/calendar.ics?token=");
+
+        // Calendar apps fetch the feed without a session
+        const calendar = await request(app)
+          .get(`/bookings/calendar.ics?token=${token}`)
+          .expect(200);
+        expect(calendar.headers["content-type"]).toContain("text/calendar");
+        expect(calendar.text).toContain(
+          "X-WR-CALNAME:Workday-Vacuumers-varaukset"
+        );
+        expect(calendar.text).toContain(
+          `UID:${booking.body.id}@workday-vacuumers`
+        );
+        expect(calendar.text).toContain("STATUS:CONFIRMED");
+
+        await request(app)
+          .delete(`/bookings/${booking.body.id}`)
+          .set("Cookie", authCookie || "")
+          .send({})
+          .expect(200);
+
+        const updated = await request(app)
+          .get(`/bookings/calendar.ics?token=${token}`)
+          .expect(200);
+        expect(updated.text).toContain("STATUS:CANCELLED");
+
+        // A new address revokes the old one
+        await request(app)
+          .post("/bookings/calendar-feed")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        await request(app)
+          .get(`/bookings/calendar.ics?token=${token}`)
+          .expect(404);
+        await request(app).get("/bookings/calendar.ics").expect(404);
+
+        const removed = await request(app)
+          .delete("/bookings/calendar-feed")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+        expect(removed.body.url).toBeNull();
+        const user = await testPrisma.user.findUnique({
+          where: { id: testUser.id },
+        });
+        expect(user.calendarToken).toBeNull();
+      });
+    });
+
+    describe("GET /bookings", () => {
+      beforeEach(async () => {
+        // Create test bookings for the user
+        await testPrisma.booking.createMany({
+          data: [
+            {
+              userId: testUser.id,
+              date: new Date("2025-12-01T10:00:00.000Z"),
+              timeSlot: "10:00-12:00",
+              location: "Test Location 1, Helsinki",
+              status: "CONFIRMED",
+              city: "HELSINKI",
+              streetAddress: "Test Location 1",
+              postalCode: "00100",
+              phoneNumber: "+358501234567",
+              paymentMethod: "MOBILEPAY",
+            },
+            {
+              userId: testUser.id,
+              date: new Date("2025-12-02T14:00:00.000Z"),
+              timeSlot: "14:00-16:00",
+              location: "Test Location 2, Tampere",
+              status: "CONFIRMED",
+            },
+          ],
+        });
+
+        // Create a booking for another user (should not be returned)
+        const otherUserData = {
+          email: `other-${Math.random().toString(36).substring(7)}@example.com`,
+          password: "testpassword123",
+          fullName: "Other User",
+        };
+
+        await request(app).post("/users/register").send(otherUserData);
+
+        const otherUser = await testPrisma.user.findUnique({
+          where: { email: otherUserData.email },
+        });
+
+        await testPrisma.booking.create({
+          data: {
+            userId: otherUser.id,
+            date: new Date("2025-12-03T10:00:00.000Z"),
+            timeSlot: "10:00-12:00",
+            location: "Other Location, Oulu",
+            status: "CONFIRMED",
+          },
+        });
+      });
+
+      it("should return user's bookings when authenticated", async () => {
+        const response = await request(app)
+          .get("/bookings")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        expect(Array.isArray(response.body)).toBe(true);
+        expect(response.body).toHaveLength(2);
+
+        // Check that only user's bookings are returned
+        response.body.forEach((booking) => {
+          expect(booking.userId).toBe(testUser.id);
+          expect(booking.user).toBeDefined();
+          expect(booking.user.id).toBe(testUser.id);
+          expect(booking.timeSlot).toBeDefined();
+          expect(booking.location).toBeDefined();
+          expect(booking.status).toBe("CONFIRMED");
+        });
+
+        // Check that bookings are ordered by date (desc)
+        const dates = response.body.map((booking) => new Date(booking.date));
+        expect(dates[0].getTime()).toBeGreaterThan(dates[1].getTime());
+      });
+
+      it("should return contact and payment details of bookings", async () => {
+        const response = await request(app)
+          .get("/bookings")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        const booking = response.body.find(
+          (entry) => entry.location === "Test Location 1, Helsinki"
+        );
+        expect(booking).toMatchObject({
+          city: "HELSINKI",
+          streetAddress: "Test Location 1",
+          postalCode: "00100",
+          phoneNumber: "+358501234567",
+          paymentMethod: "MOBILEPAY",
+        });
+      });
+
+      it("should return 401 when not authenticated", async () => {
+        const response = await request(app).get("/bookings").expect(401);
+
+        expect(response.body.error).toBe("Authentication required");
+      });
+
+      it("should return empty array when user has no bookings", async () => {
+        // Delete all bookings for the test user
+        await testPrisma.booking.deleteMany({
+          where: { userId: testUser.id },
+        });
+
+        const response = await request(app)
+          .get("/bookings")
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        expect(Array.isArray(response.body)).toBe(true);
+        expect(response.body).toHaveLength(0);
+      });
+    });
+
+    describe("PATCH /bookings/:id", () => {
+      let testBooking;
+      let bookingDate;
+
+      beforeEach(async () => {
+        bookingDate = getBookableDate();
+        testBooking = await testPrisma.booking.create({
+          data: {
+            userId: testUser.id,
+            date: new Date(bookingDate),
+            timeSlot: "09:00 - 11:00",
+            location: "Testikatu 1, 00100, Helsinki",
+            status: "CONFIRMED",
+            city: "HELSINKI",
+            streetAddress: "Testikatu 1",
+            postalCode: "00100",
+            phoneNumber: "+358501234567",
+            paymentMethod: "CARD",
+          },
+        });
+      });
+
+      it("should move booking to another time slot", async () => {
+        const response = await request(app)
+          .patch(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ timeSlot: "13:00 - 15:00" })
+          .expect(200);
+
+        expect(response.body.timeSlot).toBe("13:00 - 15:00");
+        expect(response.body.date).toBe(bookingDate);
+
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: testBooking.id },
+        });
+        expect(bookingInDb.timeSlot).toBe("13:00 - 15:00");
+      });
+
+      it("should update address and phone number", async () => {
+        const response = await request(app)
+          .patch(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ address: "Uusikatu 5 B 7, 00200", phoneNumber: "0401234567" })
+          .expect(200);
+
+        expect(response.body.location).toBe("Uusikatu 5 B 7, 00200, Helsinki");
+        expect(response.body.streetAddress).toBe("Uusikatu 5 B 7");
+        expect(response.body.postalCode).toBe("00200");
+        expect(response.body.phoneNumber).toBe("0401234567");
+      });
+
+      it("should allow keeping the booking in its own slot", async () => {
+        await request(app)
+          .patch(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ date: bookingDate, timeSlot: "09:00 - 11:00" })
+          .expect(200);
+      });
+
+      it("should return 409 with alternatives when the new slot is full", async () => {
+        await testPrisma.booking.create({
+          data: {
+            userId: testUser.id,
+            date: new Date(bookingDate),
+            timeSlot: "11:00 - 13:00",
+            location: "Other Location, Helsinki",
+            status: "CONFIRMED",
+          },
+        });
+
+        const response = await request(app)
+          .patch(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ timeSlot: "11:00 - 13:00" })
+          .expect(409);
+
+        expect(response.body.error).toBe("Selected time slot is fully booked");
+        expect(Array.isArray(response.body.alternatives)).toBe(true);
+
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: testBooking.id },
+        });
+        expect(bookingInDb.timeSlot).toBe("09:00 - 11:00");
+      });
+
+      it("should return 400 when booking is too close to change", async () => {
+        const soonBooking = await testPrisma.booking.create({
+          data: {
+            userId: testUser.id,
+            date: new Date(Date.now() + 2 * 60 * 60 * 1000),
+            timeSlot: null,
+            location: "Testikatu 1, Helsinki",
+            status: "CONFIRMED",
+          },
+        });
+
+        const response = await request(app)
+          .patch(`/bookings/${soonBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ phoneNumber: "0401234567" })
+          .expect(400);
+
+        expect(response.body.error).toBe(
+          "Bookings can't be changed later than 24 hours before the time slot"
+        );
+      });
+
+      it("should return field errors for invalid changes", async () => {
+        const response = await request(app)
+          .patch(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ timeSlot: "08:00 - 10:00" })
+          .expect(400);
+
+        expect(response.body.error).toBe("Invalid booking data");
+        expect(response.body.errors.timeSlot).toBeDefined();
+      });
+
+      it("should return 400 when nothing is updated", async () => {
+        const response = await request(app)
+          .patch(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({})
+          .expect(400);
+
+        expect(response.body.error).toBe("No fields to update");
+      });
+
+      it("should return 400 for a cancelled booking", async () => {
+        await testPrisma.booking.update({
+          where: { id: testBooking.id },
+          data: { status: "CANCELLED", cancelledAt: new Date() },
+        });
+
+        const response = await request(app)
+          .patch(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ timeSlot: "13:00 - 15:00" })
+          .expect(400);
+
+        expect(response.body.error).toBe("Cancelled bookings can't be changed");
+      });
+
+      it("should return 404 for another user's booking", async () => {
+        const otherUserData = {
+          email: `other-${Math.random().toString(36).substring(7)}@example.com`,
+          password: "testpassword123",
+          fullName: "Other User",
+        };
+        await request(app).post("/users/register").send(otherUserData);
+        const otherUser = await testPrisma.user.findUnique({
+          where: { email: otherUserData.email },
+        });
+        const otherBooking = await testPrisma.booking.create({
+          data: {
+            userId: otherUser.id,
+            date: new Date(bookingDate),
+            timeSlot: "15:00 - 17:00",
+            location: "Other Location, Helsinki",
+            status: "CONFIRMED",
+          },
+        });
+
+        const response = await request(app)
+          .patch(`/bookings/${otherBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ timeSlot: "13:00 - 15:00" })
+          .expect(404);
+
+        expect(response.body.error).toBe("Booking not found");
+      });
+
+      it("should return 401 when not authenticated", async () => {
+        const response = await request(app)
+          .patch(`/bookings/${testBooking.id}`)
+          .send({ timeSlot: "13:00 - 15:00" })
+          .expect(401);
+
+        expect(response.body.error).toBe("Authentication required");
+      });
+    });
+
+    describe("DELETE /bookings/:id", () => {
+      let testBooking;
+
+      beforeEach(async () => {
+        // Create a test booking
+        testBooking = await testPrisma.booking.create({
+          data: {
+            userId: testUser.id,
+            date: new Date(getBookableDate()),
+            timeSlot: "09:00 - 11:00",
+            location: "Test Location, Helsinki",
+            status: "CONFIRMED",
+          },
+        });
+      });
+
+      it("should cancel booking when authenticated and owns booking", async () => {
+        const response = await request(app)
+          .delete(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .send({ reason: "Plans changed" })
+          .expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.message).toBe("Booking cancelled successfully");
+        expect(response.body.booking.status).toBe("CANCELLED");
+
+        // Verify booking is kept as cancelled in the database
+        const cancelledBooking = await testPrisma.booking.findUnique({
+          where: { id: testBooking.id },
+        });
+
+        expect(cancelledBooking.status).toBe("CANCELLED");
+        expect(cancelledBooking.cancelledAt).toBeInstanceOf(Date);
+        expect(cancelledBooking.cancellationReason).toBe("Plans changed");
+
+        // Cancellation email with the reason
+        const [cancellationMail] = getSentMails("Varaus peruttu");
+        expect(cancellationMail.to).toBe(testUser.email);
+        expect(cancellationMail.text).toContain("Syy: Plans changed");
+      });
+
+      it("should cancel booking without a reason", async () => {
+        const response = await request(app)
+          .delete(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        expect(response.body.booking.cancellationReason).toBeNull();
+      });
+
+      it("should free the time slot of a cancelled booking", async () => {
+        await request(app)
+          .delete(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        const day = toDayKey(testBooking.date);
+        const response = await request(app)
+          .get(`/availability?from=${day}&to=${day}`)
+          .expect(200);
+
+        const labels = response.body.dates[0].availableSlots.map(
+          (slot) => slot.label
+        );
+        expect(labels).toContain("09:00 - 11:00");
+      });
+
+      it("should return 400 when booking is already cancelled", async () => {
+        await request(app)
+          .delete(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(200);
+
+        const response = await request(app)
+          .delete(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(400);
+
+        expect(response.body.error).toBe("Booking is already cancelled");
+      });
+
+      it("should return 400 when booking is completed", async () => {
+        await testPrisma.booking.update({
+          where: { id: testBooking.id },
+          data: { status: "COMPLETED" },
+        });
+
+        const response = await request(app)
+          .delete(`/bookings/${testBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(400);
+
+        expect(response.body.error).toBe(
+          "Completed bookings can't be cancelled"
+        );
+      });
+
+      it("should return 400 when booking is too close to cancel", async () => {
+        const soonBooking = await testPrisma.booking.create({
+          data: {
+            userId: testUser.id,
+            date: new Date(Date.now() + 2 * 60 * 60 * 1000),
+            location: "Test Location, Helsinki",
+            status: "CONFIRMED",
+          },
+        });
+
+        const response = await request(app)
+          .delete(`/bookings/${soonBooking.id}`)
+          .set("Cookie", authCookie || "")
+          .expect(400);
+
+        expect(response.body.error).toBe(
+          "Bookings can't be cancelled later than 24 hours before the time slot"
+        );
+
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: soonBooking.id },
+        });
+        expect(bookingInDb.status).toBe("CONFIRMED");
+      });
+
+      it("should return 401 when not authenticated", async () => {
+        const response = await request(app)
+          .delete(`/bookings/${testBooking.id}`)
+          .expect(401);
+
+        expect(response.body.error).toBe("Authentication required");
+
+        // Verify booking still exists
         const stillExists = await testPrisma.booking.findUnique({
           where: { id: testBooking.id },
         });
@@ -668,6 +3051,556 @@ describe("Full API Tests", () => {
       });
     });
   });
+
+  describe("Availability API", () => {
+    describe("GET /availability", () => {
+      it("should return available weekdays without authentication", async () => {
+        const response = await request(app).get("/availability").expect(200);
+
+        expect(response.body.capacity).toBeGreaterThan(0);
+        expect(Array.isArray(response.body.dates)).toBe(true);
+        expect(response.body.dates.length).toBeGreaterThan(0);
+
+        response.body.dates.forEach((entry) => {
+          const weekday = new Date(`${entry.date}T12:00:00.000Z`).getUTCDay();
+          expect(weekday).not.toBe(0);
+          expect(weekday).not.toBe(6);
+          expect(entry.availableSlots).toHaveLength(4);
+        });
+      });
+
+      it("should subtract existing bookings from the slot capacity", async () => {
+        const { body } = await request(app).get("/availability").expect(200);
+        const day = body.dates[0].date;
+
+        const user = await testPrisma.user.create({
+          data: {
+            email: "availability@example.com",
+            passwordHash: "not-a-real-hash",
+          },
+        });
+
+        // Fill the first slot of the day up to its capacity
+        await testPrisma.booking.createMany({
+          data: Array.from({ length: body.capacity }, () => ({
+            userId: user.id,
+            date: zonedTimeToUtc(day, "09:00"),
+            timeSlot: "09:00 - 11:00",
+            location: "Esimerkkitie 123, Helsinki",
+            status: "CONFIRMED",
+          })),
+        });
+
+        const response = await request(app)
+          .get(`/availability?from=${day}&to=${day}`)
+          .expect(200);
+
+        expect(response.body.dates).toHaveLength(1);
+        const labels = response.body.dates[0].availableSlots.map(
+          (slot) => slot.label
+        );
+        expect(labels).not.toContain("09:00 - 11:00");
+        expect(labels).toHaveLength(3);
+      });
+    });
+  });
+
+  describe("Services API", () => {
+    describe("GET /services", () => {
+      it("should list the service tiers without authentication", async () => {
+        const response = await request(app).get("/services").expect(200);
+
+        expect(response.body.map((service) => service.slug)).toEqual([
+          "basic",
+          "premium",
+        ]);
+
+        const [basic] = response.body;
+        expect(basic.name).toEqual({ fi: "Wocuuming", en: "Wocuuming" });
+        expect(basic.tasks.fi).toContain("Imurointi");
+        expect(basic.tasks.en).toContain("Vacuuming");
+        expect(basic.priceCents).toBe(4900);
+        expect(basic.vatRate).toBe(25.5);
+        expect(basic.durationMinutes).toBe(120);
+      });
+
+      it("should hide inactive service tiers", async () => {
+        await testPrisma.service.update({
+          where: { slug: "premium" },
+          data: { active: false },
+        });
+
+        try {
+          const response = await request(app).get("/services").expect(200);
+          expect(response.body.map((service) => service.slug)).toEqual([
+            "basic",
+          ]);
+        } finally {
+          await testPrisma.service.update({
+            where: { slug: "premium" },
+            data: { active: true },
+          });
+        }
+      });
+    });
+
+    describe("GET /services/add-ons", () => {
+      it("should list the add-ons without authentication", async () => {
+        const response = await request(app)
+          .get("/services/add-ons")
+          .expect(200);
+
+        expect(response.body.map((addOn) => addOn.slug)).toEqual([
+          "pet-hair",
+          "seat-shampoo",
+          "odour-removal",
+        ]);
+        expect(response.body[0]).toMatchObject({
+          name: { fi: "Lemmikin karvojen poisto", en: "Pet hair removal" },
+          priceCents: 1500,
+          vatRate: 25.5,
+        });
+      });
+    });
+  });
+
+  describe("Admin API", () => {
+    let adminCookie;
+    let userCookie;
+    let customer;
+
+    // Register a user, optionally promote to admin, and return the session cookie
+    const loginAs = async (email, role = "USER") => {
+      const userData = {
+        email,
+        password: "testpassword123",
+        fullName: "Admin Test User",
+      };
+      await request(app).post("/users/register").send(userData).expect(201);
+
+      if (role !== "USER") {
+        await testPrisma.user.update({ where: { email }, data: { role } });
+      }
+
+      const loginResponse = await request(app)
+        .post("/users/login")
+        .send({ email, password: userData.password })
+        .expect(200);
+
+      return loginResponse.headers["set-cookie"]?.[0] || "";
+    };
+
+    const createBooking = (data) =>
+      testPrisma.booking.create({
+        data: {
+          userId: customer.id,
+          timeSlot: "09:00 - 11:00",
+          location: "Testikatu 1, Helsinki",
+          city: "HELSINKI",
+          status: "CONFIRMED",
+          ...data,
+        },
+      });
+
+    beforeEach(async () => {
+      const suffix = Math.random().toString(36).substring(7);
+      adminCookie = await loginAs(`admin-${suffix}@example.com`, "ADMIN");
+      userCookie = await loginAs(`customer-${suffix}@example.com`);
+      customer = await testPrisma.user.findUnique({
+        where: { email: `customer-${suffix}@example.com` },
+      });
+    });
+
+    describe("GET /admin/bookings", () => {
+      it("should return 401 when not authenticated", async () => {
+        await request(app).get("/admin/bookings").expect(401);
+      });
+
+      it("should return 403 for a regular user", async () => {
+        const response = await request(app)
+          .get("/admin/bookings")
+          .set("Cookie", userCookie)
+          .expect(403);
+
+        expect(response.body.error).toBe("Insufficient permissions");
+      });
+
+      it("should list all customers' bookings in date order without drafts", async () => {
+        await createBooking({ date: zonedTimeToUtc("2025-10-08", "11:00") });
+        await createBooking({ date: zonedTimeToUtc("2025-10-07", "09:00") });
+        await createBooking({
+          date: zonedTimeToUtc("2025-10-07", "13:00"),
+          status: "DRAFT",
+          location: null,
+        });
+
+        const response = await request(app)
+          .get("/admin/bookings")
+          .set("Cookie", adminCookie)
+          .expect(200);
+
+        expect(response.body.bookings).toHaveLength(2);
+        expect(response.body.bookings.map((booking) => booking.date)).toEqual([
+          "2025-10-07T06:00:00.000Z",
+          "2025-10-08T08:00:00.000Z",
+        ]);
+        expect(response.body.bookings[0].user.email).toBe(customer.email);
+        expect(response.body.pagination).toEqual({
+          page: 1,
+          pageSize: 20,
+          total: 2,
+          totalPages: 1,
+        });
+      });
+
+      it("should filter by Helsinki date range, city and status", async () => {
+        // 00:30 Helsinki time on 8.10. is still 7.10. in UTC
+        await createBooking({ date: new Date("2025-10-07T21:30:00.000Z") });
+        await createBooking({
+          date: zonedTimeToUtc("2025-10-08", "09:00"),
+          city: "ESPOO",
+        });
+        await createBooking({
+          date: zonedTimeToUtc("2025-10-08", "11:00"),
+          status: "CANCELLED",
+        });
+        await createBooking({ date: zonedTimeToUtc("2025-10-09", "09:00") });
+
+        const dayResponse = await request(app)
+          .get("/admin/bookings?from=2025-10-08&to=2025-10-08&status=confirmed")
+          .set("Cookie", adminCookie)
+          .expect(200);
+        expect(dayResponse.body.pagination.total).toBe(2);
+
+        const cityResponse = await request(app)
+          .get("/admin/bookings?from=2025-10-08&to=2025-10-08&city=Espoo")
+          .set("Cookie", adminCookie)
+          .expect(200);
+        expect(cityResponse.body.bookings).toHaveLength(1);
+        expect(cityResponse.body.bookings[0].city).toBe("ESPOO");
+      });
+
+      it("should paginate results", async () => {
+        for (const day of ["2025-10-06", "2025-10-07", "2025-10-08"]) {
+          await createBooking({ date: zonedTimeToUtc(day, "09:00") });
+        }
+
+        const response = await request(app)
+          .get("/admin/bookings?page=2&pageSize=2")
+          .set("Cookie", adminCookie)
+          .expect(200);
+
+        expect(response.body.bookings).toHaveLength(1);
+        expect(response.body.pagination).toEqual({
+          page: 2,
+          pageSize: 2,
+          total: 3,
+          totalPages: 2,
+        });
+      });
+
+      it("should return field errors for invalid filters", async () => {
+        const response = await request(app)
+          .get("/admin/bookings?from=2025-10-09&to=2025-10-01&city=Tampere")
+          .set("Cookie", adminCookie)
+          .expect(400);
+
+        expect(response.body.error).toBe("Invalid filters");
+        expect(response.body.errors.city).toHaveLength(1);
+        expect(response.body.errors.to).toEqual([
+          "Start date must be before end date",
+        ]);
+      });
+    });
+
+    describe("PATCH /admin/bookings/:id/status", () => {
+      it("should mark a booking completed", async () => {
+        const booking = await createBooking({
+          date: zonedTimeToUtc("2025-10-07", "09:00"),
+        });
+
+        const response = await request(app)
+          .patch(`/admin/bookings/${booking.id}/status`)
+          .set("Cookie", adminCookie)
+          .send({ status: "completed" })
+          .expect(200);
+
+        expect(response.body.status).toBe("COMPLETED");
+        expect(response.body.user.email).toBe(customer.email);
+      });
+
+      it("should cancel a booking regardless of the cutoff", async () => {
+        const booking = await createBooking({ date: new Date() });
+
+        const response = await request(app)
+          .patch(`/admin/bookings/${booking.id}/status`)
+          .set("Cookie", adminCookie)
+          .send({ status: "CANCELLED", reason: "Crew is sick" })
+          .expect(200);
+
+        expect(response.body.status).toBe("CANCELLED");
+        expect(response.body.cancellationReason).toBe("Crew is sick");
+        expect(response.body.cancelledAt).toBeTruthy();
+      });
+
+      it("should expire the pending payment of a cancelled unpaid booking", async () => {
+        const payment = await testPrisma.payment.create({
+          data: {
+            userId: customer.id,
+            method: "CARD",
+            amountCents: 4900,
+            provider: "mock",
+          },
+        });
+        const booking = await createBooking({
+          date: new Date(getBookableDate()),
+          status: "PENDING_PAYMENT",
+          holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
+          paymentId: payment.id,
+        });
+
+        await request(app)
+          .patch(`/admin/bookings/${booking.id}/status`)
+          .set("Cookie", adminCookie)
+          .send({ status: "CANCELLED" })
+          .expect(200);
+
+        const bookingInDb = await testPrisma.booking.findUnique({
+          where: { id: booking.id },
+          include: { payment: true },
+        });
+        expect(bookingInDb.status).toBe("CANCELLED");
+        expect(bookingInDb.holdExpiresAt).toBeNull();
+        expect(bookingInDb.payment.status).toBe("EXPIRED");
+      });
+
+      it("should return 409 when restoring a booking whose slot was taken", async () => {
+        const date = new Date(getBookableDate());
+        const cancelled = await createBooking({
+          date,
+          status: "CANCELLED",
+          cancelledAt: new Date(),
+        });
+        await createBooking({ date });
+
+        const response = await request(app)
+          .patch(`/admin/bookings/${cancelled.id}/status`)
+          .set("Cookie", adminCookie)
+          .send({ status: "CONFIRMED" })
+          .expect(409);
+
+        expect(response.body.error).toBe("Selected time slot is fully booked");
+      });
+
+      it("should reject invalid and unchanged statuses", async () => {
+        const booking = await createBooking({
+          date: zonedTimeToUtc("2025-10-07", "09:00"),
+        });
+
+        await request(app)
+          .patch(`/admin/bookings/${booking.id}/status`)
+          .set("Cookie", adminCookie)
+          .send({ status: "DRAFT" })
+          .expect(400);
+
+        const response = await request(app)
+          .patch(`/admin/bookings/${booking.id}/status`)
+          .set("Cookie", adminCookie)
+          .send({ status: "CONFIRMED" })
+          .expect(400);
+        expect(response.body.error).toBe("Booking is already confirmed");
+      });
+
+      it("should return 403 for a regular user", async () => {
+        const booking = await createBooking({
+          date: zonedTimeToUtc("2025-10-07", "09:00"),
+        });
+
+        await request(app)
+          .patch(`/admin/bookings/${booking.id}/status`)
+          .set("Cookie", userCookie)
+          .send({ status: "COMPLETED" })
+          .expect(403);
+      });
+
+      it("should return 404 when booking doesn't exist", async () => {
+        await request(app)
+          .patch("/admin/bookings/non-existent-id/status")
+          .set("Cookie", adminCookie)
+          .send({ status: "COMPLETED" })
+          .expect(404);
+      });
+    });
+
+    describe("Invoices", () => {
+      const createInvoice = async (data) => {
+        const booking = await createBooking({
+          date: zonedTimeToUtc("2025-10-07", "09:00"),
+          paymentMethod: "BANK",
+          totalCents: 4900,
+        });
+
+        return testPrisma.invoice.create({
+          data: {
+            userId: customer.id,
+            amountCents: 4900,
+            netCents: 3904,
+            vatCents: 996,
+            vatBreakdown: [],
+            bookings: { connect: [{ id: booking.id }] },
+            ...data,
+          },
+        });
+      };
+
+      it("should list invoices with their paid status", async () => {
+        await createInvoice({
+          number: 1000,
+          referenceNumber: getReferenceNumber(1000),
+          dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+        });
+        await createInvoice({
+          number: 1001,
+          referenceNumber: getReferenceNumber(1001),
+          dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+          status: "PAID",
+          paidAt: new Date(),
+        });
+
+        const response = await request(app)
+          .get("/admin/invoices")
+          .set("Cookie", adminCookie)
+          .expect(200);
+
+        expect(
+          response.body.invoices.map((invoice) => [
+            invoice.number,
+            invoice.status,
+            invoice.overdue,
+          ])
+        ).toEqual([
+          [1001, "PAID", false],
+          [1000, "UNPAID", true],
+        ]);
+        expect(response.body.invoices[0].user.email).toBe(customer.email);
+
+        const unpaid = await request(app)
+          .get("/admin/invoices?status=unpaid")
+          .set("Cookie", adminCookie)
+          .expect(200);
+        expect(unpaid.body.pagination.total).toBe(1);
+
+        await request(app)
+          .get("/admin/invoices")
+          .set("Cookie", userCookie)
+          .expect(403);
+      });
+
+      it("should mark an invoice paid", async () => {
+        const invoice = await createInvoice({
+          number: 1000,
+          referenceNumber: getReferenceNumber(1000),
+          dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        });
+
+        const response = await request(app)
+          .patch(`/admin/invoices/${invoice.id}/status`)
+          .set("Cookie", adminCookie)
+          .send({ status: "paid" })
+          .expect(200);
+
+        expect(response.body.status).toBe("PAID");
+        expect(response.body.paidAt).not.toBeNull();
+
+        await request(app)
+          .patch(`/admin/invoices/${invoice.id}/status`)
+          .set("Cookie", adminCookie)
+          .send({ status: "PAID" })
+          .expect(400);
+
+        // Admins can download any customer's invoice
+        await request(app)
+          .get(`/invoices/${invoice.id}/pdf`)
+          .set("Cookie", adminCookie)
+          .expect(200);
+      });
+    });
+
+    describe("GET /admin/route-sheet", () => {
+      beforeEach(async () => {
+        await createBooking({
+          date: zonedTimeToUtc("2025-10-07", "13:00"),
+          timeSlot: "13:00 - 15:00",
+          streetAddress: "Testikatu 1",
+          postalCode: "00100",
+          phoneNumber: "+358501234567",
+          paymentMethod: "CASH",
+          notes: "Door code 1234",
+        });
+        await createBooking({
+          date: zonedTimeToUtc("2025-10-07", "09:00"),
+          city: "ESPOO",
+          streetAddress: "Esimerkkitie 5",
+          postalCode: "02100",
+          paymentMethod: "CARD",
+        });
+        await createBooking({
+          date: zonedTimeToUtc("2025-10-07", "11:00"),
+          timeSlot: "11:00 - 13:00",
+          status: "CANCELLED",
+        });
+        await createBooking({ date: zonedTimeToUtc("2025-10-08", "09:00") });
+      });
+
+      it("should export the day's confirmed bookings as CSV", async () => {
+        const response = await request(app)
+          .get("/admin/route-sheet?date=2025-10-07&format=csv")
+          .set("Cookie", adminCookie)
+          .expect(200);
+
+        expect(response.headers["content-type"]).toContain("text/csv");
+        expect(response.headers["content-disposition"]).toContain(
+          "route-sheet-2025-10-07.csv"
+        );
+
+        const lines = response.text.trim().split("\r\n");
+        expect(lines).toHaveLength(3);
+        expect(lines[1]).toContain('"Esimerkkitie 5, 02100"');
+        expect(lines[2]).toContain('"Door code 1234"');
+        expect(lines[2]).toContain('"Cash"');
+      });
+
+      it("should return a printable HTML sheet by default", async () => {
+        const response = await request(app)
+          .get("/admin/route-sheet?date=2025-10-07")
+          .set("Cookie", adminCookie)
+          .expect(200);
+
+        expect(response.headers["content-type"]).toContain("text/html");
+        expect(response.text).toContain("Route sheet 2025-10-07 (2 jobs)");
+        expect(response.text).toContain("Testikatu 1, 00100");
+      });
+
+      it("should require a valid date", async () => {
+        const response = await request(app)
+          .get("/admin/route-sheet?format=pdf")
+          .set("Cookie", adminCookie)
+          .expect(400);
+
+        expect(response.body.errors.date).toHaveLength(1);
+        expect(response.body.errors.format).toEqual([
+          "Format must be html or csv",
+        ]);
+      });
+
+      it("should return 403 for a regular user", async () => {
+        await request(app)
+          .get("/admin/route-sheet?date=2025-10-07")
+          .set("Cookie", userCookie)
+          .expect(403);
+      });
+    });
+  });
 });
 
 // Cleanup after all tests
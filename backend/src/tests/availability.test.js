@@ -0,0 +1,259 @@
+/**
+ * Tests for booking availability and time zone utilities
+ */
+
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { TIME_SLOTS } from "../utils/bookingRules.js";
+import {
+  buildAvailability,
+  getSlotCapacity,
+  getHoldMinutes,
+  occupiesSlotWhere,
+  resolveAvailabilityRange,
+  reserveSlot,
+  SlotUnavailableError,
+} from "../utils/availability.js";
+import {
+  toDayKey,
+  toZonedTime,
+  addDays,
+  getWeekday,
+  isDayKey,
+  zonedTimeToUtc,
+  getDayBounds,
+} from "../utils/time.js";
+import {
+  cleanupExpiredDrafts,
+  cancelUnpaidBookings,
+} from "../utils/draftCleanup.js";
+
+describe("Time zone utilities", () => {
+  it("should resolve the Helsinki calendar day of a UTC timestamp", () => {
+    // 22:30 UTC is already the next day in Helsinki (UTC+3 in summer)
+    expect(toDayKey(new Date("2025-06-10T22:30:00.000Z"))).toBe("2025-06-11");
+    expect(toDayKey(new Date("2025-12-10T21:59:00.000Z"))).toBe("2025-12-10");
+    expect(toZonedTime("2025-06-10T22:30:00.000Z")).toBe("01:30");
+  });
+
+  it("should convert Helsinki wall clock time to UTC across DST", () => {
+    expect(zonedTimeToUtc("2025-06-11", "09:00").toISOString()).toBe(
+      "2025-06-11T06:00:00.000Z"
+    );
+    expect(zonedTimeToUtc("2025-12-11", "09:00").toISOString()).toBe(
+      "2025-12-11T07:00:00.000Z"
+    );
+    // DST starts on 30.3.2025 at 03:00 local time
+    expect(zonedTimeToUtc("2025-03-31", "09:00").toISOString()).toBe(
+      "2025-03-31T06:00:00.000Z"
+    );
+  });
+
+  it("should return day bounds covering a whole Helsinki day", () => {
+    const { start, end } = getDayBounds("2025-10-26");
+    // DST ends on 26.10.2025, the day is 25 hours long
+    expect(start.toISOString()).toBe("2025-10-25T21:00:00.000Z");
+    expect(end.toISOString()).toBe("2025-10-26T22:00:00.000Z");
+  });
+
+  it("should do day arithmetic on day keys", () => {
+    expect(addDays("2025-12-30", 3)).toBe("2026-01-02");
+    expect(getWeekday("2025-09-15")).toBe(1); // Monday
+    expect(isDayKey("2025-02-29")).toBe(false);
+    expect(isDayKey("2024-02-29")).toBe(true);
+    expect(isDayKey("tomorrow")).toBe(false);
+  });
+});
+
+describe("Availability", () => {
+  const originalCapacity = process.env.BOOKING_SLOT_CAPACITY;
+  const originalHoldMinutes = process.env.BOOKING_HOLD_MINUTES;
+
+  afterEach(() => {
+    if (originalCapacity === undefined) {
+      delete process.env.BOOKING_SLOT_CAPACITY;
+    } else {
+      process.env.BOOKING_SLOT_CAPACITY = originalCapacity;
+    }
+
+    if (originalHoldMinutes === undefined) {
+      delete process.env.BOOKING_HOLD_MINUTES;
+    } else {
+      process.env.BOOKING_HOLD_MINUTES = originalHoldMinutes;
+    }
+  });
+
+  it("should read slot capacity from the environment", () => {
+    process.env.BOOKING_SLOT_CAPACITY = "3";
+    expect(getSlotCapacity()).toBe(3);
+
+    process.env.BOOKING_SLOT_CAPACITY = "not-a-number";
+    expect(getSlotCapacity()).toBe(1);
+  });
+
+  it("should read draft hold minutes from the environment", () => {
+    delete process.env.BOOKING_HOLD_MINUTES;
+    expect(getHoldMinutes()).toBe(15);
+
+    process.env.BOOKING_HOLD_MINUTES = "5";
+    expect(getHoldMinutes()).toBe(5);
+  });
+
+  it("should count only drafts and unpaid bookings with an active hold as occupying a slot", () => {
+    const now = new Date("2025-09-15T10:00:00.000Z");
+
+    expect(occupiesSlotWhere(now)).toEqual({
+      status: { notIn: ["CANCELLED"] },
+      OR: [
+        { status: { notIn: ["DRAFT", "PENDING_PAYMENT"] } },
+        { holdExpiresAt: { gt: now } },
+      ],
+    });
+  });
+
+  it("should limit the requested range to the booking window", () => {
+    const now = new Date("2025-09-15T10:00:00.000Z");
+
+    expect(resolveAvailabilityRange({}, now)).toEqual({
+      from: "2025-09-17",
+      to: "2025-10-16",
+    });
+    expect(
+      resolveAvailabilityRange({ from: "2025-09-01", to: "2025-09-20" }, now)
+    ).toEqual({ from: "2025-09-17", to: "2025-09-20" });
+    expect(
+      resolveAvailabilityRange({ from: "2025-12-01", to: "2025-12-05" }, now)
+    ).toBeNull();
+  });
+
+  it("should only include weekdays", () => {
+    // 19.9.2025 is a Friday, 22.9.2025 a Monday
+    const dates = buildAvailability({
+      from: "2025-09-19",
+      to: "2025-09-22",
+      bookings: [],
+      capacity: 1,
+    });
+
+    expect(dates.map((entry) => entry.date)).toEqual([
+      "2025-09-19",
+      "2025-09-22",
+    ]);
+    expect(dates[0].availableSlots).toHaveLength(TIME_SLOTS.length);
+  });
+
+  it("should subtract existing bookings from slot capacity", () => {
+    const bookings = [
+      { date: new Date("2025-09-19T06:00:00.000Z"), timeSlot: "09:00 - 11:00" },
+      { date: new Date("2025-09-19T06:00:00.000Z"), timeSlot: "09:00 - 11:00" },
+      { date: new Date("2025-09-19T08:00:00.000Z"), timeSlot: "11:00 - 13:00" },
+    ];
+
+    const [friday] = buildAvailability({
+      from: "2025-09-19",
+      to: "2025-09-19",
+      bookings,
+      capacity: 2,
+    });
+
+    expect(friday.availableSlots.map((slot) => slot.label)).toEqual([
+      "11:00 - 13:00",
+      "13:00 - 15:00",
+      "15:00 - 17:00",
+    ]);
+    expect(friday.availableSlots[0].remaining).toBe(1);
+    expect(friday.availableSlots[1].remaining).toBe(2);
+  });
+
+  it("should lock the slot and allow a booking when capacity is left", async () => {
+    const tx = {
+      $executeRaw: vi.fn().mockResolvedValue(1),
+      booking: { count: vi.fn().mockResolvedValue(0) },
+    };
+
+    await expect(
+      reserveSlot(tx, {
+        date: new Date("2025-09-19T06:00:00.000Z"),
+        timeSlot: "09:00 - 11:00",
+      })
+    ).resolves.toBeUndefined();
+
+    expect(tx.$executeRaw).toHaveBeenCalledTimes(1);
+    expect(tx.booking.count.mock.calls[0][0].where.timeSlot).toBe(
+      "09:00 - 11:00"
+    );
+  });
+
+  it("should reject a booking when the slot is full", async () => {
+    const tx = {
+      $executeRaw: vi.fn().mockResolvedValue(1),
+      booking: { count: vi.fn().mockResolvedValue(1) },
+    };
+
+    const reservation = reserveSlot(tx, {
+      date: new Date("2025-09-19T06:00:00.000Z"),
+      timeSlot: "09:00 - 11:00",
+    });
+
+    await expect(reservation).rejects.toBeInstanceOf(SlotUnavailableError);
+    await expect(reservation).rejects.toMatchObject({
+      dayKey: "2025-09-19",
+      timeSlot: "09:00 - 11:00",
+    });
+  });
+});
+
+describe("Draft cleanup", () => {
+  it("should delete drafts whose hold has expired", async () => {
+    const client = {
+      booking: { deleteMany: vi.fn().mockResolvedValue({ count: 2 }) },
+    };
+
+    await cleanupExpiredDrafts(client);
+
+    const { where } = client.booking.deleteMany.mock.calls[0][0];
+    expect(where.status).toBe("DRAFT");
+    expect(where.holdExpiresAt.lt).toBeInstanceOf(Date);
+  });
+
+  it("should not throw when cleanup fails", async () => {
+    const client = {
+      booking: { deleteMany: vi.fn().mockRejectedValue(new Error("down")) },
+    };
+
+    await expect(cleanupExpiredDrafts(client)).resolves.toBeUndefined();
+  });
+
+  it("should cancel unpaid bookings whose hold has expired", async () => {
+    const client = {
+      booking: {
+        findMany: vi.fn().mockResolvedValue([
+          { id: "booking-1", paymentId: "payment-1" },
+          { id: "booking-2", paymentId: "payment-1" },
+        ]),
+        updateMany: vi.fn().mockResolvedValue({ count: 2 }),
+      },
+      payment: { updateMany: vi.fn().mockResolvedValue({ count: 1 }) },
+      $transaction: vi.fn().mockResolvedValue([]),
+    };
+
+    await cancelUnpaidBookings(client);
+
+    expect(client.booking.findMany.mock.calls[0][0].where.status).toBe(
+      "PENDING_PAYMENT"
+    );
+    expect(client.booking.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: { in: ["booking-1", "booking-2"] },
+        status: "PENDING_PAYMENT",
+      },
+      data: expect.objectContaining({
+        status: "CANCELLED",
+        cancellationReason: "Payment not completed",
+      }),
+    });
+    expect(client.payment.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ["payment-1"] }, status: "PENDING" },
+      data: { status: "EXPIRED" },
+    });
+  });
+});
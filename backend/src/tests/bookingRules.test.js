@@ -0,0 +1,230 @@
+/**
+ * Tests for booking business rules
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  createBookingSchema,
+  getFieldErrors,
+  isWithinBookingWindow,
+  isWeekday,
+  parseAddress,
+  isBeforeCutoff,
+  cancelBookingSchema,
+  CHANGE_CUTOFF_HOURS,
+  updateBookingSchema,
+  createSeriesSchema,
+  getSeriesDayKeys,
+  toSlotTimes,
+} from "../utils/bookingRules.js";
+import {
+  toDayKey,
+  addDays,
+  getWeekday,
+  zonedTimeToUtc,
+} from "../utils/time.js";
+
+// First weekday at least 3 days ahead
+const getBookableDayKey = () => {
+  let dayKey = addDays(toDayKey(new Date()), 3);
+  while (getWeekday(dayKey) === 0 || getWeekday(dayKey) === 6) {
+    dayKey = addDays(dayKey, 1);
+  }
+  return dayKey;
+};
+
+const validBooking = {
+  date: zonedTimeToUtc(getBookableDayKey(), "09:00").toISOString(),
+  timeSlot: "09:00 - 11:00",
+  city: "Helsinki",
+  address: "Esimerkkitie 123",
+  phoneNumber: "+358 50 123 4567",
+  paymentMethod: "MobilePay",
+};
+
+describe("Booking rules", () => {
+  it("should check weekdays and the booking window in Helsinki time", () => {
+    const now = new Date("2025-09-15T10:00:00.000Z"); // Monday
+
+    expect(isWeekday("2025-09-19")).toBe(true);
+    expect(isWeekday("2025-09-20")).toBe(false);
+    expect(isWithinBookingWindow("2025-09-16", now)).toBe(false);
+    expect(isWithinBookingWindow("2025-09-17", now)).toBe(true);
+    expect(isWithinBookingWindow("2025-10-16", now)).toBe(true);
+    expect(isWithinBookingWindow("2025-10-17", now)).toBe(false);
+  });
+
+  it("should accept a valid booking and normalize city and payment method", () => {
+    const result = createBookingSchema.safeParse(validBooking);
+
+    expect(result.success).toBe(true);
+    expect(result.data.city).toBe("helsinki");
+    expect(result.data.paymentMethod).toBe("mobilepay");
+  });
+
+  it("should return field-level errors for rule violations", () => {
+    const result = createBookingSchema.safeParse({
+      ...validBooking,
+      date: "not-a-date",
+      timeSlot: "08:00 - 10:00",
+      city: "Tampere",
+      paymentMethod: "bitcoin",
+    });
+
+    expect(result.success).toBe(false);
+
+    const errors = getFieldErrors(result.error);
+    expect(errors.date).toEqual(["Invalid date format"]);
+    expect(errors.timeSlot).toHaveLength(1);
+    expect(errors.city).toEqual([
+      "We only operate in Helsinki, Vantaa and Espoo",
+    ]);
+    expect(errors.paymentMethod).toHaveLength(1);
+    expect(errors.address).toBeUndefined();
+  });
+
+  it("should reject weekend dates", () => {
+    let dayKey = getBookableDayKey();
+    while (getWeekday(dayKey) !== 0) {
+      dayKey = addDays(dayKey, 1);
+    }
+
+    const result = createBookingSchema.safeParse({
+      ...validBooking,
+      date: zonedTimeToUtc(dayKey, "09:00").toISOString(),
+    });
+
+    expect(getFieldErrors(result.error).date).toContain(
+      "Bookings are only available from Monday to Friday"
+    );
+  });
+
+  it("should split postal code from the street address", () => {
+    expect(parseAddress("Testikatu 1 A 2, 00100")).toEqual({
+      streetAddress: "Testikatu 1 A 2",
+      postalCode: "00100",
+    });
+    expect(parseAddress("Esimerkkitie 123")).toEqual({
+      streetAddress: "Esimerkkitie 123",
+      postalCode: null,
+    });
+  });
+
+  it("should only allow changes until the cutoff before the time slot", () => {
+    // 09:00 Helsinki time on 19.9.2025 is 06:00 UTC
+    const booking = {
+      date: new Date("2025-09-19T06:00:00.000Z"),
+      timeSlot: "09:00 - 11:00",
+    };
+
+    expect(
+      isBeforeCutoff(
+        booking,
+        CHANGE_CUTOFF_HOURS,
+        new Date("2025-09-18T06:00:00.000Z")
+      )
+    ).toBe(true);
+    expect(
+      isBeforeCutoff(
+        booking,
+        CHANGE_CUTOFF_HOURS,
+        new Date("2025-09-18T06:00:01.000Z")
+      )
+    ).toBe(false);
+    expect(
+      isBeforeCutoff(booking, 12, new Date("2025-09-18T18:00:00.000Z"))
+    ).toBe(true);
+  });
+
+  it("should store slot times in UTC across DST", () => {
+    // DST starts on 30.3.2025, 09:00 Helsinki time moves from 07:00 to 06:00 UTC
+    const before = toSlotTimes("2025-03-28", "09:00 - 11:00");
+    const after = toSlotTimes("2025-03-31", "09:00 - 11:00");
+
+    expect(before.startsAt.toISOString()).toBe("2025-03-28T07:00:00.000Z");
+    expect(before.endsAt.toISOString()).toBe("2025-03-28T09:00:00.000Z");
+    expect(after.startsAt.toISOString()).toBe("2025-03-31T06:00:00.000Z");
+    expect(after.date).toEqual(after.startsAt);
+
+    // Timestamps are resolved to their Helsinki day
+    expect(
+      toSlotTimes("2025-03-30T21:00:00.000Z", "09:00 - 11:00").startsAt
+    ).toEqual(after.startsAt);
+
+    expect(toSlotTimes("2025-03-31", "Aamupäivä")).toEqual({
+      date: new Date("2025-03-30T21:00:00.000Z"),
+      startsAt: null,
+      endsAt: null,
+    });
+  });
+
+  it("should prefer the stored slot start for the cutoff", () => {
+    const booking = {
+      date: new Date("2025-09-19T06:00:00.000Z"),
+      timeSlot: "Aamupäivä",
+      startsAt: new Date("2025-09-19T10:00:00.000Z"),
+    };
+
+    expect(
+      isBeforeCutoff(booking, 24, new Date("2025-09-18T10:00:00.000Z"))
+    ).toBe(true);
+  });
+
+  it("should accept Helsinki day keys as booking dates", () => {
+    const dayKey = getBookableDayKey();
+
+    expect(
+      createBookingSchema.safeParse({ ...validBooking, date: dayKey }).success
+    ).toBe(true);
+
+    const result = createBookingSchema.safeParse({
+      ...validBooking,
+      date: "2025-02-30",
+    });
+    expect(getFieldErrors(result.error).date).toEqual(["Invalid date format"]);
+  });
+
+  it("should accept an optional cancellation reason", () => {
+    expect(cancelBookingSchema.safeParse({}).success).toBe(true);
+    expect(
+      cancelBookingSchema.safeParse({ reason: "  Plans   changed " }).data
+    ).toEqual({ reason: "Plans changed" });
+    expect(
+      cancelBookingSchema.safeParse({ reason: "x".repeat(501) }).success
+    ).toBe(false);
+  });
+
+  it("should validate only the fields given in an update", () => {
+    expect(
+      updateBookingSchema.safeParse({ phoneNumber: "0401234567" })
+    ).toEqual({ success: true, data: { phoneNumber: "0401234567" } });
+
+    const result = updateBookingSchema.safeParse({ address: "A" });
+    expect(getFieldErrors(result.error).address).toEqual([
+      "Address is too short",
+    ]);
+  });
+
+  it("should generate weekly series days across month boundaries", () => {
+    expect(getSeriesDayKeys("2025-09-23", 3)).toEqual([
+      "2025-09-23",
+      "2025-09-30",
+      "2025-10-07",
+    ]);
+  });
+
+  it("should validate the first date and length of a series", () => {
+    expect(
+      createSeriesSchema.safeParse({ ...validBooking, weeks: 8 }).success
+    ).toBe(true);
+
+    const result = createSeriesSchema.safeParse({
+      ...validBooking,
+      date: "2025-01-01",
+      weeks: 13,
+    });
+    const errors = getFieldErrors(result.error);
+    expect(errors.date).toHaveLength(1);
+    expect(errors.weeks).toEqual(["A series lasts 2 to 12 weeks"]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for calendar invites and the calendar feed
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  createCalendarToken,
+  escapeCalendarText,
+  toBookingCalendar,
+  toCalendarFeed,
+  toCalendarAttachment,
+} from "../utils/calendar.js";
+
+const booking = {
+  id: "booking-1",
+  status: "CONFIRMED",
+  date: new Date("2025-10-07T06:00:00.000Z"),
+  timeSlot: "09:00 - 11:00",
+  streetAddress: "Testikatu 1",
+  postalCode: "00100",
+  city: "HELSINKI",
+  paymentMethod: "CARD",
+  notes: "Ovikoodi 1234",
+  service: { nameFi: "Wocuuming", nameEn: "Wocuuming" },
+  addOns: [{ addOn: { nameFi: "Lemmikkikarvat", nameEn: "Pet hair removal" } }],
+};
+
+const now = new Date("2025-09-20T10:00:00.000Z");
+
+describe("Calendar", () => {
+  it("should put the time slot in Helsinki time", () => {
+    const calendar = toBookingCalendar([booking], "fi", now);
+
+    expect(calendar).toContain("BEGIN:VTIMEZONE\r\nTZID:Europe/Helsinki\r\n");
+    expect(calendar).toContain("UID:booking-1@workday-vacuumers\r\n");
+    expect(calendar).toContain("DTSTAMP:20250920T100000Z\r\n");
+    expect(calendar).toContain(
+      "DTSTART;TZID=Europe/Helsinki:20251007T090000\r\n"
+    );
+    expect(calendar).toContain(
+      "DTEND;TZID=Europe/Helsinki:20251007T110000\r\n"
+    );
+    expect(calendar).toContain("SUMMARY:Workday-Vacuumers: Wocuuming\r\n");
+    expect(calendar).toContain("LOCATION:Testikatu 1\\, 00100 Helsinki\r\n");
+    expect(calendar).toContain("STATUS:CONFIRMED\r\n");
+    expect(calendar).toContain("METHOD:PUBLISH\r\n");
+    expect(calendar).toContain("SEQUENCE:0\r\n");
+    expect(calendar).not.toContain("LAST-MODIFIED");
+    expect(calendar).not.toContain("ORGANIZER");
+    expect(calendar).not.toContain("X-WR-CALNAME");
+    expect(calendar.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+
+  it("should use the stored slot times when the booking has them", () => {
+    const calendar = toBookingCalendar(
+      [
+        {
+          ...booking,
+          timeSlot: "Aamupäivä",
+          startsAt: new Date("2025-03-31T06:00:00.000Z"),
+          endsAt: new Date("2025-03-31T08:00:00.000Z"),
+        },
+      ],
+      "fi",
+      now
+    );
+
+    expect(calendar).toContain(
+      "DTSTART;TZID=Europe/Helsinki:20250331T090000\r\n"
+    );
+    expect(calendar).toContain(
+      "DTEND;TZID=Europe/Helsinki:20250331T110000\r\n"
+    );
+  });
+
+  it("should describe the booking in the user's language", () => {
+    const fi = toBookingCalendar([booking], "fi", now);
+    const en = toBookingCalendar([booking], "en", now);
+
+    expect(fi).toContain(
+      "DESCRIPTION:Lisäpalvelut: Lemmikkikarvat\\nMaksutapa: Kortti\\nLisätiedot:"
+    );
+    expect(en).toContain(
+      "DESCRIPTION:Add-ons: Pet hair removal\\nPayment: Card\\nNotes: Ovikoodi 1"
+    );
+    expect(toBookingCalendar([booking], "sv", now)).toBe(fi);
+  });
+
+  it("should mark unpaid bookings tentative and cancelled ones cancelled", () => {
+    const feed = toCalendarFeed(
+      [
+        { ...booking, id: "unpaid", status: "PENDING_PAYMENT" },
+        { ...booking, id: "cancelled", status: "CANCELLED" },
+        { ...booking, id: "old", timeSlot: "Aamupäivä" },
+      ],
+      "en",
+      now
+    );
+
+    expect(feed).toContain("X-WR-CALNAME:Workday-Vacuumers bookings\r\n");
+    expect(feed).toContain("REFRESH-INTERVAL;VALUE=DURATION:PT1H\r\n");
+    expect(feed).toMatch(/UID:unpaid@[^]*STATUS:TENTATIVE/);
+    expect(feed).toMatch(/UID:cancelled@[^]*STATUS:CANCELLED/);
+    // Unknown time slots become all-day events
+    expect(feed).toContain("UID:old@workday-vacuumers\r\n");
+    expect(feed).toContain("DTSTART;VALUE=DATE:20251007\r\n");
+  });
+
+  it("should version the event with the booking's sequence", () => {
+    const calendar = toBookingCalendar(
+      [
+        {
+          ...booking,
+          sequence: 2,
+          updatedAt: new Date("2025-09-02T12:00:30.000Z"),
+        },
+      ],
+      "fi",
+      now
+    );
+
+    expect(calendar).toContain("LAST-MODIFIED:20250902T120030Z\r\n");
+    expect(calendar).toContain("SEQUENCE:2\r\n");
+  });
+
+  it("should send invites as requests and cancellations", () => {
+    const invite = toCalendarAttachment([booking], "fi", {
+      attendee: "user@example.com",
+      now,
+    });
+
+    expect(invite.contentType).toBe(
+      "text/calendar; charset=utf-8; method=REQUEST"
+    );
+    expect(invite.content).toContain("METHOD:REQUEST\r\n");
+    expect(invite.content).toContain("ORGANIZER:mailto:no-reply@localhost\r\n");
+    expect(invite.content).toContain(
+      "ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:user@example.com\r\n"
+    );
+
+    const cancellation = toCalendarAttachment(
+      [{ ...booking, status: "CANCELLED" }],
+      "fi",
+      { method: "CANCEL", attendee: "user@example.com", now }
+    );
+
+    expect(cancellation.contentType).toBe(
+      "text/calendar; charset=utf-8; method=CANCEL"
+    );
+    expect(cancellation.content).toContain("METHOD:CANCEL\r\n");
+    expect(cancellation.content).toContain("STATUS:CANCELLED\r\n");
+  });
+
+  it("should escape text and fold long lines without splitting characters", () => {
+    expect(escapeCalendarText("a;b,c\\d\ne")).toBe("a\\;b\\,c\\\\d\\ne");
+
+    const calendar = toBookingCalendar(
+      [{ ...booking, notes: "ä".repeat(100) }],
+      "fi",
+      now
+    );
+    const lines = calendar.split("\r\n");
+
+    lines.forEach((line) =>
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75)
+    );
+    expect(lines.some((line) => line.startsWith(" ä"))).toBe(true);
+    expect(calendar.replace(/\r\n /g, "")).toContain(
+      `Lisätiedot: ${"ä".repeat(100)}`
+    );
+  });
+
+  it("should create random calendar tokens", () => {
+    const token = createCalendarToken();
+
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(createCalendarToken()).not.toBe(token);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests for discount code rules, price quotes and booking receipts
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import {
+  findApplicableDiscount,
+  reserveDiscount,
+  DiscountCodeError,
+} from "../utils/discounts.js";
+import {
+  buildQuote,
+  getDiscountCents,
+  toQuoteData,
+  toReceipt,
+} from "../utils/pricing.js";
+
+const service = {
+  id: "service-basic",
+  slug: "basic",
+  nameFi: "Wocuuming",
+  nameEn: "Wocuuming",
+  priceCents: 4900,
+  vatRate: 25.5,
+};
+
+const petHair = {
+  id: "addon-pet-hair",
+  slug: "pet-hair",
+  nameFi: "Lemmikin karvojen poisto",
+  nameEn: "Pet hair removal",
+  priceCents: 1500,
+  vatRate: 25.5,
+};
+
+const discountCode = {
+  id: "discount-1",
+  code: "ENSIPESU",
+  type: "FIXED",
+  value: 2000,
+  validFrom: null,
+  validUntil: null,
+  maxUses: null,
+  maxUsesPerUser: null,
+  firstBookingOnly: false,
+  active: true,
+};
+
+// Prisma stub returning the given code and booking count
+const createPrisma = (discount, bookingCount = 0) => ({
+  $executeRaw: vi.fn().mockResolvedValue(1),
+  discountCode: { findUnique: vi.fn().mockResolvedValue(discount) },
+  booking: { count: vi.fn().mockResolvedValue(bookingCount) },
+});
+
+const now = new Date("2025-10-07T09:00:00.000Z");
+
+describe("Discount amount", () => {
+  it("should take a percentage or a fixed amount off the price", () => {
+    expect(getDiscountCents({ type: "PERCENTAGE", value: 15 }, 4900)).toBe(735);
+    expect(getDiscountCents({ type: "FIXED", value: 2000 }, 4900)).toBe(2000);
+  });
+
+  it("should never discount more than the price", () => {
+    expect(getDiscountCents({ type: "FIXED", value: 9900 }, 4900)).toBe(4900);
+    expect(getDiscountCents({ type: "PERCENTAGE", value: 100 }, 4900)).toBe(
+      4900
+    );
+  });
+});
+
+describe("Price quote", () => {
+  it("should list the service and add-ons with VAT", () => {
+    const quote = buildQuote({ service, addOns: [petHair] });
+
+    expect(quote.lines.map((line) => [line.type, line.slug])).toEqual([
+      ["service", "basic"],
+      ["addOn", "pet-hair"],
+    ]);
+    expect(quote.subtotalCents).toBe(6400);
+    expect(quote.discount).toBeNull();
+    expect(quote.totalCents).toBe(6400);
+    // 25.5 % VAT included in 64,00 €
+    expect(quote.vatCents).toBe(1300);
+    expect(quote.netCents).toBe(5100);
+  });
+
+  it("should apply the discount before calculating VAT", () => {
+    const quote = buildQuote({ service, discount: discountCode });
+
+    expect(quote.discount).toEqual({
+      code: "ENSIPESU",
+      type: "FIXED",
+      value: 2000,
+      amountCents: 2000,
+    });
+    expect(quote.totalCents).toBe(2900);
+    expect(quote.vatCents + quote.netCents).toBe(2900);
+    expect(quote.vat).toEqual([
+      { vatRate: 25.5, netCents: 2311, vatCents: 589, grossCents: 2900 },
+    ]);
+  });
+
+  it("should spread the discount over different VAT rates", () => {
+    const quote = buildQuote({
+      service,
+      addOns: [{ ...petHair, vatRate: 14 }],
+      discount: { ...discountCode, type: "PERCENTAGE", value: 10 },
+    });
+
+    expect(quote.totalCents).toBe(5760);
+    expect(quote.vat.map((rate) => [rate.vatRate, rate.grossCents])).toEqual([
+      [25.5, 4410],
+      [14, 1350],
+    ]);
+  });
+});
+
+describe("Booking receipt", () => {
+  it("should rebuild the quote from the stored price snapshot", () => {
+    const quote = buildQuote({
+      service,
+      addOns: [petHair],
+      discount: discountCode,
+    });
+    const booking = {
+      service,
+      priceCents: service.priceCents,
+      vatRate: service.vatRate,
+      addOns: [{ addOn: petHair, priceCents: 1500, vatRate: petHair.vatRate }],
+      discountCode: { code: "ENSIPESU" },
+      ...toQuoteData(quote, discountCode),
+    };
+
+    expect(booking.discountCodeId).toBe("discount-1");
+    expect(booking.discountCents).toBe(2000);
+
+    const receipt = toReceipt(booking);
+    expect(receipt.lines.map((line) => line.name.en)).toEqual([
+      "Wocuuming",
+      "Pet hair removal",
+    ]);
+    expect(receipt.discount).toEqual({ code: "ENSIPESU", amountCents: 2000 });
+    expect(receipt).toMatchObject({
+      subtotalCents: quote.subtotalCents,
+      totalCents: quote.totalCents,
+      netCents: quote.netCents,
+      vatCents: quote.vatCents,
+      vat: quote.vat,
+    });
+  });
+
+  it("should have no receipt for bookings made before totals were stored", () => {
+    expect(toReceipt({ priceCents: 4900, vatRate: 25.5 })).toBeNull();
+  });
+});
+
+describe("Discount code rules", () => {
+  const find = (discount, bookingCount) =>
+    findApplicableDiscount(createPrisma(discount, bookingCount), {
+      code: "ENSIPESU",
+      userId: "user-1",
+      now,
+    });
+
+  it("should return a usable code", async () => {
+    await expect(find(discountCode)).resolves.toBe(discountCode);
+  });
+
+  it("should reject unknown and inactive codes", async () => {
+    await expect(find(null)).rejects.toThrow("Discount code not found");
+    await expect(find({ ...discountCode, active: false })).rejects.toThrow(
+      DiscountCodeError
+    );
+  });
+
+  it("should only accept codes within their validity window", async () => {
+    await expect(
+      find({ ...discountCode, validFrom: new Date("2025-11-01T00:00:00Z") })
+    ).rejects.toThrow("Discount code is not valid yet");
+    await expect(
+      find({ ...discountCode, validUntil: new Date("2025-10-01T00:00:00Z") })
+    ).rejects.toThrow("Discount code has expired");
+  });
+
+  it("should enforce the use limits", async () => {
+    await expect(find({ ...discountCode, maxUses: 100 }, 100)).rejects.toThrow(
+      "Discount code has been used up"
+    );
+    await expect(
+      find({ ...discountCode, maxUsesPerUser: 1 }, 1)
+    ).rejects.toThrow("You have already used this discount code");
+    await expect(
+      find({ ...discountCode, maxUses: 100 }, 99)
+    ).resolves.toMatchObject({ code: "ENSIPESU" });
+  });
+
+  it("should limit first booking codes to new customers", async () => {
+    const firstBooking = { ...discountCode, firstBookingOnly: true };
+
+    await expect(find(firstBooking, 0)).resolves.toBe(firstBooking);
+    await expect(find(firstBooking, 1)).rejects.toThrow(
+      "Discount code is only valid for your first booking"
+    );
+  });
+
+  it("should lock the code while checking it in a transaction", async () => {
+    const tx = createPrisma(discountCode);
+
+    await reserveDiscount(tx, { code: "ENSIPESU", userId: "user-1", now });
+
+    expect(tx.$executeRaw).toHaveBeenCalledTimes(1);
+    expect(tx.discountCode.findUnique).toHaveBeenCalledWith({
+      where: { code: "ENSIPESU" },
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for invoice numbering, reference numbers and the invoice PDF
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  createInvoice,
+  FIRST_INVOICE_NUMBER,
+  formatReferenceNumber,
+  getReferenceNumber,
+  sumVatBreakdown,
+  syncInvoiceStatus,
+} from "../utils/invoices.js";
+import { renderInvoicePdf } from "../utils/invoicePdf.js";
+import { renderEmail } from "../utils/emailTemplates.js";
+
+const booking = {
+  id: "booking-1",
+  date: new Date("2025-10-07T06:00:00.000Z"),
+  timeSlot: "09:00 - 11:00",
+  streetAddress: "Testikatu 1",
+  postalCode: "00100",
+  city: "HELSINKI",
+  paymentMethod: "BANK",
+  service: { nameFi: "Wocuuming", nameEn: "Wocuuming" },
+  priceCents: 4900,
+  vatRate: 25.5,
+  addOns: [],
+  totalCents: 4900,
+  netCents: 3904,
+  vatCents: 996,
+  vatBreakdown: [
+    { vatRate: 25.5, netCents: 3904, vatCents: 996, grossCents: 4900 },
+  ],
+};
+
+// Prisma transaction stub with the given highest invoice number
+const createTx = (maxNumber) => ({
+  $executeRaw: vi.fn().mockResolvedValue(1),
+  invoice: {
+    aggregate: vi.fn().mockResolvedValue({ _max: { number: maxNumber } }),
+    create: vi.fn(({ data }) => Promise.resolve({ id: "invoice-1", ...data })),
+  },
+});
+
+describe("Reference numbers", () => {
+  it("should append the 7-3-1 check digit to the invoice number", () => {
+    expect(getReferenceNumber(1000)).toBe("10003");
+    expect(getReferenceNumber(12345)).toBe("123453");
+    expect(getReferenceNumber(1009)).toBe("10090");
+  });
+
+  it("should group the digits in fives from the right", () => {
+    expect(formatReferenceNumber("10003")).toBe("10003");
+    expect(formatReferenceNumber("123453")).toBe("1 23453");
+    expect(formatReferenceNumber("12345678901")).toBe("1 23456 78901");
+  });
+});
+
+describe("Invoice creation", () => {
+  const originalDueDays = process.env.INVOICE_DUE_DAYS;
+
+  afterEach(() => {
+    if (originalDueDays === undefined) delete process.env.INVOICE_DUE_DAYS;
+    else process.env.INVOICE_DUE_DAYS = originalDueDays;
+  });
+
+  it("should continue the numbering under a lock", async () => {
+    const tx = createTx(1041);
+    const now = new Date("2025-10-01T09:00:00.000Z");
+
+    const invoice = await createInvoice(tx, {
+      userId: "user-1",
+      bookings: [booking, { ...booking, id: "booking-2" }],
+      now,
+    });
+
+    expect(tx.$executeRaw).toHaveBeenCalledTimes(1);
+    expect(invoice).toMatchObject({
+      number: 1042,
+      referenceNumber: getReferenceNumber(1042),
+      amountCents: 9800,
+      netCents: 7808,
+      vatCents: 1992,
+      vatBreakdown: [
+        { vatRate: 25.5, netCents: 7808, vatCents: 1992, grossCents: 9800 },
+      ],
+      dueDate: new Date("2025-10-15T09:00:00.000Z"),
+      bookings: { connect: [{ id: "booking-1" }, { id: "booking-2" }] },
+    });
+  });
+
+  it("should start from the first number with the configured due days", async () => {
+    process.env.INVOICE_DUE_DAYS = "7";
+    const now = new Date("2025-10-01T09:00:00.000Z");
+
+    const invoice = await createInvoice(createTx(null), {
+      userId: "user-1",
+      bookings: [booking],
+      now,
+    });
+
+    expect(invoice.number).toBe(FIRST_INVOICE_NUMBER);
+    expect(invoice.dueDate).toEqual(new Date("2025-10-08T09:00:00.000Z"));
+  });
+
+  it("should sum the VAT per rate", () => {
+    expect(
+      sumVatBreakdown([
+        booking,
+        {
+          vatBreakdown: [
+            { vatRate: 14, netCents: 1316, vatCents: 184, grossCents: 1500 },
+          ],
+        },
+      ]).map((rate) => [rate.vatRate, rate.grossCents])
+    ).toEqual([
+      [25.5, 4900],
+      [14, 1500],
+    ]);
+  });
+});
+
+describe("Invoice status", () => {
+  it("should only bill the bookings that are not cancelled", async () => {
+    const addOnBooking = {
+      ...booking,
+      id: "booking-2",
+      totalCents: 1500,
+      netCents: 1316,
+      vatCents: 184,
+      vatBreakdown: [
+        { vatRate: 14, netCents: 1316, vatCents: 184, grossCents: 1500 },
+      ],
+    };
+    // Prisma client stub with one unpaid invoice left with two bookings
+    const client = {
+      invoice: {
+        updateMany: vi.fn().mockResolvedValue({ count: 0 }),
+        findMany: vi
+          .fn()
+          .mockResolvedValue([
+            { id: "invoice-1", bookings: [booking, addOnBooking] },
+          ]),
+        update: vi.fn().mockResolvedValue({}),
+      },
+    };
+
+    await syncInvoiceStatus(client, ["invoice-1", "invoice-1", null]);
+
+    expect(client.invoice.findMany).toHaveBeenCalledWith({
+      where: { id: { in: ["invoice-1"] }, status: "UNPAID" },
+      include: { bookings: { where: { status: { not: "CANCELLED" } } } },
+    });
+    expect(client.invoice.update).toHaveBeenCalledWith({
+      where: { id: "invoice-1" },
+      data: {
+        amountCents: 6400,
+        netCents: 5220,
+        vatCents: 1180,
+        vatBreakdown: [...booking.vatBreakdown, ...addOnBooking.vatBreakdown],
+      },
+    });
+  });
+});
+
+describe("Invoice documents", () => {
+  const invoice = {
+    number: 1000,
+    referenceNumber: "10003",
+    status: "UNPAID",
+    amountCents: 4900,
+    netCents: 3904,
+    vatCents: 996,
+    vatBreakdown: booking.vatBreakdown,
+    issuedAt: new Date("2025-10-01T09:00:00.000Z"),
+    dueDate: new Date("2025-10-15T09:00:00.000Z"),
+    paidAt: null,
+    user: { fullName: "Testi Asiakas", email: "asiakas@example.com" },
+    bookings: [booking],
+  };
+
+  it("should render the invoice as a PDF", async () => {
+    const pdf = await renderInvoicePdf(invoice, "en");
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("should add the payment details to the confirmation email", () => {
+    const { text } = renderEmail("bookingConfirmed", "fi", {
+      booking: { ...booking, invoice },
+    });
+
+    expect(text).toContain("Laskun numero: 1000");
+    expect(text).toContain("Summa: 49,00");
+    expect(text).toContain("Viitenumero: 10003");
+  });
+});
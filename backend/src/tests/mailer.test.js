@@ -0,0 +1,233 @@
+/**
+ * Tests for the mailer and email templates
+ */
+
+import { describe, it, expect, afterEach } from "vitest";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  createFileTransport,
+  createMemoryTransport,
+  getAppUrl,
+  sendTemplateMail,
+  setMailTransport,
+} from "../utils/mailer.js";
+import { renderEmail, formatEmailDate } from "../utils/emailTemplates.js";
+
+describe("Mailer", () => {
+  const originalAppUrl = process.env.APP_URL;
+  const originalCorsOrigin = process.env.CORS_ORIGIN;
+
+  afterEach(() => {
+    setMailTransport(null);
+
+    if (originalAppUrl === undefined) {
+      delete process.env.APP_URL;
+    } else {
+      process.env.APP_URL = originalAppUrl;
+    }
+
+    if (originalCorsOrigin === undefined) {
+      delete process.env.CORS_ORIGIN;
+    } else {
+      process.env.CORS_ORIGIN = originalCorsOrigin;
+    }
+  });
+
+  it("should write emails to the outbox with the file transport", async () => {
+    const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+
+    try {
+      await createFileTransport(outboxDir).send({
+        to: "user@example.com",
+        subject: "Reset your password",
+        text: "Hello",
+      });
+
+      const [fileName] = await fs.readdir(outboxDir);
+      const content = await fs.readFile(path.join(outboxDir, fileName), "utf8");
+
+      expect(content).toContain("To: user@example.com");
+      expect(content).toContain("Subject: Reset your password");
+      expect(content).toContain("Hello");
+    } finally {
+      await fs.rm(outboxDir, { recursive: true, force: true });
+    }
+  });
+
+  it("should build links from APP_URL or the first CORS origin", () => {
+    delete process.env.APP_URL;
+    process.env.CORS_ORIGIN = "https://siivous.example/,http://localhost:5173";
+    expect(getAppUrl()).toBe("https://siivous.example");
+
+    process.env.APP_URL = "https://app.example";
+    expect(getAppUrl()).toBe("https://app.example");
+  });
+
+  it("should render and send a template with the sender address", async () => {
+    const transport = createMemoryTransport();
+    setMailTransport(transport);
+
+    const sent = await sendTemplateMail({
+      to: "user@example.com",
+      template: "welcome",
+      language: "en",
+      data: { fullName: "Test User" },
+    });
+
+    expect(sent).toBe(true);
+    expect(transport.messages).toHaveLength(1);
+    expect(transport.messages[0]).toMatchObject({
+      to: "user@example.com",
+      subject: "Welcome to Workday-Vacuumers!",
+    });
+    expect(transport.messages[0].from).toBeDefined();
+    expect(transport.messages[0]).not.toHaveProperty("attachments");
+  });
+
+  it("should send attachments with the email", async () => {
+    const transport = createMemoryTransport();
+    setMailTransport(transport);
+    const attachment = {
+      filename: "booking.ics",
+      content: "BEGIN:VCALENDAR",
+      contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+    };
+
+    await sendTemplateMail({
+      to: "user@example.com",
+      template: "welcome",
+      attachments: [attachment],
+    });
+
+    expect(transport.messages[0].attachments).toEqual([attachment]);
+  });
+
+  it("should not throw when sending fails", async () => {
+    setMailTransport({
+      send: async () => {
+        throw new Error("SMTP server down");
+      },
+    });
+
+    await expect(
+      sendTemplateMail({ to: "user@example.com", template: "welcome" })
+    ).resolves.toBe(false);
+  });
+});
+
+describe("Email templates", () => {
+  const booking = {
+    date: new Date("2025-09-15T06:00:00.000Z"),
+    timeSlot: "09:00 - 11:00",
+    city: "ESPOO",
+    streetAddress: "Esimerkkitie 1",
+    phoneNumber: "0401234567",
+    paymentMethod: "MOBILEPAY",
+    cancellationReason: "Sick",
+  };
+
+  it("should format booking dates in Helsinki time", () => {
+    // 22:30 UTC is already the next day in Helsinki
+    const date = new Date("2025-09-15T22:30:00.000Z");
+    expect(formatEmailDate(date, "fi")).toBe("ti 16.9.2025");
+    expect(formatEmailDate(date, "en")).toBe("Tue, 9/16/2025");
+  });
+
+  it("should render booking details in Finnish and English", () => {
+    const fi = renderEmail("bookingConfirmed", "fi", { booking });
+    expect(fi.subject).toBe("Varaus onnistui!");
+    expect(fi.text).toContain("Päivämäärä: ma 15.9.2025");
+    expect(fi.text).toContain("Kaupunki: Espoo");
+    expect(fi.text).toContain("Maksutapa: MobilePay");
+
+    const en = renderEmail("bookingCancelled", "en", { booking });
+    expect(en.subject).toBe("Booking cancelled");
+    expect(en.text).toContain("Address: Esimerkkitie 1");
+    expect(en.text).toContain("Reason: Sick");
+
+    const updated = renderEmail("bookingUpdated", "fi", { booking });
+    expect(updated.subject).toBe("Varausta muutettu");
+    expect(updated.text).toContain("Päivämäärä: ma 15.9.2025");
+  });
+
+  it("should show the service, add-ons and the booked price with VAT", () => {
+    const pricedBooking = {
+      ...booking,
+      service: { nameFi: "Wocuuming Plus", nameEn: "Wocuuming Plus" },
+      priceCents: 7900,
+      vatRate: 25.5,
+    };
+
+    const fi = renderEmail("bookingConfirmed", "fi", {
+      booking: pricedBooking,
+    });
+    expect(fi.text).toContain("Palvelu: Wocuuming Plus");
+    expect(fi.text).toContain("Hinta: 79,00\u00a0€ (sis. ALV 25,5 %)");
+
+    const en = renderEmail("bookingConfirmed", "en", {
+      booking: pricedBooking,
+    });
+    expect(en.text).toContain("Price: €79.00 (incl. VAT 25.5 %)");
+
+    // Add-ons are listed and included in the price
+    const withAddOns = renderEmail("bookingConfirmed", "en", {
+      booking: {
+        ...pricedBooking,
+        addOns: [
+          {
+            priceCents: 1500,
+            vatRate: 25.5,
+            addOn: {
+              nameFi: "Lemmikin karvojen poisto",
+              nameEn: "Pet hair removal",
+            },
+          },
+        ],
+      },
+    });
+    expect(withAddOns.text).toContain("Add-ons: Pet hair removal");
+    expect(withAddOns.text).toContain("Price: €94.00 (incl. VAT 25.5 %)");
+
+    // The discount is shown and taken off the price
+    const discounted = renderEmail("bookingConfirmed", "fi", {
+      booking: {
+        ...pricedBooking,
+        discountCode: { code: "ENSIPESU" },
+        discountCents: 2000,
+      },
+    });
+    expect(discounted.text).toContain("Alennus: ENSIPESU (-20,00\u00a0€)");
+    expect(discounted.text).toContain("Hinta: 59,00\u00a0€ (sis. ALV 25,5 %)");
+
+    // Bookings made before prices were stored have no price line
+    expect(
+      renderEmail("bookingConfirmed", "fi", { booking }).text
+    ).not.toContain("Hinta:");
+  });
+
+  it("should list the dates of a recurring series", () => {
+    const fi = renderEmail("seriesConfirmed", "fi", {
+      booking,
+      dates: [booking.date, new Date("2025-09-22T06:00:00.000Z")],
+      skipped: ["2025-09-29"],
+    });
+    expect(fi.text).toContain("vahvistettu, 2 kertaa");
+    expect(fi.text).toContain("- ma 22.9.2025");
+    expect(fi.text).toContain("aika oli jo varattu:\n- ma 29.9.2025");
+
+    const en = renderEmail("seriesCancelled", "en", { dates: [booking.date] });
+    expect(en.subject).toBe("Recurring booking cancelled");
+    expect(en.text).toContain("- Mon, 9/15/2025");
+  });
+
+  it("should fall back to Finnish and reject unknown templates", () => {
+    expect(renderEmail("welcome", "sv", {}).subject).toBe(
+      "Tervetuloa Workday-Vacuumersiin!"
+    );
+    expect(() => renderEmail("newsletter", "fi")).toThrow(
+      "Unknown email template: newsletter"
+    );
+  });
+});
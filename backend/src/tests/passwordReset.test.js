@@ -0,0 +1,137 @@
+/**
+ * Tests for password reset and email verification tokens
+ */
+
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  createSingleUseTokens,
+  hashToken,
+  isTokenUsable,
+} from "../utils/singleUseTokens.js";
+import {
+  getResetTokenMinutes,
+  passwordResetTokens,
+} from "../utils/passwordReset.js";
+import {
+  emailVerificationTokens,
+  getVerificationTokenHours,
+} from "../utils/emailVerification.js";
+
+describe("Password reset tokens", () => {
+  const originalMinutes = process.env.PASSWORD_RESET_TOKEN_MINUTES;
+
+  afterEach(() => {
+    if (originalMinutes === undefined) {
+      delete process.env.PASSWORD_RESET_TOKEN_MINUTES;
+    } else {
+      process.env.PASSWORD_RESET_TOKEN_MINUTES = originalMinutes;
+    }
+  });
+
+  it("should read the token lifetime from the environment", () => {
+    delete process.env.PASSWORD_RESET_TOKEN_MINUTES;
+    expect(getResetTokenMinutes()).toBe(60);
+
+    process.env.PASSWORD_RESET_TOKEN_MINUTES = "30";
+    expect(getResetTokenMinutes()).toBe(30);
+
+    process.env.PASSWORD_RESET_TOKEN_MINUTES = "-5";
+    expect(getResetTokenMinutes()).toBe(60);
+  });
+
+  it("should create random tokens stored only as a hash", () => {
+    const now = new Date("2025-09-15T10:00:00.000Z");
+    const first = passwordResetTokens.generate(now);
+    const second = passwordResetTokens.generate(now);
+
+    expect(first.token).toMatch(/^[a-f0-9]{64}$/);
+    expect(first.token).not.toBe(second.token);
+    expect(first.tokenHash).toBe(hashToken(first.token));
+    expect(first.tokenHash).not.toBe(first.token);
+    expect(first.expiresAt.toISOString()).toBe("2025-09-15T11:00:00.000Z");
+  });
+
+  it("should only accept unused tokens that have not expired", () => {
+    const now = new Date("2025-09-15T10:00:00.000Z");
+    const expiresAt = new Date("2025-09-15T11:00:00.000Z");
+
+    expect(isTokenUsable({ expiresAt, usedAt: null }, now)).toBe(true);
+    expect(isTokenUsable({ expiresAt, usedAt: now }, now)).toBe(false);
+    expect(isTokenUsable({ expiresAt: now, usedAt: null }, now)).toBe(false);
+    expect(isTokenUsable(null, now)).toBe(false);
+  });
+});
+
+describe("Single-use tokens", () => {
+  const tokens = createSingleUseTokens({
+    model: "testToken",
+    getLifetimeMs: () => 60 * 1000,
+  });
+
+  it("should find only usable tokens by their hash", async () => {
+    const expiresAt = new Date(Date.now() + 60 * 1000);
+    const findUnique = vi
+      .fn()
+      .mockResolvedValueOnce({ id: "token-1", expiresAt, usedAt: null })
+      .mockResolvedValueOnce({ id: "token-1", expiresAt, usedAt: new Date() });
+    const client = { testToken: { findUnique } };
+
+    expect(await tokens.findUsable(client, "abc")).toEqual({
+      id: "token-1",
+      expiresAt,
+      usedAt: null,
+    });
+    expect(findUnique).toHaveBeenCalledWith({
+      where: { tokenHash: hashToken("abc") },
+    });
+    expect(await tokens.findUsable(client, "abc")).toBeNull();
+  });
+
+  it("should claim a token only once", async () => {
+    const updateMany = vi
+      .fn()
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+    const deleteMany = vi.fn().mockResolvedValue({ count: 1 });
+    const tx = { testToken: { updateMany, deleteMany } };
+    const record = { id: "token-1", userId: "user-1" };
+
+    expect(await tokens.claim(tx, record)).toBe(true);
+    expect(await tokens.claim(tx, record)).toBe(false);
+    expect(updateMany).toHaveBeenCalledWith({
+      where: { id: "token-1", usedAt: null },
+      data: { usedAt: expect.any(Date) },
+    });
+    // Other unused links of the user stop working
+    expect(deleteMany).toHaveBeenCalledTimes(1);
+    expect(deleteMany).toHaveBeenCalledWith({
+      where: { userId: "user-1", usedAt: null },
+    });
+  });
+});
+
+describe("Email verification tokens", () => {
+  const originalHours = process.env.EMAIL_VERIFICATION_TOKEN_HOURS;
+
+  afterEach(() => {
+    if (originalHours === undefined) {
+      delete process.env.EMAIL_VERIFICATION_TOKEN_HOURS;
+    } else {
+      process.env.EMAIL_VERIFICATION_TOKEN_HOURS = originalHours;
+    }
+  });
+
+  it("should create tokens valid for the configured hours", () => {
+    delete process.env.EMAIL_VERIFICATION_TOKEN_HOURS;
+    expect(getVerificationTokenHours()).toBe(48);
+
+    process.env.EMAIL_VERIFICATION_TOKEN_HOURS = "24";
+    const now = new Date("2025-09-15T10:00:00.000Z");
+    const { token, tokenHash, expiresAt } =
+      emailVerificationTokens.generate(now);
+
+    expect(tokenHash).toBe(hashToken(token));
+    expect(tokenHash).not.toBe(token);
+    expect(expiresAt.toISOString()).toBe("2025-09-16T10:00:00.000Z");
+  });
+});
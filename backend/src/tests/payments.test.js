@@ -0,0 +1,119 @@
+/**
+ * Tests for the payment provider abstraction and the mock provider
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  createMockProvider,
+  createPendingPayment,
+  isMockCheckoutEnabled,
+  PaymentWebhookError,
+  requiresOnlinePayment,
+  setPaymentProvider,
+} from "../utils/payments.js";
+
+describe("Payment methods", () => {
+  it("should pay card and MobilePay bookings online", () => {
+    expect(requiresOnlinePayment("card")).toBe(true);
+    expect(requiresOnlinePayment("MOBILEPAY")).toBe(true);
+    expect(requiresOnlinePayment("bank")).toBe(false);
+    expect(requiresOnlinePayment("cash")).toBe(false);
+    expect(requiresOnlinePayment(undefined)).toBe(false);
+  });
+});
+
+describe("Mock payment provider", () => {
+  const provider = createMockProvider({ secret: "test-secret" });
+
+  it("should send the customer to the local checkout page", async () => {
+    const { reference, redirectUrl } = await provider.createPayment({
+      paymentId: "payment-1",
+      amountCents: 4900,
+      currency: "EUR",
+      method: "CARD",
+    });
+
+    expect(reference).toMatch(/^mock_/);
+    expect(redirectUrl).toBe(`/api/payments/mock/${reference}`);
+  });
+
+  it("should accept notifications it has signed", () => {
+    const event = provider.signEvent({ reference: "mock_1", status: "PAID" });
+
+    expect(provider.parseWebhook(event)).toEqual({
+      reference: "mock_1",
+      status: "PAID",
+    });
+  });
+
+  it("should reject forged and malformed notifications", () => {
+    const event = provider.signEvent({ reference: "mock_1", status: "FAILED" });
+    const otherSecret = createMockProvider({ secret: "other-secret" });
+
+    expect(() => provider.parseWebhook({ ...event, status: "PAID" })).toThrow(
+      "Invalid payment signature"
+    );
+    expect(() => otherSecret.parseWebhook(event)).toThrow(PaymentWebhookError);
+    expect(() =>
+      provider.parseWebhook({ ...event, status: "REFUNDED" })
+    ).toThrow("Invalid payment notification");
+    expect(() => provider.parseWebhook(undefined)).toThrow(PaymentWebhookError);
+  });
+});
+
+describe("Production configuration", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    setPaymentProvider();
+  });
+
+  it("should require a provider and a webhook secret in production", () => {
+    vi.stubEnv("NODE_ENV", "production");
+    vi.stubEnv("PAYMENT_PROVIDER", "");
+    vi.stubEnv("PAYMENT_WEBHOOK_SECRET", "");
+
+    expect(isMockCheckoutEnabled()).toBe(false);
+    expect(() => setPaymentProvider()).toThrow(
+      "PAYMENT_PROVIDER must be set in production"
+    );
+
+    vi.stubEnv("PAYMENT_PROVIDER", "mock");
+    expect(() => setPaymentProvider()).toThrow(
+      "PAYMENT_WEBHOOK_SECRET must be set in production"
+    );
+
+    vi.stubEnv("PAYMENT_WEBHOOK_SECRET", "live-secret");
+    expect(() => setPaymentProvider()).not.toThrow();
+  });
+
+  it("should serve the mock checkout outside production", () => {
+    vi.stubEnv("NODE_ENV", "development");
+
+    expect(isMockCheckoutEnabled()).toBe(true);
+  });
+});
+
+describe("Pending payment", () => {
+  it("should cover the total of every booking", async () => {
+    const tx = { payment: { create: vi.fn().mockResolvedValue({}) } };
+
+    await createPendingPayment(tx, {
+      userId: "user-1",
+      method: "CARD",
+      bookings: [
+        { id: "booking-1", totalCents: 4900 },
+        { id: "booking-2", totalCents: 2900 },
+      ],
+    });
+
+    expect(tx.payment.create).toHaveBeenCalledWith({
+      data: {
+        userId: "user-1",
+        method: "CARD",
+        amountCents: 7800,
+        provider: "mock",
+        bookings: { connect: [{ id: "booking-1" }, { id: "booking-2" }] },
+      },
+    });
+  });
+});
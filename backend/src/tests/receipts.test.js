@@ -0,0 +1,143 @@
+/**
+ * Tests for booking receipts and the booking history export
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  hasReceipt,
+  renderReceiptPdf,
+  toBookingHistoryCsv,
+  toReceiptHtml,
+} from "../utils/receipts.js";
+
+const booking = {
+  id: "booking-1",
+  status: "CONFIRMED",
+  date: new Date("2025-10-07T06:00:00.000Z"),
+  createdAt: new Date("2025-09-20T10:00:00.000Z"),
+  timeSlot: "09:00 - 11:00",
+  streetAddress: "Testikatu 1",
+  postalCode: "00100",
+  city: "HELSINKI",
+  paymentMethod: "CARD",
+  payment: { status: "PAID" },
+  user: { email: "customer@example.com", fullName: "Matti Meikäläinen" },
+  service: { nameFi: "Wocuuming", nameEn: "Wocuuming" },
+  priceCents: 4900,
+  vatRate: 25.5,
+  addOns: [
+    {
+      addOn: { nameFi: "Lemmikkikarvat", nameEn: "Pet hair removal" },
+      priceCents: 1500,
+      vatRate: 25.5,
+    },
+  ],
+  discountCode: { code: "ENSIPESU" },
+  discountCents: 1000,
+  totalCents: 5400,
+  netCents: 4303,
+  vatCents: 1097,
+  vatBreakdown: [
+    { vatRate: 25.5, netCents: 4303, vatCents: 1097, grossCents: 5400 },
+  ],
+  invoice: null,
+};
+
+describe("Receipts", () => {
+  it("should only give receipts for paid bookings with a price", () => {
+    expect(hasReceipt(booking)).toBe(true);
+    expect(hasReceipt({ ...booking, status: "COMPLETED" })).toBe(true);
+    expect(hasReceipt({ ...booking, status: "PENDING_PAYMENT" })).toBe(false);
+    expect(hasReceipt({ ...booking, status: "CANCELLED" })).toBe(false);
+    expect(hasReceipt({ ...booking, totalCents: null })).toBe(false);
+    expect(hasReceipt({ ...booking, payment: { status: "PENDING" } })).toBe(
+      false
+    );
+  });
+
+  it("should give receipts for bank transfers once the invoice is paid", () => {
+    const bankBooking = {
+      ...booking,
+      paymentMethod: "BANK",
+      payment: null,
+      invoice: { number: 1000, status: "UNPAID" },
+    };
+
+    expect(hasReceipt(bankBooking)).toBe(false);
+    expect(
+      hasReceipt({ ...bankBooking, invoice: { number: 1000, status: "PAID" } })
+    ).toBe(true);
+  });
+
+  it("should give receipts for cash bookings once the job is done", () => {
+    const cashBooking = { ...booking, paymentMethod: "CASH", payment: null };
+
+    expect(hasReceipt(cashBooking)).toBe(false);
+    expect(hasReceipt({ ...cashBooking, status: "COMPLETED" })).toBe(true);
+  });
+
+  it("should build the receipt in the user's language", () => {
+    const fi = toReceiptHtml(booking, "fi");
+    const en = toReceiptHtml(booking, "en");
+
+    expect(fi).toContain('<html lang="fi">');
+    expect(fi).toContain("ti 7.10.2025");
+    expect(fi).toContain("Testikatu 1, 00100 Helsinki");
+    expect(fi).toContain("Lemmikkikarvat");
+    expect(fi).toContain("Alennus ENSIPESU");
+    expect(fi).toContain("ALV 25,5 %");
+    expect(fi).toContain("Kortti");
+
+    expect(en).toContain("RECEIPT");
+    expect(en).toContain("Pet hair removal");
+    expect(en).toContain("VAT 25.5 %");
+    expect(en).toContain("€54.00");
+
+    // Unknown languages fall back to Finnish
+    expect(toReceiptHtml(booking, "sv")).toContain("KUITTI");
+  });
+
+  it("should escape HTML in the receipt", () => {
+    const html = toReceiptHtml(
+      { ...booking, streetAddress: "<b>Testikatu</b> 1" },
+      "fi"
+    );
+
+    expect(html).toContain("&lt;b&gt;Testikatu&lt;/b&gt; 1");
+    expect(html).not.toContain("<b>Testikatu</b>");
+  });
+
+  it("should render the receipt as a PDF", async () => {
+    const pdf = await renderReceiptPdf(booking, "en");
+
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("should export the booking history with amounts spreadsheets can sum", () => {
+    const csv = toBookingHistoryCsv(
+      [
+        { ...booking, paymentMethod: "BANK", invoice: { number: 1000 } },
+        // Booking made before prices were stored
+        {
+          ...booking,
+          status: "CANCELLED",
+          addOns: [],
+          discountCode: null,
+          totalCents: null,
+          vatCents: null,
+        },
+      ],
+      "en"
+    );
+    const lines = csv.replace("\uFEFF", "").trim().split("\r\n");
+
+    expect(csv.startsWith("\uFEFF")).toBe(true);
+    expect(lines[0]).toBe(
+      '"Date";"Time";"Service";"Add-ons";"Address";"Payment method";"Status";"Discount code";"Price (€)";"VAT (€)";"Invoice number"'
+    );
+    expect(lines[1]).toBe(
+      '"10/7/2025";"09:00 - 11:00";"Wocuuming";"Pet hair removal";"Testikatu 1, 00100 Helsinki";"Bank";"Confirmed";"ENSIPESU";"54.00";"10.97";"1000"'
+    );
+    expect(lines[2]).toContain('"Cancelled";"";"";"";""');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for the crew's daily route sheet export
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  buildRouteSheetRows,
+  toRouteSheetCsv,
+  toRouteSheetHtml,
+} from "../utils/routeSheet.js";
+
+const user = { email: "customer@example.com", fullName: "Matti Meikäläinen" };
+
+const bookings = [
+  {
+    timeSlot: "13:00 - 15:00",
+    city: "HELSINKI",
+    streetAddress: "Testikatu 1",
+    postalCode: "00100",
+    phoneNumber: "+358501234567",
+    paymentMethod: "CASH",
+    notes: "Door code 1234",
+    vehicle: {
+      licensePlate: "ABC-123",
+      make: "Toyota Corolla",
+      color: null,
+      parkingNotes: "P-Hub level 2",
+    },
+    service: { nameEn: "Wocuuming Plus" },
+    addOns: [
+      { addOn: { nameEn: "Pet hair removal" } },
+      { addOn: { nameEn: "Seat shampoo" } },
+    ],
+    user,
+  },
+  {
+    timeSlot: "09:00 - 11:00",
+    city: "VANTAA",
+    streetAddress: "Vantaankatu 3",
+    postalCode: "01300",
+    phoneNumber: "0401234567",
+    paymentMethod: "CARD",
+    notes: null,
+    user: { email: "other@example.com", fullName: null },
+  },
+  {
+    timeSlot: "09:00 - 11:00",
+    city: "ESPOO",
+    streetAddress: "Esimerkkitie 5",
+    postalCode: "02100",
+    phoneNumber: "0409876543",
+    paymentMethod: "MOBILEPAY",
+    notes: null,
+    user,
+  },
+];
+
+describe("Route sheet", () => {
+  it("should order rows by time slot and area", () => {
+    const rows = buildRouteSheetRows(bookings);
+
+    expect(rows.map((row) => [row.timeSlot, row.city])).toEqual([
+      ["09:00 - 11:00", "Espoo"],
+      ["09:00 - 11:00", "Vantaa"],
+      ["13:00 - 15:00", "Helsinki"],
+    ]);
+    expect(rows[1].customer).toBe("other@example.com");
+    expect(rows[2]).toMatchObject({
+      address: "Testikatu 1, 00100",
+      paymentMethod: "Cash",
+      notes: "Door code 1234",
+      vehicle: "ABC-123, Toyota Corolla",
+      parkingNotes: "P-Hub level 2",
+      service: "Wocuuming Plus, Pet hair removal, Seat shampoo",
+    });
+    expect(rows[0].vehicle).toBe("");
+    expect(rows[0].service).toBe("");
+  });
+
+  it("should fall back to location for older bookings", () => {
+    const [row] = buildRouteSheetRows([
+      {
+        timeSlot: "09:00 - 11:00",
+        location: "Vanhatie 1, Helsinki",
+        city: null,
+        user,
+      },
+    ]);
+
+    expect(row).toMatchObject({
+      address: "Vanhatie 1, Helsinki",
+      city: "",
+      phoneNumber: "",
+      vehicle: "",
+      paymentMethod: "",
+    });
+  });
+
+  it("should build CSV with quoted values and neutralized formulas", () => {
+    const csv = toRouteSheetCsv(
+      buildRouteSheetRows([{ ...bookings[0], notes: '=HYPERLINK("x")' }])
+    );
+    const lines = csv.replace("\uFEFF", "").trim().split("\r\n");
+
+    expect(csv.startsWith("\uFEFF")).toBe(true);
+    expect(lines[0]).toBe(
+      '"Time slot";"City";"Address";"Customer";"Phone";"Vehicle";"Parking";"Service";"Payment method";"Notes"'
+    );
+    expect(lines[1]).toContain('"+358501234567"');
+    expect(lines[1]).toContain('"\'=HYPERLINK(""x"")"');
+  });
+
+  it("should escape HTML in the printable sheet", () => {
+    const html = toRouteSheetHtml(
+      buildRouteSheetRows([{ ...bookings[0], notes: "<b>Dog</b> & cat" }]),
+      "2025-10-07"
+    );
+
+    expect(html).toContain("Route sheet 2025-10-07 (1 job)");
+    expect(html).toContain("&lt;b&gt;Dog&lt;/b&gt; &amp; cat");
+    expect(html).not.toContain("<b>Dog</b>");
+  });
+});
@@ -7,30 +7,64 @@ import {
 import usersRouter, {
   setPrismaInstance as setUsersPrisma,
 } from "../controllers/users.js";
+import profileRouter, {
+  setPrismaInstance as setProfilePrisma,
+} from "../controllers/profile.js";
 import bookingsRouter, {
   setPrismaInstance as setBookingsPrisma,
 } from "../controllers/bookings.js";
+import availabilityRouter, {
+  setPrismaInstance as setAvailabilityPrisma,
+} from "../controllers/availability.js";
+import servicesRouter, {
+  setPrismaInstance as setServicesPrisma,
+} from "../controllers/services.js";
+import adminRouter, {
+  setPrismaInstance as setAdminPrisma,
+} from "../controllers/admin.js";
+import paymentsRouter, {
+  webhookRouter as paymentWebhookRouter,
+  setPrismaInstance as setPaymentsPrisma,
+} from "../controllers/payments.js";
+import invoicesRouter, {
+  setPrismaInstance as setInvoicesPrisma,
+} from "../controllers/invoices.js";
 import { testPrisma } from "./testSetup.js";
 
 // Test-application that uses single shared test-database instance
 export const createTestApp = () => {
   const app = express();
 
-  // Set the shared test Prisma instance for both controllers
+  // Set the shared test Prisma instance for all controllers
   // This ensures all controllers use the same database connection
   setUsersPrisma(testPrisma);
+  setProfilePrisma(testPrisma);
   setBookingsPrisma(testPrisma);
+  setAvailabilityPrisma(testPrisma);
+  setServicesPrisma(testPrisma);
+  setAdminPrisma(testPrisma);
+  setPaymentsPrisma(testPrisma);
+  setInvoicesPrisma(testPrisma);
 
   // Middleware
   app.use(express.json());
   configureCors(app);
 
+  // Provider notifications come without a session
+  app.use("/payments/webhook", paymentWebhookRouter);
+
   // Session middleware that uses TEST-DATABASE
   app.use(configureSession(process.env.TEST_DATABASE_URL));
 
   // Routes
   app.use("/users", usersRouter);
+  app.use("/users/me", profileRouter);
   app.use("/bookings", bookingsRouter);
+  app.use("/availability", availabilityRouter);
+  app.use("/services", servicesRouter);
+  app.use("/admin", adminRouter);
+  app.use("/payments", paymentsRouter);
+  app.use("/invoices", invoicesRouter);
 
   return app;
 };
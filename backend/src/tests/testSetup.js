@@ -15,6 +15,7 @@ export const setupTestDb = async () => {
   try {
     // Clean up in order due to foreign key constraints
     await prisma.booking.deleteMany({});
+    await prisma.discountCode.deleteMany({});
     await prisma.user.deleteMany({});
 
     // Reset auto-increment sequences if needed
@@ -33,6 +34,7 @@ export const teardownTestDb = async () => {
   try {
     // Clean specific tables in order (foreign key constraints)
     await prisma.booking.deleteMany({});
+    await prisma.discountCode.deleteMany({});
     await prisma.user.deleteMany({});
 
     // Clean session table if it exists (it might be handled differently)
@@ -0,0 +1,203 @@
+import { toDayKey, addDays, getDayBounds, isDayKey } from "./time.js";
+import { TIME_SLOTS, BOOKING_WINDOW, isWeekday } from "./bookingRules.js";
+
+// Statuses that no longer occupy a time slot
+const FREED_STATUSES = ["CANCELLED"];
+
+// Statuses that occupy a time slot only until their hold expires
+const HELD_STATUSES = ["DRAFT", "PENDING_PAYMENT"];
+
+// How many days ahead alternatives are searched for a fully booked slot
+const ALTERNATIVE_SEARCH_DAYS = 7;
+
+/**
+ * Get the number of bookings a single time slot can hold (number of crews)
+ * Configured with BOOKING_SLOT_CAPACITY, defaults to 1
+ * @returns {number}
+ */
+export const getSlotCapacity = () => {
+  const capacity = Number(process.env.BOOKING_SLOT_CAPACITY);
+  return Number.isInteger(capacity) && capacity > 0 ? capacity : 1;
+};
+
+/**
+ * Get how long a draft booking holds its time slot during checkout
+ * Configured with BOOKING_HOLD_MINUTES, defaults to 15
+ * @returns {number} - Minutes
+ */
+export const getHoldMinutes = () => {
+  const minutes = Number(process.env.BOOKING_HOLD_MINUTES);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : 15;
+};
+
+/**
+ * Prisma filter for bookings that occupy their time slot:
+ * everything except cancelled bookings and drafts or unpaid bookings whose
+ * hold has expired
+ * @param {Date} [now] - Current time
+ * @returns {Object} - Prisma where condition
+ */
+export const occupiesSlotWhere = (now = new Date()) => ({
+  status: { notIn: FREED_STATUSES },
+  OR: [{ status: { notIn: HELD_STATUSES } }, { holdExpiresAt: { gt: now } }],
+});
+
+/**
+ * Error thrown when a time slot has no capacity left
+ */
+export class SlotUnavailableError extends Error {
+  constructor(dayKey, timeSlot) {
+    super("Selected time slot is fully booked");
+    this.name = "SlotUnavailableError";
+    this.dayKey = dayKey;
+    this.timeSlot = timeSlot;
+  }
+}
+
+/**
+ * Resolve the requested day range, limited to the bookable window
+ * @param {Object} range - Requested range
+ * @param {string} [range.from] - First day (YYYY-MM-DD)
+ * @param {string} [range.to] - Last day (YYYY-MM-DD)
+ * @param {Date} [now] - Current time
+ * @returns {{from: string, to: string}|null} - Null if nothing is bookable
+ */
+export const resolveAvailabilityRange = (
+  { from, to } = {},
+  now = new Date()
+) => {
+  const today = toDayKey(now);
+  const firstBookable = addDays(today, BOOKING_WINDOW.minDaysAhead);
+  const lastBookable = addDays(today, BOOKING_WINDOW.maxDaysAhead);
+
+  const rangeFrom =
+    isDayKey(from) && from > firstBookable ? from : firstBookable;
+  const rangeTo = isDayKey(to) && to < lastBookable ? to : lastBookable;
+
+  return rangeFrom <= rangeTo ? { from: rangeFrom, to: rangeTo } : null;
+};
+
+/**
+ * Build per-day slot availability from existing bookings
+ * @param {Object} params
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {string} params.to - Last day (YYYY-MM-DD)
+ * @param {Array} params.bookings - Bookings ({ date, timeSlot }) in the range
+ * @param {number} params.capacity - Bookings allowed per slot
+ * @returns {Array} - [{ date, availableSlots: [{ ...slot, remaining }] }]
+ */
+export const buildAvailability = ({ from, to, bookings, capacity }) => {
+  const bookedCounts = new Map();
+  for (const booking of bookings) {
+    const key = `${toDayKey(booking.date)}|${booking.timeSlot}`;
+    bookedCounts.set(key, (bookedCounts.get(key) || 0) + 1);
+  }
+
+  const dates = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    // Business rule: Only weekdays (Monday-Friday)
+    if (!isWeekday(day)) continue;
+
+    const availableSlots = TIME_SLOTS.map((slot) => ({
+      ...slot,
+      remaining: capacity - (bookedCounts.get(`${day}|${slot.label}`) || 0),
+    })).filter((slot) => slot.remaining > 0);
+
+    dates.push({ date: day, availableSlots });
+  }
+
+  return dates;
+};
+
+/**
+ * Compute availability for a day range from the database
+ * @param {Object} prisma - Prisma client (or transaction client)
+ * @param {{from: string, to: string}} range - Resolved day range
+ * @returns {Promise<Array>} - Availability per day
+ */
+export const getAvailability = async (prisma, { from, to }) => {
+  const bookings = await prisma.booking.findMany({
+    where: {
+      date: {
+        gte: getDayBounds(from).start,
+        lt: getDayBounds(to).end,
+      },
+      ...occupiesSlotWhere(),
+    },
+    select: {
+      date: true,
+      timeSlot: true,
+    },
+  });
+
+  return buildAvailability({
+    from,
+    to,
+    bookings,
+    capacity: getSlotCapacity(),
+  });
+};
+
+/**
+ * Reserve capacity in a time slot inside an interactive transaction.
+ * A transaction-level advisory lock serializes concurrent requests for the
+ * same slot, so the count below can't be raced by another booking.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {Date} params.date - Booking date
+ * @param {string} params.timeSlot - Time slot label
+ * @param {string} [params.excludeBookingId] - Booking to ignore (when moving it)
+ * @throws {SlotUnavailableError} If the slot is already full
+ */
+export const reserveSlot = async (tx, { date, timeSlot, excludeBookingId }) => {
+  const dayKey = toDayKey(date);
+  const { start, end } = getDayBounds(dayKey);
+  const lockKey = `booking-slot:${dayKey}|${timeSlot}`;
+
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+
+  const bookedCount = await tx.booking.count({
+    where: {
+      date: { gte: start, lt: end },
+      timeSlot,
+      ...occupiesSlotWhere(),
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+    },
+  });
+
+  if (bookedCount >= getSlotCapacity()) {
+    throw new SlotUnavailableError(dayKey, timeSlot);
+  }
+};
+
+/**
+ * Find the closest days that still have free slots, starting from a given day
+ * @param {Object} prisma - Prisma client
+ * @param {string} dayKey - Day to start searching from (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Days with at least one free slot
+ */
+export const findAlternatives = async (prisma, dayKey) => {
+  const range = resolveAvailabilityRange({
+    from: dayKey,
+    to: addDays(dayKey, ALTERNATIVE_SEARCH_DAYS),
+  });
+
+  if (!range) {
+    return [];
+  }
+
+  const dates = await getAvailability(prisma, range);
+  return dates.filter((entry) => entry.availableSlots.length > 0);
+};
+
+export default {
+  getSlotCapacity,
+  getHoldMinutes,
+  occupiesSlotWhere,
+  resolveAvailabilityRange,
+  buildAvailability,
+  getAvailability,
+  reserveSlot,
+  findAlternatives,
+  SlotUnavailableError,
+};
@@ -0,0 +1,400 @@
+import { z } from "zod";
+import { sanitizeString } from "./sanitization.js";
+import {
+  isDayKey,
+  toDayKey,
+  addDays,
+  getWeekday,
+  zonedTimeToUtc,
+} from "./time.js";
+
+/**
+ * Business rules for bookings, shared by the booking and availability routes
+ */
+
+/**
+ * Bookable time slots (2-hour intervals from 09:00-17:00, Helsinki time)
+ * Labels match the ones shown and submitted by the frontend calendar
+ */
+export const TIME_SLOTS = [
+  { id: 1, start: "09:00", end: "11:00", label: "09:00 - 11:00" },
+  { id: 2, start: "11:00", end: "13:00", label: "11:00 - 13:00" },
+  { id: 3, start: "13:00", end: "15:00", label: "13:00 - 15:00" },
+  { id: 4, start: "15:00", end: "17:00", label: "15:00 - 17:00" },
+];
+
+// Bookings can be made from 2 to 31 days ahead
+export const BOOKING_WINDOW = {
+  minDaysAhead: 2,
+  maxDaysAhead: 31,
+};
+
+// A recurring weekly series books 2 to 12 weeks of occurrences at once,
+// series occurrences aren't limited by BOOKING_WINDOW.maxDaysAhead
+export const SERIES_WEEKS = {
+  min: 2,
+  max: 12,
+};
+
+// Bookings can't be changed later than this before the time slot starts
+export const CHANGE_CUTOFF_HOURS = 24;
+
+// Bookings can't be cancelled later than this before the time slot starts
+export const CANCELLATION_CUTOFF_HOURS = 24;
+
+// Service area
+export const SERVICE_CITIES = ["helsinki", "vantaa", "espoo"];
+
+// Payment methods offered in the booking flow
+export const PAYMENT_METHODS = ["card", "mobilepay", "bank", "cash"];
+
+/**
+ * Find a time slot by its label
+ * @param {string} label - Time slot label, e.g. "09:00 - 11:00"
+ * @returns {Object|undefined}
+ */
+export const getTimeSlotByLabel = (label) =>
+  TIME_SLOTS.find((slot) => slot.label === label);
+
+/**
+ * Get the Helsinki calendar day of a booking date
+ * @param {Date|string} date - Day key (YYYY-MM-DD) or any time on the day
+ * @returns {string} - Day key
+ */
+export const toBookingDayKey = (date) =>
+  isDayKey(date) ? date : toDayKey(date);
+
+/**
+ * Get the start time of a booked time slot
+ * @param {Date|string} date - Booking date
+ * @param {string} timeSlot - Time slot label
+ * @returns {Date} - Slot start in UTC (booking date if the slot is unknown)
+ */
+export const getSlotStart = (date, timeSlot) => {
+  const slot = getTimeSlotByLabel(timeSlot);
+  return slot
+    ? zonedTimeToUtc(toBookingDayKey(date), slot.start)
+    : new Date(date);
+};
+
+/**
+ * Times stored on a booking of a time slot. The slot is in Helsinki wall
+ * clock time, so the UTC times follow daylight saving time.
+ * @param {Date|string} date - Day key (YYYY-MM-DD) or any time on the day
+ * @param {string} timeSlot - Time slot label
+ * @returns {{ date: Date, startsAt: Date|null, endsAt: Date|null }} - `date`
+ * is the slot start, or the start of the day if the slot is unknown
+ */
+export const toSlotTimes = (date, timeSlot) => {
+  const dayKey = toBookingDayKey(date);
+  const slot = getTimeSlotByLabel(timeSlot);
+
+  if (!slot) {
+    return { date: zonedTimeToUtc(dayKey), startsAt: null, endsAt: null };
+  }
+
+  const startsAt = zonedTimeToUtc(dayKey, slot.start);
+  return {
+    date: startsAt,
+    startsAt,
+    endsAt: zonedTimeToUtc(dayKey, slot.end),
+  };
+};
+
+/**
+ * Get the start time of a booking
+ * @param {Object} booking - Booking with startsAt, or date and timeSlot
+ * @returns {Date} - Stored slot start, worked out from the date and time
+ * slot for bookings without one
+ */
+export const getBookingStart = (booking) =>
+  booking.startsAt ?? getSlotStart(booking.date, booking.timeSlot);
+
+/**
+ * Check if there is still at least the given cutoff before a booked slot
+ * @param {Object} booking - Booking with startsAt, or date and timeSlot
+ * @param {number} cutoffHours - Cutoff in hours (CHANGE_CUTOFF_HOURS or CANCELLATION_CUTOFF_HOURS)
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export const isBeforeCutoff = (booking, cutoffHours, now = new Date()) =>
+  getBookingStart(booking).getTime() - now.getTime() >=
+  cutoffHours * 60 * 60 * 1000;
+
+/**
+ * Check if a day is a weekday (Monday-Friday)
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export const isWeekday = (dayKey) => {
+  const weekday = getWeekday(dayKey);
+  return weekday !== 0 && weekday !== 6;
+};
+
+/**
+ * Check if a day is inside the booking window (2-31 days from today)
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export const isWithinBookingWindow = (dayKey, now = new Date()) => {
+  const today = toDayKey(now);
+  return (
+    dayKey >= addDays(today, BOOKING_WINDOW.minDaysAhead) &&
+    dayKey <= addDays(today, BOOKING_WINDOW.maxDaysAhead)
+  );
+};
+
+// Booking date: a Helsinki day key (YYYY-MM-DD), or an ISO timestamp from older
+// clients, on a weekday inside the booking window
+const bookingDateSchema = z.string().superRefine((value, ctx) => {
+  const isTimestamp =
+    !/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+  if (!isDayKey(value) && !isTimestamp) {
+    ctx.addIssue({ code: "custom", message: "Invalid date format" });
+    return;
+  }
+
+  const dayKey = toBookingDayKey(value);
+  if (!isWeekday(dayKey)) {
+    ctx.addIssue({
+      code: "custom",
+      message: "Bookings are only available from Monday to Friday",
+    });
+  }
+
+  if (!isWithinBookingWindow(dayKey)) {
+    ctx.addIssue({
+      code: "custom",
+      message: `Booking date must be ${BOOKING_WINDOW.minDaysAhead} to ${BOOKING_WINDOW.maxDaysAhead} days ahead`,
+    });
+  }
+});
+
+const timeSlotSchema = z
+  .string()
+  .transform(sanitizeString)
+  .refine((value) => Boolean(getTimeSlotByLabel(value)), {
+    message: `Time slot must be one of: ${TIME_SLOTS.map(
+      (slot) => slot.label
+    ).join(", ")}`,
+  });
+
+const addressSchema = z
+  .string()
+  .transform(sanitizeString)
+  .pipe(
+    z
+      .string()
+      .min(5, { message: "Address is too short" })
+      .max(200, { message: "Address is too long" })
+  );
+
+const phoneNumberSchema = z
+  .string()
+  .transform(sanitizeString)
+  .pipe(
+    z.string().regex(/^\+?\d[\d\s-]{6,18}\d$/, {
+      message: "Invalid phone number",
+    })
+  );
+
+// Free-form instructions for the crew, e.g. door code or parking
+const notesSchema = z
+  .string()
+  .transform(sanitizeString)
+  .pipe(z.string().max(500, { message: "Notes are too long" }));
+
+// Validation schema for new bookings with sanitization
+export const createBookingSchema = z.object({
+  date: bookingDateSchema,
+  timeSlot: timeSlotSchema,
+  city: z
+    .string()
+    .transform((value) => sanitizeString(value).toLowerCase())
+    .pipe(
+      z.enum(SERVICE_CITIES, {
+        message: "We only operate in Helsinki, Vantaa and Espoo",
+      })
+    ),
+  address: addressSchema,
+  phoneNumber: phoneNumberSchema,
+  paymentMethod: z
+    .string()
+    .transform((value) => sanitizeString(value).toLowerCase())
+    .pipe(
+      z.enum(PAYMENT_METHODS, {
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}`,
+      })
+    ),
+  notes: notesSchema.optional(),
+  // Saved vehicle from the user's profile, ownership is checked by the route
+  vehicleId: z.uuid({ message: "Invalid vehicle" }).optional(),
+  // Service tier, the first active tier when left out
+  serviceId: z.uuid({ message: "Invalid service" }).optional(),
+  // Extras on top of the service, duplicates are ignored
+  addOnIds: z
+    .array(z.uuid({ message: "Invalid add-on" }))
+    .max(10, { message: "Too many add-ons" })
+    .transform((ids) => [...new Set(ids)])
+    .optional(),
+  // Campaign code, matched case-insensitively
+  discountCode: z
+    .string()
+    .transform((value) => sanitizeString(value).toUpperCase())
+    .pipe(
+      z
+        .string()
+        .min(1, { message: "Invalid discount code" })
+        .max(32, { message: "Invalid discount code" })
+    )
+    .optional(),
+});
+
+// Validation schema for a draft booking that holds a time slot during checkout
+export const draftBookingSchema = createBookingSchema.pick({
+  date: true,
+  timeSlot: true,
+});
+
+// Validation schema for the checkout details that confirm a draft booking
+export const confirmBookingSchema = createBookingSchema.pick({
+  city: true,
+  address: true,
+  phoneNumber: true,
+  paymentMethod: true,
+  notes: true,
+  vehicleId: true,
+  serviceId: true,
+  addOnIds: true,
+  discountCode: true,
+});
+
+// Validation schema for a price quote of the service, add-ons and discount code
+export const quoteSchema = createBookingSchema.pick({
+  serviceId: true,
+  addOnIds: true,
+  discountCode: true,
+});
+
+const seriesWeeksMessage = `A series lasts ${SERIES_WEEKS.min} to ${SERIES_WEEKS.max} weeks`;
+
+// Validation schema for a recurring weekly series. The date is the first
+// occurrence and follows the normal booking rules, the checkout details are
+// copied to every occurrence.
+export const createSeriesSchema = createBookingSchema.extend({
+  weeks: z
+    .number({ message: seriesWeeksMessage })
+    .int({ message: seriesWeeksMessage })
+    .min(SERIES_WEEKS.min, { message: seriesWeeksMessage })
+    .max(SERIES_WEEKS.max, { message: seriesWeeksMessage }),
+});
+
+/**
+ * Days of a weekly series, the same weekday each week from the first day
+ * @param {string} firstDayKey - First occurrence (YYYY-MM-DD)
+ * @param {number} weeks - Number of occurrences
+ * @returns {Array<string>} - Day keys (YYYY-MM-DD)
+ */
+export const getSeriesDayKeys = (firstDayKey, weeks) =>
+  Array.from({ length: weeks }, (_, week) => addDays(firstDayKey, week * 7));
+
+// Validation schema for changing an existing booking, all fields optional
+export const updateBookingSchema = z.object({
+  date: bookingDateSchema.optional(),
+  timeSlot: timeSlotSchema.optional(),
+  address: addressSchema.optional(),
+  phoneNumber: phoneNumberSchema.optional(),
+  notes: notesSchema.optional(),
+});
+
+// Validation schema for cancelling a booking, reason is optional
+export const cancelBookingSchema = z.object({
+  reason: z
+    .string()
+    .transform(sanitizeString)
+    .pipe(z.string().max(500, { message: "Cancellation reason is too long" }))
+    .optional(),
+});
+
+// Validation schema for a receipt download, printable page by default
+export const receiptQuerySchema = z.object({
+  format: z
+    .enum(["html", "pdf"], { message: "Format must be html or pdf" })
+    .default("html"),
+});
+
+// Validation schema for the calendar feed address, tokens are 64 hex characters
+export const calendarFeedQuerySchema = z.object({
+  token: z
+    .string()
+    .regex(/^[a-f0-9]{64}$/, { message: "Invalid calendar token" }),
+});
+
+/**
+ * Build the combined location string, e.g. "Testikatu 1, 00100, Helsinki"
+ * @param {string} address - Sanitized address
+ * @param {string} city - City name in any case
+ * @returns {string}
+ */
+export const formatLocation = (address, city) =>
+  `${address}, ${city.charAt(0).toUpperCase()}${city.slice(1).toLowerCase()}`;
+
+/**
+ * Split a submitted address into street address and Finnish postal code
+ * e.g. "Testikatu 1 A 2, 00100" -> { streetAddress: "Testikatu 1 A 2", postalCode: "00100" }
+ * @param {string} address - Sanitized address
+ * @returns {{streetAddress: string, postalCode: string|null}}
+ */
+export const parseAddress = (address) => {
+  const postalCodeMatch = address.match(/\b\d{5}\b/);
+  if (!postalCodeMatch) {
+    return { streetAddress: address, postalCode: null };
+  }
+
+  const streetAddress = address
+    .replace(postalCodeMatch[0], "")
+    .replace(/\s*,\s*,/g, ",")
+    .replace(/^[\s,]+|[\s,]+$/g, "")
+    .replace(/\s+/g, " ");
+
+  return { streetAddress, postalCode: postalCodeMatch[0] };
+};
+
+/**
+ * Turn a ZodError into field-level error messages
+ * @param {z.ZodError} error - Validation error
+ * @returns {Object} - { field: [messages] }
+ */
+export const getFieldErrors = (error) => z.flattenError(error).fieldErrors;
+
+export default {
+  TIME_SLOTS,
+  BOOKING_WINDOW,
+  CHANGE_CUTOFF_HOURS,
+  CANCELLATION_CUTOFF_HOURS,
+  SERIES_WEEKS,
+  SERVICE_CITIES,
+  PAYMENT_METHODS,
+  getTimeSlotByLabel,
+  toBookingDayKey,
+  getSlotStart,
+  toSlotTimes,
+  getBookingStart,
+  isBeforeCutoff,
+  formatLocation,
+  parseAddress,
+  isWeekday,
+  isWithinBookingWindow,
+  createBookingSchema,
+  draftBookingSchema,
+  confirmBookingSchema,
+  quoteSchema,
+  createSeriesSchema,
+  getSeriesDayKeys,
+  updateBookingSchema,
+  cancelBookingSchema,
+  receiptQuerySchema,
+  calendarFeedQuerySchema,
+  getFieldErrors,
+};
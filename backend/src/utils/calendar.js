@@ -0,0 +1,298 @@
+import crypto from "crypto";
+import { SERVICE_TIME_ZONE, toDayKey, toZonedTime } from "./time.js";
+import {
+  DEFAULT_EMAIL_LANGUAGE,
+  EMAIL_LANGUAGES,
+  PAYMENT_METHOD_LABELS,
+} from "./emailTemplates.js";
+import { getSellerDetails } from "./invoices.js";
+import { formatBookingAddress } from "./receipts.js";
+import { getMailFrom } from "./mailer.js";
+
+/**
+ * iCalendar (.ics) files of bookings: single bookings to add to a calendar,
+ * invites emailed to the booking owner and the user's private feed that
+ * Outlook and Google Calendar subscribe to. Events cover the booked 2-hour
+ * time slot in Europe/Helsinki time. Files and the feed publish the events
+ * (METHOD:PUBLISH), emailed invites are requests that add or update the event
+ * in the recipient's calendar (METHOD:REQUEST) or cancel it (METHOD:CANCEL).
+ */
+
+const PRODUCT_ID = "-//Workday-Vacuumers//Bookings//EN";
+
+// How often subscribed calendar apps should fetch the feed again
+const FEED_REFRESH_INTERVAL = "PT1H";
+
+// iCalendar lines are folded after 75 octets
+const MAX_LINE_OCTETS = 75;
+
+// Event status of each booking status, drafts are never in a calendar
+const EVENT_STATUSES = {
+  PENDING_PAYMENT: "TENTATIVE",
+  CONFIRMED: "CONFIRMED",
+  COMPLETED: "CONFIRMED",
+  CANCELLED: "CANCELLED",
+};
+
+// Booking statuses listed in the calendar feed, cancelled bookings stay so
+// calendar apps remove the event
+export const CALENDAR_STATUSES = Object.keys(EVENT_STATUSES);
+
+// Start and end of a time slot label, also matches older "10:00-12:00" labels
+const SLOT_TIMES_REGEX = /^(\d{2}):(\d{2})\s*-\s*(\d{2}):(\d{2})$/;
+
+// Europe/Helsinki with the EU daylight saving time rules
+const HELSINKI_TIME_ZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${SERVICE_TIME_ZONE}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19701025T040000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "TZOFFSETFROM:+0300",
+  "TZOFFSETTO:+0200",
+  "TZNAME:EET",
+  "END:STANDARD",
+  "BEGIN:DAYLIGHT",
+  "DTSTART:19700329T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0300",
+  "TZNAME:EEST",
+  "END:DAYLIGHT",
+  "END:VTIMEZONE",
+];
+
+// Event wording in the user's language, same as the emails
+const LABELS = {
+  fi: {
+    calendarName: "Workday-Vacuumers-varaukset",
+    addOns: "Lisäpalvelut:",
+    payment: "Maksutapa:",
+    notes: "Lisätiedot:",
+  },
+  en: {
+    calendarName: "Workday-Vacuumers bookings",
+    addOns: "Add-ons:",
+    payment: "Payment:",
+    notes: "Notes:",
+  },
+};
+
+/**
+ * Generate the secret of a calendar feed address
+ * @returns {string} - 64 hex characters
+ */
+export const createCalendarToken = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * Escape a TEXT value, e.g. a summary or a location
+ * @param {string} value - Text to escape
+ * @returns {string}
+ */
+export const escapeCalendarText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line into lines of at most 75 octets, continuation lines
+ * start with a space. Multi-byte characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n");
+};
+
+// e.g. 20251007T060000Z
+const formatUtcDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * Helsinki wall clock start and end of a booking, from the stored slot times
+ * or the time slot label of older bookings
+ * @returns {string[]|null} - e.g. ["0900", "1100"], null if unknown
+ */
+const getEventTimes = (booking) => {
+  if (booking.startsAt && booking.endsAt) {
+    return [booking.startsAt, booking.endsAt].map((date) =>
+      toZonedTime(date).replace(":", "")
+    );
+  }
+
+  const match = booking.timeSlot?.match(SLOT_TIMES_REGEX);
+  return match ? [`${match[1]}${match[2]}`, `${match[3]}${match[4]}`] : null;
+};
+
+// Address of the sender, e.g. "Workday-Vacuumers <no-reply@example.com>"
+const getOrganizerAddress = () => {
+  const from = getMailFrom();
+  return from.match(/<([^>]+)>/)?.[1] ?? from;
+};
+
+/**
+ * Event of one booking. The time slot is given in Helsinki wall clock time,
+ * bookings with an unknown slot become all-day events. Invites name the
+ * sender as the organizer and the booking owner as the attendee.
+ */
+const toEventLines = (booking, language, now, attendee) => {
+  const labels = LABELS[language];
+  const seller = getSellerDetails();
+  const day = toDayKey(booking.startsAt ?? booking.date).replace(/-/g, "");
+  const times = getEventTimes(booking);
+  const serviceName =
+    language === "en" ? booking.service?.nameEn : booking.service?.nameFi;
+  const addOns = (booking.addOns ?? [])
+    .map(({ addOn }) => (language === "en" ? addOn.nameEn : addOn.nameFi))
+    .join(", ");
+  const paymentMethod =
+    PAYMENT_METHOD_LABELS[language][booking.paymentMethod] ?? "";
+
+  const description = [
+    addOns && `${labels.addOns} ${addOns}`,
+    paymentMethod && `${labels.payment} ${paymentMethod}`,
+    booking.notes && `${labels.notes} ${booking.notes}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  const location = formatBookingAddress(booking);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${booking.id}@workday-vacuumers`,
+    `DTSTAMP:${formatUtcDateTime(now)}`,
+    booking.updatedAt &&
+      `LAST-MODIFIED:${formatUtcDateTime(booking.updatedAt)}`,
+    // Calendar apps only apply an update or a cancellation with a higher
+    // sequence than the event they have
+    `SEQUENCE:${booking.sequence ?? 0}`,
+    ...(times
+      ? [
+          `DTSTART;TZID=${SERVICE_TIME_ZONE}:${day}T${times[0]}00`,
+          `DTEND;TZID=${SERVICE_TIME_ZONE}:${day}T${times[1]}00`,
+        ]
+      : [`DTSTART;VALUE=DATE:${day}`]),
+    `SUMMARY:${escapeCalendarText(
+      serviceName ? `${seller.name}: ${serviceName}` : seller.name
+    )}`,
+    location && `LOCATION:${escapeCalendarText(location)}`,
+    description && `DESCRIPTION:${escapeCalendarText(description)}`,
+    `STATUS:${EVENT_STATUSES[booking.status] ?? "CONFIRMED"}`,
+    attendee && `ORGANIZER:mailto:${getOrganizerAddress()}`,
+    attendee &&
+      `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${attendee}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+};
+
+const buildCalendar = (
+  bookings,
+  language,
+  { method = "PUBLISH", headerLines = () => [], attendee } = {},
+  now = new Date()
+) => {
+  const lang = EMAIL_LANGUAGES.includes(language)
+    ? language
+    : DEFAULT_EMAIL_LANGUAGE;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    ...headerLines(LABELS[lang]),
+    ...HELSINKI_TIME_ZONE,
+    ...bookings.flatMap((booking) =>
+      toEventLines(booking, lang, now, attendee)
+    ),
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+/**
+ * Build an .ics file with the given bookings, for downloads and email attachments
+ * @param {Array} bookings - Bookings with their service and add-ons
+ * @param {string} [language] - fi or en, unknown languages fall back to Finnish
+ * @param {Date} [now] - Time the file is created
+ * @returns {string} - iCalendar file
+ */
+export const toBookingCalendar = (bookings, language, now = new Date()) =>
+  buildCalendar(bookings, language, {}, now);
+
+/**
+ * Build the user's calendar feed with a name and refresh interval for
+ * subscribing calendar apps
+ * @param {Array} bookings - Bookings with their service and add-ons
+ * @param {string} [language] - fi or en, unknown languages fall back to Finnish
+ * @param {Date} [now] - Time the feed is built
+ * @returns {string} - iCalendar feed
+ */
+export const toCalendarFeed = (bookings, language, now = new Date()) =>
+  buildCalendar(
+    bookings,
+    language,
+    {
+      headerLines: (labels) => [
+        `X-WR-CALNAME:${escapeCalendarText(labels.calendarName)}`,
+        `X-WR-TIMEZONE:${SERVICE_TIME_ZONE}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`,
+      ],
+    },
+    now
+  );
+
+/**
+ * Email invite adding or updating the bookings in the recipient's calendar,
+ * or removing cancelled ones from it
+ * @param {Array} bookings - Bookings with their service and add-ons
+ * @param {string} [language] - fi or en
+ * @param {Object} [options]
+ * @param {string} [options.method] - REQUEST for new and changed bookings,
+ * CANCEL for cancelled ones
+ * @param {string} [options.attendee] - Email address of the booking owner
+ * @param {Date} [options.now] - Time the invite is created
+ * @returns {{ filename: string, content: string, contentType: string }}
+ */
+export const toCalendarAttachment = (
+  bookings,
+  language,
+  { method = "REQUEST", attendee, now = new Date() } = {}
+) => ({
+  filename: "booking.ics",
+  content: buildCalendar(bookings, language, { method, attendee }, now),
+  contentType: `text/calendar; charset=utf-8; method=${method}`,
+});
+
+export default {
+  CALENDAR_STATUSES,
+  createCalendarToken,
+  escapeCalendarText,
+  toBookingCalendar,
+  toCalendarFeed,
+  toCalendarAttachment,
+};
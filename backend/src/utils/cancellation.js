@@ -0,0 +1,61 @@
+import { syncInvoiceStatus } from "./invoices.js";
+
+/**
+ * Cancelling bookings, shared by customer and operator cancellations.
+ * Cancelled bookings are kept for history and free their time slots.
+ */
+
+/**
+ * Cancel bookings in a transaction. The pending payment of unpaid bookings
+ * expires so a late payment can't be captured for them, and an unpaid
+ * invoice with nothing left to pay is cancelled.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array} bookings - Bookings with their id, status, paymentId and invoiceId
+ * @param {Object} [options]
+ * @param {string|null} [options.reason] - Cancellation reason
+ * @param {Date} [options.cancelledAt] - Time of the cancellation
+ * @returns {Promise<void>}
+ */
+export const cancelBookings = async (
+  tx,
+  bookings,
+  { reason = null, cancelledAt = new Date() } = {}
+) => {
+  if (bookings.length === 0) return;
+
+  await tx.booking.updateMany({
+    where: { id: { in: bookings.map((booking) => booking.id) } },
+    data: {
+      status: "CANCELLED",
+      holdExpiresAt: null,
+      cancelledAt,
+      cancellationReason: reason,
+      sequence: { increment: 1 },
+    },
+  });
+
+  // Occurrences of a series share one payment
+  const paymentIds = [
+    ...new Set(
+      bookings
+        .filter((booking) => booking.status === "PENDING_PAYMENT")
+        .map((booking) => booking.paymentId)
+        .filter(Boolean)
+    ),
+  ];
+  if (paymentIds.length > 0) {
+    await tx.payment.updateMany({
+      where: { id: { in: paymentIds }, status: "PENDING" },
+      data: { status: "EXPIRED" },
+    });
+  }
+
+  await syncInvoiceStatus(
+    tx,
+    bookings.map((booking) => booking.invoiceId)
+  );
+};
+
+export default {
+  cancelBookings,
+};
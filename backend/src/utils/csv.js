@@ -0,0 +1,39 @@
+/**
+ * CSV files for spreadsheet programs: semicolon separated so they open in
+ * columns in Finnish Excel, with a BOM so the UTF-8 encoding is detected.
+ */
+
+const CSV_SEPARATOR = ";";
+
+/**
+ * Quote a CSV value and neutralize spreadsheet formulas
+ * @param {string} value - Cell value
+ * @returns {string}
+ */
+export const escapeCsvValue = (value) => {
+  let text = String(value);
+
+  // Cells starting with these are run as formulas by spreadsheet programs,
+  // phone numbers like "+358..." are left alone
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s])/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Build a CSV file from a header row and data rows
+ * @param {Array<string>} header - Column labels
+ * @param {Array<Array>} rows - Cell values in column order
+ * @returns {string} - UTF-8 CSV with BOM and CRLF line endings
+ */
+export const toCsv = (header, rows) =>
+  `\uFEFF${[header, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(CSV_SEPARATOR))
+    .join("\r\n")}\r\n`;
+
+export default {
+  escapeCsvValue,
+  toCsv,
+};
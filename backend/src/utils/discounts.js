@@ -0,0 +1,101 @@
+/**
+ * Discount code rules: validity window, use limits and first booking only
+ * campaigns. The discount itself is calculated in pricing.js.
+ */
+
+// Bookings that use up a discount code, cancelled ones give the use back.
+// Unpaid bookings keep the use until their payment hold expires.
+const USED_STATUSES = ["PENDING_PAYMENT", "CONFIRMED", "COMPLETED"];
+
+/**
+ * Error thrown when a discount code can't be used for the booking
+ */
+export class DiscountCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DiscountCodeError";
+  }
+}
+
+/**
+ * Find a discount code the user can use right now
+ * @param {PrismaClient} prisma - Prisma client or transaction
+ * @param {Object} params
+ * @param {string} params.code - Uppercased code
+ * @param {string} params.userId - User making the booking
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<Object>} - DiscountCode row
+ * @throws {DiscountCodeError} If the code doesn't exist or can't be used
+ */
+export const findApplicableDiscount = async (
+  prisma,
+  { code, userId, now = new Date() }
+) => {
+  const discount = await prisma.discountCode.findUnique({ where: { code } });
+
+  if (!discount || !discount.active) {
+    throw new DiscountCodeError("Discount code not found");
+  }
+  if (discount.validFrom && now < discount.validFrom) {
+    throw new DiscountCodeError("Discount code is not valid yet");
+  }
+  if (discount.validUntil && now > discount.validUntil) {
+    throw new DiscountCodeError("Discount code has expired");
+  }
+
+  if (discount.maxUses !== null) {
+    const uses = await prisma.booking.count({
+      where: { discountCodeId: discount.id, status: { in: USED_STATUSES } },
+    });
+    if (uses >= discount.maxUses) {
+      throw new DiscountCodeError("Discount code has been used up");
+    }
+  }
+
+  if (discount.maxUsesPerUser !== null) {
+    const uses = await prisma.booking.count({
+      where: {
+        discountCodeId: discount.id,
+        userId,
+        status: { in: USED_STATUSES },
+      },
+    });
+    if (uses >= discount.maxUsesPerUser) {
+      throw new DiscountCodeError("You have already used this discount code");
+    }
+  }
+
+  if (discount.firstBookingOnly) {
+    const bookings = await prisma.booking.count({
+      where: { userId, status: { in: USED_STATUSES } },
+    });
+    if (bookings > 0) {
+      throw new DiscountCodeError(
+        "Discount code is only valid for your first booking"
+      );
+    }
+  }
+
+  return discount;
+};
+
+/**
+ * Check a discount code inside a booking transaction. Bookings with the same
+ * code wait for each other so concurrent bookings can't go over the limits.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params - Same as findApplicableDiscount
+ * @returns {Promise<Object>} - DiscountCode row
+ * @throws {DiscountCodeError} If the code can't be used
+ */
+export const reserveDiscount = async (tx, params) => {
+  const lockKey = `discount-code:${params.code}`;
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+
+  return findApplicableDiscount(tx, params);
+};
+
+export default {
+  DiscountCodeError,
+  findApplicableDiscount,
+  reserveDiscount,
+};
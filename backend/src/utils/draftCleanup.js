@@ -0,0 +1,100 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+
+const prisma = new PrismaClient();
+
+// How often expired drafts are removed (every minute)
+const DRAFT_CLEANUP_INTERVAL = 60 * 1000;
+
+// Function to remove draft bookings whose slot hold has expired
+export const cleanupExpiredDrafts = async (client = prisma) => {
+  try {
+    const result = await client.booking.deleteMany({
+      where: {
+        status: "DRAFT",
+        holdExpiresAt: { lt: new Date() },
+      },
+    });
+
+    if (result.count > 0) {
+      logger.info(
+        `Expired draft bookings cleaned up successfully. Deleted: ${result.count} drafts`
+      );
+    }
+  } catch (error) {
+    logger.error("Failed to cleanup expired draft bookings:", error.message);
+  }
+};
+
+// Function to cancel card and MobilePay bookings that weren't paid before
+// their hold expired, the payment can no longer confirm them
+export const cancelUnpaidBookings = async (client = prisma) => {
+  try {
+    const now = new Date();
+    const unpaid = await client.booking.findMany({
+      where: {
+        status: "PENDING_PAYMENT",
+        holdExpiresAt: { lt: now },
+      },
+      select: { id: true, paymentId: true },
+    });
+
+    if (unpaid.length === 0) return;
+
+    // Occurrences of a series share one payment
+    const paymentIds = [
+      ...new Set(unpaid.map((booking) => booking.paymentId).filter(Boolean)),
+    ];
+
+    // Status filters skip bookings the payment confirmed in the meantime
+    await client.$transaction([
+      client.booking.updateMany({
+        where: {
+          id: { in: unpaid.map((booking) => booking.id) },
+          status: "PENDING_PAYMENT",
+        },
+        data: {
+          status: "CANCELLED",
+          holdExpiresAt: null,
+          cancelledAt: now,
+          cancellationReason: "Payment not completed",
+          sequence: { increment: 1 },
+        },
+      }),
+      client.payment.updateMany({
+        where: {
+          id: { in: paymentIds },
+          status: "PENDING",
+        },
+        data: { status: "EXPIRED" },
+      }),
+    ]);
+
+    logger.info(
+      `Unpaid bookings cancelled successfully. Cancelled: ${unpaid.length} bookings`
+    );
+  } catch (error) {
+    logger.error("Failed to cancel unpaid bookings:", error.message);
+  }
+};
+
+// Function to start automatic draft cleanup (runs every minute)
+export const startDraftCleanup = () => {
+  const cleanup = () => {
+    cleanupExpiredDrafts();
+    cancelUnpaidBookings();
+  };
+
+  // Run cleanup immediately on startup
+  cleanup();
+
+  setInterval(cleanup, DRAFT_CLEANUP_INTERVAL);
+
+  logger.info("Draft booking cleanup scheduler started (runs every minute)");
+};
+
+export default {
+  cleanupExpiredDrafts,
+  cancelUnpaidBookings,
+  startDraftCleanup,
+};
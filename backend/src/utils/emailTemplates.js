@@ -0,0 +1,409 @@
+import { SERVICE_TIME_ZONE } from "./time.js";
+import { getBookedTotalCents } from "./pricing.js";
+import { formatReferenceNumber, getSellerDetails } from "./invoices.js";
+
+/**
+ * Finnish and English email templates. Wording follows the frontend's
+ * translations.js so emails read the same as the pages the user saw.
+ * Each template returns the subject and the lines of a plain text body.
+ */
+
+export const EMAIL_LANGUAGES = ["fi", "en"];
+export const DEFAULT_EMAIL_LANGUAGE = "fi";
+
+const SIGNATURE = "Workday-Vacuumers";
+
+// Same labels as pricing.payment.methods and pricing.payment.location.cities
+export const PAYMENT_METHOD_LABELS = {
+  fi: {
+    CARD: "Kortti",
+    MOBILEPAY: "MobilePay",
+    BANK: "Pankki",
+    CASH: "Käteinen",
+  },
+  en: { CARD: "Card", MOBILEPAY: "MobilePay", BANK: "Bank", CASH: "Cash" },
+};
+
+export const CITY_NAMES = {
+  HELSINKI: "Helsinki",
+  VANTAA: "Vantaa",
+  ESPOO: "Espoo",
+};
+
+/**
+ * Format a booking date as a weekday and day in Helsinki time
+ * @param {Date|string} date - Booking date
+ * @param {string} language - fi or en
+ * @returns {string} - e.g. "ma 15.9.2025" or "Mon, 9/15/2025"
+ */
+export const formatEmailDate = (date, language) =>
+  new Intl.DateTimeFormat(language === "en" ? "en-US" : "fi-FI", {
+    timeZone: SERVICE_TIME_ZONE,
+    weekday: "short",
+    day: "numeric",
+    month: "numeric",
+    year: "numeric",
+  }).format(new Date(date));
+
+/**
+ * Format a price in cents as euros
+ * @param {number} cents - Price in cents
+ * @param {string} language - fi or en
+ * @returns {string} - e.g. "49,00 €" or "€49.00"
+ */
+export const formatEmailPrice = (cents, language) =>
+  new Intl.NumberFormat(language === "en" ? "en-US" : "fi-FI", {
+    style: "currency",
+    currency: "EUR",
+  }).format(cents / 100);
+
+/**
+ * Booked price of the service and add-ons after the discount with the VAT rate, e.g.
+ * "49,00 € (sis. ALV 25,5 %)", empty for bookings made before prices were stored
+ */
+const formatPriceWithVat = (booking, language) => {
+  const totalCents = getBookedTotalCents(booking);
+  if (totalCents === null) return null;
+
+  const vatRate = booking.vatRate.toLocaleString(
+    language === "en" ? "en-US" : "fi-FI"
+  );
+  return language === "en"
+    ? `${formatEmailPrice(totalCents, "en")} (incl. VAT ${vatRate} %)`
+    : `${formatEmailPrice(totalCents, "fi")} (sis. ALV ${vatRate} %)`;
+};
+
+/**
+ * Discount code and the discount it gave, e.g. "ENSIPESU (-20,00 €)"
+ */
+const formatDiscount = (booking, language) =>
+  booking.discountCode && booking.discountCents
+    ? `${booking.discountCode.code} (-${formatEmailPrice(
+        booking.discountCents,
+        language
+      )})`
+    : null;
+
+/**
+ * Booking detail lines shared by the booking templates, empty fields skipped
+ */
+const bookingDetailLines = (booking, language) => {
+  const labels =
+    language === "en"
+      ? {
+          service: "Service:",
+          addOns: "Add-ons:",
+          discount: "Discount:",
+          price: "Price:",
+          date: "Date:",
+          time: "Time:",
+          city: "City:",
+          address: "Address:",
+          phone: "Phone:",
+          payment: "Payment:",
+        }
+      : {
+          service: "Palvelu:",
+          addOns: "Lisäpalvelut:",
+          discount: "Alennus:",
+          price: "Hinta:",
+          date: "Päivämäärä:",
+          time: "Aika:",
+          city: "Kaupunki:",
+          address: "Osoite:",
+          phone: "Puhelin:",
+          payment: "Maksutapa:",
+        };
+
+  return [
+    [
+      labels.service,
+      language === "en" ? booking.service?.nameEn : booking.service?.nameFi,
+    ],
+    [
+      labels.addOns,
+      (booking.addOns ?? [])
+        .map(({ addOn }) => (language === "en" ? addOn.nameEn : addOn.nameFi))
+        .join(", "),
+    ],
+    [labels.discount, formatDiscount(booking, language)],
+    [labels.price, formatPriceWithVat(booking, language)],
+    [labels.date, formatEmailDate(booking.date, language)],
+    [labels.time, booking.timeSlot],
+    [labels.city, CITY_NAMES[booking.city]],
+    [labels.address, booking.streetAddress ?? booking.location],
+    [labels.phone, booking.phoneNumber],
+    [labels.payment, PAYMENT_METHOD_LABELS[language][booking.paymentMethod]],
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label} ${value}`);
+};
+
+/**
+ * Payment details of a bank transfer invoice, empty for other payment methods
+ */
+const invoiceLines = (invoice, language) => {
+  if (!invoice) return [];
+
+  const { iban, bic } = getSellerDetails();
+  const labels =
+    language === "en"
+      ? {
+          title: "Invoice:",
+          number: "Invoice number:",
+          amount: "Amount:",
+          due: "Due date:",
+          reference: "Reference number:",
+          iban: "Account (IBAN):",
+          bic: "BIC:",
+          download: "You can download the invoice as a PDF from your profile.",
+        }
+      : {
+          title: "Lasku:",
+          number: "Laskun numero:",
+          amount: "Summa:",
+          due: "Eräpäivä:",
+          reference: "Viitenumero:",
+          iban: "Tilinumero:",
+          bic: "BIC:",
+          download: "Voit ladata laskun PDF-muodossa profiilistasi.",
+        };
+
+  return [
+    [
+      labels.title,
+      ...[
+        [labels.number, invoice.number],
+        [labels.amount, formatEmailPrice(invoice.amountCents, language)],
+        [labels.due, formatEmailDate(invoice.dueDate, language)],
+        [labels.reference, formatReferenceNumber(invoice.referenceNumber)],
+        [labels.iban, iban],
+        [labels.bic, bic],
+      ]
+        .filter(([, value]) => value)
+        .map(([label, value]) => `${label} ${value}`),
+    ].join("\n"),
+    labels.download,
+  ];
+};
+
+/**
+ * One line per occurrence of a recurring series
+ */
+const seriesDateLines = (dates, language) =>
+  dates.map((date) => `- ${formatEmailDate(date, language)}`);
+
+const templates = {
+  welcome: {
+    fi: ({ fullName, link, hours }) => ({
+      subject: "Tervetuloa Workday-Vacuumersiin!",
+      lines: [
+        fullName ? `Hei ${fullName},` : "Hei,",
+        "Rekisteröinti onnistui! Vahvista vielä sähköpostiosoitteesi alla olevasta linkistä, jonka jälkeen voit varata auton sisäsiivouksen työpäiväsi ajaksi:",
+        link,
+        `Linkki on voimassa ${hours} tuntia.`,
+      ],
+    }),
+    en: ({ fullName, link, hours }) => ({
+      subject: "Welcome to Workday-Vacuumers!",
+      lines: [
+        fullName ? `Hi ${fullName},` : "Hi,",
+        "Registration successful! Verify your email address with the link below and you can book an interior cleaning for your car during your workday:",
+        link,
+        `The link is valid for ${hours} hours.`,
+      ],
+    }),
+  },
+
+  verifyEmail: {
+    fi: ({ link, hours }) => ({
+      subject: "Vahvista sähköpostiosoitteesi",
+      lines: [
+        "Vahvista sähköpostiosoitteesi avaamalla alla oleva linkki:",
+        link,
+        `Linkki on voimassa ${hours} tuntia.`,
+      ],
+    }),
+    en: ({ link, hours }) => ({
+      subject: "Verify your email address",
+      lines: [
+        "Verify your email address by opening the link below:",
+        link,
+        `The link is valid for ${hours} hours.`,
+      ],
+    }),
+  },
+
+  bookingConfirmed: {
+    fi: ({ booking }) => ({
+      subject: "Varaus onnistui!",
+      lines: [
+        "Varauksesi on vahvistettu. Tarkastathan varauksesi tiedot ja ota yhteyttä tarvittaessa.",
+        ["Varauksen tiedot:", ...bookingDetailLines(booking, "fi")].join("\n"),
+        ...invoiceLines(booking.invoice, "fi"),
+      ],
+    }),
+    en: ({ booking }) => ({
+      subject: "Booking Successful!",
+      lines: [
+        "Your booking has been confirmed. Check the booking information and contact us when needed.",
+        ["Booking Details:", ...bookingDetailLines(booking, "en")].join("\n"),
+        ...invoiceLines(booking.invoice, "en"),
+      ],
+    }),
+  },
+
+  bookingUpdated: {
+    fi: ({ booking }) => ({
+      subject: "Varausta muutettu",
+      lines: [
+        "Varaustasi on muutettu. Kalenterikutsu päivittää varauksen kalenteriisi.",
+        ["Varauksen tiedot:", ...bookingDetailLines(booking, "fi")].join("\n"),
+      ],
+    }),
+    en: ({ booking }) => ({
+      subject: "Booking updated",
+      lines: [
+        "Your booking has been changed. The calendar invite updates the booking in your calendar.",
+        ["Booking Details:", ...bookingDetailLines(booking, "en")].join("\n"),
+      ],
+    }),
+  },
+
+  bookingCancelled: {
+    fi: ({ booking }) => ({
+      subject: "Varaus peruttu",
+      lines: [
+        "Varauksesi on peruttu.",
+        [
+          "Varauksen tiedot:",
+          ...bookingDetailLines(booking, "fi"),
+          ...(booking.cancellationReason
+            ? [`Syy: ${booking.cancellationReason}`]
+            : []),
+        ].join("\n"),
+      ],
+    }),
+    en: ({ booking }) => ({
+      subject: "Booking cancelled",
+      lines: [
+        "Your booking has been cancelled.",
+        [
+          "Booking Details:",
+          ...bookingDetailLines(booking, "en"),
+          ...(booking.cancellationReason
+            ? [`Reason: ${booking.cancellationReason}`]
+            : []),
+        ].join("\n"),
+      ],
+    }),
+  },
+
+  seriesConfirmed: {
+    fi: ({ booking, dates, skipped = [] }) => ({
+      subject: "Toistuva varaus onnistui!",
+      lines: [
+        `Toistuva viikkovarauksesi on vahvistettu, ${dates.length} kertaa.`,
+        ["Varauksen tiedot:", ...bookingDetailLines(booking, "fi")].join("\n"),
+        ["Päivät:", ...seriesDateLines(dates, "fi")].join("\n"),
+        ...(skipped.length > 0
+          ? [
+              [
+                "Näinä päivinä aika oli jo varattu:",
+                ...seriesDateLines(skipped, "fi"),
+              ].join("\n"),
+            ]
+          : []),
+        ...invoiceLines(booking.invoice, "fi"),
+      ],
+    }),
+    en: ({ booking, dates, skipped = [] }) => ({
+      subject: "Recurring Booking Successful!",
+      lines: [
+        `Your weekly booking has been confirmed for ${dates.length} weeks.`,
+        ["Booking Details:", ...bookingDetailLines(booking, "en")].join("\n"),
+        ["Dates:", ...seriesDateLines(dates, "en")].join("\n"),
+        ...(skipped.length > 0
+          ? [
+              [
+                "The time slot was already booked on these days:",
+                ...seriesDateLines(skipped, "en"),
+              ].join("\n"),
+            ]
+          : []),
+        ...invoiceLines(booking.invoice, "en"),
+      ],
+    }),
+  },
+
+  seriesCancelled: {
+    fi: ({ dates }) => ({
+      subject: "Toistuva varaus peruttu",
+      lines: [
+        "Toistuva viikkovarauksesi on peruttu. Seuraavat varaukset peruttiin:",
+        seriesDateLines(dates, "fi").join("\n"),
+      ],
+    }),
+    en: ({ dates }) => ({
+      subject: "Recurring booking cancelled",
+      lines: [
+        "Your weekly booking has been cancelled. The following bookings were cancelled:",
+        seriesDateLines(dates, "en").join("\n"),
+      ],
+    }),
+  },
+
+  passwordReset: {
+    fi: ({ link, minutes }) => ({
+      subject: "Palauta salasana",
+      lines: [
+        "Avaa alla oleva linkki asettaaksesi uuden salasanan:",
+        link,
+        `Linkki on voimassa ${minutes} minuuttia ja sen voi käyttää kerran.`,
+        "Jos et pyytänyt salasanan palautusta, voit jättää tämän viestin huomiotta.",
+      ],
+    }),
+    en: ({ link, minutes }) => ({
+      subject: "Reset your password",
+      lines: [
+        "Open the link below to set a new password:",
+        link,
+        `The link is valid for ${minutes} minutes and can be used once.`,
+        "If you didn't request a password reset, you can ignore this email.",
+      ],
+    }),
+  },
+};
+
+/**
+ * Render an email template in the user's language
+ * @param {string} name - Template name (welcome, verifyEmail, bookingConfirmed, bookingCancelled, seriesConfirmed, seriesCancelled, passwordReset)
+ * @param {string} [language] - fi or en, unknown languages fall back to Finnish
+ * @param {Object} data - Template data
+ * @returns {{ subject: string, text: string }}
+ * @throws {Error} If the template doesn't exist
+ */
+export const renderEmail = (name, language, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const lang = EMAIL_LANGUAGES.includes(language)
+    ? language
+    : DEFAULT_EMAIL_LANGUAGE;
+  const { subject, lines } = template[lang](data);
+
+  return {
+    subject,
+    text: [...lines, SIGNATURE].join("\n\n"),
+  };
+};
+
+export default {
+  EMAIL_LANGUAGES,
+  DEFAULT_EMAIL_LANGUAGE,
+  formatEmailDate,
+  formatEmailPrice,
+  renderEmail,
+};
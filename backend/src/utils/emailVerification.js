@@ -0,0 +1,26 @@
+import { createSingleUseTokens } from "./singleUseTokens.js";
+
+// Hours an email verification link stays valid by default
+const DEFAULT_VERIFICATION_TOKEN_HOURS = 48;
+
+/**
+ * Read how long an email verification token is valid from the environment
+ * @returns {number} - Hours, defaults to 48
+ */
+export const getVerificationTokenHours = () => {
+  const hours = Number.parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS, 10);
+  return Number.isInteger(hours) && hours > 0
+    ? hours
+    : DEFAULT_VERIFICATION_TOKEN_HOURS;
+};
+
+// Email verification links, stored as EmailVerificationToken
+export const emailVerificationTokens = createSingleUseTokens({
+  model: "emailVerificationToken",
+  getLifetimeMs: () => getVerificationTokenHours() * 60 * 60 * 1000,
+});
+
+export default {
+  getVerificationTokenHours,
+  emailVerificationTokens,
+};
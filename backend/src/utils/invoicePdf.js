@@ -0,0 +1,230 @@
+import { SERVICE_TIME_ZONE } from "./time.js";
+import { toReceipt } from "./pricing.js";
+import {
+  CITY_NAMES,
+  DEFAULT_EMAIL_LANGUAGE,
+  EMAIL_LANGUAGES,
+  formatEmailPrice,
+} from "./emailTemplates.js";
+import { formatReferenceNumber, getSellerDetails } from "./invoices.js";
+import { createPdf, drawAmountRow, drawRule, PAGE_MARGIN } from "./pdf.js";
+
+// Invoice wording in the customer's language, same as the emails
+const LABELS = {
+  fi: {
+    title: "LASKU",
+    businessId: "Y-tunnus",
+    customer: "Asiakas",
+    number: "Laskun numero",
+    issued: "Laskun päivä",
+    due: "Eräpäivä",
+    reference: "Viitenumero",
+    iban: "Tilinumero",
+    bic: "BIC",
+    terms: "Maksuehto",
+    days: "päivää netto",
+    service: "Palvelu",
+    discount: "Alennus",
+    net: "Veroton hinta",
+    vat: "ALV",
+    total: "Maksettava yhteensä",
+    payWithReference: "Käytäthän maksaessasi viitenumeroa.",
+    paid: "Maksettu",
+    cancelled: "Lasku on mitätöity, eikä sitä tarvitse maksaa.",
+  },
+  en: {
+    title: "INVOICE",
+    businessId: "Business ID",
+    customer: "Customer",
+    number: "Invoice number",
+    issued: "Invoice date",
+    due: "Due date",
+    reference: "Reference number",
+    iban: "Account (IBAN)",
+    bic: "BIC",
+    terms: "Terms of payment",
+    days: "days net",
+    service: "Service",
+    discount: "Discount",
+    net: "Price excl. VAT",
+    vat: "VAT",
+    total: "Total to pay",
+    payWithReference: "Please use the reference number when paying.",
+    paid: "Paid",
+    cancelled: "This invoice has been cancelled and does not need to be paid.",
+  },
+};
+
+/**
+ * Format a day in Helsinki time without the weekday
+ * @param {Date|string} date - Date to format
+ * @param {string} language - fi or en
+ * @returns {string} - e.g. "15.9.2025" or "9/15/2025"
+ */
+export const formatDocumentDate = (date, language) =>
+  new Intl.DateTimeFormat(language === "en" ? "en-US" : "fi-FI", {
+    timeZone: SERVICE_TIME_ZONE,
+    day: "numeric",
+    month: "numeric",
+    year: "numeric",
+  }).format(new Date(date));
+
+/**
+ * Format a VAT rate in the document language
+ * @param {number} vatRate - VAT rate in percent
+ * @param {string} language - fi or en
+ * @returns {string} - e.g. "25,5 %" or "25.5 %"
+ */
+export const formatVatRate = (vatRate, language) =>
+  `${vatRate.toLocaleString(language === "en" ? "en-US" : "fi-FI")} %`;
+
+/**
+ * Invoice rows of one booking: the service with the booked time, add-ons
+ * and the discount
+ */
+const drawBookingRows = (doc, booking, labels, language) => {
+  const receipt = toReceipt(booking);
+  if (!receipt) return;
+
+  const when = `${formatDocumentDate(booking.date, language)} ${
+    booking.timeSlot
+  }`;
+
+  receipt.lines.forEach((line, index) => {
+    const name = line.name?.[language] ?? labels.service;
+    drawAmountRow(
+      doc,
+      index === 0 ? `${name}, ${when}` : name,
+      formatEmailPrice(line.priceCents, language),
+      { indent: index === 0 ? 0 : 12 }
+    );
+  });
+
+  if (receipt.discount) {
+    drawAmountRow(
+      doc,
+      `${labels.discount} ${receipt.discount.code ?? ""}`.trim(),
+      `-${formatEmailPrice(receipt.discount.amountCents, language)}`,
+      { indent: 12 }
+    );
+  }
+  doc.moveDown(0.3);
+};
+
+/**
+ * Render an invoice as a PDF in the customer's language
+ * @param {Object} invoice - Invoice with its user and bookings (service, add-ons and discount code included)
+ * @param {string} [language] - fi or en, unknown languages fall back to Finnish
+ * @returns {Promise<Buffer>} - The PDF file
+ */
+export const renderInvoicePdf = (invoice, language) => {
+  const lang = EMAIL_LANGUAGES.includes(language)
+    ? language
+    : DEFAULT_EMAIL_LANGUAGE;
+  const labels = LABELS[lang];
+  const seller = getSellerDetails();
+  const dueDays = Math.round(
+    (new Date(invoice.dueDate) - new Date(invoice.issuedAt)) /
+      (24 * 60 * 60 * 1000)
+  );
+  const [firstBooking] = invoice.bookings;
+  // An unpaid invoice bills only the bookings that are not cancelled
+  const invoicedBookings =
+    invoice.status === "UNPAID"
+      ? invoice.bookings.filter((booking) => booking.status !== "CANCELLED")
+      : invoice.bookings;
+
+  return createPdf(
+    (doc) => {
+      // Seller and document title
+      const top = doc.y;
+      doc.font("Helvetica-Bold").fontSize(16).text(seller.name);
+      doc.font("Helvetica").fontSize(9);
+      if (seller.businessId) {
+        doc.text(`${labels.businessId} ${seller.businessId}`);
+      }
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(16)
+        .text(labels.title, PAGE_MARGIN, top, { align: "right" });
+      doc.fontSize(10).moveDown(2);
+
+      // Customer on the left, invoice details on the right
+      const detailsTop = doc.y;
+      doc.font("Helvetica-Bold").text(labels.customer, PAGE_MARGIN);
+      doc.font("Helvetica");
+      [
+        invoice.user?.fullName,
+        invoice.user?.email,
+        firstBooking?.streetAddress ?? firstBooking?.location,
+        [firstBooking?.postalCode, CITY_NAMES[firstBooking?.city]]
+          .filter(Boolean)
+          .join(" "),
+      ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line));
+      const customerBottom = doc.y;
+
+      doc.y = detailsTop;
+      [
+        [labels.number, String(invoice.number)],
+        [labels.issued, formatDocumentDate(invoice.issuedAt, lang)],
+        [labels.due, formatDocumentDate(invoice.dueDate, lang)],
+        [labels.terms, `${dueDays} ${labels.days}`],
+        [labels.reference, formatReferenceNumber(invoice.referenceNumber)],
+        [labels.iban, seller.iban],
+        [labels.bic, seller.bic],
+      ]
+        .filter(([, value]) => value)
+        .forEach(([label, value]) => {
+          const y = doc.y;
+          doc.font("Helvetica").text(label, 300, y, { width: 110 });
+          doc.font("Helvetica-Bold").text(value, 410, y, { width: 135 });
+        });
+
+      doc.x = PAGE_MARGIN;
+      doc.y = Math.max(customerBottom, doc.y);
+      doc.moveDown(2);
+
+      // Invoiced bookings
+      drawRule(doc);
+      invoicedBookings.forEach((booking) =>
+        drawBookingRows(doc, booking, labels, lang)
+      );
+      drawRule(doc);
+
+      // VAT and the total
+      drawAmountRow(doc, labels.net, formatEmailPrice(invoice.netCents, lang));
+      (invoice.vatBreakdown ?? []).forEach((rate) =>
+        drawAmountRow(
+          doc,
+          `${labels.vat} ${formatVatRate(rate.vatRate, lang)}`,
+          formatEmailPrice(rate.vatCents, lang)
+        )
+      );
+      drawAmountRow(
+        doc,
+        labels.total,
+        formatEmailPrice(invoice.amountCents, lang),
+        { bold: true }
+      );
+      doc.moveDown(2);
+
+      doc.font("Helvetica");
+      if (invoice.status === "CANCELLED") {
+        doc.text(labels.cancelled);
+      } else if (invoice.status === "PAID" && invoice.paidAt) {
+        doc.text(`${labels.paid} ${formatDocumentDate(invoice.paidAt, lang)}`);
+      } else {
+        doc.text(labels.payWithReference);
+      }
+    },
+    { Title: `${labels.title} ${invoice.number}` }
+  );
+};
+
+export default {
+  formatDocumentDate,
+  formatVatRate,
+  renderInvoicePdf,
+};
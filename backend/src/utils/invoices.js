@@ -0,0 +1,211 @@
+/**
+ * Invoices of bookings paid by bank transfer: sequential invoice numbers,
+ * Finnish reference numbers (viitenumero), due dates and the VAT of the
+ * invoiced bookings. The PDF is rendered in invoicePdf.js.
+ */
+
+// Numbers start from here so reference numbers have the required length
+export const FIRST_INVOICE_NUMBER = 1000;
+
+// Weights of the reference number check digit, from the rightmost digit
+const REFERENCE_WEIGHTS = [7, 3, 1];
+
+/**
+ * Days between the invoice date and the due date
+ * Configured with INVOICE_DUE_DAYS, defaults to 14
+ * @returns {number}
+ */
+export const getInvoiceDueDays = () => {
+  const days = Number(process.env.INVOICE_DUE_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : 14;
+};
+
+/**
+ * Seller details printed on invoices and in invoice emails
+ * @returns {{ name: string, businessId: string, iban: string, bic: string }}
+ */
+export const getSellerDetails = () => ({
+  name: process.env.INVOICE_SELLER_NAME || "Workday-Vacuumers",
+  businessId: process.env.INVOICE_BUSINESS_ID || "",
+  iban: process.env.INVOICE_IBAN || "",
+  bic: process.env.INVOICE_BIC || "",
+});
+
+/**
+ * Finnish reference number of an invoice: the invoice number followed by a
+ * check digit calculated with the weights 7, 3, 1 from right to left
+ * @param {number} invoiceNumber - Invoice number, at least three digits
+ * @returns {string} - e.g. "10003" for invoice 1000
+ */
+export const getReferenceNumber = (invoiceNumber) => {
+  const digits = String(invoiceNumber);
+  const sum = [...digits]
+    .reverse()
+    .reduce(
+      (total, digit, index) =>
+        total + Number(digit) * REFERENCE_WEIGHTS[index % 3],
+      0
+    );
+  const checkDigit = (10 - (sum % 10)) % 10;
+
+  return `${digits}${checkDigit}`;
+};
+
+/**
+ * Group a reference number in fives from the right for printing
+ * @param {string} referenceNumber - Reference number digits
+ * @returns {string} - e.g. "1 23453"
+ */
+export const formatReferenceNumber = (referenceNumber) =>
+  referenceNumber.replace(/\B(?=(\d{5})+$)/g, " ");
+
+/**
+ * Combine the VAT of several bookings per VAT rate
+ * @param {Array} bookings - Bookings with their vatBreakdown
+ * @returns {Array} - [{ vatRate, netCents, vatCents, grossCents }]
+ */
+export const sumVatBreakdown = (bookings) => {
+  const rates = new Map();
+
+  for (const booking of bookings) {
+    for (const rate of booking.vatBreakdown ?? []) {
+      const total = rates.get(rate.vatRate) ?? {
+        vatRate: rate.vatRate,
+        netCents: 0,
+        vatCents: 0,
+        grossCents: 0,
+      };
+      total.netCents += rate.netCents;
+      total.vatCents += rate.vatCents;
+      total.grossCents += rate.grossCents;
+      rates.set(rate.vatRate, total);
+    }
+  }
+
+  return [...rates.values()];
+};
+
+// Amount, VAT and VAT breakdown of the invoiced bookings
+const getInvoiceAmounts = (bookings) => {
+  const sum = (field) =>
+    bookings.reduce((total, booking) => total + (booking[field] ?? 0), 0);
+
+  return {
+    amountCents: sum("totalCents"),
+    netCents: sum("netCents"),
+    vatCents: sum("vatCents"),
+    vatBreakdown: sumVatBreakdown(bookings),
+  };
+};
+
+/**
+ * Invoice the given bookings inside the booking transaction. Invoices wait
+ * for each other's number so the numbering has no duplicates or gaps.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {string} params.userId - Invoiced user
+ * @param {Array} params.bookings - Bookings with their price snapshot
+ * @param {Date} [params.now] - Invoice date
+ * @returns {Promise<Object>} - Invoice row
+ */
+export const createInvoice = async (
+  tx,
+  { userId, bookings, now = new Date() }
+) => {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('invoice-number'))`;
+
+  const { _max } = await tx.invoice.aggregate({ _max: { number: true } });
+  const number = _max.number ? _max.number + 1 : FIRST_INVOICE_NUMBER;
+
+  return tx.invoice.create({
+    data: {
+      number,
+      referenceNumber: getReferenceNumber(number),
+      userId,
+      ...getInvoiceAmounts(bookings),
+      issuedAt: now,
+      dueDate: new Date(
+        now.getTime() + getInvoiceDueDays() * 24 * 60 * 60 * 1000
+      ),
+      bookings: { connect: bookings.map((booking) => ({ id: booking.id })) },
+    },
+  });
+};
+
+/**
+ * Cancel unpaid invoices whose bookings are all cancelled, and reopen
+ * cancelled ones when a booking is restored. The amount of an unpaid invoice
+ * covers only its bookings that are not cancelled.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Array<string|null>} invoiceIds - Invoices of changed bookings
+ */
+export const syncInvoiceStatus = async (client, invoiceIds) => {
+  const ids = [...new Set(invoiceIds.filter(Boolean))];
+  if (ids.length === 0) return;
+
+  await client.invoice.updateMany({
+    where: {
+      id: { in: ids },
+      status: "UNPAID",
+      bookings: { every: { status: "CANCELLED" } },
+    },
+    data: { status: "CANCELLED" },
+  });
+  await client.invoice.updateMany({
+    where: {
+      id: { in: ids },
+      status: "CANCELLED",
+      bookings: { some: { status: { not: "CANCELLED" } } },
+    },
+    data: { status: "UNPAID" },
+  });
+
+  // A cancelled invoice keeps the amount it had for its history
+  const unpaidInvoices = await client.invoice.findMany({
+    where: { id: { in: ids }, status: "UNPAID" },
+    include: { bookings: { where: { status: { not: "CANCELLED" } } } },
+  });
+  for (const invoice of unpaidInvoices) {
+    await client.invoice.update({
+      where: { id: invoice.id },
+      data: getInvoiceAmounts(invoice.bookings),
+    });
+  }
+};
+
+/**
+ * Shape an invoice for the frontend, without the customer details
+ * @param {Object} invoice - Invoice with its bookings
+ * @returns {Object}
+ */
+export const toInvoiceResponse = (invoice) => ({
+  id: invoice.id,
+  number: invoice.number,
+  referenceNumber: invoice.referenceNumber,
+  status: invoice.status,
+  amountCents: invoice.amountCents,
+  netCents: invoice.netCents,
+  vatCents: invoice.vatCents,
+  vat: invoice.vatBreakdown,
+  issuedAt: invoice.issuedAt,
+  dueDate: invoice.dueDate,
+  paidAt: invoice.paidAt,
+  bookings: invoice.bookings.map((booking) => ({
+    id: booking.id,
+    date: booking.date,
+    timeSlot: booking.timeSlot,
+    status: booking.status,
+  })),
+});
+
+export default {
+  FIRST_INVOICE_NUMBER,
+  getInvoiceDueDays,
+  getSellerDetails,
+  getReferenceNumber,
+  formatReferenceNumber,
+  sumVatBreakdown,
+  createInvoice,
+  syncInvoiceStatus,
+  toInvoiceResponse,
+};
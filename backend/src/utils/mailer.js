@@ -0,0 +1,170 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import logger from "./logger.js";
+import { renderEmail } from "./emailTemplates.js";
+
+/**
+ * Email delivery through a pluggable transport. A transport is an object with
+ * an async `send({ from, to, subject, text, attachments })` method, where
+ * attachments are optional nodemailer attachments. MAIL_TRANSPORT selects
+ * the built-in one:
+ * - `console` (default) logs the message, for local development
+ * - `file` writes each message to MAIL_OUTBOX_DIR, for local testing
+ * - `memory` keeps messages in an array, for tests
+ * - `smtp` sends through the SMTP_* server, for production
+ */
+
+// Logs the message instead of sending it
+export const consoleTransport = {
+  send: async ({ to, subject, text }) => {
+    logger.info({ to, subject }, `Email (console transport):\n${text}`);
+  },
+};
+
+// Writes each message as a text file into the outbox directory
+export const createFileTransport = (
+  outboxDir = process.env.MAIL_OUTBOX_DIR || "mail-outbox"
+) => ({
+  send: async ({ from, to, subject, text, attachments = [] }) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${to.replace(/[^a-z0-9@.-]/gi, "_")}.txt`;
+    const attachmentNames = attachments.length
+      ? `Attachments: ${attachments
+          .map(({ filename }) => filename)
+          .join(", ")}\n`
+      : "";
+    const content = `From: ${from}\nTo: ${to}\nSubject: ${subject}\nDate: ${new Date().toISOString()}\n${attachmentNames}\n${text}\n`;
+
+    await fs.writeFile(path.join(outboxDir, fileName), content, "utf8");
+    logger.info({ to, subject, fileName }, "Email written to outbox");
+  },
+});
+
+// Keeps sent messages in `messages` so tests can read them
+export const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    messages,
+    send: async (message) => {
+      messages.push(message);
+    },
+  };
+};
+
+// Sends through an SMTP server configured with SMTP_* variables
+export const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    send: async (message) => {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+const createDefaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "smtp":
+      return createSmtpTransport();
+    case "file":
+      return createFileTransport();
+    case "memory":
+      return createMemoryTransport();
+    default:
+      return consoleTransport;
+  }
+};
+
+let transport = createDefaultTransport();
+
+// For testing: allow setting a custom transport
+export const setMailTransport = (customTransport) => {
+  transport = customTransport ?? createDefaultTransport();
+};
+
+/**
+ * Sender address of all emails
+ * @returns {string}
+ */
+export const getMailFrom = () =>
+  process.env.MAIL_FROM || "Workday-Vacuumers <no-reply@localhost>";
+
+/**
+ * Send an email with the configured transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {Array} [message.attachments] - Files as { filename, content, contentType }
+ * @returns {Promise<void>}
+ */
+export const sendMail = async (message) => {
+  await transport.send({ from: getMailFrom(), ...message });
+};
+
+/**
+ * Render a template and send it. Failures are logged, not thrown, so a
+ * mail server outage never fails the request that triggered the email.
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email address
+ * @param {string} options.template - Template name in emailTemplates.js
+ * @param {string} [options.language] - fi or en
+ * @param {Object} [options.data] - Template data
+ * @param {Array} [options.attachments] - Files as { filename, content, contentType }
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+export const sendTemplateMail = async ({
+  to,
+  template,
+  language,
+  data,
+  attachments,
+}) => {
+  try {
+    await sendMail({
+      to,
+      ...renderEmail(template, language, data),
+      ...(attachments?.length && { attachments }),
+    });
+    return true;
+  } catch (error) {
+    logger.error({ to, template, err: error }, "Failed to send email");
+    return false;
+  }
+};
+
+/**
+ * Address of the frontend, used in links sent by email
+ * Defaults to the first CORS origin
+ * @returns {string}
+ */
+export const getAppUrl = () =>
+  (
+    process.env.APP_URL ||
+    process.env.CORS_ORIGIN?.split(",")[0] ||
+    "http://localhost:5173"
+  )
+    .trim()
+    .replace(/\/$/, "");
+
+export default {
+  sendMail,
+  sendTemplateMail,
+  setMailTransport,
+  getMailFrom,
+  getAppUrl,
+};
@@ -71,6 +71,22 @@ export const authLogger = {
   userDeleted: (username, ip) => {
     logger.warn({ username, ip }, "User account deleted");
   },
+
+  passwordResetRequested: (username, ip) => {
+    logger.info({ username, ip }, "Password reset requested");
+  },
+
+  passwordResetCompleted: (username, ip) => {
+    logger.warn({ username, ip }, "Password reset, all sessions ended");
+  },
+
+  passwordChanged: (username, ip) => {
+    logger.warn({ username, ip }, "Password changed, other sessions ended");
+  },
+
+  emailChanged: (username, newEmail, ip) => {
+    logger.warn({ username, newEmail, ip }, "Email address changed");
+  },
 };
 
 // Authentication middleware for protected routes
@@ -83,7 +99,23 @@ export const requireAuth = (req, res, next) => {
   req.user = {
     id: req.session.userId,
     email: req.session.email,
+    role: req.session.role,
   };
 
   next();
 };
+
+// Role check for routes that need more than a logged in user, use after requireAuth
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.session?.userId) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    if (!roles.includes(req.session.role)) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    next();
+  };
@@ -0,0 +1,26 @@
+import { createSingleUseTokens } from "./singleUseTokens.js";
+
+// Minutes a password reset link stays valid by default
+const DEFAULT_RESET_TOKEN_MINUTES = 60;
+
+/**
+ * Read how long a password reset token is valid from the environment
+ * @returns {number} - Minutes, defaults to 60
+ */
+export const getResetTokenMinutes = () => {
+  const minutes = Number.parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10);
+  return Number.isInteger(minutes) && minutes > 0
+    ? minutes
+    : DEFAULT_RESET_TOKEN_MINUTES;
+};
+
+// Password reset links, stored as PasswordResetToken
+export const passwordResetTokens = createSingleUseTokens({
+  model: "passwordResetToken",
+  getLifetimeMs: () => getResetTokenMinutes() * 60 * 1000,
+});
+
+export default {
+  getResetTokenMinutes,
+  passwordResetTokens,
+};
@@ -0,0 +1,203 @@
+import crypto from "crypto";
+
+/**
+ * Card and MobilePay payments through a pluggable provider. A provider is an
+ * object with
+ * - `name`, stored on each Payment row
+ * - async `createPayment({ paymentId, amountCents, currency, method })`
+ *   returning the provider's `reference` and the `redirectUrl` where the
+ *   customer pays
+ * - `parseWebhook(body, headers)` returning `{ reference, status }` of a
+ *   verified notification, status PAID or FAILED. Throws PaymentWebhookError
+ *   if the notification can't be trusted.
+ * PAYMENT_PROVIDER selects the built-in one:
+ * - `mock` (default outside production) pays on a local checkout page, works
+ *   offline for development and tests
+ * In production PAYMENT_PROVIDER and PAYMENT_WEBHOOK_SECRET must be set, and
+ * the mock checkout page is not served.
+ */
+
+// Payment methods paid online before the booking is confirmed,
+// bank and cash bookings are confirmed right away
+export const ONLINE_PAYMENT_METHODS = ["CARD", "MOBILEPAY"];
+
+// Statuses a provider can report for a payment
+const EVENT_STATUSES = ["PAID", "FAILED"];
+
+/**
+ * Error thrown when a payment notification is malformed or not signed by the provider
+ */
+export class PaymentWebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaymentWebhookError";
+  }
+}
+
+/**
+ * Check whether a booking is paid online before it is confirmed
+ * @param {string} paymentMethod - Payment method in any case
+ * @returns {boolean}
+ */
+export const requiresOnlinePayment = (paymentMethod) =>
+  ONLINE_PAYMENT_METHODS.includes(paymentMethod?.toUpperCase());
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+/**
+ * Check whether the mock checkout page may be served. Never in production,
+ * anyone knowing a payment reference could mark it paid there.
+ * @returns {boolean}
+ */
+export const isMockCheckoutEnabled = () => !isProduction();
+
+/**
+ * Secret shared with the provider for signing notifications
+ * @returns {string}
+ * @throws {Error} If the secret is not set in production
+ */
+const getWebhookSecret = () => {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) {
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+  }
+  if (isProduction()) {
+    throw new Error("PAYMENT_WEBHOOK_SECRET must be set in production");
+  }
+  return "mock-webhook-secret";
+};
+
+const signMockEvent = (reference, status, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${reference}:${status}`)
+    .digest("hex");
+
+// Pays on the checkout page served by the payments controller. Webhook
+// notifications are signed with PAYMENT_WEBHOOK_SECRET like a real provider's.
+export const createMockProvider = ({ secret = getWebhookSecret() } = {}) => ({
+  name: "mock",
+
+  createPayment: async () => {
+    const reference = `mock_${crypto.randomUUID()}`;
+    return { reference, redirectUrl: `/api/payments/mock/${reference}` };
+  },
+
+  // Signed notification body, for sending mock notifications to the webhook
+  signEvent: ({ reference, status }) => ({
+    reference,
+    status,
+    signature: signMockEvent(reference, status, secret),
+  }),
+
+  parseWebhook: (body) => {
+    const { reference, status, signature } = body ?? {};
+    if (
+      typeof reference !== "string" ||
+      typeof signature !== "string" ||
+      !EVENT_STATUSES.includes(status)
+    ) {
+      throw new PaymentWebhookError("Invalid payment notification");
+    }
+
+    const expected = Buffer.from(signMockEvent(reference, status, secret));
+    const received = Buffer.from(signature);
+    if (
+      expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      throw new PaymentWebhookError("Invalid payment signature");
+    }
+
+    return { reference, status };
+  },
+});
+
+const PROVIDERS = {
+  mock: createMockProvider,
+};
+
+/**
+ * Create the provider selected with PAYMENT_PROVIDER
+ * @returns {Object}
+ * @throws {Error} If the provider is unknown, or not set in production
+ */
+const createDefaultProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || (isProduction() ? "" : "mock");
+  if (!name) {
+    throw new Error("PAYMENT_PROVIDER must be set in production");
+  }
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return PROVIDERS[name]();
+};
+
+let provider = createDefaultProvider();
+
+// For testing: allow setting a custom provider
+export const setPaymentProvider = (customProvider) => {
+  provider = customProvider ?? createDefaultProvider();
+};
+
+/**
+ * Payment provider in use
+ * @returns {Object}
+ */
+export const getPaymentProvider = () => provider;
+
+/**
+ * Create a pending payment covering the given bookings
+ * @param {Object} tx - Prisma client or transaction
+ * @param {Object} params
+ * @param {string} params.userId - Paying user
+ * @param {string} params.method - CARD or MOBILEPAY
+ * @param {Array} params.bookings - Bookings with their totalCents
+ * @returns {Promise<Object>} - Payment row
+ */
+export const createPendingPayment = (tx, { userId, method, bookings }) =>
+  tx.payment.create({
+    data: {
+      userId,
+      method,
+      amountCents: bookings.reduce(
+        (sum, booking) => sum + (booking.totalCents ?? 0),
+        0
+      ),
+      provider: provider.name,
+      bookings: { connect: bookings.map((booking) => ({ id: booking.id })) },
+    },
+  });
+
+/**
+ * Register a pending payment with the provider
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} payment - Payment row from createPendingPayment
+ * @returns {Promise<string>} - Address where the customer pays
+ */
+export const startPayment = async (prisma, payment) => {
+  const { reference, redirectUrl } = await provider.createPayment({
+    paymentId: payment.id,
+    amountCents: payment.amountCents,
+    currency: payment.currency,
+    method: payment.method,
+  });
+
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data: { providerReference: reference },
+  });
+
+  return redirectUrl;
+};
+
+export default {
+  ONLINE_PAYMENT_METHODS,
+  PaymentWebhookError,
+  requiresOnlinePayment,
+  isMockCheckoutEnabled,
+  createMockProvider,
+  setPaymentProvider,
+  getPaymentProvider,
+  createPendingPayment,
+  startPayment,
+};
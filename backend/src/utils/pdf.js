@@ -0,0 +1,76 @@
+import PDFDocument from "pdfkit";
+
+/**
+ * Small helpers for the A4 documents sent to customers. Documents use the
+ * built-in Helvetica, which covers the Finnish letters and the euro sign.
+ */
+
+export const PAGE_MARGIN = 50;
+
+// Right edge of the text area on an A4 page
+const RIGHT_EDGE = 595.28 - PAGE_MARGIN;
+
+/**
+ * Render a PDF document into a buffer
+ * @param {Function} render - Draws the content, receives the PDFKit document
+ * @param {Object} [info] - Document metadata, e.g. { Title }
+ * @returns {Promise<Buffer>} - The PDF file
+ */
+export const createPdf = (render, info = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN, info });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    render(doc);
+    doc.end();
+  });
+
+/**
+ * Draw a row with the label on the left and the amount aligned right
+ * @param {PDFDocument} doc - Document to draw on
+ * @param {string} label - Text on the left
+ * @param {string} amount - Formatted amount on the right
+ * @param {Object} [options]
+ * @param {boolean} [options.bold] - Bold row, e.g. the total
+ * @param {number} [options.indent] - Indent of the label in points
+ */
+export const drawAmountRow = (
+  doc,
+  label,
+  amount,
+  { bold = false, indent = 0 } = {}
+) => {
+  const y = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+  doc.text(label, PAGE_MARGIN + indent, y, {
+    width: RIGHT_EDGE - PAGE_MARGIN - indent - 100,
+  });
+  const labelBottom = doc.y;
+  doc.text(amount, RIGHT_EDGE - 100, y, { width: 100, align: "right" });
+  doc.y = Math.max(labelBottom, doc.y);
+  doc.x = PAGE_MARGIN;
+};
+
+/**
+ * Draw a horizontal rule across the text area
+ * @param {PDFDocument} doc - Document to draw on
+ */
+export const drawRule = (doc) => {
+  doc
+    .moveTo(PAGE_MARGIN, doc.y + 2)
+    .lineTo(RIGHT_EDGE, doc.y + 2)
+    .lineWidth(0.5)
+    .stroke();
+  doc.moveDown(0.5);
+};
+
+export default {
+  PAGE_MARGIN,
+  createPdf,
+  drawAmountRow,
+  drawRule,
+};
@@ -0,0 +1,244 @@
+/**
+ * Service tiers, add-ons, discounts and the price snapshot stored on bookings.
+ * Prices are in cents and include VAT, the VAT rate is stored next to them in
+ * percent.
+ */
+
+/**
+ * Find the service tier for a new booking. Without a chosen service the
+ * first active tier is used, so older clients keep booking the basic tier.
+ * @param {PrismaClient} prisma - Prisma client or transaction
+ * @param {string} [serviceId] - Chosen service
+ * @returns {Promise<Object|null>} - null if the service doesn't exist or is inactive
+ */
+export const findBookableService = (prisma, serviceId) =>
+  prisma.service.findFirst({
+    where: { active: true, ...(serviceId && { id: serviceId }) },
+    orderBy: { sortOrder: "asc" },
+  });
+
+/**
+ * Booking columns that keep the service and its price at booking time,
+ * later price changes don't affect existing bookings
+ * @param {Object} service - Service row
+ * @returns {Object} - Booking data for Prisma
+ */
+export const toPriceData = (service) => ({
+  serviceId: service.id,
+  priceCents: service.priceCents,
+  vatRate: service.vatRate,
+});
+
+/**
+ * Find the add-ons picked for a new booking
+ * @param {PrismaClient} prisma - Prisma client or transaction
+ * @param {string[]} [addOnIds] - Picked add-ons
+ * @returns {Promise<Array|null>} - Add-ons in catalogue order, null if any of
+ * them doesn't exist or is inactive
+ */
+export const findBookableAddOns = async (prisma, addOnIds = []) => {
+  if (addOnIds.length === 0) return [];
+
+  const addOns = await prisma.addOn.findMany({
+    where: { id: { in: addOnIds }, active: true },
+    orderBy: { sortOrder: "asc" },
+  });
+  return addOns.length === addOnIds.length ? addOns : null;
+};
+
+/**
+ * Nested create for the add-ons of a booking, each with its price at booking time
+ * @param {Array} addOns - AddOn rows
+ * @returns {Object} - Booking data for Prisma
+ */
+export const toAddOnData = (addOns) => ({
+  addOns: {
+    create: addOns.map((addOn) => ({
+      addOnId: addOn.id,
+      priceCents: addOn.priceCents,
+      vatRate: addOn.vatRate,
+    })),
+  },
+});
+
+/**
+ * Price of a service tier and add-ons before discounts
+ * @param {Object} service - Service row
+ * @param {Array} [addOns] - AddOn rows
+ * @returns {number} - Cents
+ */
+export const getSubtotalCents = (service, addOns = []) =>
+  addOns.reduce((total, addOn) => total + addOn.priceCents, service.priceCents);
+
+/**
+ * Discount a code gives on a price, never more than the price itself
+ * @param {Object} discount - DiscountCode row
+ * @param {number} subtotalCents - Price before the discount
+ * @returns {number} - Cents
+ */
+export const getDiscountCents = (discount, subtotalCents) =>
+  Math.min(
+    subtotalCents,
+    discount.type === "PERCENTAGE"
+      ? Math.round((subtotalCents * discount.value) / 100)
+      : discount.value
+  );
+
+// VAT included in a gross price, e.g. 25.5 % VAT of 49,00 € is 9,96 €
+const getVatCents = (grossCents, vatRate) =>
+  Math.round((grossCents * vatRate) / (100 + vatRate));
+
+/**
+ * Price breakdown of a service tier, add-ons and an optional discount code.
+ * The discount is spread over the VAT rates in proportion to their price.
+ * @param {Object} quote - Priced items
+ * @param {Object} quote.service - Service row
+ * @param {Array} [quote.addOns] - AddOn rows
+ * @param {Object|null} [quote.discount] - DiscountCode row
+ * @returns {Object} - Lines, subtotal, discount, total and VAT per rate in cents
+ */
+export const buildQuote = ({ service, addOns = [], discount = null }) => {
+  const lines = [
+    { type: "service", item: service },
+    ...addOns.map((addOn) => ({ type: "addOn", item: addOn })),
+  ].map(({ type, item }) => ({
+    type,
+    id: item.id,
+    slug: item.slug,
+    name: { fi: item.nameFi, en: item.nameEn },
+    priceCents: item.priceCents,
+    vatRate: item.vatRate,
+  }));
+
+  const subtotalCents = getSubtotalCents(service, addOns);
+  const discountCents = discount
+    ? getDiscountCents(discount, subtotalCents)
+    : 0;
+
+  const vatRates = [...new Set(lines.map((line) => line.vatRate))];
+  let discountLeft = discountCents;
+  const vat = vatRates.map((vatRate, index) => {
+    const rateCents = lines
+      .filter((line) => line.vatRate === vatRate)
+      .reduce((total, line) => total + line.priceCents, 0);
+
+    // The last rate takes the rounding difference
+    const rateDiscountCents =
+      index === vatRates.length - 1
+        ? discountLeft
+        : Math.round((discountCents * rateCents) / subtotalCents);
+    discountLeft -= rateDiscountCents;
+
+    const grossCents = rateCents - rateDiscountCents;
+    const vatCents = getVatCents(grossCents, vatRate);
+    return { vatRate, netCents: grossCents - vatCents, vatCents, grossCents };
+  });
+
+  return {
+    lines,
+    subtotalCents,
+    discount: discount
+      ? {
+          code: discount.code,
+          type: discount.type,
+          value: discount.value,
+          amountCents: discountCents,
+        }
+      : null,
+    totalCents: subtotalCents - discountCents,
+    netCents: vat.reduce((total, rate) => total + rate.netCents, 0),
+    vatCents: vat.reduce((total, rate) => total + rate.vatCents, 0),
+    vat,
+  };
+};
+
+/**
+ * Booking columns that keep the final price of a quote: the discount code
+ * and the discount it gave, the total and its VAT
+ * @param {Object} quote - Quote from buildQuote
+ * @param {Object|null} [discount] - DiscountCode row the quote was built with
+ * @returns {Object} - Booking data for Prisma
+ */
+export const toQuoteData = (quote, discount = null) => ({
+  ...(discount && {
+    discountCodeId: discount.id,
+    discountCents: quote.discount.amountCents,
+  }),
+  totalCents: quote.totalCents,
+  netCents: quote.netCents,
+  vatCents: quote.vatCents,
+  vatBreakdown: quote.vat,
+});
+
+/**
+ * Receipt of a booking from its price snapshot, same shape as a quote
+ * @param {Object} booking - Booking with service, add-ons and discount code
+ * @returns {Object|null} - null for bookings made before the total was stored
+ */
+export const toReceipt = (booking) => {
+  if (booking.totalCents == null) return null;
+
+  const discountCents = booking.discountCents ?? 0;
+
+  return {
+    lines: [
+      {
+        type: "service",
+        name: booking.service
+          ? { fi: booking.service.nameFi, en: booking.service.nameEn }
+          : null,
+        priceCents: booking.priceCents,
+        vatRate: booking.vatRate,
+      },
+      ...(booking.addOns ?? []).map(({ addOn, priceCents, vatRate }) => ({
+        type: "addOn",
+        name: { fi: addOn.nameFi, en: addOn.nameEn },
+        priceCents,
+        vatRate,
+      })),
+    ],
+    subtotalCents: booking.totalCents + discountCents,
+    discount:
+      discountCents > 0
+        ? {
+            code: booking.discountCode?.code ?? null,
+            amountCents: discountCents,
+          }
+        : null,
+    totalCents: booking.totalCents,
+    netCents: booking.netCents,
+    vatCents: booking.vatCents,
+    vat: booking.vatBreakdown ?? [],
+  };
+};
+
+/**
+ * Booked price of the service and its add-ons after the discount
+ * @param {Object} booking - Booking with its add-ons
+ * @returns {number|null} - Cents, null for bookings made before prices were stored
+ */
+export const getBookedTotalCents = (booking) => {
+  if (booking.totalCents != null) return booking.totalCents;
+  if (booking.priceCents == null) return null;
+
+  // Bookings made before the total was stored
+  return (
+    (booking.addOns ?? []).reduce(
+      (total, addOn) => total + addOn.priceCents,
+      booking.priceCents
+    ) - (booking.discountCents ?? 0)
+  );
+};
+
+export default {
+  findBookableService,
+  toPriceData,
+  findBookableAddOns,
+  toAddOnData,
+  getSubtotalCents,
+  getDiscountCents,
+  buildQuote,
+  toQuoteData,
+  toReceipt,
+  getBookedTotalCents,
+};
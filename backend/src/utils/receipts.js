@@ -0,0 +1,362 @@
+import { toReceipt } from "./pricing.js";
+import { toCsv } from "./csv.js";
+import { escapeHtml } from "./sanitization.js";
+import {
+  CITY_NAMES,
+  DEFAULT_EMAIL_LANGUAGE,
+  EMAIL_LANGUAGES,
+  PAYMENT_METHOD_LABELS,
+  formatEmailDate,
+  formatEmailPrice,
+} from "./emailTemplates.js";
+import { getSellerDetails } from "./invoices.js";
+import { formatDocumentDate, formatVatRate } from "./invoicePdf.js";
+import { createPdf, drawAmountRow, drawRule, PAGE_MARGIN } from "./pdf.js";
+
+/**
+ * Customer receipts of bookings as a printable HTML page or a PDF, and the
+ * booking history as CSV, in the customer's language. Prices come from the
+ * snapshot stored at booking time.
+ */
+
+// Booking statuses that can have a receipt once the booking is paid
+export const RECEIPT_STATUSES = ["CONFIRMED", "COMPLETED"];
+
+// Whether the customer has paid a booking, by payment method. Cash is
+// collected on site when the job is done.
+const PAID_CHECKS = {
+  CARD: (booking) => booking.payment?.status === "PAID",
+  MOBILEPAY: (booking) => booking.payment?.status === "PAID",
+  BANK: (booking) => booking.invoice?.status === "PAID",
+  CASH: (booking) => booking.status === "COMPLETED",
+};
+
+// Receipt and history wording, same as the emails
+const LABELS = {
+  fi: {
+    title: "KUITTI",
+    businessId: "Y-tunnus",
+    customer: "Asiakas",
+    booking: "Varausnumero",
+    booked: "Varattu",
+    date: "Päivämäärä",
+    time: "Aika",
+    address: "Osoite",
+    payment: "Maksutapa",
+    invoice: "Laskun numero",
+    service: "Palvelu",
+    discount: "Alennus",
+    net: "Veroton hinta",
+    vat: "ALV",
+    total: "Yhteensä",
+    thanks: "Kiitos tilauksestasi!",
+  },
+  en: {
+    title: "RECEIPT",
+    businessId: "Business ID",
+    customer: "Customer",
+    booking: "Booking number",
+    booked: "Booked",
+    date: "Date",
+    time: "Time",
+    address: "Address",
+    payment: "Payment method",
+    invoice: "Invoice number",
+    service: "Service",
+    discount: "Discount",
+    net: "Price excl. VAT",
+    vat: "VAT",
+    total: "Total",
+    thanks: "Thank you for your order!",
+  },
+};
+
+// Columns of the booking history CSV, in order
+const HISTORY_COLUMNS = {
+  fi: [
+    "Päivämäärä",
+    "Aika",
+    "Palvelu",
+    "Lisäpalvelut",
+    "Osoite",
+    "Maksutapa",
+    "Tila",
+    "Alennuskoodi",
+    "Hinta (€)",
+    "ALV (€)",
+    "Laskun numero",
+  ],
+  en: [
+    "Date",
+    "Time",
+    "Service",
+    "Add-ons",
+    "Address",
+    "Payment method",
+    "Status",
+    "Discount code",
+    "Price (€)",
+    "VAT (€)",
+    "Invoice number",
+  ],
+};
+
+// Same labels as userProfile.bookingStatus in the frontend
+const STATUS_LABELS = {
+  fi: {
+    PENDING_PAYMENT: "Odottaa maksua",
+    CONFIRMED: "Vahvistettu",
+    CANCELLED: "Peruttu",
+    COMPLETED: "Suoritettu",
+  },
+  en: {
+    PENDING_PAYMENT: "Awaiting payment",
+    CONFIRMED: "Confirmed",
+    CANCELLED: "Cancelled",
+    COMPLETED: "Completed",
+  },
+};
+
+const toLanguage = (language) =>
+  EMAIL_LANGUAGES.includes(language) ? language : DEFAULT_EMAIL_LANGUAGE;
+
+/**
+ * Format the address of a booking on one line
+ * @param {Object} booking - Booking with its address fields
+ * @returns {string} - e.g. "Testikatu 1, 00100 Helsinki", older bookings
+ * only have the location
+ */
+export const formatBookingAddress = (booking) =>
+  booking.streetAddress
+    ? [
+        booking.streetAddress,
+        [booking.postalCode, CITY_NAMES[booking.city]]
+          .filter(Boolean)
+          .join(" "),
+      ]
+        .filter(Boolean)
+        .join(", ")
+    : booking.location ?? "";
+
+/**
+ * Check whether a receipt can be given for a booking
+ * @param {Object} booking - Booking with its price snapshot, payment and invoice
+ * @returns {boolean} - false for cancelled bookings, unpaid payments and
+ * invoices, cash bookings not yet carried out and bookings made before
+ * prices were stored
+ */
+export const hasReceipt = (booking) =>
+  RECEIPT_STATUSES.includes(booking.status) &&
+  Boolean(PAID_CHECKS[booking.paymentMethod]?.(booking)) &&
+  toReceipt(booking) !== null;
+
+/**
+ * Contents of a receipt shared by the HTML and PDF versions
+ * @returns {Object} - { labels, details, lines, totals, total } with
+ * [label, value] pairs formatted in the given language
+ */
+const buildReceiptContent = (booking, language) => {
+  const labels = LABELS[language];
+  const receipt = toReceipt(booking);
+
+  return {
+    labels,
+    details: [
+      [labels.customer, booking.user?.fullName || booking.user?.email],
+      [labels.booking, booking.id],
+      [labels.booked, formatDocumentDate(booking.createdAt, language)],
+      [labels.date, formatEmailDate(booking.date, language)],
+      [labels.time, booking.timeSlot],
+      [labels.address, formatBookingAddress(booking)],
+      [labels.payment, PAYMENT_METHOD_LABELS[language][booking.paymentMethod]],
+      [labels.invoice, booking.invoice && String(booking.invoice.number)],
+    ].filter(([, value]) => value),
+    lines: [
+      ...receipt.lines.map((line) => [
+        line.name?.[language] ?? labels.service,
+        formatEmailPrice(line.priceCents, language),
+      ]),
+      ...(receipt.discount
+        ? [
+            [
+              `${labels.discount} ${receipt.discount.code ?? ""}`.trim(),
+              `-${formatEmailPrice(receipt.discount.amountCents, language)}`,
+            ],
+          ]
+        : []),
+    ],
+    totals: [
+      [labels.net, formatEmailPrice(receipt.netCents, language)],
+      ...receipt.vat.map((rate) => [
+        `${labels.vat} ${formatVatRate(rate.vatRate, language)}`,
+        formatEmailPrice(rate.vatCents, language),
+      ]),
+    ],
+    total: [labels.total, formatEmailPrice(receipt.totalCents, language)],
+  };
+};
+
+/**
+ * Build a printable HTML receipt, print to paper or PDF from the browser
+ * @param {Object} booking - Booking with its user, service, add-ons, discount code and invoice
+ * @param {string} [language] - fi or en, unknown languages fall back to Finnish
+ * @returns {string} - Complete HTML document
+ */
+export const toReceiptHtml = (booking, language) => {
+  const lang = toLanguage(language);
+  const { labels, details, lines, totals, total } = buildReceiptContent(
+    booking,
+    lang
+  );
+  const seller = getSellerDetails();
+
+  const rows = (pairs, className = "") =>
+    pairs
+      .map(
+        ([label, value]) =>
+          `<tr${className && ` class="${className}"`}><td>${escapeHtml(
+            label
+          )}</td><td class="amount">${escapeHtml(value)}</td></tr>`
+      )
+      .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${labels.title} ${booking.id}`)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 24px; max-width: 640px; }
+  h1 { font-size: 20px; margin-bottom: 0; }
+  h2 { font-size: 16px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 16px; }
+  td { padding: 4px 0; vertical-align: top; }
+  .amount { text-align: right; }
+  .lines { border-top: 1px solid #333; border-bottom: 1px solid #333; }
+  .total td { font-weight: bold; border-top: 1px solid #333; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(seller.name)}</h1>
+${
+  seller.businessId
+    ? `<p>${escapeHtml(`${labels.businessId} ${seller.businessId}`)}</p>\n`
+    : ""
+}<h2>${labels.title}</h2>
+<table>
+${rows(details)}
+</table>
+<table class="lines">
+${rows(lines)}
+</table>
+<table>
+${rows(totals)}
+${rows([total], "total")}
+</table>
+<p>${labels.thanks}</p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a receipt as a PDF
+ * @param {Object} booking - Booking with its user, service, add-ons, discount code and invoice
+ * @param {string} [language] - fi or en, unknown languages fall back to Finnish
+ * @returns {Promise<Buffer>} - The PDF file
+ */
+export const renderReceiptPdf = (booking, language) => {
+  const lang = toLanguage(language);
+  const { labels, details, lines, totals, total } = buildReceiptContent(
+    booking,
+    lang
+  );
+  const seller = getSellerDetails();
+
+  return createPdf(
+    (doc) => {
+      // Seller and document title
+      const top = doc.y;
+      doc.font("Helvetica-Bold").fontSize(16).text(seller.name);
+      doc.font("Helvetica").fontSize(9);
+      if (seller.businessId) {
+        doc.text(`${labels.businessId} ${seller.businessId}`);
+      }
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(16)
+        .text(labels.title, PAGE_MARGIN, top, { align: "right" });
+      doc.fontSize(10).moveDown(2);
+
+      details.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font("Helvetica").text(label, PAGE_MARGIN, y, { width: 130 });
+        doc
+          .font("Helvetica-Bold")
+          .text(value, PAGE_MARGIN + 130, y, { width: 365 });
+      });
+      doc.x = PAGE_MARGIN;
+      doc.moveDown(2);
+
+      drawRule(doc);
+      lines.forEach(([label, amount]) => drawAmountRow(doc, label, amount));
+      drawRule(doc);
+
+      totals.forEach(([label, amount]) => drawAmountRow(doc, label, amount));
+      drawAmountRow(doc, total[0], total[1], { bold: true });
+      doc.moveDown(2);
+
+      doc.font("Helvetica").text(labels.thanks);
+    },
+    { Title: `${labels.title} ${booking.id}` }
+  );
+};
+
+// Amount as a plain number spreadsheets can sum, e.g. "49,00" or "49.00"
+const formatCsvAmount = (cents, language) =>
+  cents == null
+    ? ""
+    : new Intl.NumberFormat(language === "en" ? "en-US" : "fi-FI", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+        useGrouping: false,
+      }).format(cents / 100);
+
+/**
+ * Build the user's booking history as CSV with a header row
+ * @param {Array} bookings - Bookings with service, add-ons, discount code and invoice
+ * @param {string} [language] - fi or en, unknown languages fall back to Finnish
+ * @returns {string} - UTF-8 CSV with BOM
+ */
+export const toBookingHistoryCsv = (bookings, language) => {
+  const lang = toLanguage(language);
+
+  return toCsv(
+    HISTORY_COLUMNS[lang],
+    bookings.map((booking) => [
+      formatDocumentDate(booking.date, lang),
+      booking.timeSlot ?? "",
+      (lang === "en" ? booking.service?.nameEn : booking.service?.nameFi) ?? "",
+      (booking.addOns ?? [])
+        .map(({ addOn }) => (lang === "en" ? addOn.nameEn : addOn.nameFi))
+        .join(", "),
+      formatBookingAddress(booking),
+      PAYMENT_METHOD_LABELS[lang][booking.paymentMethod] ?? "",
+      STATUS_LABELS[lang][booking.status] ?? booking.status,
+      booking.discountCode?.code ?? "",
+      formatCsvAmount(booking.totalCents, lang),
+      formatCsvAmount(booking.vatCents, lang),
+      booking.invoice ? String(booking.invoice.number) : "",
+    ])
+  );
+};
+
+export default {
+  RECEIPT_STATUSES,
+  formatBookingAddress,
+  hasReceipt,
+  toReceiptHtml,
+  renderReceiptPdf,
+  toBookingHistoryCsv,
+};
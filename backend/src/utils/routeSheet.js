@@ -0,0 +1,154 @@
+import { TIME_SLOTS } from "./bookingRules.js";
+import { toCsv } from "./csv.js";
+import { escapeHtml } from "./sanitization.js";
+
+// Columns of the crew's daily route sheet, in print order
+export const ROUTE_SHEET_COLUMNS = [
+  { key: "timeSlot", label: "Time slot" },
+  { key: "city", label: "City" },
+  { key: "address", label: "Address" },
+  { key: "customer", label: "Customer" },
+  { key: "phoneNumber", label: "Phone" },
+  { key: "vehicle", label: "Vehicle" },
+  { key: "parkingNotes", label: "Parking" },
+  { key: "service", label: "Service" },
+  { key: "paymentMethod", label: "Payment method" },
+  { key: "notes", label: "Notes" },
+];
+
+// Payment methods as the crew reads them, cash is collected on site
+const PAYMENT_METHOD_LABELS = {
+  CARD: "Card",
+  MOBILEPAY: "MobilePay",
+  BANK: "Bank transfer",
+  CASH: "Cash",
+};
+
+const getSlotIndex = (label) => {
+  const index = TIME_SLOTS.findIndex((slot) => slot.label === label);
+  return index === -1 ? TIME_SLOTS.length : index;
+};
+
+const formatCity = (city) =>
+  city ? `${city.charAt(0)}${city.slice(1).toLowerCase()}` : "";
+
+// Plate first so the crew can spot the car, e.g. "ABC-123, Toyota Corolla, Red"
+const formatVehicle = (vehicle) =>
+  vehicle
+    ? [vehicle.licensePlate, vehicle.make, vehicle.color]
+        .filter(Boolean)
+        .join(", ")
+    : "";
+
+// Service tier followed by the add-ons, e.g. "Wocuuming, Pet hair removal"
+const formatService = (booking) =>
+  [
+    booking.service?.nameEn,
+    ...(booking.addOns ?? []).map(({ addOn }) => addOn.nameEn),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Compare bookings by time slot, then by area (city, postal code, street)
+ * Older bookings without structured address fields come last within a slot
+ */
+const compareBookings = (a, b) =>
+  getSlotIndex(a.timeSlot) - getSlotIndex(b.timeSlot) ||
+  (a.city ?? "~").localeCompare(b.city ?? "~") ||
+  (a.postalCode ?? "~").localeCompare(b.postalCode ?? "~") ||
+  (a.streetAddress ?? a.location ?? "").localeCompare(
+    b.streetAddress ?? b.location ?? ""
+  );
+
+/**
+ * Turn the day's bookings into route sheet rows ordered by time slot and area
+ * @param {Array} bookings - Bookings with user, vehicle, service and add-ons included
+ * @returns {Array<Object>} - Rows keyed by ROUTE_SHEET_COLUMNS keys
+ */
+export const buildRouteSheetRows = (bookings) =>
+  [...bookings].sort(compareBookings).map((booking) => ({
+    timeSlot: booking.timeSlot ?? "",
+    city: formatCity(booking.city),
+    address: booking.streetAddress
+      ? [booking.streetAddress, booking.postalCode].filter(Boolean).join(", ")
+      : booking.location ?? "",
+    customer: booking.user?.fullName || booking.user?.email || "",
+    phoneNumber: booking.phoneNumber ?? "",
+    vehicle: formatVehicle(booking.vehicle),
+    parkingNotes: booking.vehicle?.parkingNotes ?? "",
+    service: formatService(booking),
+    paymentMethod: PAYMENT_METHOD_LABELS[booking.paymentMethod] ?? "",
+    notes: booking.notes ?? "",
+  }));
+
+/**
+ * Build the route sheet as CSV with a header row
+ * @param {Array<Object>} rows - Rows from buildRouteSheetRows
+ * @returns {string} - UTF-8 CSV with BOM so Excel detects the encoding
+ */
+export const toRouteSheetCsv = (rows) =>
+  toCsv(
+    ROUTE_SHEET_COLUMNS.map((column) => column.label),
+    rows.map((row) => ROUTE_SHEET_COLUMNS.map((column) => row[column.key]))
+  );
+
+/**
+ * Build a printable HTML route sheet, print to paper or PDF from the browser
+ * @param {Array<Object>} rows - Rows from buildRouteSheetRows
+ * @param {string} dayKey - Day of the sheet in YYYY-MM-DD format
+ * @returns {string} - Complete HTML document
+ */
+export const toRouteSheetHtml = (rows, dayKey) => {
+  const header = ROUTE_SHEET_COLUMNS.map(
+    (column) => `<th>${escapeHtml(column.label)}</th>`
+  ).join("");
+
+  const body =
+    rows.length > 0
+      ? rows
+          .map(
+            (row) =>
+              `<tr>${ROUTE_SHEET_COLUMNS.map(
+                (column) => `<td>${escapeHtml(row[column.key])}</td>`
+              ).join("")}</tr>`
+          )
+          .join("\n")
+      : `<tr><td colspan="${ROUTE_SHEET_COLUMNS.length}">No confirmed bookings</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Route sheet ${escapeHtml(dayKey)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 24px; }
+  h1 { font-size: 20px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { border: 1px solid #333; padding: 6px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  tr { page-break-inside: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Route sheet ${escapeHtml(dayKey)} (${rows.length} ${
+    rows.length === 1 ? "job" : "jobs"
+  })</h1>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+export default {
+  ROUTE_SHEET_COLUMNS,
+  buildRouteSheetRows,
+  toRouteSheetCsv,
+  toRouteSheetHtml,
+};
@@ -65,6 +65,19 @@ export const sanitizeObject = (obj) => {
   return obj;
 };
 
+/**
+ * Escape text for HTML documents built on the server
+ * @param {string} value - Text to escape
+ * @returns {string} - Text safe inside elements and quoted attributes
+ */
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 /**
  * Express middleware for sanitizing request data
  */
@@ -97,5 +110,6 @@ export const sanitizeInput = (req, res, next) => {
 export default {
   sanitizeString,
   sanitizeObject,
+  escapeHtml,
   sanitizeInput,
 };
@@ -1,5 +1,6 @@
 import logger from "./logger.js";
 import { startSessionCleanup } from "./session.js";
+import { startDraftCleanup } from "./draftCleanup.js";
 import { createSessionTableIfNotExists } from "./session.js";
 import { PrismaClient } from "@prisma/client";
 import cors from "cors";
@@ -52,6 +53,9 @@ export const startServer = async (app, port) => {
 
       // Start automatic session cleanup
       startSessionCleanup();
+
+      // Release slots held by expired draft bookings
+      startDraftCleanup();
     });
   } catch (error) {
     logger.error("Failed to start server:", error.message);
@@ -103,6 +103,18 @@ export const configureSession = (dbUrl = null) => {
   return middleware;
 };
 
+/**
+ * Log a user out everywhere by deleting all of their stored sessions
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} userId - User whose sessions are removed
+ * @param {string} [keepSessionId] - Session to keep, e.g. the one changing the password
+ * @returns {Promise<number>} - Number of deleted sessions
+ */
+export const destroyUserSessions = (client, userId, keepSessionId = null) =>
+  keepSessionId
+    ? client.$executeRaw`DELETE FROM "session" WHERE "sess"->>'userId' = ${userId} AND "sid" <> ${keepSessionId};`
+    : client.$executeRaw`DELETE FROM "session" WHERE "sess"->>'userId' = ${userId};`;
+
 // Function to clean up expired sessions
 export const cleanupExpiredSessions = async () => {
   const client = new pg.Client({
@@ -141,6 +153,7 @@ export const startSessionCleanup = () => {
 
 export default {
   cleanupExpiredSessions,
+  destroyUserSessions,
   startSessionCleanup,
   createSessionTableIfNotExists,
   configureSession,
@@ -0,0 +1,109 @@
+import crypto from "crypto";
+
+/**
+ * Single-use tokens sent in email links, shared by password reset and email
+ * verification. Only a hash of the token is stored, the plain token only ever
+ * exists in the email sent to the user. Token models have `userId`,
+ * `tokenHash`, `expiresAt` and `usedAt`.
+ */
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plain token from the link
+ * @returns {string} - SHA-256 hash in hex
+ */
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Check that a stored token can still be used
+ * @param {Object|null} record - Stored token
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export const isTokenUsable = (record, now = new Date()) =>
+  Boolean(record) && !record.usedAt && record.expiresAt > now;
+
+/**
+ * Create the helpers of one kind of token
+ * @param {Object} options
+ * @param {string} options.model - Prisma model delegate, e.g. passwordResetToken
+ * @param {Function} options.getLifetimeMs - How long a new token is valid in milliseconds
+ * @returns {Object} - generate, issue, findUsable and claim
+ */
+export const createSingleUseTokens = ({ model, getLifetimeMs }) => {
+  /**
+   * Generate a new random token with its hash and expiry time
+   * @param {Date} [now] - Current time
+   * @returns {{ token: string, tokenHash: string, expiresAt: Date }}
+   */
+  const generate = (now = new Date()) => {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    return {
+      token,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + getLifetimeMs()),
+    };
+  };
+
+  /**
+   * Store a new token for the user, earlier unused ones stop working
+   * @param {PrismaClient} client - Prisma client
+   * @param {string} userId - Owner of the token
+   * @returns {Promise<string>} - Plain token for the link
+   */
+  const issue = async (client, userId) => {
+    const { token, tokenHash, expiresAt } = generate();
+
+    await client.$transaction([
+      client[model].deleteMany({ where: { userId, usedAt: null } }),
+      client[model].create({ data: { userId, tokenHash, expiresAt } }),
+    ]);
+
+    return token;
+  };
+
+  /**
+   * Find the stored token of a link if it can still be used
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} token - Plain token from the link
+   * @param {Object} [args] - Extra findUnique arguments, e.g. include
+   * @returns {Promise<Object|null>}
+   */
+  const findUsable = async (client, token, args = {}) => {
+    const record = await client[model].findUnique({
+      where: { tokenHash: hashToken(token) },
+      ...args,
+    });
+    return isTokenUsable(record) ? record : null;
+  };
+
+  /**
+   * Mark a token used so it can't be used twice concurrently. The user's
+   * other unused tokens are removed.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} record - Token from findUsable
+   * @returns {Promise<boolean>} - false if the token was already used
+   */
+  const claim = async (tx, record) => {
+    const { count } = await tx[model].updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    if (count === 0) return false;
+
+    await tx[model].deleteMany({
+      where: { userId: record.userId, usedAt: null },
+    });
+    return true;
+  };
+
+  return { generate, issue, findUsable, claim };
+};
+
+export default {
+  hashToken,
+  isTokenUsable,
+  createSingleUseTokens,
+};
@@ -0,0 +1,155 @@
+/**
+ * Time zone helpers for booking dates.
+ * All service days and time slots are defined in Finnish local time,
+ * so calendar days are always resolved in Europe/Helsinki.
+ */
+
+export const SERVICE_TIME_ZONE = "Europe/Helsinki";
+
+const DAY_KEY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const zonedFormatter = new Intl.DateTimeFormat("en-GB", {
+  timeZone: SERVICE_TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+/**
+ * Get the wall clock parts of a date in the service time zone
+ * @param {Date|string|number} date - Date to convert
+ * @returns {Object} - Numeric year, month, day, hour, minute and second
+ */
+const getZonedParts = (date) => {
+  const parts = {};
+  for (const { type, value } of zonedFormatter.formatToParts(new Date(date))) {
+    if (type !== "literal") {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+};
+
+/**
+ * Check if a string is a calendar day key (YYYY-MM-DD)
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+export const isDayKey = (value) => {
+  if (typeof value !== "string") return false;
+
+  const match = DAY_KEY_REGEX.exec(value);
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+};
+
+/**
+ * Get the Helsinki calendar day (YYYY-MM-DD) of a date
+ * @param {Date|string|number} date - Date to convert
+ * @returns {string} - Day key
+ */
+export const toDayKey = (date) => {
+  const { year, month, day } = getZonedParts(date);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+    2,
+    "0"
+  )}`;
+};
+
+/**
+ * Get the Helsinki wall clock time of a date
+ * @param {Date|string|number} date - Date to convert
+ * @returns {string} - Time in "HH:MM" format
+ */
+export const toZonedTime = (date) => {
+  const { hour, minute } = getZonedParts(date);
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+};
+
+/**
+ * Add whole days to a day key
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @param {number} days - Number of days to add (can be negative)
+ * @returns {string} - New day key
+ */
+export const addDays = (dayKey, days) => {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Get the weekday of a day key (0 = Sunday, 6 = Saturday)
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {number}
+ */
+export const getWeekday = (dayKey) => {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Convert Helsinki wall clock time on a given day to a UTC Date (DST-safe)
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @param {string} time - Local time in "HH:MM" format
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (dayKey, time = "00:00") => {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  const offsetAt = (timestamp) => {
+    const parts = getZonedParts(timestamp);
+    const zonedAsUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+    return zonedAsUtc - Math.floor(timestamp / 1000) * 1000;
+  };
+
+  // Offset can change between the guess and the result around DST switches
+  let result = wallClockAsUtc - offsetAt(wallClockAsUtc);
+  const correctedOffset = offsetAt(result);
+  if (wallClockAsUtc - correctedOffset !== result) {
+    result = wallClockAsUtc - correctedOffset;
+  }
+
+  return new Date(result);
+};
+
+/**
+ * Get UTC start (inclusive) and end (exclusive) of a Helsinki calendar day
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {{start: Date, end: Date}}
+ */
+export const getDayBounds = (dayKey) => ({
+  start: zonedTimeToUtc(dayKey, "00:00"),
+  end: zonedTimeToUtc(addDays(dayKey, 1), "00:00"),
+});
+
+export default {
+  SERVICE_TIME_ZONE,
+  isDayKey,
+  toDayKey,
+  toZonedTime,
+  addDays,
+  getWeekday,
+  zonedTimeToUtc,
+  getDayBounds,
+};
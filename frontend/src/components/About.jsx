@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef, useCallback } from "react";
 import { useLanguage } from "../i18n/LanguageContext";
 import { scrollAnimations } from "../utils/scrollUtils";
+import { getServices } from "../services/bookings";
+import { formatPrice, formatVatRate } from "../utils/priceUtils";
 
 /**
  * About component that displays information about the WOCUUMING service by Workday-Vacuumers.
@@ -12,13 +14,15 @@ import { scrollAnimations } from "../utils/scrollUtils";
  * @description
  * - Displays a title "What is WOCUUMING? - explains the (WOCUUMING) concept"
  * - Provides a 3-sentence explanation of the service concept
+ * - Shows the starting price from the service tiers, left out if they can't be loaded
  * - Centered single-column layout for better readability
  * - Responsive design that works on all devices
  * - Sequential fade-in and slide-up animations triggered by intersection observer
  * - Accessible anchor point for header navigation
  */
 const About = () => {
-  const { t } = useLanguage();
+  const { t, language } = useLanguage();
+  const [cheapestService, setCheapestService] = useState(null);
   const [isVisible, setIsVisible] = useState(false);
   const [isFirstDescVisible, setIsFirstDescVisible] = useState(false);
   const [isFirstLineVisible, setIsFirstLineVisible] = useState(false);
@@ -39,6 +43,26 @@ const About = () => {
     }
   }, []);
 
+  // Starting price comes from the backend so the text matches the booked price
+  useEffect(() => {
+    let isCancelled = false;
+
+    getServices()
+      .then((services) => {
+        if (isCancelled || services.length === 0) return;
+        setCheapestService(
+          services.reduce((cheapest, service) =>
+            service.priceCents < cheapest.priceCents ? service : cheapest
+          )
+        );
+      })
+      .catch(() => {});
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
   useEffect(() => {
     const observer = new IntersectionObserver(
       ([entry]) => {
@@ -145,6 +169,23 @@ const About = () => {
           </p>
         </div>
 
+        {/* Starting price, below the fixed-height container so it fits */}
+        {cheapestService && (
+          <p
+            className={`text-sm sm:text-base font-body text-black italic max-w-2xl mx-auto mb-4
+              transition-all duration-800 delay-500 ${
+                isSecondDescVisible
+                  ? "opacity-100 translate-y-0"
+                  : "opacity-0 translate-y-4"
+              }`}
+          >
+            {t("about.priceFrom")}{" "}
+            {formatPrice(cheapestService.priceCents, language)} (
+            {t("pricing.vatIncluded")}{" "}
+            {formatVatRate(cheapestService.vatRate, language)}).
+          </p>
+        )}
+
         {/* Second Connecting Line */}
         <div className="flex justify-center mb-8">
           <div
@@ -41,6 +41,17 @@ describe("About Component", () => {
     expect(description2).toBeInTheDocument();
   });
 
+  it("shows the starting price of the service tiers", async () => {
+    render(<AboutWithProvider />);
+
+    const price = await screen.findByText(
+      /Hinnat alkaen 49 € \(sis\. ALV 25,5 %\)/
+    );
+    expect(price).toBeInTheDocument();
+    // Not inside the fixed-height description container it would overflow
+    expect(price.closest(".h-32")).toBeNull();
+  });
+
   it("renders value proposition", () => {
     render(<AboutWithProvider />);
 
@@ -0,0 +1,459 @@
+import React, { useState, useEffect } from "react";
+import { useLanguage } from "../i18n/LanguageContext";
+import {
+  getAdminBookings,
+  getRouteSheetUrl,
+  updateBookingStatus,
+} from "../services/admin";
+import {
+  timeSlots,
+  getWeekStart,
+  getWeekDays,
+  getWeekDisplayText,
+  formatDateForDisplay,
+  isDateSelected,
+  toDayKey,
+  getBookingDay,
+} from "../utils/calendarUtils";
+import AdminInvoices from "./AdminInvoices";
+
+// Cities in the order they are shown in the schedule
+const CITIES = ["HELSINKI", "VANTAA", "ESPOO"];
+
+// Largest page the admin API returns
+const PAGE_SIZE = 100;
+
+/**
+ * AdminDashboard Component
+ *
+ * Operator's job schedule, shown only to ADMIN users. Lists the bookings of
+ * a day or a week grouped by day, time slot and city, with customer contact
+ * details and actions to mark jobs done or cancel them. Invoices of bank
+ * transfer bookings are listed below the schedule.
+ *
+ * @component
+ * @returns {JSX.Element} The rendered AdminDashboard component.
+ */
+const AdminDashboard = () => {
+  const { t, language } = useLanguage();
+  const [view, setView] = useState("day");
+  const [currentDate, setCurrentDate] = useState(() => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+  });
+  const [selectedCity, setSelectedCity] = useState("");
+  const [bookings, setBookings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState("");
+  const [updatingBookingId, setUpdatingBookingId] = useState(null);
+
+  // Days shown in the schedule, the week view covers Monday to Friday
+  const days =
+    view === "week" ? getWeekDays(getWeekStart(currentDate)) : [currentDate];
+
+  /**
+   * Load all bookings of the shown days, page by page
+   */
+  const loadBookings = async () => {
+    setIsLoading(true);
+    setErrorMessage("");
+
+    try {
+      let page = 1;
+      let totalPages = 1;
+      let loadedBookings = [];
+
+      do {
+        const result = await getAdminBookings({
+          from: toDayKey(days[0]),
+          to: toDayKey(days[days.length - 1]),
+          city: selectedCity.toLowerCase(),
+          page,
+          pageSize: PAGE_SIZE,
+        });
+        loadedBookings = loadedBookings.concat(result.bookings);
+        totalPages = result.pagination.totalPages;
+        page += 1;
+      } while (page <= totalPages);
+
+      setBookings(loadedBookings);
+    } catch (error) {
+      console.error("Error loading admin bookings:", error);
+      setBookings([]);
+      setErrorMessage(t("admin.loadError"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Reload when the shown days or the city filter change
+  useEffect(() => {
+    loadBookings();
+  }, [view, currentDate, selectedCity]);
+
+  /**
+   * Move the schedule one day or one week back or forward
+   * @param {number} direction - -1 for previous, 1 for next
+   */
+  const handleNavigate = (direction) => {
+    const nextDate = new Date(currentDate);
+    nextDate.setDate(
+      currentDate.getDate() + direction * (view === "week" ? 7 : 1)
+    );
+    setCurrentDate(nextDate);
+  };
+
+  const handleToday = () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    setCurrentDate(today);
+  };
+
+  /**
+   * Change a booking's status and update it in the schedule
+   * @param {string} bookingId - Booking to update
+   * @param {string} status - COMPLETED or CANCELLED
+   */
+  const handleStatusChange = async (bookingId, status) => {
+    let reason;
+    if (status === "CANCELLED") {
+      // null means the operator closed the prompt
+      reason = window.prompt(t("admin.cancelBookingConfirm"));
+      if (reason === null) return;
+    }
+
+    setUpdatingBookingId(bookingId);
+    setErrorMessage("");
+
+    try {
+      const updatedBooking = await updateBookingStatus(
+        bookingId,
+        status,
+        reason?.trim()
+      );
+      setBookings((previousBookings) =>
+        previousBookings.map((booking) =>
+          booking.id === bookingId ? { ...booking, ...updatedBooking } : booking
+        )
+      );
+    } catch (error) {
+      console.error("Error updating booking status:", error);
+      setErrorMessage(error.message || t("admin.statusUpdateError"));
+    } finally {
+      setUpdatingBookingId(null);
+    }
+  };
+
+  // Format booking address, older bookings only have the combined location
+  const formatBookingAddress = (booking) => {
+    if (!booking.streetAddress) return booking.location;
+    return [booking.streetAddress, booking.postalCode]
+      .filter(Boolean)
+      .join(", ");
+  };
+
+  // Format payment method (stored as CARD/MOBILEPAY/BANK/CASH)
+  const formatPaymentMethod = (paymentMethod) => {
+    if (!paymentMethod) return "";
+    return (
+      t(`pricing.payment.methods.${paymentMethod.toLowerCase()}`) ||
+      paymentMethod
+    );
+  };
+
+  const formatCity = (city) =>
+    t(`pricing.payment.location.cities.${city.toLowerCase()}`);
+
+  /**
+   * Group bookings of a day by time slot and city
+   * @param {Date} day - Day to group
+   * @returns {Array} - [{ slot, cities: [{ city, bookings }] }] for slots with bookings
+   */
+  const getDaySchedule = (day) =>
+    timeSlots
+      .map((slot) => {
+        const slotBookings = bookings.filter(
+          (booking) =>
+            booking.timeSlot === slot.label &&
+            isDateSelected(getBookingDay(booking), day)
+        );
+
+        // Older bookings without a structured city are listed last
+        const cities = [...CITIES, null]
+          .map((city) => ({
+            city,
+            bookings: slotBookings.filter(
+              (booking) => (booking.city || null) === city
+            ),
+          }))
+          .filter((group) => group.bookings.length > 0);
+
+        return { slot, cities };
+      })
+      .filter((entry) => entry.cities.length > 0);
+
+  const statusClasses = {
+    CONFIRMED: "bg-green-200 text-black",
+    PENDING_PAYMENT: "bg-yellow-200 text-black",
+    COMPLETED: "bg-blue-200 text-black",
+    CANCELLED: "bg-gray-200 text-black line-through",
+  };
+
+  return (
+    <section id="admin" className="py-20 px-4">
+      <div className="max-w-4xl mx-auto bg-white rounded-3xl shadow-2xl border-2 border-black p-6 sm:p-8 text-black">
+        <h2 className="uppercase text-3xl sm:text-4xl font-cottage italic tracking-wide text-brand-dark underline mb-8 text-center">
+          {t("admin.title")}
+        </h2>
+
+        {/* View and filter controls */}
+        <div className="flex flex-wrap justify-center items-center gap-3 mb-6 font-sans text-sm">
+          <div className="flex rounded-full border-2 border-black overflow-hidden">
+            {["day", "week"].map((viewKey) => (
+              <button
+                key={viewKey}
+                type="button"
+                onClick={() => setView(viewKey)}
+                aria-pressed={view === viewKey}
+                className={`px-4 py-1 cursor-pointer ${
+                  view === viewKey
+                    ? "bg-brand-purple text-white"
+                    : "bg-white text-black hover:bg-gray-100"
+                }`}
+              >
+                {t(`admin.${viewKey}View`)}
+              </button>
+            ))}
+          </div>
+
+          <select
+            value={selectedCity}
+            onChange={(event) => setSelectedCity(event.target.value)}
+            aria-label={t("admin.allCities")}
+            className="border-2 border-black rounded-full px-3 py-1 bg-white cursor-pointer"
+          >
+            <option value="">{t("admin.allCities")}</option>
+            {CITIES.map((city) => (
+              <option key={city} value={city}>
+                {formatCity(city)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Date navigation */}
+        <div className="flex justify-between items-center mb-6 font-sans">
+          <button
+            type="button"
+            onClick={() => handleNavigate(-1)}
+            aria-label={t("admin.previous")}
+            className="p-2 rounded-lg hover:bg-gray-100 cursor-pointer"
+          >
+            <i className="fas fa-chevron-left text-gray-600"></i>
+          </button>
+          <div className="text-center">
+            <p className="font-bold text-gray-800">
+              {view === "week"
+                ? getWeekDisplayText(getWeekStart(currentDate), t)
+                : formatDateForDisplay(currentDate, t, language)}
+            </p>
+            <button
+              type="button"
+              onClick={handleToday}
+              className="text-xs text-brand-purple uppercase hover:text-brand-dark cursor-pointer underline"
+            >
+              {t("admin.today")}
+            </button>
+          </div>
+          <button
+            type="button"
+            onClick={() => handleNavigate(1)}
+            aria-label={t("admin.next")}
+            className="p-2 rounded-lg hover:bg-gray-100 cursor-pointer"
+          >
+            <i className="fas fa-chevron-right text-gray-600"></i>
+          </button>
+        </div>
+
+        {/* Route sheet for the crew, printable or as CSV */}
+        {view === "day" && (
+          <div className="flex justify-center items-center gap-3 mb-6 font-sans text-sm">
+            <span className="text-gray-600">{t("admin.routeSheet")}</span>
+            <a
+              href={getRouteSheetUrl(toDayKey(currentDate))}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-brand-purple hover:text-brand-dark underline"
+            >
+              {t("admin.printRouteSheet")}
+            </a>
+            <a
+              href={getRouteSheetUrl(toDayKey(currentDate), "csv")}
+              className="text-brand-purple hover:text-brand-dark underline"
+            >
+              {t("admin.downloadRouteSheet")}
+            </a>
+          </div>
+        )}
+
+        {errorMessage && (
+          <p className="text-sm text-red-600 text-center mb-4 font-sans">
+            {errorMessage}
+          </p>
+        )}
+
+        {isLoading ? (
+          <p className="text-gray-600 text-center font-sans">
+            {t("admin.loading")}
+          </p>
+        ) : (
+          <div className="space-y-6 font-sans">
+            {days.map((day) => {
+              const schedule = getDaySchedule(day);
+
+              return (
+                <div key={toDayKey(day)}>
+                  {view === "week" && (
+                    <h3 className="text-lg font-bold text-gray-800 underline mb-2">
+                      {formatDateForDisplay(day, t, language)}
+                    </h3>
+                  )}
+
+                  {schedule.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                      {t("admin.noBookings")}
+                    </p>
+                  ) : (
+                    schedule.map(({ slot, cities }) => (
+                      <div
+                        key={slot.id}
+                        className="border-2 border-gray-300 rounded-lg p-4 bg-gray-50 mb-3"
+                      >
+                        <p className="font-bold text-gray-800 mb-2">
+                          {slot.label}
+                        </p>
+
+                        {cities.map(({ city, bookings: cityBookings }) => (
+                          <div key={city || "other"} className="mb-2">
+                            <p className="text-xs uppercase tracking-wider text-gray-600 mb-1">
+                              {city ? formatCity(city) : "—"}
+                            </p>
+
+                            {cityBookings.map((booking) => (
+                              <div
+                                key={booking.id}
+                                data-testid="admin-booking"
+                                className="flex justify-between items-start bg-white border border-gray-200 rounded p-3 mb-2"
+                              >
+                                <div className="text-sm text-gray-800">
+                                  <p>
+                                    {t("admin.customer")}{" "}
+                                    {booking.user?.fullName ||
+                                      booking.user?.email}{" "}
+                                    {booking.user?.fullName && (
+                                      <span className="text-gray-500">
+                                        ({booking.user.email})
+                                      </span>
+                                    )}
+                                  </p>
+                                  <p>
+                                    {t("admin.address")}{" "}
+                                    {formatBookingAddress(booking)}
+                                  </p>
+                                  {booking.phoneNumber && (
+                                    <p>
+                                      {t("admin.phone")}{" "}
+                                      <a
+                                        href={`tel:${booking.phoneNumber}`}
+                                        className="underline"
+                                      >
+                                        {booking.phoneNumber}
+                                      </a>
+                                    </p>
+                                  )}
+                                  {booking.paymentMethod && (
+                                    <p>
+                                      {t("admin.payment")}{" "}
+                                      {formatPaymentMethod(
+                                        booking.paymentMethod
+                                      )}
+                                    </p>
+                                  )}
+                                  {booking.notes && (
+                                    <p>
+                                      {t("admin.notes")} {booking.notes}
+                                    </p>
+                                  )}
+                                  {booking.cancellationReason && (
+                                    <p className="text-gray-500">
+                                      {t("admin.reason")}{" "}
+                                      {booking.cancellationReason}
+                                    </p>
+                                  )}
+                                </div>
+
+                                <div className="flex flex-col items-end space-y-2 ml-4">
+                                  <span
+                                    className={`px-2 py-1 rounded-full text-xs uppercase tracking-wider ${
+                                      statusClasses[booking.status] || ""
+                                    }`}
+                                  >
+                                    {t(
+                                      `userProfile.bookingStatus.${booking.status.toLowerCase()}`
+                                    )}
+                                  </span>
+                                  {booking.status === "CONFIRMED" &&
+                                    (updatingBookingId === booking.id ? (
+                                      <span className="text-xs text-gray-500">
+                                        {t("admin.updating")}
+                                      </span>
+                                    ) : (
+                                      <>
+                                        <button
+                                          type="button"
+                                          onClick={() =>
+                                            handleStatusChange(
+                                              booking.id,
+                                              "COMPLETED"
+                                            )
+                                          }
+                                          className="text-xs text-brand-purple uppercase hover:text-brand-dark cursor-pointer underline"
+                                        >
+                                          {t("admin.markDone")}
+                                        </button>
+                                        <button
+                                          type="button"
+                                          onClick={() =>
+                                            handleStatusChange(
+                                              booking.id,
+                                              "CANCELLED"
+                                            )
+                                          }
+                                          className="text-xs text-red-600 uppercase hover:text-red-800 cursor-pointer underline"
+                                        >
+                                          {t("admin.cancelBooking")}
+                                        </button>
+                                      </>
+                                    ))}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    ))
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <AdminInvoices />
+      </div>
+    </section>
+  );
+};
+
+export default AdminDashboard;
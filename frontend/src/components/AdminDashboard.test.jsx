@@ -0,0 +1,111 @@
+import React from "react";
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import AdminDashboard from "./AdminDashboard";
+import { LanguageProvider } from "../i18n/LanguageContext";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+const renderDashboard = () =>
+  render(
+    <LanguageProvider>
+      <AdminDashboard />
+    </LanguageProvider>
+  );
+
+describe("AdminDashboard Component", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("shows the day's bookings grouped by time slot and city", async () => {
+    renderDashboard();
+
+    const bookings = await screen.findAllByTestId("admin-booking");
+    expect(bookings).toHaveLength(3);
+
+    // Both morning jobs are in the same slot, one per city
+    const morningSlot = screen.getByText("09:00 - 11:00").parentElement;
+    expect(within(morningSlot).getAllByTestId("admin-booking")).toHaveLength(2);
+    expect(within(morningSlot).getByText("Helsinki")).toBeInTheDocument();
+    expect(within(morningSlot).getByText("Espoo")).toBeInTheDocument();
+    expect(screen.getByText("13:00 - 15:00")).toBeInTheDocument();
+
+    // Customer contact details
+    expect(screen.getByText("+358501234567")).toHaveAttribute(
+      "href",
+      "tel:+358501234567"
+    );
+    expect(
+      screen.getByText("Testikatu 1, 00100", { exact: false })
+    ).toBeInTheDocument();
+  });
+
+  it("marks a job done", async () => {
+    renderDashboard();
+
+    const [firstBooking] = await screen.findAllByTestId("admin-booking");
+    fireEvent.click(
+      within(firstBooking).getByRole("button", { name: "Merkitse tehdyksi" })
+    );
+
+    await waitFor(() => {
+      expect(within(firstBooking).getByText("Suoritettu")).toBeInTheDocument();
+    });
+    expect(
+      within(firstBooking).queryByRole("button", { name: "Peru" })
+    ).not.toBeInTheDocument();
+  });
+
+  it("cancels a job with a reason", async () => {
+    vi.spyOn(window, "prompt").mockReturnValue("Crew is sick");
+    renderDashboard();
+
+    const [firstBooking] = await screen.findAllByTestId("admin-booking");
+    fireEvent.click(within(firstBooking).getByRole("button", { name: "Peru" }));
+
+    expect(
+      await within(firstBooking).findByText("Crew is sick", { exact: false })
+    ).toBeInTheDocument();
+    expect(within(firstBooking).getByText("Peruttu")).toBeInTheDocument();
+  });
+
+  it("filters bookings by city", async () => {
+    renderDashboard();
+    await screen.findAllByTestId("admin-booking");
+
+    fireEvent.change(screen.getByRole("combobox"), {
+      target: { value: "VANTAA" },
+    });
+
+    await waitFor(() => {
+      expect(screen.getAllByTestId("admin-booking")).toHaveLength(1);
+    });
+    expect(screen.getByText("13:00 - 15:00")).toBeInTheDocument();
+  });
+
+  it("shows an error when bookings can't be loaded", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/admin/bookings`, () => {
+        return HttpResponse.json(
+          { error: "Insufficient permissions" },
+          { status: 403 }
+        );
+      })
+    );
+    renderDashboard();
+
+    expect(
+      await screen.findByText("Varausten lataaminen epäonnistui")
+    ).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from "react";
+import { useLanguage } from "../i18n/LanguageContext";
+import { getAdminInvoices, updateInvoiceStatus } from "../services/admin";
+import { getInvoicePdfUrl } from "../services/bookings";
+import { formatPrice } from "../utils/priceUtils";
+
+// Status filters of the invoice list, "" lists all invoices
+const STATUS_FILTERS = ["UNPAID", "PAID", ""];
+
+const PAGE_SIZE = 20;
+
+const statusClasses = {
+  UNPAID: "bg-yellow-200 text-black",
+  PAID: "bg-green-200 text-black",
+  CANCELLED: "bg-gray-200 text-black line-through",
+};
+
+/**
+ * AdminInvoices Component
+ *
+ * Invoices of bank transfer bookings for the operator, filtered by payment
+ * status. Overdue invoices are highlighted, and invoices can be marked paid
+ * when the transfer arrives or downloaded as PDF.
+ *
+ * @component
+ * @returns {JSX.Element} The rendered AdminInvoices component.
+ */
+const AdminInvoices = () => {
+  const { t, language } = useLanguage();
+  const [status, setStatus] = useState("UNPAID");
+  const [page, setPage] = useState(1);
+  const [invoices, setInvoices] = useState([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState("");
+  const [updatingInvoiceId, setUpdatingInvoiceId] = useState(null);
+
+  const loadInvoices = async () => {
+    setIsLoading(true);
+    setErrorMessage("");
+
+    try {
+      const result = await getAdminInvoices({
+        status,
+        page,
+        pageSize: PAGE_SIZE,
+      });
+      setInvoices(result.invoices);
+      setTotalPages(result.pagination.totalPages);
+    } catch (error) {
+      console.error("Error loading admin invoices:", error);
+      setInvoices([]);
+      setErrorMessage(t("admin.invoices.loadError"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadInvoices();
+  }, [status, page]);
+
+  const handleFilterChange = (nextStatus) => {
+    setStatus(nextStatus);
+    setPage(1);
+  };
+
+  /**
+   * Mark an invoice paid or unpaid and update it in the list
+   * @param {string} invoiceId - Invoice to update
+   * @param {string} nextStatus - PAID or UNPAID
+   */
+  const handleStatusChange = async (invoiceId, nextStatus) => {
+    setUpdatingInvoiceId(invoiceId);
+    setErrorMessage("");
+
+    try {
+      const updatedInvoice = await updateInvoiceStatus(invoiceId, nextStatus);
+      setInvoices((previousInvoices) =>
+        previousInvoices.map((invoice) =>
+          invoice.id === invoiceId ? { ...invoice, ...updatedInvoice } : invoice
+        )
+      );
+    } catch (error) {
+      console.error("Error updating invoice status:", error);
+      setErrorMessage(error.message || t("admin.invoices.statusUpdateError"));
+    } finally {
+      setUpdatingInvoiceId(null);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString(
+      language === "fi" ? "fi-FI" : "en-US"
+    );
+
+  return (
+    <div className="mt-10 font-sans">
+      <h3 className="text-2xl font-bold text-gray-800 underline mb-4 text-center">
+        {t("admin.invoices.title")}
+      </h3>
+
+      <div className="flex justify-center mb-4 text-sm">
+        <div className="flex rounded-full border-2 border-black overflow-hidden">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter || "all"}
+              type="button"
+              onClick={() => handleFilterChange(filter)}
+              aria-pressed={status === filter}
+              className={`px-4 py-1 cursor-pointer ${
+                status === filter
+                  ? "bg-brand-purple text-white"
+                  : "bg-white text-black hover:bg-gray-100"
+              }`}
+            >
+              {t(`admin.invoices.filters.${filter.toLowerCase() || "all"}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {errorMessage && (
+        <p className="text-sm text-red-600 text-center mb-4">{errorMessage}</p>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-600 text-center">
+          {t("admin.invoices.loading")}
+        </p>
+      ) : invoices.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center">
+          {t("admin.invoices.noInvoices")}
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {invoices.map((invoice) => (
+            <div
+              key={invoice.id}
+              data-testid="admin-invoice"
+              className="flex justify-between items-start bg-gray-50 border border-gray-200 rounded p-3"
+            >
+              <div className="text-sm text-gray-800">
+                <p className="font-bold">
+                  {t("admin.invoices.number")} {invoice.number}
+                </p>
+                <p>
+                  {t("admin.customer")}{" "}
+                  {invoice.user?.fullName || invoice.user?.email}
+                </p>
+                <p>
+                  {t("admin.invoices.amount")}{" "}
+                  {formatPrice(invoice.amountCents, language)}
+                </p>
+                <p className={invoice.overdue ? "text-red-600 font-bold" : ""}>
+                  {t("admin.invoices.dueDate")} {formatDate(invoice.dueDate)}
+                  {invoice.overdue && ` (${t("admin.invoices.overdue")})`}
+                </p>
+                {invoice.paidAt && (
+                  <p>
+                    {t("admin.invoices.paidAt")} {formatDate(invoice.paidAt)}
+                  </p>
+                )}
+              </div>
+
+              <div className="flex flex-col items-end space-y-2 ml-4">
+                <span
+                  className={`px-2 py-1 rounded-full text-xs uppercase tracking-wider ${
+                    statusClasses[invoice.status] || ""
+                  }`}
+                >
+                  {t(`admin.invoices.status.${invoice.status.toLowerCase()}`)}
+                </span>
+                <a
+                  href={getInvoicePdfUrl(invoice.id)}
+                  className="text-xs text-brand-purple uppercase hover:text-brand-dark underline"
+                >
+                  {t("admin.invoices.download")}
+                </a>
+                {invoice.status !== "CANCELLED" &&
+                  (updatingInvoiceId === invoice.id ? (
+                    <span className="text-xs text-gray-500">
+                      {t("admin.updating")}
+                    </span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        handleStatusChange(
+                          invoice.id,
+                          invoice.status === "PAID" ? "UNPAID" : "PAID"
+                        )
+                      }
+                      className="text-xs text-brand-purple uppercase hover:text-brand-dark cursor-pointer underline"
+                    >
+                      {invoice.status === "PAID"
+                        ? t("admin.invoices.markUnpaid")
+                        : t("admin.invoices.markPaid")}
+                    </button>
+                  ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-4 text-sm">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            aria-label={t("admin.previous")}
+            className="p-2 rounded-lg hover:bg-gray-100 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <i className="fas fa-chevron-left text-gray-600"></i>
+          </button>
+          <span>
+            {page} / {totalPages}
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            aria-label={t("admin.next")}
+            className="p-2 rounded-lg hover:bg-gray-100 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <i className="fas fa-chevron-right text-gray-600"></i>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminInvoices;
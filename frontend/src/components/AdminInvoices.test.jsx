@@ -0,0 +1,98 @@
+import React from "react";
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import { describe, it, expect } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import AdminInvoices from "./AdminInvoices";
+import { LanguageProvider } from "../i18n/LanguageContext";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+const renderInvoices = () =>
+  render(
+    <LanguageProvider>
+      <AdminInvoices />
+    </LanguageProvider>
+  );
+
+describe("AdminInvoices Component", () => {
+  it("lists unpaid invoices and highlights overdue ones", async () => {
+    renderInvoices();
+
+    const invoices = await screen.findAllByTestId("admin-invoice");
+    expect(invoices).toHaveLength(2);
+    expect(within(invoices[0]).getByText("Lasku 1002")).toBeInTheDocument();
+    expect(
+      within(invoices[1]).getByText("erääntynyt", { exact: false })
+    ).toBeInTheDocument();
+    expect(
+      within(invoices[0]).queryByText("erääntynyt", { exact: false })
+    ).not.toBeInTheDocument();
+    expect(within(invoices[1]).getByText("Lataa PDF")).toHaveAttribute(
+      "href",
+      `${API_BASE_URL}/api/invoices/invoice-1/pdf`
+    );
+  });
+
+  it("filters invoices by status", async () => {
+    renderInvoices();
+    await screen.findAllByTestId("admin-invoice");
+
+    fireEvent.click(screen.getByRole("button", { name: "Maksetut" }));
+
+    await waitFor(() => {
+      expect(screen.getAllByTestId("admin-invoice")).toHaveLength(1);
+    });
+    expect(screen.getByText("Lasku 1001")).toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: "Merkitse maksamattomaksi" })
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Kaikki" }));
+
+    await waitFor(() => {
+      expect(screen.getAllByTestId("admin-invoice")).toHaveLength(3);
+    });
+  });
+
+  it("marks an invoice paid", async () => {
+    renderInvoices();
+
+    const [, overdueInvoice] = await screen.findAllByTestId("admin-invoice");
+    fireEvent.click(
+      within(overdueInvoice).getByRole("button", {
+        name: "Merkitse maksetuksi",
+      })
+    );
+
+    await waitFor(() => {
+      expect(within(overdueInvoice).getByText("Maksettu")).toBeInTheDocument();
+    });
+    expect(
+      within(overdueInvoice).queryByText("erääntynyt", { exact: false })
+    ).not.toBeInTheDocument();
+  });
+
+  it("shows an error when invoices can't be loaded", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/admin/invoices`, () => {
+        return HttpResponse.json(
+          { error: "Insufficient permissions" },
+          { status: 403 }
+        );
+      })
+    );
+    renderInvoices();
+
+    expect(
+      await screen.findByText("Laskujen lataaminen epäonnistui")
+    ).toBeInTheDocument();
+  });
+});
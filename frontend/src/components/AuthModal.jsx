@@ -6,6 +6,7 @@ import {
   registerUser,
   loginUser,
   requestPasswordReset,
+  confirmPasswordReset,
 } from "../services/users";
 import { validateAuthForm } from "../services/validation";
 import crossIcon from "../assets/icons/cross-svgrepo-com.svg";
@@ -21,22 +22,24 @@ import NotificationMessage from "./NotificationMessage";
  *
  * This component renders a modal for user authentication, supporting login, registration,
  * and password reset functionalities. It includes animations, form validation, and
- * notification handling.
+ * notification handling. When opened with a token from a password reset link it
+ * shows the set new password view.
  *
  * @component
  * @param {Object} props - Component props.
  * @param {boolean} props.isOpen - Determines if the modal is open.
  * @param {Function} props.onClose - Callback function to close the modal.
+ * @param {string} [props.resetToken] - Token from a password reset link.
  *
  * @returns {JSX.Element} The rendered AuthModal component.
  *
  * @example
  * <AuthModal isOpen={true} onClose={() => setIsOpen(false)} />
  */
-const AuthModal = ({ isOpen, onClose }) => {
-  const { t } = useLanguage();
+const AuthModal = ({ isOpen, onClose, resetToken = null }) => {
+  const { t, language } = useLanguage();
   const { login } = useAuth();
-  const [currentView, setCurrentView] = useState("login"); // 'login', 'register', 'forgot'
+  const [currentView, setCurrentView] = useState("login"); // 'login', 'register', 'forgot', 'newPassword'
   const [formData, setFormData] = useState({
     fullName: "",
     email: "",
@@ -102,7 +105,7 @@ const AuthModal = ({ isOpen, onClose }) => {
   // Reset form when modal opens/closes
   useEffect(() => {
     if (isOpen) {
-      setCurrentView("login");
+      setCurrentView(resetToken ? "newPassword" : "login");
       setFormData({
         fullName: "",
         email: "",
@@ -126,7 +129,7 @@ const AuthModal = ({ isOpen, onClose }) => {
     return () => {
       document.body.style.overflow = "unset";
     };
-  }, [isOpen]);
+  }, [isOpen, resetToken]);
 
   // Auto-hide notification messages
   useEffect(() => {
@@ -209,6 +212,8 @@ const AuthModal = ({ isOpen, onClose }) => {
           return t("auth.creating");
         case "forgot":
           return t("auth.sending");
+        case "newPassword":
+          return t("auth.saving");
         default:
           return t("auth.signingIn");
       }
@@ -219,6 +224,8 @@ const AuthModal = ({ isOpen, onClose }) => {
         return t("auth.createAccount");
       case "forgot":
         return t("auth.sendReset");
+      case "newPassword":
+        return t("auth.setNewPassword");
       default:
         return t("auth.signIn");
     }
@@ -289,6 +296,7 @@ const AuthModal = ({ isOpen, onClose }) => {
           fullName: formData.fullName,
           email: formData.email,
           password: formData.password,
+          language,
         });
       } else if (currentView === "login") {
         result = await loginUser({
@@ -299,6 +307,11 @@ const AuthModal = ({ isOpen, onClose }) => {
         result = await requestPasswordReset({
           email: formData.email,
         });
+      } else if (currentView === "newPassword") {
+        result = await confirmPasswordReset({
+          token: resetToken,
+          password: formData.password,
+        });
       }
 
       if (result.success) {
@@ -315,6 +328,8 @@ const AuthModal = ({ isOpen, onClose }) => {
               ? t("auth.registrationSuccess")
               : currentView === "login"
               ? t("auth.loginSuccess")
+              : currentView === "newPassword"
+              ? t("auth.newPasswordSuccess")
               : t("auth.passwordResetSuccess")),
           type: "success",
         });
@@ -322,7 +337,11 @@ const AuthModal = ({ isOpen, onClose }) => {
         clearFormFields();
 
         setTimeout(() => {
-          if (currentView === "register" || currentView === "forgot") {
+          if (
+            currentView === "register" ||
+            currentView === "forgot" ||
+            currentView === "newPassword"
+          ) {
             setCurrentView("login");
             setNotification((prev) => ({ ...prev, isVisible: false }));
           } else if (currentView === "login") {
@@ -464,6 +483,8 @@ const AuthModal = ({ isOpen, onClose }) => {
                         ? t("auth.createAccount")
                         : currentView === "forgot"
                         ? t("auth.resetPassword")
+                        : currentView === "newPassword"
+                        ? t("auth.newPasswordTitle")
                         : t("auth.login")}
                     </h2>
                   </div>
@@ -486,21 +507,23 @@ const AuthModal = ({ isOpen, onClose }) => {
                       </div>
                     )}
 
-                    {/* Email field for all views */}
-                    <div>
-                      <input
-                        type="email"
-                        name="email"
-                        autoComplete="email"
-                        value={formData.email}
-                        onChange={handleInputChange}
-                        placeholder={errors.email || t("auth.email")}
-                        className={getInputClasses("email")}
-                        style={getInputStyle("email")}
-                      />
-                    </div>
-
-                    {/* Password field (Register + Login) */}
+                    {/* Email field (all views except new password) */}
+                    {currentView !== "newPassword" && (
+                      <div>
+                        <input
+                          type="email"
+                          name="email"
+                          autoComplete="email"
+                          value={formData.email}
+                          onChange={handleInputChange}
+                          placeholder={errors.email || t("auth.email")}
+                          className={getInputClasses("email")}
+                          style={getInputStyle("email")}
+                        />
+                      </div>
+                    )}
+
+                    {/* Password field (Register + Login + New password) */}
                     {currentView !== "forgot" && (
                       <div className="relative">
                         <input
@@ -535,7 +558,8 @@ const AuthModal = ({ isOpen, onClose }) => {
                     )}
 
                     {/* Confirm password */}
-                    {currentView === "register" && (
+                    {(currentView === "register" ||
+                      currentView === "newPassword") && (
                       <div className="relative">
                         <input
                           type={showConfirmPassword ? "text" : "password"}
@@ -637,6 +661,14 @@ const AuthModal = ({ isOpen, onClose }) => {
                         () => switchView("login"),
                         t("auth.backToLogin")
                       )}
+
+                    {currentView === "newPassword" &&
+                      renderFooterButton(
+                        () => switchView("forgot"),
+                        t("auth.requestNewLink"),
+                        null,
+                        false
+                      )}
                   </motion.div>
                 </motion.div>
               </AnimatePresence>
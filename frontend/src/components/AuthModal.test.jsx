@@ -324,6 +324,56 @@ describe("AuthModal", () => {
     });
   });
 
+  it("shows the set new password view when opened with a reset token", async () => {
+    renderWithProviders(
+      <AuthModal
+        isOpen={true}
+        onClose={mockOnClose}
+        resetToken="valid-reset-token"
+      />
+    );
+
+    expect(screen.getByText("UUSI SALASANA")).toBeInTheDocument();
+    expect(screen.queryByPlaceholderText("Sähköposti")).not.toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.change(screen.getByPlaceholderText("Salasana"), {
+        target: { value: "NewPassword123" },
+      });
+      fireEvent.change(screen.getByPlaceholderText("Vahvista Salasana"), {
+        target: { value: "NewPassword123" },
+      });
+      fireEvent.click(screen.getByRole("button", { name: /tallenna/i }));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByTestId("notification-success")).toBeInTheDocument();
+    });
+  });
+
+  it("shows an error for an expired reset link", async () => {
+    renderWithProviders(
+      <AuthModal isOpen={true} onClose={mockOnClose} resetToken="expired" />
+    );
+
+    await act(async () => {
+      fireEvent.change(screen.getByPlaceholderText("Salasana"), {
+        target: { value: "NewPassword123" },
+      });
+      fireEvent.change(screen.getByPlaceholderText("Vahvista Salasana"), {
+        target: { value: "NewPassword123" },
+      });
+      fireEvent.click(screen.getByRole("button", { name: /tallenna/i }));
+    });
+
+    await waitFor(() => {
+      expect(
+        screen.getByText("Invalid or expired reset link")
+      ).toBeInTheDocument();
+    });
+    expect(screen.getByText("Pyydä uusi palautuslinkki")).toBeInTheDocument();
+  });
+
   it("handles API errors gracefully", async () => {
     // Override the default handler for this specific test to return error
     server.use(
@@ -1,6 +1,8 @@
 import React, { useEffect } from "react";
 import { motion } from "framer-motion";
 import { useLanguage } from "../i18n/LanguageContext";
+import { getBookingCalendarUrl } from "../services/bookings";
+import Receipt from "./Receipt";
 import CheckCircleIcon from "../assets/icons/check-circle-svgrepo-com.svg";
 
 /**
@@ -19,12 +21,15 @@ import CheckCircleIcon from "../assets/icons/check-circle-svgrepo-com.svg";
  *
  * @param {Object} props - Component props
  * @param {Object} props.bookingDetails - The booking details object
+ * @param {Object} [props.bookingDetails.receipt] - Booked price with VAT from the backend
  * @param {string} props.bookingDetails.date - Formatted booking date
  * @param {string} props.bookingDetails.timeSlot - Selected time slot
  * @param {string} props.bookingDetails.address - Customer address
  * @param {string} props.bookingDetails.phoneNumber - Customer phone number
  * @param {string} props.bookingDetails.paymentMethod - Selected payment method
  * @param {string} props.bookingDetails.city - Selected city
+ * @param {string} [props.bookingDetails.repeat] - How a recurring series repeats, e.g. "8 kertaa"
+ * @param {string} [props.bookingDetails.bookingId] - Booked booking, offered as an .ics calendar event
  * @param {Function} props.onClose - Function to close the success message
  *
  * @returns {JSX.Element} The rendered success message component
@@ -32,8 +37,17 @@ import CheckCircleIcon from "../assets/icons/check-circle-svgrepo-com.svg";
 const BookingSuccess = ({ bookingDetails, onClose }) => {
   const { t } = useLanguage();
 
-  const { date, timeSlot, address, phoneNumber, paymentMethod, city } =
-    bookingDetails;
+  const {
+    receipt,
+    date,
+    timeSlot,
+    address,
+    phoneNumber,
+    paymentMethod,
+    city,
+    repeat,
+    bookingId,
+  } = bookingDetails;
 
   // Prevent body scrolling when modal is open
   useEffect(() => {
@@ -142,6 +156,15 @@ const BookingSuccess = ({ bookingDetails, onClose }) => {
               <span className="font-medium text-gray-800">{timeSlot}</span>
             </div>
 
+            {repeat && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">
+                  {t("bookingSuccess.repeat")}
+                </span>
+                <span className="font-medium text-gray-800">{repeat}</span>
+              </div>
+            )}
+
             <div className="flex justify-between">
               <span className="text-gray-600">{t("bookingSuccess.city")}</span>
               <span className="font-medium text-gray-800">{city}</span>
@@ -166,6 +189,27 @@ const BookingSuccess = ({ bookingDetails, onClose }) => {
               <span className="font-medium text-gray-800">{paymentMethod}</span>
             </div>
           </div>
+
+          {receipt && (
+            <div className="pt-3 border-t border-gray-300">
+              <p className="font-semibold text-gray-800 text-sm mb-2">
+                {t("bookingSuccess.receipt")}
+              </p>
+              <Receipt receipt={receipt} />
+            </div>
+          )}
+
+          {/* A series is added to the calendar from the confirmation email */}
+          {bookingId && !repeat && (
+            <div className="pt-3 border-t border-gray-300 text-center">
+              <a
+                href={getBookingCalendarUrl(bookingId)}
+                className="text-sm text-brand-purple uppercase hover:text-brand-dark underline"
+              >
+                {t("bookingSuccess.addToCalendar")}
+              </a>
+            </div>
+          )}
         </motion.div>
 
         {/* Close Button */}
@@ -275,5 +275,93 @@ describe("BookingSuccess Component", () => {
     expect(screen.getByText("Varaus onnistui!")).toBeInTheDocument();
     expect(screen.getByText("2025-09-15")).toBeInTheDocument();
     expect(screen.getByText("10:00-12:00")).toBeInTheDocument();
+    expect(screen.queryByText("Hintaerittely:")).not.toBeInTheDocument();
+  });
+
+  it("shows the receipt with add-ons, discount and VAT", () => {
+    renderWithProvider(
+      <BookingSuccess
+        bookingDetails={{
+          ...mockBookingDetails,
+          receipt: {
+            lines: [
+              {
+                type: "service",
+                name: { fi: "Wocuuming", en: "Wocuuming" },
+                priceCents: 4900,
+                vatRate: 25.5,
+              },
+              {
+                type: "addOn",
+                name: {
+                  fi: "Lemmikin karvojen poisto",
+                  en: "Pet hair removal",
+                },
+                priceCents: 1500,
+                vatRate: 25.5,
+              },
+            ],
+            subtotalCents: 6400,
+            discount: { code: "ENSIPESU", amountCents: 2000 },
+            totalCents: 4400,
+            netCents: 3506,
+            vatCents: 894,
+            vat: [
+              {
+                vatRate: 25.5,
+                netCents: 3506,
+                vatCents: 894,
+                grossCents: 4400,
+              },
+            ],
+          },
+        }}
+        onClose={mockOnClose}
+      />
+    );
+
+    expect(screen.getByText("Hintaerittely:")).toBeInTheDocument();
+    expect(screen.getByText("Wocuuming")).toBeInTheDocument();
+    expect(screen.getByText("Lemmikin karvojen poisto")).toBeInTheDocument();
+    expect(screen.getByText("Alennus ENSIPESU")).toBeInTheDocument();
+    expect(screen.getByText("-20 €")).toBeInTheDocument();
+    expect(screen.getByText("44 €")).toBeInTheDocument();
+    expect(screen.getByText("ALV 25,5 %")).toBeInTheDocument();
+    expect(screen.getByText("8,94 €")).toBeInTheDocument();
+    expect(screen.getByText("35,06 €")).toBeInTheDocument();
+  });
+
+  it("offers the booking as a calendar event", () => {
+    const { rerender } = renderWithProvider(
+      <BookingSuccess
+        bookingDetails={{ ...mockBookingDetails, bookingId: "booking-1" }}
+        onClose={mockOnClose}
+      />
+    );
+
+    expect(
+      screen.getByRole("link", { name: "Lisää kalenteriin (.ics)" })
+    ).toHaveAttribute(
+      "href",
+      expect.stringMatching(/\/api\/bookings\/booking-1\/calendar\.ics$/)
+    );
+
+    // A series is added to the calendar from the confirmation email
+    rerender(
+      <LanguageProvider>
+        <BookingSuccess
+          bookingDetails={{
+            ...mockBookingDetails,
+            bookingId: "booking-1",
+            repeat: "8 kertaa",
+          }}
+          onClose={mockOnClose}
+        />
+      </LanguageProvider>
+    );
+
+    expect(
+      screen.queryByText("Lisää kalenteriin (.ics)")
+    ).not.toBeInTheDocument();
   });
 });
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from "react";
+import { useLanguage } from "../i18n/LanguageContext";
+import {
+  getCalendarFeed,
+  createCalendarFeed,
+  deleteCalendarFeed,
+} from "../services/bookings";
+
+const linkButtonClasses =
+  "text-xs text-brand-purple uppercase hover:text-brand-dark font-sans cursor-pointer underline disabled:opacity-50 disabled:cursor-not-allowed";
+
+/**
+ * CalendarFeed Component
+ *
+ * Section in UserModal for the private calendar feed address. Outlook and
+ * Google Calendar subscribe to it, so rescheduled and cancelled bookings
+ * update in the user's calendar. A new address revokes the old one.
+ *
+ * @component
+ * @returns {JSX.Element} The rendered CalendarFeed component.
+ */
+const CalendarFeed = () => {
+  const { t } = useLanguage();
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    getCalendarFeed()
+      .then(({ url }) => {
+        if (!isCancelled) setFeedUrl(url);
+      })
+      .catch(() => {
+        if (!isCancelled) setErrorMessage(t("userProfile.calendarFeedError"));
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [t]);
+
+  /**
+   * Create a new feed address or turn the feed off
+   * @param {Function} request - createCalendarFeed or deleteCalendarFeed
+   */
+  const updateFeed = async (request) => {
+    if (isSaving) return;
+
+    setIsSaving(true);
+    setIsCopied(false);
+    setErrorMessage("");
+
+    try {
+      const { url } = await request();
+      setFeedUrl(url);
+    } catch {
+      setErrorMessage(t("userProfile.calendarFeedError"));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setIsCopied(true);
+    } catch {
+      // Clipboard not available, the address can still be selected by hand
+    }
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-300 space-y-2 text-center">
+      <p className="text-sm font-sans font-semibold text-gray-800">
+        {t("userProfile.calendarFeed")}
+      </p>
+      <p className="text-xs text-gray-600 font-sans">
+        {t("userProfile.calendarFeedInfo")}
+      </p>
+
+      {feedUrl ? (
+        <>
+          <input
+            type="text"
+            readOnly
+            value={feedUrl}
+            aria-label={t("userProfile.calendarFeedUrl")}
+            onFocus={(event) => event.target.select()}
+            className="w-full px-3 py-2 border border-gray-300 rounded-full text-xs text-black font-sans focus:outline-none focus:ring-2 focus:ring-brand-purple"
+          />
+          <p className="text-xs text-gray-500 font-sans">
+            {t("userProfile.calendarFeedPrivate")}
+          </p>
+          <div className="flex justify-center gap-3">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className={linkButtonClasses}
+            >
+              {isCopied
+                ? t("userProfile.calendarFeedCopied")
+                : t("userProfile.calendarFeedCopy")}
+            </button>
+            <button
+              type="button"
+              onClick={() => updateFeed(createCalendarFeed)}
+              disabled={isSaving}
+              className={linkButtonClasses}
+            >
+              {t("userProfile.calendarFeedRenew")}
+            </button>
+            <button
+              type="button"
+              onClick={() => updateFeed(deleteCalendarFeed)}
+              disabled={isSaving}
+              className="text-xs text-red-600 uppercase hover:text-red-800 font-sans cursor-pointer underline disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t("userProfile.calendarFeedDisable")}
+            </button>
+          </div>
+        </>
+      ) : (
+        <button
+          type="button"
+          onClick={() => updateFeed(createCalendarFeed)}
+          disabled={isSaving}
+          className={linkButtonClasses}
+        >
+          {t("userProfile.calendarFeedEnable")}
+        </button>
+      )}
+
+      {errorMessage && (
+        <p className="text-xs text-red-600 font-sans">{errorMessage}</p>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeed;
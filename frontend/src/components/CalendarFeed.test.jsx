@@ -0,0 +1,99 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { describe, it, expect, vi } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import CalendarFeed from "./CalendarFeed";
+import { LanguageProvider } from "../i18n/LanguageContext";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+const feedUrl = `${API_BASE_URL}/api/bookings/calendar.ics?token=${"a".repeat(
+  64
+)}`;
+
+const renderCalendarFeed = () =>
+  render(
+    <LanguageProvider>
+      <CalendarFeed />
+    </LanguageProvider>
+  );
+
+describe("CalendarFeed Component", () => {
+  it("turns the calendar feed on", async () => {
+    renderCalendarFeed();
+
+    fireEvent.click(
+      await screen.findByRole("button", {
+        name: "Ota kalenteritilaus käyttöön",
+      })
+    );
+
+    expect(await screen.findByLabelText("Tilausosoite")).toHaveValue(feedUrl);
+    expect(
+      screen.getByRole("button", { name: "Vaihda osoite" })
+    ).toBeInTheDocument();
+  });
+
+  it("copies the address and turns the feed off", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/bookings/calendar-feed`, () =>
+        HttpResponse.json({ url: feedUrl })
+      )
+    );
+    const writeText = vi.fn().mockResolvedValue();
+    Object.defineProperty(navigator, "clipboard", {
+      value: { writeText },
+      configurable: true,
+    });
+    renderCalendarFeed();
+
+    fireEvent.click(
+      await screen.findByRole("button", { name: "Kopioi osoite" })
+    );
+    expect(await screen.findByText("Osoite kopioitu!")).toBeInTheDocument();
+    expect(writeText).toHaveBeenCalledWith(feedUrl);
+
+    fireEvent.click(screen.getByRole("button", { name: "Poista käytöstä" }));
+    expect(
+      await screen.findByRole("button", {
+        name: "Ota kalenteritilaus käyttöön",
+      })
+    ).toBeInTheDocument();
+    expect(screen.queryByLabelText("Tilausosoite")).not.toBeInTheDocument();
+  });
+
+  it("shows an error when the feed can't be loaded", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/bookings/calendar-feed`, () =>
+        HttpResponse.json({ error: "Internal server error" }, { status: 500 })
+      )
+    );
+    renderCalendarFeed();
+
+    expect(
+      await screen.findByText("Kalenteritilauksen päivitys epäonnistui.")
+    ).toBeInTheDocument();
+  });
+
+  it("keeps the feed off when turning it on fails", async () => {
+    server.use(
+      http.post(`${API_BASE_URL}/api/bookings/calendar-feed`, () =>
+        HttpResponse.json({ error: "Internal server error" }, { status: 500 })
+      )
+    );
+    renderCalendarFeed();
+
+    const enableButton = await screen.findByRole("button", {
+      name: "Ota kalenteritilaus käyttöön",
+    });
+    fireEvent.click(enableButton);
+
+    expect(
+      await screen.findByText("Kalenteritilauksen päivitys epäonnistui.")
+    ).toBeInTheDocument();
+    await waitFor(() => expect(enableButton).not.toBeDisabled());
+    expect(screen.queryByLabelText("Tilausosoite")).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import { useLanguage } from "../i18n/LanguageContext";
+import { changePassword } from "../services/users";
+import { validateField } from "../services/validation";
+
+const inputClasses =
+  "w-full px-3 py-2 border border-gray-300 rounded-full text-sm text-black font-sans focus:outline-none focus:ring-2 focus:ring-brand-purple focus:border-brand-purple";
+
+/**
+ * ChangePassword Component
+ *
+ * Inline form in UserModal for changing the password. The current password
+ * is required and the new one follows the same rules as on registration.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Function} props.onChanged - Called after the password was changed.
+ * @param {Function} props.onCancel - Called when the change is cancelled.
+ *
+ * @returns {JSX.Element} The rendered ChangePassword component.
+ */
+const ChangePassword = ({ onChanged, onCancel }) => {
+  const { t } = useLanguage();
+  const [formData, setFormData] = useState({
+    currentPassword: "",
+    password: "",
+    confirmPassword: "",
+  });
+  const [errors, setErrors] = useState({});
+  const [errorMessage, setErrorMessage] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: null }));
+  };
+
+  const handleSave = async () => {
+    if (isSaving) return;
+
+    const validationErrors = {
+      currentPassword: formData.currentPassword
+        ? null
+        : t("auth.errors.passwordRequired"),
+      password: validateField(
+        "password",
+        formData.password,
+        formData,
+        "newPassword",
+        t
+      ),
+      confirmPassword: validateField(
+        "confirmPassword",
+        formData.confirmPassword,
+        formData,
+        "newPassword",
+        t
+      ),
+    };
+    if (Object.values(validationErrors).some(Boolean)) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setIsSaving(true);
+    setErrorMessage("");
+
+    const result = await changePassword({
+      currentPassword: formData.currentPassword,
+      newPassword: formData.password,
+    });
+
+    setIsSaving(false);
+
+    if (result.success) {
+      onChanged();
+    } else if (result.status === 401) {
+      setErrors({ currentPassword: t("userProfile.wrongPassword") });
+      setFormData((prev) => ({ ...prev, currentPassword: "" }));
+    } else {
+      setErrorMessage(t("userProfile.passwordChangeError"));
+    }
+  };
+
+  const renderPasswordInput = (name, label) => (
+    <div>
+      <label htmlFor={`password-${name}`} className="block text-xs mb-1">
+        {label}
+      </label>
+      <input
+        id={`password-${name}`}
+        name={name}
+        type="password"
+        value={formData[name]}
+        onChange={handleChange}
+        className={inputClasses}
+        disabled={isSaving}
+      />
+      {errors[name] && (
+        <p className="text-xs text-red-600 mt-1 text-center">{errors[name]}</p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-300 space-y-3">
+      <p className="text-sm font-sans font-semibold text-gray-800 text-center">
+        {t("userProfile.changePasswordTitle")}
+      </p>
+
+      {renderPasswordInput("currentPassword", t("userProfile.currentPassword"))}
+      {renderPasswordInput("password", t("userProfile.newPassword"))}
+      {renderPasswordInput("confirmPassword", t("auth.confirmPassword"))}
+
+      {errorMessage && (
+        <p className="text-xs text-red-600 text-center">{errorMessage}</p>
+      )}
+
+      <div className="flex justify-center space-x-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-xs text-gray-600 uppercase hover:text-gray-800 font-sans cursor-pointer underline"
+        >
+          {t("userProfile.cancel")}
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isSaving}
+          className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans font-semibold cursor-pointer underline disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving ? t("userProfile.saving") : t("userProfile.save")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
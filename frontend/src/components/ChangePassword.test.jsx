@@ -0,0 +1,96 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { describe, it, expect, vi } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import ChangePassword from "./ChangePassword";
+import { LanguageProvider } from "../i18n/LanguageContext";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+const renderChangePassword = (props = {}) =>
+  render(
+    <LanguageProvider>
+      <ChangePassword onChanged={vi.fn()} onCancel={vi.fn()} {...props} />
+    </LanguageProvider>
+  );
+
+const fillForm = ({
+  currentPassword = "Password123",
+  password = "NewPassword123",
+  confirmPassword = password,
+} = {}) => {
+  fireEvent.change(screen.getByLabelText("Nykyinen salasana"), {
+    target: { value: currentPassword },
+  });
+  fireEvent.change(screen.getByLabelText("Uusi salasana"), {
+    target: { value: password },
+  });
+  fireEvent.change(screen.getByLabelText("Vahvista Salasana"), {
+    target: { value: confirmPassword },
+  });
+  fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+};
+
+describe("ChangePassword Component", () => {
+  it("changes the password", async () => {
+    const onChanged = vi.fn();
+    renderChangePassword({ onChanged });
+
+    fillForm();
+
+    await waitFor(() => expect(onChanged).toHaveBeenCalled());
+  });
+
+  it("clears the current password when it is wrong", async () => {
+    const onChanged = vi.fn();
+    renderChangePassword({ onChanged });
+
+    fillForm({ currentPassword: "wrongpassword" });
+
+    expect(await screen.findByText("Väärä salasana")).toBeInTheDocument();
+    expect(screen.getByLabelText("Nykyinen salasana")).toHaveValue("");
+    expect(onChanged).not.toHaveBeenCalled();
+  });
+
+  it("shows an error when the change fails", async () => {
+    const onChanged = vi.fn();
+    server.use(
+      http.post(`${API_BASE_URL}/api/users/change-password`, () =>
+        HttpResponse.json(
+          { ok: false, message: "Internal server error" },
+          { status: 500 }
+        )
+      )
+    );
+    renderChangePassword({ onChanged });
+
+    fillForm();
+
+    expect(
+      await screen.findByText("Salasanan vaihto epäonnistui.")
+    ).toBeInTheDocument();
+    expect(onChanged).not.toHaveBeenCalled();
+  });
+
+  it("checks the new password before sending it", () => {
+    const onChanged = vi.fn();
+    renderChangePassword({ onChanged });
+
+    fillForm({ currentPassword: "", confirmPassword: "OtherPassword123" });
+
+    expect(screen.getByText("Salasana vaaditaan")).toBeInTheDocument();
+    expect(screen.getByText("Salasanat eivät täsmää")).toBeInTheDocument();
+    expect(onChanged).not.toHaveBeenCalled();
+  });
+
+  it("calls onCancel when cancelled", () => {
+    const onCancel = vi.fn();
+    renderChangePassword({ onCancel });
+
+    fireEvent.click(screen.getByRole("button", { name: "Peruuta" }));
+
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,242 @@
+import React, { useState } from "react";
+import { useLanguage } from "../i18n/LanguageContext";
+import { updateProfile } from "../services/users";
+import { validateField } from "../services/validation";
+
+const CITIES = ["helsinki", "vantaa", "espoo"];
+
+const inputClasses =
+  "w-full px-3 py-2 border border-gray-300 rounded-full text-sm text-black font-sans focus:outline-none focus:ring-2 focus:ring-brand-purple focus:border-brand-purple";
+
+/**
+ * Form values from the saved profile, street address and postal code are
+ * edited as one address field like in PricingCalendar
+ * @param {Object} user - Current user details
+ * @returns {Object}
+ */
+const getProfileFormData = (user) => ({
+  fullName: user.fullName || "",
+  email: user.email || "",
+  city: user.city?.toLowerCase() || "",
+  address: [user.streetAddress, user.postalCode].filter(Boolean).join(", "),
+  phoneNumber: user.phoneNumber || "",
+});
+
+/**
+ * EditProfile Component
+ *
+ * Inline form in UserModal for changing the full name, email address and the
+ * default contact details prefilled on new bookings. Only changed fields are
+ * sent, a new email address has to be verified again.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Object} props.user - Current user details.
+ * @param {Function} props.onSaved - Called with the updated user and whether the email changed.
+ * @param {Function} props.onCancel - Called when editing is cancelled.
+ *
+ * @returns {JSX.Element} The rendered EditProfile component.
+ */
+const EditProfile = ({ user, onSaved, onCancel }) => {
+  const { t } = useLanguage();
+  const [formData, setFormData] = useState(() => getProfileFormData(user));
+  const [errors, setErrors] = useState({});
+  const [errorMessage, setErrorMessage] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: null }));
+  };
+
+  /**
+   * Collect the changed fields, cleared contact details are sent as null
+   */
+  const getChanges = () => {
+    const initial = getProfileFormData(user);
+
+    return Object.fromEntries(
+      Object.entries(formData)
+        .map(([field, value]) => [field, value.trim()])
+        .filter(([field, value]) => value !== initial[field])
+        .map(([field, value]) => [field, value === "" ? null : value])
+    );
+  };
+
+  const handleSave = async () => {
+    if (isSaving) return;
+
+    const validationErrors = {
+      fullName: validateField(
+        "fullName",
+        formData.fullName,
+        formData,
+        "register",
+        t
+      ),
+      email: validateField("email", formData.email, formData, "forgot", t),
+    };
+    if (Object.values(validationErrors).some(Boolean)) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    const changes = getChanges();
+    if (Object.keys(changes).length === 0) {
+      onCancel();
+      return;
+    }
+
+    setIsSaving(true);
+    setErrorMessage("");
+
+    const result = await updateProfile(changes);
+
+    if (result.success) {
+      onSaved(result.user, changes.email !== undefined);
+    } else if (result.status === 409) {
+      setErrors({ email: t("userProfile.emailInUse") });
+    } else if (result.errors) {
+      // Field-level messages from the backend booking rules
+      setErrors(
+        Object.fromEntries(
+          Object.entries(result.errors).map(([field, messages]) => [
+            field,
+            messages[0],
+          ])
+        )
+      );
+    } else {
+      setErrorMessage(t("userProfile.profileUpdateError"));
+    }
+
+    setIsSaving(false);
+  };
+
+  const renderError = (field) =>
+    errors[field] && (
+      <p className="text-xs text-red-600 mt-1 text-center">{errors[field]}</p>
+    );
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-300 space-y-3">
+      <p className="text-sm font-sans font-semibold text-gray-800 text-center">
+        {t("userProfile.editProfileTitle")}
+      </p>
+
+      <div>
+        <label htmlFor="profile-fullName" className="block text-xs mb-1">
+          {t("userProfile.fullName")}
+        </label>
+        <input
+          id="profile-fullName"
+          name="fullName"
+          value={formData.fullName}
+          onChange={handleChange}
+          className={inputClasses}
+          disabled={isSaving}
+        />
+        {renderError("fullName")}
+      </div>
+
+      <div>
+        <label htmlFor="profile-email" className="block text-xs mb-1">
+          {t("userProfile.email")}
+        </label>
+        <input
+          id="profile-email"
+          name="email"
+          type="email"
+          value={formData.email}
+          onChange={handleChange}
+          className={inputClasses}
+          disabled={isSaving}
+        />
+        {renderError("email")}
+      </div>
+
+      <p className="text-xs text-gray-600 text-center">
+        {t("userProfile.defaultContactInfo")}
+      </p>
+
+      <div>
+        <label htmlFor="profile-city" className="block text-xs mb-1">
+          {t("userProfile.city")}
+        </label>
+        <select
+          id="profile-city"
+          name="city"
+          value={formData.city}
+          onChange={handleChange}
+          className={inputClasses}
+          disabled={isSaving}
+        >
+          <option value="">-</option>
+          {CITIES.map((city) => (
+            <option key={city} value={city}>
+              {t(`pricing.payment.location.cities.${city}`)}
+            </option>
+          ))}
+        </select>
+        {renderError("city")}
+      </div>
+
+      <div>
+        <label htmlFor="profile-address" className="block text-xs mb-1">
+          {t("userProfile.address")}
+        </label>
+        <input
+          id="profile-address"
+          name="address"
+          value={formData.address}
+          onChange={handleChange}
+          placeholder={t("pricing.payment.location.addressPlaceholder")}
+          className={inputClasses}
+          disabled={isSaving}
+        />
+        {renderError("address")}
+      </div>
+
+      <div>
+        <label htmlFor="profile-phoneNumber" className="block text-xs mb-1">
+          {t("userProfile.phoneNumber")}
+        </label>
+        <input
+          id="profile-phoneNumber"
+          name="phoneNumber"
+          type="tel"
+          value={formData.phoneNumber}
+          onChange={handleChange}
+          className={inputClasses}
+          disabled={isSaving}
+        />
+        {renderError("phoneNumber")}
+      </div>
+
+      {errorMessage && (
+        <p className="text-xs text-red-600 text-center">{errorMessage}</p>
+      )}
+
+      <div className="flex justify-center space-x-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-xs text-gray-600 uppercase hover:text-gray-800 font-sans cursor-pointer underline"
+        >
+          {t("userProfile.cancel")}
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isSaving}
+          className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans font-semibold cursor-pointer underline disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving ? t("userProfile.saving") : t("userProfile.save")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EditProfile;
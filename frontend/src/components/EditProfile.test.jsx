@@ -0,0 +1,172 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { describe, it, expect, vi } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import EditProfile from "./EditProfile";
+import { LanguageProvider } from "../i18n/LanguageContext";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+const user = {
+  id: "1",
+  email: "test@example.com",
+  fullName: "Test User",
+  city: "HELSINKI",
+  streetAddress: "Testikatu 1",
+  postalCode: "00100",
+  phoneNumber: "0401234567",
+};
+
+const renderEditProfile = (props = {}) =>
+  render(
+    <LanguageProvider>
+      <EditProfile
+        user={user}
+        onSaved={vi.fn()}
+        onCancel={vi.fn()}
+        {...props}
+      />
+    </LanguageProvider>
+  );
+
+describe("EditProfile Component", () => {
+  it("prefills the form from the profile", () => {
+    renderEditProfile();
+
+    expect(screen.getByLabelText("KOKO NIMI")).toHaveValue("Test User");
+    expect(screen.getByLabelText("Kaupunki")).toHaveValue("helsinki");
+    expect(screen.getByLabelText("Osoite")).toHaveValue("Testikatu 1, 00100");
+  });
+
+  it("saves only the changed fields", async () => {
+    const onSaved = vi.fn();
+    let sentUpdates;
+    server.use(
+      http.patch(`${API_BASE_URL}/api/users/me`, async ({ request }) => {
+        sentUpdates = await request.json();
+        return HttpResponse.json({
+          ok: true,
+          message: "Profile updated",
+          user: { ...user, ...sentUpdates },
+        });
+      })
+    );
+    renderEditProfile({ onSaved });
+
+    fireEvent.change(screen.getByLabelText("KOKO NIMI"), {
+      target: { value: "Uusi Nimi" },
+    });
+    fireEvent.change(screen.getByLabelText("Puhelinnumero"), {
+      target: { value: "" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+
+    await waitFor(() => {
+      expect(onSaved).toHaveBeenCalledWith(
+        expect.objectContaining({ fullName: "Uusi Nimi" }),
+        false
+      );
+    });
+    // Cleared contact details are sent as null
+    expect(sentUpdates).toEqual({ fullName: "Uusi Nimi", phoneNumber: null });
+  });
+
+  it("tells when the email address has to be verified again", async () => {
+    const onSaved = vi.fn();
+    renderEditProfile({ onSaved });
+
+    fireEvent.change(screen.getByLabelText("SÄHKÖPOSTI"), {
+      target: { value: "new@example.com" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+
+    await waitFor(() => {
+      expect(onSaved).toHaveBeenCalledWith(
+        expect.objectContaining({ email: "new@example.com" }),
+        true
+      );
+    });
+  });
+
+  it("shows an error when the email address is taken", async () => {
+    const onSaved = vi.fn();
+    renderEditProfile({ onSaved });
+
+    fireEvent.change(screen.getByLabelText("SÄHKÖPOSTI"), {
+      target: { value: "taken@example.com" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+
+    expect(
+      await screen.findByText("Sähköpostiosoite on jo käytössä")
+    ).toBeInTheDocument();
+    expect(onSaved).not.toHaveBeenCalled();
+  });
+
+  it("shows the field errors from the backend", async () => {
+    server.use(
+      http.patch(`${API_BASE_URL}/api/users/me`, () =>
+        HttpResponse.json(
+          {
+            ok: false,
+            message: "Invalid profile data",
+            errors: { phoneNumber: ["Invalid phone number"] },
+          },
+          { status: 400 }
+        )
+      )
+    );
+    renderEditProfile();
+
+    fireEvent.change(screen.getByLabelText("Puhelinnumero"), {
+      target: { value: "123" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+
+    expect(await screen.findByText("Invalid phone number")).toBeInTheDocument();
+  });
+
+  it("shows an error when saving fails", async () => {
+    const onSaved = vi.fn();
+    server.use(
+      http.patch(`${API_BASE_URL}/api/users/me`, () =>
+        HttpResponse.json(
+          { ok: false, message: "Internal server error" },
+          { status: 500 }
+        )
+      )
+    );
+    renderEditProfile({ onSaved });
+
+    fireEvent.change(screen.getByLabelText("KOKO NIMI"), {
+      target: { value: "Uusi Nimi" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+
+    expect(
+      await screen.findByText("Tietojen päivitys epäonnistui.")
+    ).toBeInTheDocument();
+    expect(onSaved).not.toHaveBeenCalled();
+  });
+
+  it("validates the name before saving and closes without changes", () => {
+    const onCancel = vi.fn();
+    renderEditProfile({ onCancel });
+
+    fireEvent.change(screen.getByLabelText("KOKO NIMI"), {
+      target: { value: "Abc" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+    expect(
+      screen.getByText("Nimi oltava vähintään 4 kirjainta")
+    ).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("KOKO NIMI"), {
+      target: { value: "Test User" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
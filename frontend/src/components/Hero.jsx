@@ -2,8 +2,11 @@ import React, { useState, useEffect, useCallback } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useLanguage } from "../i18n/LanguageContext";
 import { useAuth } from "../contexts/AuthContext";
+import { verifyEmail } from "../services/users";
+import { getPayment } from "../services/bookings";
 import { languageOptions } from "../utils/languageUtils";
 import { scrollAnimations } from "../utils/scrollUtils";
+import { consumeQueryParam } from "../utils/urlUtils";
 import carIcon from "../assets/icons/car-salesman-service-svgrepo-com.svg";
 import vacuumIcon from "../assets/icons/vacuum-cleaner-floor-svgrepo-com.svg";
 import loginIcon from "../assets/icons/login-bracket-svgrepo-com.svg";
@@ -32,10 +35,11 @@ import UserModal from "./UserModal";
  */
 const Hero = () => {
   const { t, language, changeLanguage } = useLanguage();
-  const { isAuthenticated, logout } = useAuth();
+  const { isAuthenticated, logout, checkAuthStatus } = useAuth();
   const [isVisible, setIsVisible] = useState(false);
   const [scrollY, setScrollY] = useState(0);
   const [isAuthModalOpen, setIsAuthModalOpen] = useState(false);
+  const [resetToken, setResetToken] = useState(null);
   const [isUserModalOpen, setIsUserModalOpen] = useState(false);
   const [activeLangAnim, setActiveLangAnim] = useState(null);
   const [logoutAnim, setLogoutAnim] = useState(false);
@@ -125,6 +129,56 @@ const Hero = () => {
     }
   }, [isAuthenticated, logout]);
 
+  /**
+   * Open the set new password view when arriving from a password reset link
+   */
+  useEffect(() => {
+    const token = consumeQueryParam("resetToken");
+    if (!token) return;
+
+    setResetToken(token);
+    setIsAuthModalOpen(true);
+  }, []);
+
+  /**
+   * Verify the email address when arriving from a verification link
+   */
+  useEffect(() => {
+    const token = consumeQueryParam("verifyToken");
+    if (!token) return;
+
+    verifyEmail(token).then((result) => {
+      if (result.success) {
+        // Refresh the logged in user so bookings see the verified address
+        checkAuthStatus();
+        alert(t("auth.emailVerified"));
+      } else {
+        alert(t("auth.errors.verificationFailed"));
+      }
+    });
+  }, []);
+
+  /**
+   * Tell the result of a card or MobilePay payment when returning from the
+   * payment page
+   */
+  useEffect(() => {
+    const paymentId = consumeQueryParam("payment");
+    if (!paymentId) return;
+
+    getPayment(paymentId)
+      .then((payment) => {
+        if (payment.status === "PAID") {
+          alert(t("payment.paid"));
+        } else if (payment.status === "PENDING") {
+          alert(t("payment.pending"));
+        } else {
+          alert(t("payment.failed"));
+        }
+      })
+      .catch(() => alert(t("payment.checkFailed")));
+  }, []);
+
   useEffect(() => {
     // Trigger entrance animation after component mounts
     const timer = setTimeout(() => setIsVisible(true), 200);
@@ -425,7 +479,11 @@ const Hero = () => {
       {/* AuthModal */}
       <AuthModal
         isOpen={isAuthModalOpen}
-        onClose={() => setIsAuthModalOpen(false)}
+        onClose={() => {
+          setIsAuthModalOpen(false);
+          setResetToken(null);
+        }}
+        resetToken={resetToken}
       />
 
       {/* UserModal */}
@@ -1,5 +1,5 @@
 import React from "react";
-import { render, screen } from "@testing-library/react";
+import { render, screen, waitFor } from "@testing-library/react";
 import { describe, it, expect, vi } from "vitest";
 import Hero from "./Hero";
 import { LanguageProvider } from "../i18n/LanguageContext";
@@ -129,4 +129,38 @@ describe("Hero", () => {
       await screen.findByText(/car interior cleaning while you focus on work/i)
     ).toBeInTheDocument();
   });
+
+  it("verifies the email address from a verification link", async () => {
+    const alertSpy = vi.spyOn(window, "alert").mockImplementation(() => {});
+    window.history.replaceState(null, "", "/?verifyToken=valid-verify-token");
+
+    renderWithProviders(<Hero />);
+
+    await waitFor(() =>
+      expect(alertSpy).toHaveBeenCalledWith(
+        "Sähköpostiosoite vahvistettu! Voit nyt tehdä varauksia."
+      )
+    );
+    // Token is removed from the address bar
+    expect(window.location.search).toBe("");
+
+    alertSpy.mockRestore();
+  });
+
+  it("tells the payment result when returning from the payment page", async () => {
+    const alertSpy = vi.spyOn(window, "alert").mockImplementation(() => {});
+    window.history.replaceState(null, "", "/?payment=payment-failed");
+
+    renderWithProviders(<Hero />);
+
+    await waitFor(() =>
+      expect(alertSpy).toHaveBeenCalledWith(
+        "Maksu epäonnistui, joten varausta ei vahvistettu. Voit tehdä varauksen uudelleen."
+      )
+    );
+    // Payment id is removed from the address bar
+    expect(window.location.search).toBe("");
+
+    alertSpy.mockRestore();
+  });
 });
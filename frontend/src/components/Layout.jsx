@@ -6,6 +6,8 @@ import Explanation from "./Explanation";
 import PricingCalendar from "./PricingCalendar";
 import UserReviewSection from "./UserReviewSection";
 import Footer from "./Footer";
+import AdminDashboard from "./AdminDashboard";
+import { useAuth } from "../contexts/AuthContext";
 import backgroundImage from "../assets/background/blob-scene-haikei.svg";
 
 /**
@@ -20,8 +22,12 @@ import backgroundImage from "../assets/background/blob-scene-haikei.svg";
  * - Uses a flexible layout structure with proper semantic HTML
  * - Includes background styling with CSS variables for better maintainability
  * - Responsive design that works across all device sizes
+ * - Admin users also get the job schedule right after the hero section
  */
 const Layout = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === "ADMIN";
+
   return (
     <div className="min-h-screen flex flex-col text-white font-cottage">
       {/* Background image */}
@@ -37,6 +43,7 @@ const Layout = () => {
       {/* Current Layout Structure */}
       <Header />
       <Hero />
+      {isAdmin && <AdminDashboard />}
       <About />
       <Explanation />
       <UserReviewSection />
@@ -1,15 +1,18 @@
 import React from "react";
 import { render, screen } from "@testing-library/react";
-import { describe, it, expect, vi } from "vitest";
+import { describe, it, expect, vi, afterEach } from "vitest";
 import Layout from "./Layout";
 import { LanguageProvider } from "../i18n/LanguageContext";
 import { AuthProvider } from "../contexts/AuthContext";
 
+// Logged in user returned by the mocked useAuth
+const authState = vi.hoisted(() => ({ user: null }));
+
 // Mock AuthContext
 vi.mock("../contexts/AuthContext", () => ({
   AuthProvider: ({ children }) => React.createElement("div", {}, children),
   useAuth: () => ({
-    user: null,
+    user: authState.user,
     login: vi.fn(),
     logout: vi.fn(),
     loading: false,
@@ -47,6 +50,10 @@ vi.mock("./PricingCalendar", () => ({
   ),
 }));
 
+vi.mock("./AdminDashboard", () => ({
+  default: () => <div data-testid="admin-dashboard">Admin Dashboard</div>,
+}));
+
 // Mock IntersectionObserver
 const mockIntersectionObserver = vi.fn();
 mockIntersectionObserver.mockReturnValue({
@@ -66,6 +73,10 @@ const renderWithProviders = (component) => {
 };
 
 describe("Layout", () => {
+  afterEach(() => {
+    authState.user = null;
+  });
+
   it("renders the layout component", () => {
     const { container } = renderWithProviders(<Layout />);
 
@@ -130,4 +141,14 @@ describe("Layout", () => {
       "footer",
     ]);
   });
+
+  it("renders the admin dashboard only for admin users", () => {
+    const { unmount } = renderWithProviders(<Layout />);
+    expect(screen.queryByTestId("admin-dashboard")).not.toBeInTheDocument();
+    unmount();
+
+    authState.user = { id: "1", email: "admin@example.com", role: "ADMIN" };
+    renderWithProviders(<Layout />);
+    expect(screen.getByTestId("admin-dashboard")).toBeInTheDocument();
+  });
 });
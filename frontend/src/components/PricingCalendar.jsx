@@ -2,16 +2,29 @@ import React, { useState, useEffect, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useLanguage } from "../i18n/LanguageContext";
 import { useAuth } from "../contexts/AuthContext";
-import { createBooking } from "../services/bookings";
+import {
+  createBooking,
+  createDraftBooking,
+  confirmBooking,
+  createBookingSeries,
+  getAvailability,
+  getServices,
+  getAddOns,
+  getQuote,
+} from "../services/bookings";
+import { resendVerificationEmail } from "../services/users";
+import { getAddresses, getVehicles } from "../services/profile";
 import BookingSuccess from "./BookingSuccess";
 import {
   timeSlots,
-  generateAvailableDates,
+  mapAvailabilityToDates,
   isDateAvailable,
   isDateSelected,
   getAvailableTimeSlotsForDate,
   formatDateForDisplay,
+  toDayKey,
   getWeekStart,
+  getServiceToday,
   getWeekDays,
   handlePreviousWeek,
   handleNextWeek,
@@ -22,6 +35,7 @@ import {
   getDateColorClass,
   getAvailabilityBoxColorClass,
 } from "../utils/calendarUtils";
+import { formatPrice, formatVatRate } from "../utils/priceUtils";
 import VacuumCleanerIcon from "../assets/icons/vacuum-cleaner-floor-svgrepo-com.svg";
 import WipingIcon from "../assets/icons/wiping-svgrepo-com.svg";
 import TintingIcon from "../assets/icons/tinting-svgrepo-com.svg";
@@ -38,6 +52,12 @@ import RightArrowIcon from "../assets/icons/right-arrow-svgrepo-com.svg";
 import UndoIcon from "../assets/icons/undo-left-svgrepo-com.svg";
 import ClickIcon from "../assets/icons/click-svgrepo-com.svg";
 
+// Icons shown next to the included tasks of a service, in task order
+const TASK_ICONS = [VacuumCleanerIcon, WipingIcon, TintingIcon, CarSeatIcon];
+
+// Weekly repeat options, same range as SERIES_WEEKS in the backend
+const REPEAT_WEEK_OPTIONS = Array.from({ length: 11 }, (_, index) => index + 2);
+
 /**
  * PricingCalendar - Booking interface component
  *
@@ -48,9 +68,9 @@ import ClickIcon from "../assets/icons/click-svgrepo-com.svg";
  * into multiple parts. Currently no tests are present for this component
  * for this reason.
  *
- * IMPORTANT: Currently uses placeholder data for demonstration purposes.
- * Backend integration required for production use. Will not be developed
- * Unless the project goes further as per customer request
+ * Availability is loaded from the backend (GET /api/availability) and
+ * reflects real bookings and the configured per-slot capacity. The service
+ * tiers and their prices come from GET /api/services.
  *
  * @component
  * @description A comprehensive booking interface with the following features:
@@ -62,7 +82,7 @@ import ClickIcon from "../assets/icons/click-svgrepo-com.svg";
  * - Purple accent colors for selected states
  *
  * Functionality:
- * - Large centered price display (49€ including VAT)
+ * - Service carousel with a large centered price (VAT included) per tier
  * - Week-based calendar navigation (Monday-Friday only)
  * - Minimum booking window: 2 days from current date
  * - Time slot selection (4 x 2-hour intervals: 09:00-17:00)
@@ -92,7 +112,7 @@ import ClickIcon from "../assets/icons/click-svgrepo-com.svg";
  */
 const PricingCalendar = () => {
   const { t, language } = useLanguage();
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, user } = useAuth();
 
   // Core booking state
   const [selectedDate, setSelectedDate] = useState(null);
@@ -101,6 +121,23 @@ const PricingCalendar = () => {
   const [selectedCity, setSelectedCity] = useState(null);
   const [address, setAddress] = useState("");
   const [phoneNumber, setPhoneNumber] = useState("");
+  const [notes, setNotes] = useState("");
+
+  // Addresses and vehicles saved on the user's profile
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [savedVehicles, setSavedVehicles] = useState([]);
+  const [selectedVehicleId, setSelectedVehicleId] = useState("");
+
+  // Number of weeks a recurring booking repeats, 0 books just once
+  const [repeatWeeks, setRepeatWeeks] = useState(0);
+
+  // Draft booking holding the selected time slot during checkout
+  const [draftBooking, setDraftBooking] = useState(null);
+
+  // Booking was refused because the user's email address isn't verified yet
+  const [isEmailUnverified, setIsEmailUnverified] = useState(false);
+  const [verificationResendStatus, setVerificationResendStatus] =
+    useState(null); // null, 'sending', 'sent', 'error'
 
   // Address validation state - now supports multiple errors
   const [addressErrors, setAddressErrors] = useState([]);
@@ -108,9 +145,10 @@ const PricingCalendar = () => {
   // Phone validation state - now supports multiple errors
   const [phoneErrors, setPhoneErrors] = useState([]);
 
-  // Data state (TODO: Replace with API calls)
+  // Availability data state
   const [availableDates, setAvailableDates] = useState([]);
   const [availableTimeSlots, setAvailableTimeSlots] = useState([]);
+  const [availabilityError, setAvailabilityError] = useState(false);
 
   // Calendar navigation state
   const [currentWeekStart, setCurrentWeekStart] = useState(new Date());
@@ -130,9 +168,21 @@ const PricingCalendar = () => {
   const [isSubmittingBooking, setIsSubmittingBooking] = useState(false);
 
   // Service selection state
+  const [serviceOptions, setServiceOptions] = useState([]);
+  const [servicesError, setServicesError] = useState(false);
   const [currentServiceIndex, setCurrentServiceIndex] = useState(0);
   const [selectedServiceIndex, setSelectedServiceIndex] = useState(null);
 
+  // Optional extras on top of the service tier
+  const [addOnOptions, setAddOnOptions] = useState([]);
+  const [selectedAddOnIds, setSelectedAddOnIds] = useState([]);
+
+  // Campaign code typed in the payment step and the discounted quote it gave
+  const [discountCodeInput, setDiscountCodeInput] = useState("");
+  const [appliedDiscountCode, setAppliedDiscountCode] = useState("");
+  const [discountQuote, setDiscountQuote] = useState(null);
+  const [discountError, setDiscountError] = useState("");
+
   // Refs for cleanup and DOM manipulation
   const timeoutRef = useRef(null);
   const sectionRef = useRef(null);
@@ -247,7 +297,6 @@ const PricingCalendar = () => {
   // Common conditions
   const isServiceSelected = selectedServiceIndex !== null;
   const isServiceUnselected = selectedServiceIndex === null;
-  const isCurrentServiceDisabled = currentServiceIndex !== 0;
   const isAddressValid =
     address.trim() &&
     validateAddress(address).isValid &&
@@ -266,8 +315,7 @@ const PricingCalendar = () => {
 
   // Initialize current week to start of this week on component mount
   useEffect(() => {
-    const today = new Date();
-    setCurrentWeekStart(getWeekStart(today));
+    setCurrentWeekStart(getWeekStart(getServiceToday()));
   }, []);
 
   // Intersection Observer: Trigger animations with 0.5 s delay
@@ -300,10 +348,24 @@ const PricingCalendar = () => {
     };
   }, []);
 
-  // Initialize placeholder data (TODO: Replace with API call)
+  /**
+   * Load available dates and time slots from the backend
+   */
+  const loadAvailability = async () => {
+    try {
+      const availability = await getAvailability();
+      setAvailableDates(mapAvailabilityToDates(availability.dates));
+      setAvailabilityError(false);
+    } catch (error) {
+      console.error("Error loading availability:", error);
+      setAvailableDates([]);
+      setAvailabilityError(true);
+    }
+  };
+
+  // Load availability on mount
   useEffect(() => {
-    const dates = generateAvailableDates();
-    setAvailableDates(dates);
+    loadAvailability();
 
     // Reset all selections when data changes
     setSelectedDate(null);
@@ -312,12 +374,120 @@ const PricingCalendar = () => {
     setAvailableTimeSlots([]);
   }, []);
 
+  // Prefill empty contact fields with the default details from the profile
+  useEffect(() => {
+    if (!user) return;
+
+    if (user.city) {
+      setSelectedCity((current) => current ?? user.city.toLowerCase());
+    }
+    if (user.streetAddress) {
+      const profileAddress = [user.streetAddress, user.postalCode]
+        .filter(Boolean)
+        .join(", ");
+      setAddress((current) => current || profileAddress);
+    }
+    if (user.phoneNumber) {
+      setPhoneNumber((current) => current || user.phoneNumber);
+    }
+  }, [user]);
+
+  // Load the saved addresses and vehicles offered in the pickers
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setSavedAddresses([]);
+      setSavedVehicles([]);
+      setSelectedVehicleId("");
+      return;
+    }
+
+    let isCancelled = false;
+
+    // The pickers are optional, booking works without them
+    Promise.all([getAddresses(), getVehicles()])
+      .then(([addresses, vehicles]) => {
+        if (isCancelled) return;
+        setSavedAddresses(addresses);
+        setSavedVehicles(vehicles);
+      })
+      .catch(() => {});
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [isAuthenticated]);
+
+  // Load the service tiers shown in the carousel
+  useEffect(() => {
+    let isCancelled = false;
+
+    getServices()
+      .then((services) => {
+        if (!isCancelled) setServiceOptions(services);
+      })
+      .catch(() => {
+        if (!isCancelled) setServicesError(true);
+      });
+
+    // Add-ons are optional, the list is just left out if it can't be loaded
+    getAddOns()
+      .then((addOns) => {
+        if (!isCancelled) setAddOnOptions(addOns);
+      })
+      .catch(() => {});
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  // Price the booking with the applied code again whenever the picked
+  // service or add-ons change, percentage discounts depend on the total
+  useEffect(() => {
+    const serviceId = serviceOptions[selectedServiceIndex]?.id;
+    if (!appliedDiscountCode || !serviceId) {
+      setDiscountQuote(null);
+      return;
+    }
+
+    let isCancelled = false;
+
+    getQuote({
+      serviceId,
+      addOnIds: selectedAddOnIds,
+      discountCode: appliedDiscountCode,
+    })
+      .then((quote) => {
+        if (!isCancelled) setDiscountQuote(quote);
+      })
+      .catch((error) => {
+        if (isCancelled) return;
+        setDiscountQuote(null);
+        setAppliedDiscountCode("");
+        setDiscountError(
+          error.data?.errors?.discountCode?.[0] ||
+            t("pricing.payment.location.discountError")
+        );
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [
+    appliedDiscountCode,
+    serviceOptions,
+    selectedServiceIndex,
+    selectedAddOnIds,
+    t,
+  ]);
+
   // Update available time slots when selected date changes
   useEffect(() => {
     if (selectedDate) {
       const slots = getAvailableTimeSlotsForDate(selectedDate, availableDates);
       setAvailableTimeSlots(slots);
       setSelectedTimeSlot(null); // Reset time selection when date changes
+      setDraftBooking(null);
 
       // If the selected date no longer has available slots, deselect it
       if (!slots || slots.length === 0) {
@@ -362,8 +532,38 @@ const PricingCalendar = () => {
   /**
    * Handle time slot selection
    */
-  const handleTimeSlotSelect = (timeSlot) => {
+  const handleTimeSlotSelect = async (timeSlot) => {
     setSelectedTimeSlot(timeSlot);
+    setDraftBooking(null);
+
+    try {
+      // Hold the slot so nobody else can book it during checkout
+      const draft = await createDraftBooking({
+        date: toDayKey(selectedDate),
+        timeSlot: timeSlot.label,
+      });
+      setDraftBooking(draft);
+    } catch (error) {
+      console.error("Error holding time slot:", error);
+
+      if (error.status === 409) {
+        setSelectedTimeSlot(null);
+        loadAvailability();
+        alert(getSlotTakenMessage(error.data?.alternatives));
+      } else if (error.data?.code === "EMAIL_NOT_VERIFIED") {
+        setSelectedTimeSlot(null);
+        setIsEmailUnverified(true);
+      }
+    }
+  };
+
+  /**
+   * Send a new email verification link to the logged in user
+   */
+  const handleResendVerification = async () => {
+    setVerificationResendStatus("sending");
+    const result = await resendVerificationEmail();
+    setVerificationResendStatus(result.success ? "sent" : "error");
   };
 
   /**
@@ -380,6 +580,24 @@ const PricingCalendar = () => {
     setSelectedCity(city);
   };
 
+  /**
+   * Fill the city and address fields from a saved address
+   */
+  const handleSavedAddressSelect = (event) => {
+    const savedAddress = savedAddresses.find(
+      (item) => item.id === event.target.value
+    );
+    if (!savedAddress) return;
+
+    const value = [savedAddress.streetAddress, savedAddress.postalCode]
+      .filter(Boolean)
+      .join(", ");
+
+    setSelectedCity(savedAddress.city.toLowerCase());
+    setAddress(value);
+    setAddressErrors(validateAddress(value).errors);
+  };
+
   /**
    * Handle address input change with real-time validation and sanitization
    */
@@ -489,17 +707,46 @@ const PricingCalendar = () => {
    * Handle service navigation
    */
   const handlePreviousService = () => {
-    if (selectedServiceIndex === null) {
-      setCurrentServiceIndex(currentServiceIndex === 0 ? 1 : 0);
+    if (selectedServiceIndex === null && serviceOptions.length > 0) {
+      setCurrentServiceIndex(
+        (currentServiceIndex - 1 + serviceOptions.length) %
+          serviceOptions.length
+      );
     }
   };
 
   const handleNextService = () => {
-    if (selectedServiceIndex === null) {
-      setCurrentServiceIndex(currentServiceIndex === 1 ? 0 : 1);
+    if (selectedServiceIndex === null && serviceOptions.length > 0) {
+      setCurrentServiceIndex((currentServiceIndex + 1) % serviceOptions.length);
     }
   };
 
+  /**
+   * Pick or drop an add-on
+   * @param {string} addOnId - Add-on ID
+   */
+  const handleToggleAddOn = (addOnId) => {
+    setSelectedAddOnIds((prev) =>
+      prev.includes(addOnId)
+        ? prev.filter((id) => id !== addOnId)
+        : [...prev, addOnId]
+    );
+  };
+
+  /**
+   * Apply the typed discount code, the quote effect checks it
+   */
+  const handleApplyDiscount = () => {
+    setDiscountError("");
+    setAppliedDiscountCode(discountCodeInput.trim().toUpperCase());
+  };
+
+  const handleRemoveDiscount = () => {
+    setDiscountCodeInput("");
+    setAppliedDiscountCode("");
+    setDiscountError("");
+  };
+
   /**
    * Handle undo selection
    */
@@ -512,6 +759,7 @@ const PricingCalendar = () => {
     setSelectedDate(null);
     setSelectedTimeSlot(null);
     setSelectedPaymentMethod(null);
+    setDraftBooking(null);
   };
 
   /**
@@ -525,6 +773,29 @@ const PricingCalendar = () => {
     setCurrentWeekStart(handleNextWeek(currentWeekStart));
   };
 
+  /**
+   * Build the message shown when the selected slot was booked by someone else
+   * @param {Array} alternatives - Days with free slots returned by the backend
+   * @returns {string} - Message listing up to three alternative slots
+   */
+  const getSlotTakenMessage = (alternatives) => {
+    const suggestions = mapAvailabilityToDates(alternatives)
+      .flatMap(({ date, availableSlots }) =>
+        availableSlots.map(
+          (slot) => `• ${formatDateForDisplay(date, t, language)} ${slot.label}`
+        )
+      )
+      .slice(0, 3);
+
+    if (suggestions.length === 0) {
+      return t("pricing.calendar.slotTaken");
+    }
+
+    return `${t("pricing.calendar.slotTaken")}\n\n${t(
+      "pricing.calendar.alternatives"
+    )}\n${suggestions.join("\n")}`;
+  };
+
   /**
    * Handle payment confirmation
    */
@@ -559,19 +830,57 @@ const PricingCalendar = () => {
       try {
         // Prepare booking data
         const bookingData = {
-          date: selectedDate.toISOString(), // Full ISO format for backend
+          date: toDayKey(selectedDate), // Booking day in Helsinki time
           timeSlot: selectedTimeSlot.label, // Use label for display
           city: selectedCity,
           address: address.trim(),
           phoneNumber: phoneNumber.trim(),
           paymentMethod: selectedPaymentMethod,
+          ...(notes.trim() && { notes: notes.trim() }),
+          ...(selectedVehicleId && { vehicleId: selectedVehicleId }),
+          serviceId: selectedService.id,
+          ...(selectedAddOnIds.length > 0 && { addOnIds: selectedAddOnIds }),
+          ...(discountQuote && { discountCode: discountQuote.discount.code }),
         };
 
-        // Submit booking to backend
-        const bookingResponse = await createBooking(bookingData);
+        let bookingResponse;
+        let payment;
+        let repeat = null;
+
+        if (repeatWeeks > 0) {
+          // The series replaces the draft, weeks already full are skipped
+          const series = await createBookingSeries({
+            ...bookingData,
+            weeks: repeatWeeks,
+          });
+          bookingResponse = series.bookings[0];
+          payment = series.payment;
+          repeat = [
+            `${series.bookings.length} ${t("bookingSuccess.times")}`,
+            series.skipped.length > 0 &&
+              `${series.skipped.length} ${t("bookingSuccess.skippedWeeks")}`,
+          ]
+            .filter(Boolean)
+            .join(", ");
+        } else {
+          // Confirm the held slot, or book directly if the slot couldn't be held
+          const { date, timeSlot, ...details } = bookingData;
+          bookingResponse = draftBooking
+            ? await confirmBooking(draftBooking.id, details)
+            : await createBooking({ date, timeSlot, ...details });
+          payment = bookingResponse.payment;
+        }
+
+        // Card and MobilePay bookings are confirmed after paying on the
+        // provider's page, which returns to the front page with ?payment=
+        if (payment?.redirectUrl) {
+          window.location.assign(payment.redirectUrl);
+          return;
+        }
 
         // Prepare success details for display
         const successDetails = {
+          ...(bookingResponse.receipt && { receipt: bookingResponse.receipt }),
           date: formatDateForDisplay(selectedDate, t, language),
           timeSlot: selectedTimeSlot.label,
           city: selectedCity,
@@ -579,14 +888,52 @@ const PricingCalendar = () => {
           phoneNumber: phoneNumber.trim(),
           paymentMethod: selectedPaymentMethod,
           bookingId: bookingResponse.id,
+          ...(repeat && { repeat }),
         };
 
         setBookingSuccessDetails(successDetails);
         setShowBookingSuccess(true);
       } catch (error) {
         console.error("Error creating booking:", error);
-        // TODO: Show error message to user
-        alert(`Error creating booking: ${error.message}`);
+
+        if (error.status === 409) {
+          // Slot was taken meanwhile: refresh the calendar and suggest alternatives
+          setSelectedTimeSlot(null);
+          setDraftBooking(null);
+          loadAvailability();
+          alert(getSlotTakenMessage(error.data?.alternatives));
+        } else if (error.status === 404 && draftBooking) {
+          // Hold expired and the draft was cleaned up: pick the time again
+          setSelectedTimeSlot(null);
+          setDraftBooking(null);
+          loadAvailability();
+          alert(t("pricing.calendar.holdExpired"));
+        } else if (error.data?.code === "EMAIL_NOT_VERIFIED") {
+          // Account can't book before the email address is verified
+          setSelectedTimeSlot(null);
+          setDraftBooking(null);
+          setIsEmailUnverified(true);
+        } else if (error.status === 400 && error.data?.errors) {
+          // Booking rules were violated: show field errors next to the inputs
+          const { address: addressRuleErrors, phoneNumber: phoneRuleErrors } =
+            error.data.errors;
+          if (addressRuleErrors) setAddressErrors(addressRuleErrors);
+          if (phoneRuleErrors) setPhoneErrors(phoneRuleErrors);
+
+          const otherErrors = Object.entries(error.data.errors)
+            .filter(([field]) => field !== "address" && field !== "phoneNumber")
+            .flatMap(([, messages]) => messages);
+          if (otherErrors.length > 0) {
+            alert(
+              `${t("pricing.calendar.invalidBooking")}\n\n${otherErrors
+                .map((message) => `• ${message}`)
+                .join("\n")}`
+            );
+          }
+        } else {
+          // TODO: Show error message to user
+          alert(`Error creating booking: ${error.message}`);
+        }
       } finally {
         setIsSubmittingBooking(false);
       }
@@ -604,47 +951,25 @@ const PricingCalendar = () => {
     };
   }, [showLoginPrompt, isAuthenticated]);
 
-  // Service options data
-  const services = [
-    {
-      title: t("services.title"),
-      price: t("pricing.price"),
-      vatIncluded: t("pricing.vatIncluded"),
-      perCleaning: t("pricing.perCleaning"),
-      explanation: t("pricing.explanation"),
-      services: [
-        {
-          icon: VacuumCleanerIcon,
-          label: t("pricing.services.vacuuming"),
-        },
-        { icon: WipingIcon, label: t("pricing.services.wiping") },
-        {
-          icon: TintingIcon,
-          label: t("pricing.services.windowCleaning"),
-        },
-        { icon: CarSeatIcon, label: t("pricing.services.seatCleaning") },
-      ],
-    },
-    {
-      title: t("services.title"),
-      price: "TBD",
-      vatIncluded: t("pricing.vatIncluded"),
-      perCleaning: t("pricing.perCleaning"),
-      explanation: t("pricing.explanation"),
-      services: [
-        {
-          icon: VacuumCleanerIcon,
-          label: "TBD",
-        },
-        { icon: WipingIcon, label: "TBD" },
-        {
-          icon: TintingIcon,
-          label: "TBD",
-        },
-        { icon: CarSeatIcon, label: "TBD" },
-      ],
-    },
-  ];
+  // Service shown in the carousel and the one being booked
+  const currentService = serviceOptions[currentServiceIndex];
+  const selectedService = serviceOptions[selectedServiceIndex];
+  const selectedAddOns = addOnOptions.filter((addOn) =>
+    selectedAddOnIds.includes(addOn.id)
+  );
+  const totalPriceCents = selectedAddOns.reduce(
+    (total, addOn) => total + addOn.priceCents,
+    selectedService?.priceCents ?? 0
+  );
+  const bookingTotalCents = discountQuote
+    ? discountQuote.totalCents
+    : totalPriceCents;
+  const currentServiceTasks = currentService
+    ? currentService.tasks[language].map((label, index) => ({
+        icon: TASK_ICONS[index % TASK_ICONS.length],
+        label,
+      }))
+    : [];
 
   return (
     <motion.section
@@ -665,7 +990,7 @@ const PricingCalendar = () => {
           className="uppercase text-3xl sm:text-4xl lg:text-5xl font-cottage
           italic tracking-wide text-brand-dark underline mb-12 text-center"
         >
-          {services[currentServiceIndex].title}
+          {t("services.title")}
         </motion.h2>
 
         {/* Navigation Controls */}
@@ -747,82 +1072,55 @@ const PricingCalendar = () => {
         </motion.div>
 
         {/* Large centered Price Container */}
-        <motion.div
-          key={currentServiceIndex}
-          initial={{ scale: 0.8, opacity: 0 }}
-          animate={{ scale: isPriceSelected ? 1.1 : 1, opacity: 1 }}
-          transition={{
-            type: "spring",
-            stiffness: 200,
-            damping: 12,
-            mass: 0.75,
-          }}
-          data-price-container="true"
-          onClick={currentServiceIndex === 0 ? handlePriceSelect : undefined}
-          onMouseEnter={
-            currentServiceIndex === 0 && !isAuthenticated
-              ? () => setShowLoginPrompt(true)
-              : undefined
-          }
-          onMouseLeave={handlePriceContainerMouseLeave}
-          className={`${priceContainerClasses} relative ${
-            currentServiceIndex === 0
-              ? isAuthenticated
+        {currentService ? (
+          <motion.div
+            key={currentServiceIndex}
+            initial={{ scale: 0.8, opacity: 0 }}
+            animate={{ scale: isPriceSelected ? 1.1 : 1, opacity: 1 }}
+            transition={{
+              type: "spring",
+              stiffness: 200,
+              damping: 12,
+              mass: 0.75,
+            }}
+            data-price-container="true"
+            onClick={handlePriceSelect}
+            onMouseEnter={
+              !isAuthenticated ? () => setShowLoginPrompt(true) : undefined
+            }
+            onMouseLeave={handlePriceContainerMouseLeave}
+            className={`${priceContainerClasses} relative ${
+              isAuthenticated
                 ? `cursor-pointer ${
                     isPriceSelected
                       ? "border-black shadow-lg"
                       : "border-gray-300 hover:border-black hover:shadow-md"
                   }`
                 : "cursor-help border-gray-300 hover:border-yellow-400"
-              : "cursor-not-allowed border-gray-400 opacity-75"
-          }`}
-          style={{
-            fontFamily: "Arial, sans-serif",
-          }}
-        >
-          {/* Gray overlay with diagonal stripes for disabled service */}
-          {isCurrentServiceDisabled && (
-            <motion.div
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              transition={microTween}
-              className="absolute inset-0 bg-gray-300 bg-opacity-60 rounded-lg z-10 flex items-center justify-center"
-              style={{
-                backgroundImage: `repeating-linear-gradient(
-                  45deg,
-                  transparent,
-                  transparent 10px,
-                  rgba(156, 163, 175, 0.3) 10px,
-                  rgba(156, 163, 175, 0.3) 20px
-                )`,
-              }}
-            >
-              <h3 className="text-3xl underline font-cottage uppercase italic text-gray-800 font-bold tracking-wider">
-                {t("services.comingSoon")}
-              </h3>
-            </motion.div>
-          )}
-
-          {/* Smaller Gray-container */}
-          <div className="p-2 mb-4 bg-gray-100 mx-auto w-1/2 border-2 border-black rounded-b-2xl relative">
-            {/* Pricing info */}
-            <h2 className="text-lg font-normal text-gray-800 mb-2 underline">
-              {currentServiceIndex === 0 ? t("pricing.title") : "TBD"}
-            </h2>
-            <div className="text-4xl text-gray-900 mb-1 font-bold">
-              {services[currentServiceIndex].price}
-            </div>
-            <p className="text-sm text-gray-600 font-normal">
-              {services[currentServiceIndex].vatIncluded}
-            </p>
-            <p className="text-sm text-gray-600 font-normal underline">
-              {services[currentServiceIndex].perCleaning}
-            </p>
-            {/* Pulsating text and icon */}
-            <AnimatePresence>
-              {currentServiceIndex === 0 &&
-                !isPriceSelected &&
-                isAuthenticated && (
+            }`}
+            style={{
+              fontFamily: "Arial, sans-serif",
+            }}
+          >
+            {/* Smaller Gray-container */}
+            <div className="p-2 mb-4 bg-gray-100 mx-auto w-1/2 border-2 border-black rounded-b-2xl relative">
+              {/* Pricing info */}
+              <h2 className="text-lg font-normal text-gray-800 mb-2 underline">
+                {currentService.name[language]}
+              </h2>
+              <div className="text-4xl text-gray-900 mb-1 font-bold">
+                {formatPrice(currentService.priceCents, language)}
+              </div>
+              <p className="text-sm text-gray-600 font-normal">
+                ({t("pricing.vatIncluded")}{" "}
+                {formatVatRate(currentService.vatRate, language)})
+              </p>
+              <p className="text-sm text-gray-600 font-normal underline">
+                {t("pricing.perCleaning")}
+              </p>
+              {/* Pulsating text and icon */}
+              <AnimatePresence>
+                {!isPriceSelected && isAuthenticated && (
                   <motion.div
                     initial={{ opacity: 0, scale: 0.5 }}
                     animate={{ opacity: 1, scale: 1 }}
@@ -857,13 +1155,11 @@ const PricingCalendar = () => {
                     />
                   </motion.div>
                 )}
-            </AnimatePresence>
+              </AnimatePresence>
 
-            {/* Login prompt for non-authenticated users */}
-            <AnimatePresence>
-              {currentServiceIndex === 0 &&
-                !isAuthenticated &&
-                showLoginPrompt && (
+              {/* Login prompt for non-authenticated users */}
+              <AnimatePresence>
+                {!isAuthenticated && showLoginPrompt && (
                   <motion.div
                     initial={{ opacity: 0, y: -10 }}
                     animate={{ opacity: 1, y: 0 }}
@@ -890,21 +1186,20 @@ const PricingCalendar = () => {
                     <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-yellow-400"></div>
                   </motion.div>
                 )}
-            </AnimatePresence>
-          </div>
+              </AnimatePresence>
+            </div>
 
-          {/* Separator Line */}
-          <div className="border-t border-gray-300 my-4" />
+            {/* Separator Line */}
+            <div className="border-t border-gray-300 my-4" />
 
-          {/* Explanation on its own line + underline */}
-          <p className="text-gray-600 text-lg font-normal underline mb-4">
-            {services[currentServiceIndex].explanation}
-          </p>
+            {/* Explanation on its own line + underline */}
+            <p className="text-gray-600 text-lg font-normal underline mb-4">
+              {t("pricing.explanation")}
+            </p>
 
-          {/* Services list */}
-          <div className="space-y-2">
-            {services[currentServiceIndex].services.map(
-              ({ icon, label }, index) => (
+            {/* Services list */}
+            <div className="space-y-2">
+              {currentServiceTasks.map(({ icon, label }, index) => (
                 <div
                   key={`${currentServiceIndex}-${index}`}
                   className="flex items-start space-x-4"
@@ -912,13 +1207,21 @@ const PricingCalendar = () => {
                   <img src={icon} alt="" className="w-14 h-6 flex-shrink-0" />
                   <p className="text-gray-600 text-lg font-normal">{label}</p>
                 </div>
-              )
-            )}
+              ))}
+            </div>
+          </motion.div>
+        ) : (
+          <div
+            className={`${priceContainerClasses} border-gray-300 text-gray-600`}
+          >
+            {servicesError
+              ? t("pricing.servicesLoadError")
+              : t("pricing.loadingServices")}
           </div>
-        </motion.div>
+        )}
 
         {/* Date Selection Calendar */}
-        {isPriceSelected && selectedServiceIndex === 0 && (
+        {isPriceSelected && selectedService && (
           <AnimatePresence initial={false}>
             {showDateSection && (
               <motion.div
@@ -956,6 +1259,12 @@ const PricingCalendar = () => {
                     {t("pricing.calendar.selectDate")}
                   </h3>
 
+                  {availabilityError && (
+                    <p className="mb-4 text-center text-sm text-red-600">
+                      {t("pricing.calendar.availabilityError")}
+                    </p>
+                  )}
+
                   {/* Availability Legend */}
                   <div className="mb-4 px-2">
                     <div className="flex flex-wrap justify-center gap-2 text-xs">
@@ -1206,6 +1515,52 @@ const PricingCalendar = () => {
                             );
                           })}
                         </div>
+
+                        {/* Hold note while the draft booking keeps the slot */}
+                        {draftBooking && selectedTimeSlot && (
+                          <p className="text-gray-500 text-center text-xs font-normal">
+                            {t("pricing.calendar.slotHeld")}{" "}
+                            {new Date(
+                              draftBooking.holdExpiresAt
+                            ).toLocaleTimeString(
+                              language === "fi" ? "fi-FI" : "en-GB",
+                              { hour: "2-digit", minute: "2-digit" }
+                            )}
+                          </p>
+                        )}
+
+                        {/* Unverified email notice with a resend button */}
+                        {isEmailUnverified && (
+                          <div
+                            role="alert"
+                            className="text-center text-xs font-normal space-y-2"
+                          >
+                            <p className="text-red-600">
+                              {t("pricing.calendar.emailNotVerified")}
+                            </p>
+                            {verificationResendStatus === "sent" ? (
+                              <p className="text-gray-500">
+                                {t("pricing.calendar.verificationSent")}
+                              </p>
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={handleResendVerification}
+                                disabled={
+                                  verificationResendStatus === "sending"
+                                }
+                                className="text-brand-purple hover:text-brand-dark underline cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                {t("pricing.calendar.resendVerification")}
+                              </button>
+                            )}
+                            {verificationResendStatus === "error" && (
+                              <p className="text-red-600">
+                                {t("pricing.calendar.verificationSendError")}
+                              </p>
+                            )}
+                          </div>
+                        )}
                       </div>
                     ) : (
                       <p className="text-gray-500 text-center text-xs font-normal">
@@ -1220,261 +1575,334 @@ const PricingCalendar = () => {
         )}
 
         {/* Payment Section - Animate in when date is selected */}
-        {isPriceSelected &&
-          selectedServiceIndex === 0 &&
-          showPaymentSection && (
-            <motion.div
-              initial={{ opacity: 0, y: -50, scale: 0.9 }}
-              animate={{ opacity: 1, y: 0, scale: 1 }}
-              exit={{ opacity: 0, y: -50, scale: 0.9 }}
-              transition={{
-                duration: 0.9,
-                ease: "easeOut",
-                delay: 0.1,
-              }}
-              className={`mt-8 bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl p-8
+        {isPriceSelected && selectedService && showPaymentSection && (
+          <motion.div
+            initial={{ opacity: 0, y: -50, scale: 0.9 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: -50, scale: 0.9 }}
+            transition={{
+              duration: 0.9,
+              ease: "easeOut",
+              delay: 0.1,
+            }}
+            className={`mt-8 bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl p-8
                 max-w-md mx-auto border-2 transition-all duration-300 font-sans ${
                   selectedDate && selectedTimeSlot
                     ? "border-black shadow-lg"
                     : "border-gray-100"
                 }`}
-              style={{
-                fontFamily: "Arial, sans-serif",
-              }}
+            style={{
+              fontFamily: "Arial, sans-serif",
+            }}
+          >
+            <motion.div
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.8, ease: "easeOut", delay: 1 }}
             >
-              <motion.div
-                initial={{ opacity: 0, y: -20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.8, ease: "easeOut", delay: 1 }}
-              >
-                <div className="text-center mb-6">
-                  <h3 className="text-2xl font-bold text-gray-800 mb-2">
-                    {t("pricing.payment.title")}
-                  </h3>
+              <div className="text-center mb-6">
+                <h3 className="text-2xl font-bold text-gray-800 mb-2">
+                  {t("pricing.payment.title")}
+                </h3>
+                <p className="text-gray-600 text-sm">
+                  {t("pricing.payment.subtitle")}
+                </p>
+              </div>
+
+              {/* Payment Method Selection */}
+              <div className="grid grid-cols-2 gap-4 mb-6">
+                {[
+                  {
+                    id: "card",
+                    label: t("pricing.payment.methods.card"),
+                    icon: CreditCardIcon,
+                  },
+                  {
+                    id: "mobilepay",
+                    label: t("pricing.payment.methods.mobilepay"),
+                    icon: MobilepayIcon,
+                  },
+                  {
+                    id: "bank",
+                    label: t("pricing.payment.methods.bank"),
+                    icon: BankIcon,
+                  },
+                  {
+                    id: "cash",
+                    label: t("pricing.payment.methods.cash"),
+                    icon: CashIcon,
+                  },
+                ].map((method) => (
+                  <motion.button
+                    key={method.id}
+                    onClick={() =>
+                      selectedDate && selectedTimeSlot
+                        ? handlePaymentMethodSelect(method.id)
+                        : null
+                    }
+                    disabled={!(selectedDate && selectedTimeSlot)}
+                    initial={{ scale: 1 }}
+                    whileHover={
+                      selectedDate && selectedTimeSlot
+                        ? {
+                            scale:
+                              selectedPaymentMethod === method.id ? 1.1 : 1.05,
+                          }
+                        : {}
+                    }
+                    whileTap={
+                      selectedDate && selectedTimeSlot ? { scale: 0.95 } : {}
+                    }
+                    animate={{
+                      opacity: selectedDate && selectedTimeSlot ? 1 : 0.3, // Gray when uninteractable
+                      cursor:
+                        selectedDate && selectedTimeSlot
+                          ? "pointer"
+                          : "not-allowed",
+                      scale: selectedPaymentMethod === method.id ? 1.1 : 1,
+                    }}
+                    transition={{ duration: 0.3, ease: "easeInOut" }}
+                    className={`p-4 rounded-xl border-2 transition-all duration-300 text-center ${
+                      selectedPaymentMethod === method.id &&
+                      selectedDate &&
+                      selectedTimeSlot
+                        ? "border-blue-500 bg-blue-50 text-blue-700"
+                        : selectedDate && selectedTimeSlot
+                        ? "border-gray-200 hover:border-black text-gray-600"
+                        : "border-gray-300 text-gray-400"
+                    }`}
+                  >
+                    <img
+                      src={method.icon}
+                      alt={method.label}
+                      className="w-8 h-8 mx-auto mb-2"
+                    />
+                    <div className="text-sm font-medium">{method.label}</div>
+                  </motion.button>
+                ))}
+              </div>
+
+              {/* Location Selection */}
+              <div className="mb-6">
+                <div className="text-center mb-4">
+                  <h4 className="text-lg font-bold text-gray-800 mb-2">
+                    {t("pricing.payment.location.title")}
+                  </h4>
                   <p className="text-gray-600 text-sm">
-                    {t("pricing.payment.subtitle")}
+                    {t("pricing.payment.location.subtitle")}
                   </p>
                 </div>
 
-                {/* Payment Method Selection */}
-                <div className="grid grid-cols-2 gap-4 mb-6">
+                {/* Saved Address Picker */}
+                {savedAddresses.length > 0 && (
+                  <div className="mb-4">
+                    <label
+                      htmlFor="saved-address"
+                      className="text-gray-600 text-sm"
+                    >
+                      {t("pricing.payment.location.savedAddress")}
+                    </label>
+                    <select
+                      id="saved-address"
+                      value=""
+                      onChange={handleSavedAddressSelect}
+                      disabled={
+                        !(
+                          selectedDate &&
+                          selectedTimeSlot &&
+                          selectedPaymentMethod
+                        )
+                      }
+                      className="w-full p-3 border-2 border-gray-200 rounded-lg text-sm text-black focus:outline-none focus:ring-0 focus:border-blue-500 disabled:border-gray-300 disabled:bg-gray-50 disabled:cursor-not-allowed"
+                    >
+                      <option value="">
+                        {t("pricing.payment.location.chooseSavedAddress")}
+                      </option>
+                      {savedAddresses.map((item) => (
+                        <option key={item.id} value={item.id}>
+                          {item.label}: {item.streetAddress}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* City Selection */}
+                <div className="grid grid-cols-3 gap-3 mb-4">
                   {[
                     {
-                      id: "card",
-                      label: t("pricing.payment.methods.card"),
-                      icon: CreditCardIcon,
-                    },
-                    {
-                      id: "mobilepay",
-                      label: t("pricing.payment.methods.mobilepay"),
-                      icon: MobilepayIcon,
+                      id: "helsinki",
+                      label: t("pricing.payment.location.cities.helsinki"),
                     },
                     {
-                      id: "bank",
-                      label: t("pricing.payment.methods.bank"),
-                      icon: BankIcon,
+                      id: "vantaa",
+                      label: t("pricing.payment.location.cities.vantaa"),
                     },
                     {
-                      id: "cash",
-                      label: t("pricing.payment.methods.cash"),
-                      icon: CashIcon,
+                      id: "espoo",
+                      label: t("pricing.payment.location.cities.espoo"),
                     },
-                  ].map((method) => (
+                  ].map((city) => (
                     <motion.button
-                      key={method.id}
+                      key={city.id}
                       onClick={() =>
-                        selectedDate && selectedTimeSlot
-                          ? handlePaymentMethodSelect(method.id)
+                        selectedDate &&
+                        selectedTimeSlot &&
+                        selectedPaymentMethod
+                          ? handleCitySelect(city.id)
                           : null
                       }
-                      disabled={!(selectedDate && selectedTimeSlot)}
+                      disabled={
+                        !(
+                          selectedDate &&
+                          selectedTimeSlot &&
+                          selectedPaymentMethod
+                        )
+                      }
                       initial={{ scale: 1 }}
                       whileHover={
-                        selectedDate && selectedTimeSlot
+                        selectedDate &&
+                        selectedTimeSlot &&
+                        selectedPaymentMethod
                           ? {
-                              scale:
-                                selectedPaymentMethod === method.id
-                                  ? 1.1
-                                  : 1.05,
+                              scale: selectedCity === city.id ? 1.1 : 1.05,
                             }
                           : {}
                       }
                       whileTap={
-                        selectedDate && selectedTimeSlot ? { scale: 0.95 } : {}
+                        selectedDate &&
+                        selectedTimeSlot &&
+                        selectedPaymentMethod
+                          ? { scale: 0.95 }
+                          : {}
                       }
                       animate={{
-                        opacity: selectedDate && selectedTimeSlot ? 1 : 0.3, // Gray when uninteractable
+                        opacity:
+                          selectedDate &&
+                          selectedTimeSlot &&
+                          selectedPaymentMethod
+                            ? 1
+                            : 0.3,
                         cursor:
-                          selectedDate && selectedTimeSlot
+                          selectedDate &&
+                          selectedTimeSlot &&
+                          selectedPaymentMethod
                             ? "pointer"
                             : "not-allowed",
-                        scale: selectedPaymentMethod === method.id ? 1.1 : 1,
+                        scale: selectedCity === city.id ? 1.1 : 1,
                       }}
                       transition={{ duration: 0.3, ease: "easeInOut" }}
-                      className={`p-4 rounded-xl border-2 transition-all duration-300 text-center ${
-                        selectedPaymentMethod === method.id &&
+                      className={`p-3 rounded-lg border-2 transition-all duration-300 text-center ${
+                        selectedCity === city.id &&
                         selectedDate &&
-                        selectedTimeSlot
+                        selectedTimeSlot &&
+                        selectedPaymentMethod
                           ? "border-blue-500 bg-blue-50 text-blue-700"
-                          : selectedDate && selectedTimeSlot
+                          : selectedDate &&
+                            selectedTimeSlot &&
+                            selectedPaymentMethod
                           ? "border-gray-200 hover:border-black text-gray-600"
                           : "border-gray-300 text-gray-400"
                       }`}
                     >
-                      <img
-                        src={method.icon}
-                        alt={method.label}
-                        className="w-8 h-8 mx-auto mb-2"
-                      />
-                      <div className="text-sm font-medium">{method.label}</div>
+                      <div className="text-sm font-medium">{city.label}</div>
                     </motion.button>
                   ))}
                 </div>
 
-                {/* Location Selection */}
-                <div className="mb-6">
-                  <div className="text-center mb-4">
-                    <h4 className="text-lg font-bold text-gray-800 mb-2">
-                      {t("pricing.payment.location.title")}
-                    </h4>
-                    <p className="text-gray-600 text-sm">
-                      {t("pricing.payment.location.subtitle")}
-                    </p>
-                  </div>
-
-                  {/* City Selection */}
-                  <div className="grid grid-cols-3 gap-3 mb-4">
-                    {[
-                      {
-                        id: "helsinki",
-                        label: t("pricing.payment.location.cities.helsinki"),
-                      },
-                      {
-                        id: "vantaa",
-                        label: t("pricing.payment.location.cities.vantaa"),
-                      },
-                      {
-                        id: "espoo",
-                        label: t("pricing.payment.location.cities.espoo"),
-                      },
-                    ].map((city) => (
-                      <motion.button
-                        key={city.id}
-                        onClick={() =>
-                          selectedDate &&
-                          selectedTimeSlot &&
-                          selectedPaymentMethod
-                            ? handleCitySelect(city.id)
-                            : null
-                        }
-                        disabled={
-                          !(
-                            selectedDate &&
-                            selectedTimeSlot &&
-                            selectedPaymentMethod
-                          )
-                        }
-                        initial={{ scale: 1 }}
-                        whileHover={
-                          selectedDate &&
-                          selectedTimeSlot &&
-                          selectedPaymentMethod
-                            ? {
-                                scale: selectedCity === city.id ? 1.1 : 1.05,
-                              }
-                            : {}
-                        }
-                        whileTap={
-                          selectedDate &&
-                          selectedTimeSlot &&
-                          selectedPaymentMethod
-                            ? { scale: 0.95 }
-                            : {}
-                        }
-                        animate={{
-                          opacity:
-                            selectedDate &&
-                            selectedTimeSlot &&
-                            selectedPaymentMethod
-                              ? 1
-                              : 0.3,
-                          cursor:
-                            selectedDate &&
-                            selectedTimeSlot &&
-                            selectedPaymentMethod
-                              ? "pointer"
-                              : "not-allowed",
-                          scale: selectedCity === city.id ? 1.1 : 1,
-                        }}
-                        transition={{ duration: 0.3, ease: "easeInOut" }}
-                        className={`p-3 rounded-lg border-2 transition-all duration-300 text-center ${
-                          selectedCity === city.id &&
-                          selectedDate &&
+                {/* Address Input */}
+                <div className="mb-2">
+                  <p className="text-gray-600 text-sm">
+                    {t("pricing.payment.location.addressInput")}
+                  </p>
+                  <input
+                    type="text"
+                    value={address}
+                    onChange={handleAddressChange}
+                    onBlur={handleAddressBlur}
+                    disabled={
+                      !(
+                        selectedDate &&
+                        selectedTimeSlot &&
+                        selectedPaymentMethod &&
+                        selectedCity
+                      )
+                    }
+                    placeholder={t(
+                      "pricing.payment.location.addressPlaceholder"
+                    )}
+                    className={`w-full p-3 border-2 rounded-lg transition-all duration-300 text-sm ${
+                      address.trim() && addressErrors.length === 0
+                        ? "border-green-500"
+                        : addressErrors.length > 0
+                        ? "border-red-500"
+                        : selectedDate &&
                           selectedTimeSlot &&
-                          selectedPaymentMethod
-                            ? "border-blue-500 bg-blue-50 text-blue-700"
-                            : selectedDate &&
-                              selectedTimeSlot &&
-                              selectedPaymentMethod
-                            ? "border-gray-200 hover:border-black text-gray-600"
-                            : "border-gray-300 text-gray-400"
-                        }`}
-                      >
-                        <div className="text-sm font-medium">{city.label}</div>
-                      </motion.button>
-                    ))}
-                  </div>
+                          selectedPaymentMethod &&
+                          selectedCity
+                        ? "border-gray-200 focus:border-blue-500 placeholder-gray-400"
+                        : "border-gray-300 bg-gray-50 cursor-not-allowed"
+                    } text-black focus:outline-none focus:ring-0`}
+                    style={{
+                      fontFamily: "Arial, sans-serif",
+                      fontStyle: address ? "normal" : "italic",
+                    }}
+                  />
+                </div>
 
-                  {/* Address Input */}
-                  <div className="mb-2">
-                    <p className="text-gray-600 text-sm">
-                      {t("pricing.payment.location.addressInput")}
-                    </p>
-                    <input
-                      type="text"
-                      value={address}
-                      onChange={handleAddressChange}
-                      onBlur={handleAddressBlur}
-                      disabled={
-                        !(
-                          selectedDate &&
+                {/* Phone Number Input */}
+                <div className="mb-4">
+                  <p className="text-gray-600 text-sm">
+                    {t("pricing.payment.location.phoneInput")}
+                  </p>
+                  <input
+                    type="tel"
+                    value={phoneNumber}
+                    onChange={handlePhoneChange}
+                    onBlur={handlePhoneBlur}
+                    disabled={
+                      !(
+                        selectedDate &&
+                        selectedTimeSlot &&
+                        selectedPaymentMethod &&
+                        selectedCity
+                      )
+                    }
+                    placeholder={t("pricing.payment.location.phonePlaceholder")}
+                    className={`w-full p-3 border-2 rounded-lg transition-all duration-300 text-sm ${
+                      phoneNumber.trim() && phoneErrors.length === 0
+                        ? "border-green-500"
+                        : phoneErrors.length > 0
+                        ? "border-red-500"
+                        : selectedDate &&
                           selectedTimeSlot &&
                           selectedPaymentMethod &&
                           selectedCity
-                        )
-                      }
-                      placeholder={t(
-                        "pricing.payment.location.addressPlaceholder"
-                      )}
-                      className={`w-full p-3 border-2 rounded-lg transition-all duration-300 text-sm ${
-                        address.trim() && addressErrors.length === 0
-                          ? "border-green-500"
-                          : addressErrors.length > 0
-                          ? "border-red-500"
-                          : selectedDate &&
-                            selectedTimeSlot &&
-                            selectedPaymentMethod &&
-                            selectedCity
-                          ? "border-gray-200 focus:border-blue-500 placeholder-gray-400"
-                          : "border-gray-300 bg-gray-50 cursor-not-allowed"
-                      } text-black focus:outline-none focus:ring-0`}
-                      style={{
-                        fontFamily: "Arial, sans-serif",
-                        fontStyle: address ? "normal" : "italic",
-                      }}
-                    />
-                  </div>
+                        ? "border-gray-200 focus:border-blue-500 placeholder-gray-400"
+                        : "border-gray-300 bg-gray-50 cursor-not-allowed"
+                    } text-black focus:outline-none focus:ring-0`}
+                    style={{
+                      fontFamily: "Arial, sans-serif",
+                      fontStyle: phoneNumber ? "normal" : "italic",
+                    }}
+                  />
+                </div>
 
-                  {/* Phone Number Input */}
+                {/* Optional Saved Vehicle */}
+                {savedVehicles.length > 0 && (
                   <div className="mb-4">
-                    <p className="text-gray-600 text-sm">
-                      {t("pricing.payment.location.phoneInput")}
-                    </p>
-                    <input
-                      type="tel"
-                      value={phoneNumber}
-                      onChange={handlePhoneChange}
-                      onBlur={handlePhoneBlur}
+                    <label
+                      htmlFor="saved-vehicle"
+                      className="text-gray-600 text-sm"
+                    >
+                      {t("pricing.payment.location.vehicle")}
+                    </label>
+                    <select
+                      id="saved-vehicle"
+                      value={selectedVehicleId}
+                      onChange={(event) =>
+                        setSelectedVehicleId(event.target.value)
+                      }
                       disabled={
                         !(
                           selectedDate &&
@@ -1483,236 +1911,390 @@ const PricingCalendar = () => {
                           selectedCity
                         )
                       }
-                      placeholder={t(
-                        "pricing.payment.location.phonePlaceholder"
-                      )}
-                      className={`w-full p-3 border-2 rounded-lg transition-all duration-300 text-sm ${
-                        phoneNumber.trim() && phoneErrors.length === 0
-                          ? "border-green-500"
-                          : phoneErrors.length > 0
-                          ? "border-red-500"
-                          : selectedDate &&
-                            selectedTimeSlot &&
-                            selectedPaymentMethod &&
-                            selectedCity
-                          ? "border-gray-200 focus:border-blue-500 placeholder-gray-400"
-                          : "border-gray-300 bg-gray-50 cursor-not-allowed"
-                      } text-black focus:outline-none focus:ring-0`}
-                      style={{
-                        fontFamily: "Arial, sans-serif",
-                        fontStyle: phoneNumber ? "normal" : "italic",
-                      }}
-                    />
+                      className="w-full p-3 border-2 border-gray-200 rounded-lg text-sm text-black focus:outline-none focus:ring-0 focus:border-blue-500 disabled:border-gray-300 disabled:bg-gray-50 disabled:cursor-not-allowed"
+                    >
+                      <option value="">
+                        {t("pricing.payment.location.noVehicle")}
+                      </option>
+                      {savedVehicles.map((vehicle) => (
+                        <option key={vehicle.id} value={vehicle.id}>
+                          {[vehicle.licensePlate, vehicle.make]
+                            .filter(Boolean)
+                            .join(", ")}
+                        </option>
+                      ))}
+                    </select>
                   </div>
+                )}
 
-                  {/* All Validation Messages - Always Visible */}
-                  <div className="mb-4 space-y-1">
-                    <div className="text-xs font-medium text-gray-600 mb-2">
-                      {t("pricing.payment.location.requirementHeaders.address")}
-                    </div>
-                    {getAllAddressErrors().map((error, index) => {
-                      const isResolved = !addressErrors.includes(error);
-                      const isFieldEmpty = !address.trim();
-                      return (
-                        <div
-                          key={`address-${index}`}
-                          className={`text-sm font-medium transition-all duration-300 ${
-                            isFieldEmpty
-                              ? "text-red-600"
-                              : isResolved
-                              ? "text-green-600 line-through"
-                              : "text-red-600"
-                          }`}
-                        >
-                          • {error}
-                        </div>
-                      );
-                    })}
+                {/* Optional Add-ons With Live Total */}
+                {addOnOptions.length > 0 && (
+                  <fieldset className="mb-4">
+                    <legend className="text-gray-600 text-sm">
+                      {t("pricing.payment.location.addOns")}
+                    </legend>
+                    {addOnOptions.map((addOn) => (
+                      <label
+                        key={addOn.id}
+                        className="flex items-center justify-between py-1 text-sm text-black cursor-pointer"
+                      >
+                        <span className="flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={selectedAddOnIds.includes(addOn.id)}
+                            onChange={() => handleToggleAddOn(addOn.id)}
+                            disabled={
+                              !(
+                                selectedDate &&
+                                selectedTimeSlot &&
+                                selectedPaymentMethod &&
+                                selectedCity
+                              )
+                            }
+                            className="mr-2 accent-blue-500"
+                          />
+                          {addOn.name[language]}
+                        </span>
+                        <span className="text-gray-600">
+                          +{formatPrice(addOn.priceCents, language)}
+                        </span>
+                      </label>
+                    ))}
+                  </fieldset>
+                )}
 
-                    <div className="text-xs font-medium text-gray-600 mb-2 mt-4">
-                      {t("pricing.payment.location.requirementHeaders.phone")}
+                {/* Optional Discount Code */}
+                <div className="mb-4">
+                  <label
+                    htmlFor="discount-code"
+                    className="text-gray-600 text-sm"
+                  >
+                    {t("pricing.payment.location.discountCode")}
+                  </label>
+                  {discountQuote ? (
+                    <div className="flex items-center justify-between p-3 border-2 border-green-500 rounded-lg text-sm text-black">
+                      <span>
+                        {discountQuote.discount.code} -
+                        {formatPrice(
+                          discountQuote.discount.amountCents,
+                          language
+                        )}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={handleRemoveDiscount}
+                        className="text-xs text-gray-600 uppercase underline hover:text-gray-800 cursor-pointer"
+                      >
+                        {t("pricing.payment.location.removeDiscount")}
+                      </button>
                     </div>
-                    {getAllPhoneErrors().map((error, index) => {
-                      const isResolved = !phoneErrors.includes(error);
-                      const isFieldEmpty = !phoneNumber.trim();
-                      return (
-                        <div
-                          key={`phone-${index}`}
-                          className={`text-sm font-medium transition-all duration-300 ${
-                            isFieldEmpty
-                              ? "text-red-600"
-                              : isResolved
-                              ? "text-green-600 line-through"
-                              : "text-red-600"
-                          }`}
-                        >
-                          • {error}
-                        </div>
-                      );
-                    })}
-                  </div>
+                  ) : (
+                    <div className="flex space-x-2">
+                      <input
+                        id="discount-code"
+                        type="text"
+                        value={discountCodeInput}
+                        onChange={(event) => {
+                          setDiscountCodeInput(event.target.value);
+                          setDiscountError("");
+                        }}
+                        maxLength={32}
+                        disabled={
+                          !(
+                            selectedDate &&
+                            selectedTimeSlot &&
+                            selectedPaymentMethod &&
+                            selectedCity
+                          )
+                        }
+                        className="flex-1 p-3 border-2 border-gray-200 rounded-lg text-sm text-black uppercase focus:outline-none focus:ring-0 focus:border-blue-500 disabled:border-gray-300 disabled:bg-gray-50 disabled:cursor-not-allowed"
+                      />
+                      <button
+                        type="button"
+                        onClick={handleApplyDiscount}
+                        disabled={!discountCodeInput.trim()}
+                        className="px-4 border-2 border-black rounded-lg text-sm text-black hover:bg-gray-100 cursor-pointer disabled:border-gray-300 disabled:text-gray-400 disabled:cursor-not-allowed"
+                      >
+                        {t("pricing.payment.location.applyDiscount")}
+                      </button>
+                    </div>
+                  )}
+                  {discountError && (
+                    <p className="mt-1 text-xs text-red-600">{discountError}</p>
+                  )}
                 </div>
 
-                {/*  Help Tooltip  */}
-                <motion.div className="relative mb-6">
-                  {/* Toggle Button (Arrow)*/}
-                  <motion.button
-                    type="button"
-                    onClick={() =>
-                      selectedDate && selectedTimeSlot
-                        ? setShowPaymentTooltip(!showPaymentTooltip)
-                        : null
+                {/* Live Total */}
+                <p className="mb-4 text-sm font-bold text-gray-800 text-right">
+                  {t("pricing.payment.location.total")}{" "}
+                  {formatPrice(bookingTotalCents, language)} (
+                  {t("pricing.vatIncluded")})
+                </p>
+
+                {/* Optional Weekly Repeat */}
+                <div className="mb-4">
+                  <label
+                    htmlFor="repeat-weeks"
+                    className="text-gray-600 text-sm"
+                  >
+                    {t("pricing.payment.location.repeat")}
+                  </label>
+                  <select
+                    id="repeat-weeks"
+                    value={repeatWeeks}
+                    onChange={(event) =>
+                      setRepeatWeeks(Number(event.target.value))
                     }
-                    disabled={!(selectedDate && selectedTimeSlot)}
-                    className="w-full text-left text-sm text-brand-dark hover:text-brand-dark/80
-                    transition-colors duration-200 flex items-center justify-between p-2"
+                    disabled={
+                      !(
+                        selectedDate &&
+                        selectedTimeSlot &&
+                        selectedPaymentMethod &&
+                        selectedCity
+                      )
+                    }
+                    className="w-full p-3 border-2 border-gray-200 rounded-lg text-sm text-black focus:outline-none focus:ring-0 focus:border-blue-500 disabled:border-gray-300 disabled:bg-gray-50 disabled:cursor-not-allowed"
                   >
-                    <span className="flex items-center">
-                      <motion.div layout className="w-4 h-4 mr-2">
-                        <img
-                          src={ThinkingIcon}
-                          alt="Help"
-                          className="w-4 h-4"
-                        />
-                      </motion.div>
-                      <motion.span layout>
-                        {t("pricing.payment.helpTooltip")}
-                      </motion.span>
-                    </span>
-                    <motion.span
-                      animate={{ rotate: showPaymentTooltip ? 180 : 0 }}
-                      transition={{ duration: 0.4, ease: "easeInOut" }}
-                    >
-                      ▼
-                    </motion.span>
-                  </motion.button>
+                    <option value={0}>
+                      {t("pricing.payment.location.repeatOnce")}
+                    </option>
+                    {REPEAT_WEEK_OPTIONS.map((weeks) => (
+                      <option key={weeks} value={weeks}>
+                        {weeks} {t("pricing.payment.location.repeatWeeks")}
+                      </option>
+                    ))}
+                  </select>
+                </div>
 
-                  {/* Animated container + delayed text */}
-                  <motion.div
-                    animate={showPaymentTooltip ? "expanded" : "collapsed"}
-                    variants={{
-                      collapsed: {
-                        height: 0,
-                        opacity: 0,
-                        marginTop: 0,
-                        transition: { duration: 0.7, ease: "easeInOut" },
-                      },
-                      expanded: {
-                        height: "auto",
-                        opacity: 1,
-                        marginTop: 12,
-                        transition: {
-                          duration: 0.9,
-                          ease: "easeInOut",
-                          when: "beforeChildren",
-                        },
-                      },
-                    }}
-                    className="overflow-hidden mt-3 rounded-lg bg-gray-50"
+                {/* Optional Notes For The Crew */}
+                <div className="mb-4">
+                  <p className="text-gray-600 text-sm">
+                    {t("pricing.payment.location.notesInput")}
+                  </p>
+                  <textarea
+                    value={notes}
+                    onChange={(event) => setNotes(event.target.value)}
+                    maxLength={500}
+                    rows={2}
+                    disabled={
+                      !(
+                        selectedDate &&
+                        selectedTimeSlot &&
+                        selectedPaymentMethod &&
+                        selectedCity
+                      )
+                    }
+                    placeholder={t("pricing.payment.location.notesPlaceholder")}
+                    className="w-full p-3 border-2 border-gray-200 rounded-lg text-sm text-black focus:outline-none focus:ring-0 focus:border-blue-500 placeholder-gray-400 disabled:border-gray-300 disabled:bg-gray-50 disabled:cursor-not-allowed"
                     style={{
-                      pointerEvents: showPaymentTooltip ? "auto" : "none",
+                      fontFamily: "Arial, sans-serif",
+                      fontStyle: notes ? "normal" : "italic",
                     }}
-                  >
-                    <motion.p
-                      animate={
-                        showPaymentTooltip
-                          ? { opacity: 1, y: 0 }
-                          : { opacity: 0, y: 8 }
-                      }
-                      transition={{ duration: 0.7, ease: "easeInOut" }}
-                      className="p-4 text-sm text-gray-600 whitespace-pre-line"
-                    >
-                      {t("pricing.payment.helpContent")}
-                    </motion.p>
-                  </motion.div>
-                </motion.div>
+                  />
+                </div>
 
-                {/*  Payment Confirmation Button  */}
+                {/* All Validation Messages - Always Visible */}
+                <div className="mb-4 space-y-1">
+                  <div className="text-xs font-medium text-gray-600 mb-2">
+                    {t("pricing.payment.location.requirementHeaders.address")}
+                  </div>
+                  {getAllAddressErrors().map((error, index) => {
+                    const isResolved = !addressErrors.includes(error);
+                    const isFieldEmpty = !address.trim();
+                    return (
+                      <div
+                        key={`address-${index}`}
+                        className={`text-sm font-medium transition-all duration-300 ${
+                          isFieldEmpty
+                            ? "text-red-600"
+                            : isResolved
+                            ? "text-green-600 line-through"
+                            : "text-red-600"
+                        }`}
+                      >
+                        • {error}
+                      </div>
+                    );
+                  })}
+
+                  <div className="text-xs font-medium text-gray-600 mb-2 mt-4">
+                    {t("pricing.payment.location.requirementHeaders.phone")}
+                  </div>
+                  {getAllPhoneErrors().map((error, index) => {
+                    const isResolved = !phoneErrors.includes(error);
+                    const isFieldEmpty = !phoneNumber.trim();
+                    return (
+                      <div
+                        key={`phone-${index}`}
+                        className={`text-sm font-medium transition-all duration-300 ${
+                          isFieldEmpty
+                            ? "text-red-600"
+                            : isResolved
+                            ? "text-green-600 line-through"
+                            : "text-red-600"
+                        }`}
+                      >
+                        • {error}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/*  Help Tooltip  */}
+              <motion.div className="relative mb-6">
+                {/* Toggle Button (Arrow)*/}
                 <motion.button
-                  layout
-                  onClick={
-                    isPaymentReady && !isSubmittingBooking
-                      ? handlePaymentConfirmation
+                  type="button"
+                  onClick={() =>
+                    selectedDate && selectedTimeSlot
+                      ? setShowPaymentTooltip(!showPaymentTooltip)
                       : null
                   }
-                  disabled={!isPaymentReady || isSubmittingBooking}
-                  initial={{ scale: 1 }}
-                  whileHover={
-                    isPaymentReady && !isSubmittingBooking
-                      ? { scale: 1.05 }
-                      : {}
-                  }
-                  whileTap={
-                    isPaymentReady && !isSubmittingBooking
-                      ? { scale: buttonTapScale }
-                      : {}
-                  }
-                  animate={{
-                    backgroundColor:
-                      isPaymentReady && !isSubmittingBooking
-                        ? "#2563eb"
-                        : "#9ca3af",
-                    opacity: selectedDate && selectedTimeSlot ? 1 : 0.4,
-                    cursor:
-                      isPaymentReady && !isSubmittingBooking
-                        ? "pointer"
-                        : "not-allowed",
+                  disabled={!(selectedDate && selectedTimeSlot)}
+                  className="w-full text-left text-sm text-brand-dark hover:text-brand-dark/80
+                    transition-colors duration-200 flex items-center justify-between p-2"
+                >
+                  <span className="flex items-center">
+                    <motion.div layout className="w-4 h-4 mr-2">
+                      <img src={ThinkingIcon} alt="Help" className="w-4 h-4" />
+                    </motion.div>
+                    <motion.span layout>
+                      {t("pricing.payment.helpTooltip")}
+                    </motion.span>
+                  </span>
+                  <motion.span
+                    animate={{ rotate: showPaymentTooltip ? 180 : 0 }}
+                    transition={{ duration: 0.4, ease: "easeInOut" }}
+                  >
+                    ▼
+                  </motion.span>
+                </motion.button>
+
+                {/* Animated container + delayed text */}
+                <motion.div
+                  animate={showPaymentTooltip ? "expanded" : "collapsed"}
+                  variants={{
+                    collapsed: {
+                      height: 0,
+                      opacity: 0,
+                      marginTop: 0,
+                      transition: { duration: 0.7, ease: "easeInOut" },
+                    },
+                    expanded: {
+                      height: "auto",
+                      opacity: 1,
+                      marginTop: 12,
+                      transition: {
+                        duration: 0.9,
+                        ease: "easeInOut",
+                        when: "beforeChildren",
+                      },
+                    },
                   }}
-                  transition={{
-                    layout: fastButtonSpring,
-                    backgroundColor: { duration: 0.4, ease: "easeInOut" },
-                    opacity: { duration: 0.4, ease: "easeInOut" },
-                    scale: quickScale,
+                  className="overflow-hidden mt-3 rounded-lg bg-gray-50"
+                  style={{
+                    pointerEvents: showPaymentTooltip ? "auto" : "none",
                   }}
-                  className="w-4/5 mx-auto py-4 rounded-xl font-bold text-lg flex items-center
-                  justify-center text-white relative overflow-hidden"
                 >
-                  <span className="relative z-10">
-                    {isSubmittingBooking
-                      ? language === "fi"
-                        ? "Lähetetään..."
-                        : "Submitting..."
-                      : isPaymentReady
-                      ? t("pricing.payment.confirmPayment")
-                      : !(selectedDate && selectedTimeSlot)
-                      ? t("pricing.payment.selectDateTime")
-                      : t("pricing.payment.confirmPayment")}
-                  </span>
+                  <motion.p
+                    animate={
+                      showPaymentTooltip
+                        ? { opacity: 1, y: 0 }
+                        : { opacity: 0, y: 8 }
+                    }
+                    transition={{ duration: 0.7, ease: "easeInOut" }}
+                    className="p-4 text-sm text-gray-600 whitespace-pre-line"
+                  >
+                    {t("pricing.payment.helpContent")}
+                  </motion.p>
+                </motion.div>
+              </motion.div>
 
-                  {/* Loading spinner when submitting */}
-                  {isSubmittingBooking && (
-                    <motion.div
-                      className="w-5 h-5 ml-2 border-2 border-white border-t-transparent rounded-full animate-spin"
-                      initial={{ opacity: 0 }}
-                      animate={{ opacity: 1 }}
-                      transition={{ duration: 0.2 }}
-                    />
-                  )}
+              {/*  Payment Confirmation Button  */}
+              <motion.button
+                layout
+                onClick={
+                  isPaymentReady && !isSubmittingBooking
+                    ? handlePaymentConfirmation
+                    : null
+                }
+                disabled={!isPaymentReady || isSubmittingBooking}
+                initial={{ scale: 1 }}
+                whileHover={
+                  isPaymentReady && !isSubmittingBooking ? { scale: 1.05 } : {}
+                }
+                whileTap={
+                  isPaymentReady && !isSubmittingBooking
+                    ? { scale: buttonTapScale }
+                    : {}
+                }
+                animate={{
+                  backgroundColor:
+                    isPaymentReady && !isSubmittingBooking
+                      ? "#2563eb"
+                      : "#9ca3af",
+                  opacity: selectedDate && selectedTimeSlot ? 1 : 0.4,
+                  cursor:
+                    isPaymentReady && !isSubmittingBooking
+                      ? "pointer"
+                      : "not-allowed",
+                }}
+                transition={{
+                  layout: fastButtonSpring,
+                  backgroundColor: { duration: 0.4, ease: "easeInOut" },
+                  opacity: { duration: 0.4, ease: "easeInOut" },
+                  scale: quickScale,
+                }}
+                className="w-4/5 mx-auto py-4 rounded-xl font-bold text-lg flex items-center
+                  justify-center text-white relative overflow-hidden"
+              >
+                <span className="relative z-10">
+                  {isSubmittingBooking
+                    ? language === "fi"
+                      ? "Lähetetään..."
+                      : "Submitting..."
+                    : isPaymentReady
+                    ? t("pricing.payment.confirmPayment")
+                    : !(selectedDate && selectedTimeSlot)
+                    ? t("pricing.payment.selectDateTime")
+                    : t("pricing.payment.confirmPayment")}
+                </span>
+
+                {/* Loading spinner when submitting */}
+                {isSubmittingBooking && (
+                  <motion.div
+                    className="w-5 h-5 ml-2 border-2 border-white border-t-transparent rounded-full animate-spin"
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    transition={{ duration: 0.2 }}
+                  />
+                )}
 
-                  {/* Animated Wallet Icon - slides in from text end when payment method is selected */}
-                  {isPaymentReady && !isSubmittingBooking && (
-                    <motion.img
-                      src={WalletArrowIcon}
-                      alt="Proceed"
-                      className="w-5 h-5 ml-2 relative z-10"
-                      initial={{ x: -20, opacity: 0 }}
-                      animate={{ x: 0, opacity: 1 }}
-                      transition={{ duration: 0.8, ease: "easeOut" }}
-                    />
-                  )}
+                {/* Animated Wallet Icon - slides in from text end when payment method is selected */}
+                {isPaymentReady && !isSubmittingBooking && (
+                  <motion.img
+                    src={WalletArrowIcon}
+                    alt="Proceed"
+                    className="w-5 h-5 ml-2 relative z-10"
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ duration: 0.8, ease: "easeOut" }}
+                  />
+                )}
 
-                  {/* Lock Icon for disabled state */}
-                  {!isPaymentReady && !isSubmittingBooking && (
-                    <img
-                      src={LockSlashIcon}
-                      alt="Locked"
-                      className="w-5 h-5 ml-6"
-                    />
-                  )}
-                </motion.button>
-              </motion.div>
+                {/* Lock Icon for disabled state */}
+                {!isPaymentReady && !isSubmittingBooking && (
+                  <img
+                    src={LockSlashIcon}
+                    alt="Locked"
+                    className="w-5 h-5 ml-6"
+                  />
+                )}
+              </motion.button>
             </motion.div>
-          )}
+          </motion.div>
+        )}
       </div>
 
       {/* Booking Success Modal */}
@@ -1731,6 +2313,14 @@ const PricingCalendar = () => {
               setSelectedCity(null);
               setAddress("");
               setPhoneNumber("");
+              setNotes("");
+              setSelectedVehicleId("");
+              setSelectedAddOnIds([]);
+              setDiscountCodeInput("");
+              setAppliedDiscountCode("");
+              setDiscountError("");
+              setRepeatWeeks(0);
+              setDraftBooking(null);
               setAddressErrors([]);
               setPhoneErrors([]);
               setIsPriceSelected(false);
@@ -1739,6 +2329,9 @@ const PricingCalendar = () => {
               setShowPaymentSection(false);
               setSelectedServiceIndex(null);
 
+              // Refresh availability so the booked slot is no longer offered
+              loadAvailability();
+
               // Scroll back to pricing section
               const pricingSection = document.querySelector(
                 "[data-pricing-section]"
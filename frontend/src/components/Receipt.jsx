@@ -0,0 +1,73 @@
+import React from "react";
+import { useLanguage } from "../i18n/LanguageContext";
+import { formatPrice, formatVatRate } from "../utils/priceUtils";
+
+/**
+ * Receipt Component
+ *
+ * Price breakdown of a booking: the service and add-ons, the discount, the
+ * total and the VAT included in it. Shows the receipt returned with a booking
+ * as is, prices are never recalculated in the browser.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.receipt - Receipt from the backend, amounts in cents
+ * @param {Array} props.receipt.lines - Service and add-ons with their prices
+ * @param {Object|null} props.receipt.discount - Discount code and amount
+ * @param {number} props.receipt.totalCents - Price after the discount, VAT included
+ * @param {number} props.receipt.netCents - Price without VAT
+ * @param {Array} props.receipt.vat - VAT per rate
+ * @returns {JSX.Element} The rendered Receipt component.
+ */
+const Receipt = ({ receipt }) => {
+  const { t, language } = useLanguage();
+
+  return (
+    <div className="space-y-1 text-sm font-sans">
+      {receipt.lines.map((line, index) => (
+        <div key={index} className="flex justify-between">
+          <span className="text-gray-600">
+            {line.name?.[language] ?? t("receipt.service")}
+          </span>
+          <span className="font-medium text-gray-800">
+            {formatPrice(line.priceCents, language)}
+          </span>
+        </div>
+      ))}
+
+      {receipt.discount && (
+        <div className="flex justify-between">
+          <span className="text-gray-600">
+            {t("receipt.discount")} {receipt.discount.code}
+          </span>
+          <span className="font-medium text-gray-800">
+            -{formatPrice(receipt.discount.amountCents, language)}
+          </span>
+        </div>
+      )}
+
+      <div className="flex justify-between pt-1 border-t border-gray-300 font-semibold text-gray-800">
+        <span>{t("receipt.total")}</span>
+        <span>{formatPrice(receipt.totalCents, language)}</span>
+      </div>
+
+      {receipt.vat.map((rate) => (
+        <div
+          key={rate.vatRate}
+          className="flex justify-between text-xs text-gray-600"
+        >
+          <span>
+            {t("receipt.vat")} {formatVatRate(rate.vatRate, language)}
+          </span>
+          <span>{formatPrice(rate.vatCents, language)}</span>
+        </div>
+      ))}
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>{t("receipt.net")}</span>
+        <span>{formatPrice(receipt.netCents, language)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default Receipt;
@@ -0,0 +1,86 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { describe, it, expect } from "vitest";
+import Receipt from "./Receipt";
+import { LanguageProvider, useLanguage } from "../i18n/LanguageContext";
+
+const receipt = {
+  lines: [
+    {
+      type: "service",
+      name: { fi: "Wocuuming Plus", en: "Wocuuming Plus" },
+      priceCents: 7900,
+      vatRate: 25.5,
+    },
+    {
+      type: "addOn",
+      name: { fi: "Lemmikin karvojen poisto", en: "Pet hair removal" },
+      priceCents: 1500,
+      vatRate: 25.5,
+    },
+  ],
+  discount: { code: "ENSIPESU", amountCents: 2000 },
+  totalCents: 7400,
+  netCents: 5896,
+  vat: [{ vatRate: 25.5, netCents: 5896, vatCents: 1504, grossCents: 7400 }],
+};
+
+// Switches the language like the header language button
+const LanguageSwitch = () => {
+  const { changeLanguage } = useLanguage();
+  return (
+    <button type="button" onClick={() => changeLanguage("en")}>
+      English
+    </button>
+  );
+};
+
+const renderReceipt = (props = {}) =>
+  render(
+    <LanguageProvider>
+      <LanguageSwitch />
+      <Receipt receipt={receipt} {...props} />
+    </LanguageProvider>
+  );
+
+describe("Receipt Component", () => {
+  it("shows the lines, discount, total and VAT in Finnish", () => {
+    renderReceipt();
+
+    expect(screen.getByText("Wocuuming Plus")).toBeInTheDocument();
+    expect(screen.getByText("Lemmikin karvojen poisto")).toBeInTheDocument();
+    expect(screen.getByText("Alennus ENSIPESU")).toBeInTheDocument();
+    expect(screen.getByText(/^-20\s€$/)).toBeInTheDocument();
+    expect(screen.getByText("Yhteensä")).toBeInTheDocument();
+    expect(screen.getByText(/^74\s€$/)).toBeInTheDocument();
+    expect(screen.getByText("ALV 25,5 %")).toBeInTheDocument();
+    expect(screen.getByText(/^15,04\s€$/)).toBeInTheDocument();
+    expect(screen.getByText(/^58,96\s€$/)).toBeInTheDocument();
+  });
+
+  it("shows the line names and prices in English", () => {
+    renderReceipt();
+
+    fireEvent.click(screen.getByRole("button", { name: "English" }));
+
+    expect(screen.getByText("Pet hair removal")).toBeInTheDocument();
+    expect(screen.getByText("€74")).toBeInTheDocument();
+    expect(screen.getByText("VAT 25.5 %")).toBeInTheDocument();
+  });
+
+  it("leaves out the discount and names unnamed lines as the service", () => {
+    renderReceipt({
+      receipt: {
+        ...receipt,
+        lines: [{ type: "service", priceCents: 4900, vatRate: 25.5 }],
+        discount: null,
+        totalCents: 4900,
+        netCents: 3904,
+        vat: [{ vatRate: 25.5, vatCents: 996 }],
+      },
+    });
+
+    expect(screen.getByText("Palvelu")).toBeInTheDocument();
+    expect(screen.queryByText(/Alennus/)).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from "react";
+import { useLanguage } from "../i18n/LanguageContext";
+import { getAvailability, rescheduleBooking } from "../services/bookings";
+import {
+  timeSlots,
+  getWeekStart,
+  getServiceToday,
+  getWeekDays,
+  handlePreviousWeek,
+  handleNextWeek,
+  canGoToPreviousWeek,
+  canGoToNextWeek,
+  getWeekDisplayText,
+  getCurrentMonthName,
+  mapAvailabilityToDates,
+  isDateAvailable,
+  isDateSelected,
+  getDateColorClass,
+  getAvailableTimeSlotsForDate,
+  formatDateForDisplay,
+  toDayKey,
+} from "../utils/calendarUtils";
+
+/**
+ * RescheduleBooking Component
+ *
+ * Compact week calendar for moving an existing booking to another
+ * free day and time slot. Uses the same calendar helpers as PricingCalendar.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Object} props.booking - Booking to reschedule.
+ * @param {Function} props.onRescheduled - Called with the updated booking.
+ * @param {Function} props.onCancel - Called when rescheduling is cancelled.
+ *
+ * @returns {JSX.Element} The rendered RescheduleBooking component.
+ */
+const RescheduleBooking = ({ booking, onRescheduled, onCancel }) => {
+  const { t, language } = useLanguage();
+  const [availableDates, setAvailableDates] = useState([]);
+  const [currentWeekStart, setCurrentWeekStart] = useState(
+    getWeekStart(getServiceToday())
+  );
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [selectedTimeSlot, setSelectedTimeSlot] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  /**
+   * Load free days and time slots from the backend
+   */
+  const loadAvailability = async () => {
+    setIsLoading(true);
+    try {
+      const availability = await getAvailability();
+      const dates = mapAvailabilityToDates(availability.dates);
+      setAvailableDates(dates);
+      return dates;
+    } catch (error) {
+      console.error("Error loading availability:", error);
+      setAvailableDates([]);
+      setErrorMessage(t("pricing.calendar.availabilityError"));
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Load availability on mount and start from the first week with free slots
+  useEffect(() => {
+    loadAvailability().then((dates) => {
+      const firstFreeDay = dates.find(
+        (entry) => entry.availableSlots.length > 0
+      );
+      if (firstFreeDay) {
+        setCurrentWeekStart(getWeekStart(firstFreeDay.date));
+      }
+    });
+  }, []);
+
+  const availableTimeSlots = getAvailableTimeSlotsForDate(
+    selectedDate,
+    availableDates
+  );
+
+  const handleDateSelect = (date) => {
+    if (isDateAvailable(date, availableDates)) {
+      setSelectedDate(date);
+      setSelectedTimeSlot(null);
+      setErrorMessage("");
+    }
+  };
+
+  /**
+   * Save the new date and time slot
+   */
+  const handleConfirm = async () => {
+    if (!selectedDate || !selectedTimeSlot || isSaving) return;
+
+    setIsSaving(true);
+    setErrorMessage("");
+
+    try {
+      const updatedBooking = await rescheduleBooking(booking.id, {
+        date: toDayKey(selectedDate),
+        timeSlot: selectedTimeSlot.label,
+      });
+      onRescheduled(updatedBooking);
+    } catch (error) {
+      console.error("Error rescheduling booking:", error);
+
+      if (error.status === 409) {
+        // Slot was taken meanwhile, refresh the calendar
+        setSelectedTimeSlot(null);
+        loadAvailability();
+        setErrorMessage(t("pricing.calendar.slotTaken"));
+      } else {
+        setErrorMessage(t("userProfile.rescheduleError"));
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-300">
+      <p className="text-sm font-sans font-semibold text-gray-800 text-center mb-2">
+        {t("userProfile.rescheduleTitle")}
+      </p>
+
+      <div className="text-center mb-2">
+        <span className="text-sm font-bold text-gray-600">
+          {getCurrentMonthName(currentWeekStart, t)}
+        </span>
+      </div>
+
+      {/* Week Navigation */}
+      <div className="flex justify-between items-center mb-2">
+        <button
+          type="button"
+          aria-label={t("userProfile.previousWeek")}
+          onClick={() =>
+            setCurrentWeekStart(handlePreviousWeek(currentWeekStart))
+          }
+          disabled={!canGoToPreviousWeek(currentWeekStart, availableDates)}
+          className="p-2 rounded-lg hover:bg-gray-100 cursor-pointer disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          <i className="fas fa-chevron-left text-gray-600"></i>
+        </button>
+        <span className="text-xs text-gray-500 font-bold">
+          {getWeekDisplayText(currentWeekStart, t)}
+        </span>
+        <button
+          type="button"
+          aria-label={t("userProfile.nextWeek")}
+          onClick={() => setCurrentWeekStart(handleNextWeek(currentWeekStart))}
+          disabled={!canGoToNextWeek(currentWeekStart)}
+          className="p-2 rounded-lg hover:bg-gray-100 cursor-pointer disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          <i className="fas fa-chevron-right text-gray-600"></i>
+        </button>
+      </div>
+
+      {/* Week Days (Mon-Fri) */}
+      <div className="grid grid-cols-5 gap-1 mb-3">
+        {getWeekDays(currentWeekStart).map((date) => {
+          const isAvailable = isDateAvailable(date, availableDates);
+          const isSelected = isDateSelected(date, selectedDate);
+
+          return (
+            <button
+              key={date.toISOString()}
+              type="button"
+              onClick={() => handleDateSelect(date)}
+              disabled={isLoading || !isAvailable}
+              className={`p-2 text-center text-sm rounded-full ${getDateColorClass(
+                date,
+                isSelected,
+                isAvailable,
+                availableDates
+              )} ${isSelected ? "border border-brand-dark" : ""}`}
+            >
+              {date.getDate()}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Time Slots */}
+      {selectedDate && (
+        <div>
+          <p className="text-xs text-gray-600 text-center mb-2">
+            {formatDateForDisplay(selectedDate, t, language)}
+          </p>
+          <div className="grid grid-cols-2 gap-2 mb-3">
+            {timeSlots.map((slot) => {
+              const isAvailable = availableTimeSlots.some(
+                (availableSlot) => availableSlot.id === slot.id
+              );
+              const isSelected = selectedTimeSlot?.id === slot.id;
+
+              return (
+                <button
+                  key={slot.id}
+                  type="button"
+                  onClick={() => isAvailable && setSelectedTimeSlot(slot)}
+                  disabled={!isAvailable}
+                  className={`p-2 rounded border text-xs font-bold ${
+                    isSelected
+                      ? "bg-brand-purple text-white border-black"
+                      : isAvailable
+                      ? "border-gray-200 text-gray-600 hover:bg-purple-50 cursor-pointer"
+                      : "border-gray-200 text-gray-400 bg-gray-50 cursor-not-allowed"
+                  }`}
+                >
+                  {slot.label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {errorMessage && (
+        <p className="text-xs text-red-600 text-center mb-2">{errorMessage}</p>
+      )}
+
+      <div className="flex justify-center space-x-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-xs text-gray-600 uppercase hover:text-gray-800 font-sans cursor-pointer underline"
+        >
+          {t("userProfile.cancel")}
+        </button>
+        <button
+          type="button"
+          onClick={handleConfirm}
+          disabled={!selectedDate || !selectedTimeSlot || isSaving}
+          className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans font-semibold cursor-pointer underline disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving
+            ? t("userProfile.rescheduling")
+            : t("userProfile.confirmReschedule")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleBooking;
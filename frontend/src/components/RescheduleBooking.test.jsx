@@ -0,0 +1,136 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import RescheduleBooking from "./RescheduleBooking";
+import { LanguageProvider } from "../i18n/LanguageContext";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+// First weekday at least 3 days from today
+const getFreeDay = () => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + 3);
+  while (date.getDay() === 0 || date.getDay() === 6) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+};
+
+const toDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+
+const booking = {
+  id: "1",
+  date: "2025-08-30T10:00:00.000Z",
+  timeSlot: "09:00 - 11:00",
+  status: "CONFIRMED",
+};
+
+const renderReschedule = (props = {}) =>
+  render(
+    <LanguageProvider>
+      <RescheduleBooking
+        booking={booking}
+        onRescheduled={vi.fn()}
+        onCancel={vi.fn()}
+        {...props}
+      />
+    </LanguageProvider>
+  );
+
+describe("RescheduleBooking Component", () => {
+  const freeDay = getFreeDay();
+
+  beforeEach(() => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/availability`, () => {
+        return HttpResponse.json({
+          capacity: 1,
+          dates: [
+            {
+              date: toDayKey(freeDay),
+              availableSlots: [
+                {
+                  id: 3,
+                  start: "13:00",
+                  end: "15:00",
+                  label: "13:00 - 15:00",
+                  remaining: 1,
+                },
+              ],
+            },
+          ],
+        });
+      })
+    );
+  });
+
+  it("moves the booking to the selected day and time slot", async () => {
+    const onRescheduled = vi.fn();
+    renderReschedule({ onRescheduled });
+
+    const dayButton = await screen.findByRole("button", {
+      name: String(freeDay.getDate()),
+    });
+    await waitFor(() => expect(dayButton).not.toBeDisabled());
+    fireEvent.click(dayButton);
+
+    // Only the free slot can be selected
+    expect(
+      screen.getByRole("button", { name: "09:00 - 11:00" })
+    ).toBeDisabled();
+    fireEvent.click(screen.getByRole("button", { name: "13:00 - 15:00" }));
+    fireEvent.click(screen.getByRole("button", { name: "Vahvista siirto" }));
+
+    await waitFor(() => {
+      expect(onRescheduled).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: "1",
+          date: toDayKey(freeDay),
+          timeSlot: "13:00 - 15:00",
+        })
+      );
+    });
+  });
+
+  it("shows a message when the slot was taken meanwhile", async () => {
+    server.use(
+      http.patch(`${API_BASE_URL}/api/bookings/:id`, () => {
+        return HttpResponse.json(
+          { error: "Selected time slot is fully booked", alternatives: [] },
+          { status: 409 }
+        );
+      })
+    );
+    const onRescheduled = vi.fn();
+    renderReschedule({ onRescheduled });
+
+    const dayButton = await screen.findByRole("button", {
+      name: String(freeDay.getDate()),
+    });
+    await waitFor(() => expect(dayButton).not.toBeDisabled());
+    fireEvent.click(dayButton);
+    fireEvent.click(screen.getByRole("button", { name: "13:00 - 15:00" }));
+    fireEvent.click(screen.getByRole("button", { name: "Vahvista siirto" }));
+
+    expect(
+      await screen.findByText("Valitsemasi aika ehdittiin juuri varata.")
+    ).toBeInTheDocument();
+    expect(onRescheduled).not.toHaveBeenCalled();
+  });
+
+  it("calls onCancel when cancelled", async () => {
+    const onCancel = vi.fn();
+    renderReschedule({ onCancel });
+
+    fireEvent.click(screen.getByRole("button", { name: "Peruuta" }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
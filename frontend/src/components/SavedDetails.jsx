@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from "react";
+import { useLanguage } from "../i18n/LanguageContext";
+import {
+  getAddresses,
+  createAddress,
+  deleteAddress,
+  getVehicles,
+  createVehicle,
+  deleteVehicle,
+} from "../services/profile";
+
+const CITIES = ["helsinki", "vantaa", "espoo"];
+
+const inputClasses =
+  "w-full px-3 py-2 border border-gray-300 rounded-full text-sm text-black font-sans focus:outline-none focus:ring-2 focus:ring-brand-purple focus:border-brand-purple";
+
+const linkButtonClasses =
+  "text-xs text-brand-purple uppercase hover:text-brand-dark font-sans cursor-pointer underline disabled:opacity-50 disabled:cursor-not-allowed";
+
+const EMPTY_ADDRESS = { label: "", city: "", address: "" };
+const EMPTY_VEHICLE = {
+  licensePlate: "",
+  make: "",
+  color: "",
+  parkingNotes: "",
+};
+
+/**
+ * First field-level message per field from a failed save
+ * @param {Error} error - Error thrown by the profile service
+ * @returns {Object|null}
+ */
+const getFieldErrors = (error) =>
+  error.data?.errors
+    ? Object.fromEntries(
+        Object.entries(error.data.errors).map(([field, messages]) => [
+          field,
+          messages[0],
+        ])
+      )
+    : null;
+
+/**
+ * SavedDetails Component
+ *
+ * Section in UserModal listing the addresses and vehicles saved on the
+ * profile. They are offered as pickers in PricingCalendar so regular
+ * customers don't have to retype them on every booking.
+ *
+ * @component
+ * @returns {JSX.Element} The rendered SavedDetails component.
+ */
+const SavedDetails = () => {
+  const { t } = useLanguage();
+  const [addresses, setAddresses] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [addMode, setAddMode] = useState(null); // null, 'address', 'vehicle'
+  const [formData, setFormData] = useState({});
+  const [errors, setErrors] = useState({});
+  const [errorMessage, setErrorMessage] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    Promise.all([getAddresses(), getVehicles()])
+      .then(([savedAddresses, savedVehicles]) => {
+        if (isCancelled) return;
+        setAddresses(savedAddresses);
+        setVehicles(savedVehicles);
+      })
+      .catch(() => {
+        if (!isCancelled) setErrorMessage(t("userProfile.savedLoadError"));
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [t]);
+
+  const openForm = (mode) => {
+    setAddMode(mode);
+    setFormData(mode === "address" ? EMPTY_ADDRESS : EMPTY_VEHICLE);
+    setErrors({});
+    setErrorMessage("");
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: null }));
+  };
+
+  const handleSave = async () => {
+    if (isSaving) return;
+
+    setIsSaving(true);
+    setErrorMessage("");
+
+    // Empty optional fields are left out
+    const details = Object.fromEntries(
+      Object.entries(formData)
+        .map(([field, value]) => [field, value.trim()])
+        .filter(([, value]) => value !== "")
+    );
+
+    try {
+      if (addMode === "address") {
+        const address = await createAddress(details);
+        setAddresses((prev) => [...prev, address]);
+      } else {
+        const vehicle = await createVehicle(details);
+        setVehicles((prev) => [...prev, vehicle]);
+      }
+      setAddMode(null);
+    } catch (error) {
+      const fieldErrors = getFieldErrors(error);
+      if (fieldErrors) {
+        setErrors(fieldErrors);
+      } else {
+        setErrorMessage(error.data?.error || t("userProfile.savedSaveError"));
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteAddress = async (addressId) => {
+    try {
+      await deleteAddress(addressId);
+      setAddresses((prev) => prev.filter((item) => item.id !== addressId));
+    } catch {
+      setErrorMessage(t("userProfile.savedDeleteError"));
+    }
+  };
+
+  const handleDeleteVehicle = async (vehicleId) => {
+    try {
+      await deleteVehicle(vehicleId);
+      setVehicles((prev) => prev.filter((item) => item.id !== vehicleId));
+    } catch {
+      setErrorMessage(t("userProfile.savedDeleteError"));
+    }
+  };
+
+  const renderInput = (name, labelKey, props = {}) => (
+    <div>
+      <label htmlFor={`saved-${name}`} className="block text-xs mb-1">
+        {t(labelKey)}
+      </label>
+      <input
+        id={`saved-${name}`}
+        name={name}
+        value={formData[name]}
+        onChange={handleChange}
+        className={inputClasses}
+        disabled={isSaving}
+        {...props}
+      />
+      {errors[name] && (
+        <p className="text-xs text-red-600 mt-1 text-center">{errors[name]}</p>
+      )}
+    </div>
+  );
+
+  const renderItem = (id, text, onDelete) => (
+    <li
+      key={id}
+      className="flex justify-between items-center text-sm text-gray-800 font-sans"
+    >
+      <span>{text}</span>
+      <button
+        type="button"
+        onClick={() => onDelete(id)}
+        className="text-xs text-red-600 uppercase hover:text-red-800 font-sans cursor-pointer underline ml-3"
+      >
+        {t("userProfile.removeSaved")}
+      </button>
+    </li>
+  );
+
+  if (isLoading) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-300 space-y-3">
+      <div>
+        <p className="text-sm font-sans font-semibold text-gray-800 text-center mb-1">
+          {t("userProfile.savedAddresses")}
+        </p>
+        {addresses.length > 0 ? (
+          <ul className="space-y-1">
+            {addresses.map((item) =>
+              renderItem(
+                item.id,
+                `${item.label}: ${[item.streetAddress, item.postalCode]
+                  .filter(Boolean)
+                  .join(", ")}`,
+                handleDeleteAddress
+              )
+            )}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-600 text-center">
+            {t("userProfile.noSavedAddresses")}
+          </p>
+        )}
+      </div>
+
+      <div>
+        <p className="text-sm font-sans font-semibold text-gray-800 text-center mb-1">
+          {t("userProfile.savedVehicles")}
+        </p>
+        {vehicles.length > 0 ? (
+          <ul className="space-y-1">
+            {vehicles.map((item) =>
+              renderItem(
+                item.id,
+                [item.licensePlate, item.make, item.color]
+                  .filter(Boolean)
+                  .join(", "),
+                handleDeleteVehicle
+              )
+            )}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-600 text-center">
+            {t("userProfile.noSavedVehicles")}
+          </p>
+        )}
+      </div>
+
+      {addMode === "address" && (
+        <div className="space-y-3">
+          {renderInput("label", "userProfile.addressLabel", {
+            placeholder: t("userProfile.addressLabelPlaceholder"),
+          })}
+          <div>
+            <label htmlFor="saved-city" className="block text-xs mb-1">
+              {t("userProfile.city")}
+            </label>
+            <select
+              id="saved-city"
+              name="city"
+              value={formData.city}
+              onChange={handleChange}
+              className={inputClasses}
+              disabled={isSaving}
+            >
+              <option value="">-</option>
+              {CITIES.map((city) => (
+                <option key={city} value={city}>
+                  {t(`pricing.payment.location.cities.${city}`)}
+                </option>
+              ))}
+            </select>
+            {errors.city && (
+              <p className="text-xs text-red-600 mt-1 text-center">
+                {errors.city}
+              </p>
+            )}
+          </div>
+          {renderInput("address", "userProfile.address", {
+            placeholder: t("pricing.payment.location.addressPlaceholder"),
+          })}
+        </div>
+      )}
+
+      {addMode === "vehicle" && (
+        <div className="space-y-3">
+          {renderInput("licensePlate", "userProfile.licensePlate", {
+            placeholder: "ABC-123",
+          })}
+          {renderInput("make", "userProfile.vehicleMake")}
+          {renderInput("color", "userProfile.vehicleColor")}
+          {renderInput("parkingNotes", "userProfile.parkingNotes", {
+            placeholder: t("userProfile.parkingNotesPlaceholder"),
+          })}
+        </div>
+      )}
+
+      {errorMessage && (
+        <p className="text-xs text-red-600 text-center">{errorMessage}</p>
+      )}
+
+      <div className="flex justify-center space-x-6">
+        {addMode ? (
+          <>
+            <button
+              type="button"
+              onClick={() => setAddMode(null)}
+              className="text-xs text-gray-600 uppercase hover:text-gray-800 font-sans cursor-pointer underline"
+            >
+              {t("userProfile.cancel")}
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving}
+              className={`${linkButtonClasses} font-semibold`}
+            >
+              {isSaving ? t("userProfile.saving") : t("userProfile.save")}
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={() => openForm("address")}
+              className={linkButtonClasses}
+            >
+              {t("userProfile.addAddress")}
+            </button>
+            <button
+              type="button"
+              onClick={() => openForm("vehicle")}
+              className={linkButtonClasses}
+            >
+              {t("userProfile.addVehicle")}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavedDetails;
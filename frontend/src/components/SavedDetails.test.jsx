@@ -0,0 +1,127 @@
+import React from "react";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { describe, it, expect } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import SavedDetails from "./SavedDetails";
+import { LanguageProvider } from "../i18n/LanguageContext";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+const renderSavedDetails = () =>
+  render(
+    <LanguageProvider>
+      <SavedDetails />
+    </LanguageProvider>
+  );
+
+describe("SavedDetails Component", () => {
+  it("lists the saved addresses and vehicles", async () => {
+    renderSavedDetails();
+
+    expect(
+      await screen.findByText("Toimisto: Keilaranta 1, 02150")
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText("ABC-123, Toyota Corolla, Punainen")
+    ).toBeInTheDocument();
+  });
+
+  it("saves a new address", async () => {
+    renderSavedDetails();
+
+    fireEvent.click(
+      await screen.findByRole("button", { name: "Lisää osoite" })
+    );
+    fireEvent.change(screen.getByLabelText("Nimi"), {
+      target: { value: "Koti" },
+    });
+    fireEvent.change(screen.getByLabelText("Kaupunki"), {
+      target: { value: "helsinki" },
+    });
+    fireEvent.change(screen.getByLabelText("Osoite"), {
+      target: { value: "Kotikatu 2, 00100" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+
+    expect(
+      await screen.findByText("Koti: Kotikatu 2, 00100")
+    ).toBeInTheDocument();
+    expect(screen.queryByLabelText("Nimi")).not.toBeInTheDocument();
+  });
+
+  it("shows the field errors of an invalid address", async () => {
+    renderSavedDetails();
+
+    fireEvent.click(
+      await screen.findByRole("button", { name: "Lisää osoite" })
+    );
+    fireEvent.change(screen.getByLabelText("Osoite"), {
+      target: { value: "Kotikatu 2, 00100" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+
+    expect(await screen.findByText("Label is required")).toBeInTheDocument();
+    expect(screen.getByLabelText("Nimi")).toBeInTheDocument();
+  });
+
+  it("saves a new vehicle", async () => {
+    renderSavedDetails();
+
+    fireEvent.click(await screen.findByRole("button", { name: "Lisää auto" }));
+    fireEvent.change(screen.getByLabelText("Rekisterinumero"), {
+      target: { value: "xyz-789" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Tallenna" }));
+
+    expect(await screen.findByText("XYZ-789")).toBeInTheDocument();
+  });
+
+  it("removes a saved address", async () => {
+    renderSavedDetails();
+
+    const address = await screen.findByText("Toimisto: Keilaranta 1, 02150");
+    fireEvent.click(
+      within(address.closest("li")).getByRole("button", { name: "Poista" })
+    );
+
+    expect(
+      await screen.findByText("Ei tallennettuja osoitteita")
+    ).toBeInTheDocument();
+  });
+
+  it("keeps the vehicle when removing it fails", async () => {
+    server.use(
+      http.delete(`${API_BASE_URL}/api/users/me/vehicles/:id`, () =>
+        HttpResponse.json({ error: "Internal server error" }, { status: 500 })
+      )
+    );
+    renderSavedDetails();
+
+    const vehicle = await screen.findByText(
+      "ABC-123, Toyota Corolla, Punainen"
+    );
+    fireEvent.click(
+      within(vehicle.closest("li")).getByRole("button", { name: "Poista" })
+    );
+
+    expect(
+      await screen.findByText("Poistaminen epäonnistui.")
+    ).toBeInTheDocument();
+    expect(vehicle).toBeInTheDocument();
+  });
+
+  it("shows an error when the saved details can't be loaded", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/users/me/addresses`, () =>
+        HttpResponse.json({ error: "Internal server error" }, { status: 500 })
+      )
+    );
+    renderSavedDetails();
+
+    expect(
+      await screen.findByText("Tallennettujen tietojen lataus epäonnistui.")
+    ).toBeInTheDocument();
+  });
+});
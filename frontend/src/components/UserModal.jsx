@@ -3,13 +3,27 @@ import { motion, AnimatePresence, useReducedMotion } from "framer-motion";
 import { useLanguage } from "../i18n/LanguageContext";
 import { useAuth } from "../contexts/AuthContext";
 import { getCurrentUser, deleteUser, getUserBookings } from "../services/users";
-import { deleteBooking } from "../services/bookings";
+import {
+  cancelBooking,
+  cancelBookingSeries,
+  getInvoicePdfUrl,
+  getReceiptUrl,
+  getBookingHistoryUrl,
+  getBookingCalendarUrl,
+} from "../services/bookings";
 import { sanitizeInput } from "../services/validation";
+import { SERVICE_TIME_ZONE } from "../utils/calendarUtils";
 import crossIcon from "../assets/icons/cross-svgrepo-com.svg";
 import accountIcon from "../assets/icons/account-manage-personal-svgrepo-com.svg";
 import eyeVisibleIcon from "../assets/icons/eye-visible-svgrepo-com.svg";
 import eyeHiddenIcon from "../assets/icons/eye-hidden-svgrepo-com.svg";
 import NotificationMessage from "./NotificationMessage";
+import Receipt from "./Receipt";
+import RescheduleBooking from "./RescheduleBooking";
+import EditProfile from "./EditProfile";
+import ChangePassword from "./ChangePassword";
+import SavedDetails from "./SavedDetails";
+import CalendarFeed from "./CalendarFeed";
 
 /**
  * UserModal Component
@@ -26,7 +40,7 @@ import NotificationMessage from "./NotificationMessage";
  */
 const UserModal = ({ isOpen, onClose }) => {
   const { t, language } = useLanguage();
-  const { user, logout } = useAuth();
+  const { user, logout, checkAuthStatus } = useAuth();
   const [userDetails, setUserDetails] = useState(null);
   const [userBookings, setUserBookings] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -36,7 +50,11 @@ const UserModal = ({ isOpen, onClose }) => {
   const [showDeletePassword, setShowDeletePassword] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [isClosing, setIsClosing] = useState(false);
-  const [deletingBookingId, setDeletingBookingId] = useState(null);
+  const [cancellingBookingId, setCancellingBookingId] = useState(null);
+  const [cancellingSeriesId, setCancellingSeriesId] = useState(null);
+  const [reschedulingBookingId, setReschedulingBookingId] = useState(null);
+  const [receiptBookingId, setReceiptBookingId] = useState(null);
+  const [editMode, setEditMode] = useState(null); // null, 'profile', 'password'
   const [notification, setNotification] = useState({
     isVisible: false,
     message: "",
@@ -172,6 +190,7 @@ const UserModal = ({ isOpen, onClose }) => {
       setShowDeleteConfirm(false);
       setDeletePassword("");
       setShowDeletePassword(false);
+      setEditMode(null);
       setNotification({
         isVisible: false,
         message: "",
@@ -210,38 +229,89 @@ const UserModal = ({ isOpen, onClose }) => {
   };
 
   // Handle booking deletion
-  const handleDeleteBooking = async (bookingId) => {
-    if (!window.confirm(t("userProfile.deleteBookingConfirm"))) {
+  const handleCancelBooking = async (bookingId) => {
+    // Prompt doubles as confirmation, null means the user backed out
+    const reason = window.prompt(t("userProfile.cancelBookingConfirm"), "");
+    if (reason === null) {
       return;
     }
 
-    setDeletingBookingId(bookingId);
+    setCancellingBookingId(bookingId);
 
     try {
-      await deleteBooking(bookingId);
+      const { booking: cancelledBooking } = await cancelBooking(
+        bookingId,
+        reason.trim()
+      );
 
-      // Remove the booking from the local state
+      // Move the booking to the cancelled list in the local state
       setUserBookings((prevBookings) =>
-        prevBookings.filter((booking) => booking.id !== bookingId)
+        prevBookings.map((booking) =>
+          booking.id === bookingId
+            ? { ...booking, ...cancelledBooking }
+            : booking
+        )
       );
+      if (reschedulingBookingId === bookingId) {
+        setReschedulingBookingId(null);
+      }
 
       setNotification({
         isVisible: true,
-        message: t("userProfile.bookingDeleted"),
+        message: t("userProfile.bookingCancelled"),
         type: "success",
       });
     } catch (error) {
-      console.error("Delete booking error:", error);
+      console.error("Cancel booking error:", error);
       setNotification({
         isVisible: true,
-        message: t("userProfile.bookingDeleteError"),
+        message: error.message || t("userProfile.bookingCancelError"),
         type: "error",
       });
     } finally {
-      setDeletingBookingId(null);
+      setCancellingBookingId(null);
     }
   };
 
+  // Replace the rescheduled booking in the local state
+  const handleBookingRescheduled = (updatedBooking) => {
+    setUserBookings((prevBookings) =>
+      prevBookings.map((booking) =>
+        booking.id === updatedBooking.id ? updatedBooking : booking
+      )
+    );
+    setReschedulingBookingId(null);
+
+    setNotification({
+      isVisible: true,
+      message: t("userProfile.bookingRescheduled"),
+      type: "success",
+    });
+  };
+
+  // Show the saved profile and refresh the logged in user for booking defaults
+  const handleProfileSaved = (updatedUser, emailChanged) => {
+    setUserDetails(updatedUser);
+    setEditMode(null);
+    checkAuthStatus();
+    setNotification({
+      isVisible: true,
+      message: emailChanged
+        ? t("userProfile.profileUpdatedVerifyEmail")
+        : t("userProfile.profileUpdated"),
+      type: "success",
+    });
+  };
+
+  const handlePasswordChanged = () => {
+    setEditMode(null);
+    setNotification({
+      isVisible: true,
+      message: t("userProfile.passwordChanged"),
+      type: "success",
+    });
+  };
+
   // Handle account deletion
   const handleDeleteAccount = async () => {
     const sanitizedPassword = sanitizeInput(deletePassword);
@@ -297,6 +367,41 @@ const UserModal = ({ isOpen, onClose }) => {
     }
   };
 
+  // Cancel the upcoming occurrences of a recurring series
+  const handleCancelSeries = async (seriesId) => {
+    const reason = window.prompt(t("userProfile.cancelSeriesConfirm"), "");
+    if (reason === null) {
+      return;
+    }
+
+    setCancellingSeriesId(seriesId);
+
+    try {
+      await cancelBookingSeries(seriesId, reason.trim());
+
+      // Occurrences too close to cancel stay confirmed, so reload them all
+      const bookingsResponse = await getUserBookings();
+      if (bookingsResponse.success) {
+        setUserBookings(bookingsResponse.bookings || []);
+      }
+
+      setNotification({
+        isVisible: true,
+        message: t("userProfile.seriesCancelled"),
+        type: "success",
+      });
+    } catch (error) {
+      console.error("Cancel series error:", error);
+      setNotification({
+        isVisible: true,
+        message: error.message || t("userProfile.bookingCancelError"),
+        type: "error",
+      });
+    } finally {
+      setCancellingSeriesId(null);
+    }
+  };
+
   // Format date for display
   const formatDate = (dateString) => {
     if (!dateString) return "";
@@ -305,9 +410,17 @@ const UserModal = ({ isOpen, onClose }) => {
       year: "numeric",
       month: "long",
       day: "numeric",
+      timeZone: SERVICE_TIME_ZONE,
     });
   };
 
+  // Weekday of a series, e.g. "tiistai"
+  const formatWeekday = (dateString) =>
+    new Date(dateString).toLocaleDateString(
+      language === "fi" ? "fi-FI" : "en-US",
+      { weekday: "long", timeZone: SERVICE_TIME_ZONE }
+    );
+
   // Format role for display
   const formatRole = (role) => {
     if (!role) return "";
@@ -321,6 +434,198 @@ const UserModal = ({ isOpen, onClose }) => {
     return t(`userProfile.bookingStatus.${statusKey}`) || status;
   };
 
+  // Format booking address, older bookings only have the combined location
+  const formatBookingLocation = (booking) => {
+    if (!booking.streetAddress) return booking.location;
+    const cityName = booking.city
+      ? booking.city.charAt(0) + booking.city.slice(1).toLowerCase()
+      : "";
+    return `${booking.streetAddress}, ${[booking.postalCode, cityName]
+      .filter(Boolean)
+      .join(" ")}`;
+  };
+
+  // Format payment method (stored as CARD/MOBILEPAY/BANK/CASH)
+  const formatPaymentMethod = (paymentMethod) => {
+    if (!paymentMethod) return "";
+    const methodKey = paymentMethod.toLowerCase();
+    return t(`pricing.payment.methods.${methodKey}`) || paymentMethod;
+  };
+
+  // Reference number grouped in fives from the right like on the invoice
+  const formatReferenceNumber = (referenceNumber) =>
+    referenceNumber.replace(/\B(?=(\d{5})+$)/g, " ");
+
+  // Cancelled bookings are listed separately from upcoming ones
+  const activeBookings = userBookings.filter(
+    (booking) => booking.status !== "CANCELLED"
+  );
+  const cancelledBookings = userBookings.filter(
+    (booking) => booking.status === "CANCELLED"
+  );
+
+  // Occurrences of a recurring series are shown together under the series
+  const bookingGroups = activeBookings.reduce((groups, booking) => {
+    const series =
+      booking.seriesId &&
+      groups.find((group) => group.seriesId === booking.seriesId);
+
+    if (series) {
+      series.bookings.push(booking);
+    } else {
+      groups.push({ seriesId: booking.seriesId, bookings: [booking] });
+    }
+    return groups;
+  }, []);
+
+  // Card of an upcoming booking, series occurrences are skipped instead of cancelled
+  const renderBookingCard = (booking) => (
+    <div
+      key={booking.id}
+      className="bg-gray-50 px-4 py-3 rounded-lg border-1 border-black"
+    >
+      <div className="flex justify-between items-center">
+        <div className="flex-1">
+          <p className="font-sans font-semibold text-gray-800">
+            {formatDate(booking.date)}
+          </p>
+          {booking.timeSlot && (
+            <p className="text-sm text-gray-600 font-sans">
+              {booking.timeSlot}
+            </p>
+          )}
+          <p className="text-sm text-gray-600 font-sans">
+            {t("userProfile.bookingLocation")} {formatBookingLocation(booking)}
+          </p>
+          {booking.phoneNumber && (
+            <p className="text-sm text-gray-600 font-sans">
+              {t("userProfile.bookingPhone")} {booking.phoneNumber}
+            </p>
+          )}
+          {booking.paymentMethod && (
+            <p className="text-sm text-gray-600 font-sans">
+              {t("userProfile.bookingPaymentMethod")}{" "}
+              {formatPaymentMethod(booking.paymentMethod)}
+            </p>
+          )}
+          {booking.invoice && (
+            <div className="text-sm text-gray-600 font-sans">
+              <p>
+                {t("userProfile.invoice")} {booking.invoice.number},{" "}
+                {booking.invoice.status === "PAID"
+                  ? t("userProfile.invoicePaid")
+                  : `${t("userProfile.invoiceDue")} ${formatDate(
+                      booking.invoice.dueDate
+                    )}`}
+              </p>
+              <p>
+                {t("userProfile.invoiceReference")}{" "}
+                {formatReferenceNumber(booking.invoice.referenceNumber)}
+              </p>
+              <a
+                href={getInvoicePdfUrl(booking.invoice.id)}
+                className="text-xs text-brand-purple uppercase hover:text-brand-dark cursor-pointer underline"
+              >
+                {t("userProfile.downloadInvoice")}
+              </a>
+            </div>
+          )}
+          {booking.receipt && (
+            <button
+              onClick={() =>
+                setReceiptBookingId(
+                  receiptBookingId === booking.id ? null : booking.id
+                )
+              }
+              className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans cursor-pointer underline"
+            >
+              {receiptBookingId === booking.id
+                ? t("userProfile.hideReceipt")
+                : t("userProfile.showReceipt")}
+            </button>
+          )}
+        </div>
+        <div className="text-right flex flex-col items-end space-y-2">
+          <span
+            className={`px-2 py-1 rounded-full text-xs font-sans underline uppercase tracking-wider ${
+              booking.status === "CONFIRMED"
+                ? "bg-green-200 text-black"
+                : booking.status === "DRAFT" ||
+                  booking.status === "PENDING_PAYMENT"
+                ? "bg-yellow-200 text-black"
+                : "bg-gray-200 text-black"
+            }`}
+          >
+            {formatBookingStatus(booking.status)}
+          </span>
+          {booking.status === "CONFIRMED" && (
+            <button
+              onClick={() =>
+                setReschedulingBookingId(
+                  reschedulingBookingId === booking.id ? null : booking.id
+                )
+              }
+              className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans cursor-pointer underline"
+            >
+              {t("userProfile.rescheduleBooking")}
+            </button>
+          )}
+          {booking.status !== "COMPLETED" && (
+            <a
+              href={getBookingCalendarUrl(booking.id)}
+              className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans underline"
+            >
+              {t("userProfile.addToCalendar")}
+            </a>
+          )}
+          {booking.status !== "COMPLETED" && (
+            <button
+              onClick={() => handleCancelBooking(booking.id)}
+              disabled={cancellingBookingId === booking.id}
+              className="text-xs text-red-600 uppercase hover:text-red-800 font-sans cursor-pointer underline disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {cancellingBookingId === booking.id
+                ? t("userProfile.cancellingBooking")
+                : booking.seriesId
+                ? t("userProfile.skipOccurrence")
+                : t("userProfile.cancelBooking")}
+            </button>
+          )}
+        </div>
+      </div>
+      {receiptBookingId === booking.id && booking.receipt && (
+        <div className="mt-3 pt-3 border-t border-gray-300">
+          <Receipt receipt={booking.receipt} />
+          {booking.receiptAvailable && (
+            <div className="flex justify-end gap-3 mt-2">
+              <a
+                href={getReceiptUrl(booking.id)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans underline"
+              >
+                {t("userProfile.printReceipt")}
+              </a>
+              <a
+                href={getReceiptUrl(booking.id, "pdf")}
+                className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans underline"
+              >
+                {t("userProfile.downloadReceipt")}
+              </a>
+            </div>
+          )}
+        </div>
+      )}
+      {reschedulingBookingId === booking.id && (
+        <RescheduleBooking
+          booking={booking}
+          onRescheduled={handleBookingRescheduled}
+          onCancel={() => setReschedulingBookingId(null)}
+        />
+      )}
+    </div>
+  );
+
   if (!isOpen) return null;
 
   return (
@@ -440,6 +745,35 @@ const UserModal = ({ isOpen, onClose }) => {
                           {formatDate(userDetails.createdAt)}
                         </div>
                       </div>
+
+                      {/* Default Contact Details */}
+                      {(userDetails.streetAddress ||
+                        userDetails.phoneNumber) && (
+                        <div>
+                          <p className={CSS_CLASSES.fieldLabel}>
+                            {t("userProfile.defaultContact")}
+                          </p>
+                          {userDetails.streetAddress && (
+                            <div className={CSS_CLASSES.fieldValue}>
+                              {[
+                                userDetails.streetAddress,
+                                userDetails.postalCode,
+                                userDetails.city &&
+                                  t(
+                                    `pricing.payment.location.cities.${userDetails.city.toLowerCase()}`
+                                  ),
+                              ]
+                                .filter(Boolean)
+                                .join(", ")}
+                            </div>
+                          )}
+                          {userDetails.phoneNumber && (
+                            <div className={CSS_CLASSES.fieldValue}>
+                              {userDetails.phoneNumber}
+                            </div>
+                          )}
+                        </div>
+                      )}
                     </div>
 
                     {/* Account Icon - Right Side (hidden on smaller screens nearing width of 600px) */}
@@ -451,6 +785,40 @@ const UserModal = ({ isOpen, onClose }) => {
                       />
                     </div>
                   </div>
+
+                  {/* Profile Editing */}
+                  {editMode === "profile" && (
+                    <EditProfile
+                      user={userDetails}
+                      onSaved={handleProfileSaved}
+                      onCancel={() => setEditMode(null)}
+                    />
+                  )}
+                  {editMode === "password" && (
+                    <ChangePassword
+                      onChanged={handlePasswordChanged}
+                      onCancel={() => setEditMode(null)}
+                    />
+                  )}
+                  {!editMode && (
+                    <div className="flex justify-center space-x-6 mt-4">
+                      <button
+                        onClick={() => setEditMode("profile")}
+                        className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans cursor-pointer underline"
+                      >
+                        {t("userProfile.editProfile")}
+                      </button>
+                      <button
+                        onClick={() => setEditMode("password")}
+                        className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans cursor-pointer underline"
+                      >
+                        {t("userProfile.changePassword")}
+                      </button>
+                    </div>
+                  )}
+
+                  {/* Saved Addresses And Vehicles */}
+                  {!editMode && <SavedDetails />}
                 </div>
 
                 {/* Bookings Section */}
@@ -464,61 +832,104 @@ const UserModal = ({ isOpen, onClose }) => {
                       <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-brand-purple mx-auto mb-2"></div>
                       {t("userProfile.loadingBookings")}
                     </div>
-                  ) : userBookings.length > 0 ? (
+                  ) : activeBookings.length > 0 ? (
                     <div className="space-y-3 ">
-                      {userBookings.map((booking) => (
-                        <div
-                          key={booking.id}
-                          className="bg-gray-50 px-4 py-3 rounded-lg border-1 border-black"
-                        >
-                          <div className="flex justify-between items-center">
-                            <div className="flex-1">
-                              <p className="font-sans font-semibold text-gray-800">
-                                {formatDate(booking.date)}
+                      {bookingGroups.map((group) =>
+                        group.seriesId ? (
+                          <div
+                            key={group.seriesId}
+                            className="border-2 border-dashed border-brand-purple rounded-lg p-2 space-y-2"
+                          >
+                            <div className="flex justify-between items-center px-2">
+                              <p className="text-sm font-sans font-semibold text-gray-800">
+                                {t("userProfile.seriesTitle")}{" "}
+                                {formatWeekday(group.bookings[0].date)}{" "}
+                                {group.bookings[0].timeSlot}
                               </p>
-                              {booking.timeSlot && (
-                                <p className="text-sm text-gray-600 font-sans">
-                                  {booking.timeSlot}
-                                </p>
-                              )}
-                              <p className="text-sm text-gray-600 font-sans">
-                                {t("userProfile.bookingLocation")}{" "}
-                                {booking.location}
-                              </p>
-                            </div>
-                            <div className="text-right flex flex-col items-end space-y-2">
-                              <span
-                                className={`px-2 py-1 rounded-full text-xs font-sans underline uppercase tracking-wider ${
-                                  booking.status === "CONFIRMED"
-                                    ? "bg-green-200 text-black"
-                                    : booking.status === "DRAFT"
-                                    ? "bg-yellow-200 text-black"
-                                    : "bg-gray-200 text-black"
-                                }`}
-                              >
-                                {formatBookingStatus(booking.status)}
-                              </span>
                               <button
-                                onClick={() => handleDeleteBooking(booking.id)}
-                                disabled={deletingBookingId === booking.id}
+                                onClick={() =>
+                                  handleCancelSeries(group.seriesId)
+                                }
+                                disabled={cancellingSeriesId === group.seriesId}
                                 className="text-xs text-red-600 uppercase hover:text-red-800 font-sans cursor-pointer underline disabled:opacity-50 disabled:cursor-not-allowed"
                               >
-                                {deletingBookingId === booking.id
-                                  ? t("userProfile.deletingBooking")
-                                  : t("userProfile.deleteBooking")}
+                                {cancellingSeriesId === group.seriesId
+                                  ? t("userProfile.cancellingBooking")
+                                  : t("userProfile.cancelSeries")}
                               </button>
                             </div>
+                            {group.bookings.map(renderBookingCard)}
                           </div>
-                        </div>
-                      ))}
+                        ) : (
+                          renderBookingCard(group.bookings[0])
+                        )
+                      )}
                     </div>
                   ) : (
                     <div className="bg-gray-50 px-4 py-3 rounded-lg border text-gray-800 font-sans text-center italic">
                       {t("userProfile.noBookings")}
                     </div>
                   )}
+
+                  {!isLoadingBookings && userBookings.length > 0 && (
+                    <div className="text-center mt-3">
+                      <a
+                        href={getBookingHistoryUrl()}
+                        className="text-xs text-brand-purple uppercase hover:text-brand-dark font-sans underline"
+                      >
+                        {t("userProfile.downloadHistory")}
+                      </a>
+                    </div>
+                  )}
+
+                  {/* Calendar Subscription */}
+                  {!isLoadingBookings && <CalendarFeed />}
                 </div>
 
+                {/* Cancelled Bookings Section */}
+                {!isLoadingBookings && cancelledBookings.length > 0 && (
+                  <div>
+                    <label className="block text-center underline text-lg font-sans font-semibold text-gray-700 mb-2">
+                      {t("userProfile.cancelledBookings")}
+                    </label>
+                    <div className="space-y-3">
+                      {cancelledBookings.map((booking) => (
+                        <div
+                          key={booking.id}
+                          className="bg-gray-100 px-4 py-3 rounded-lg border border-gray-300 opacity-75"
+                        >
+                          <div className="flex justify-between items-center">
+                            <div className="flex-1">
+                              <p className="font-sans font-semibold text-gray-600 line-through">
+                                {formatDate(booking.date)} {booking.timeSlot}
+                              </p>
+                              <p className="text-sm text-gray-600 font-sans">
+                                {t("userProfile.bookingLocation")}{" "}
+                                {formatBookingLocation(booking)}
+                              </p>
+                              {booking.cancelledAt && (
+                                <p className="text-sm text-gray-600 font-sans">
+                                  {t("userProfile.cancelledAt")}{" "}
+                                  {formatDate(booking.cancelledAt)}
+                                </p>
+                              )}
+                              {booking.cancellationReason && (
+                                <p className="text-sm text-gray-600 font-sans italic">
+                                  {t("userProfile.cancellationReason")}{" "}
+                                  {booking.cancellationReason}
+                                </p>
+                              )}
+                            </div>
+                            <span className="px-2 py-1 rounded-full text-xs font-sans underline uppercase tracking-wider bg-gray-200 text-black">
+                              {formatBookingStatus(booking.status)}
+                            </span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Actions */}
                 <div className="pt-4 space-y-4">
                   {/* Delete Account Button */}
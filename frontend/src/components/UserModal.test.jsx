@@ -272,13 +272,437 @@ describe("UserModal", () => {
         // Look for confirmed status
         expect(screen.getAllByText("Vahvistettu")).toHaveLength(2);
         // Look for specific booking locations - use regex to handle multi-line text
-        expect(screen.getByText(/Testikatu 1, Helsinki/)).toBeInTheDocument();
+        expect(
+          screen.getByText(/Testikatu 1, 00100 Helsinki/)
+        ).toBeInTheDocument();
         expect(screen.getByText(/Esimerkkitie 5, Espoo/)).toBeInTheDocument();
       },
       { timeout: 3000 }
     );
   });
 
+  it("displays contact and payment details of bookings", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    await waitFor(
+      () => {
+        expect(screen.getByText(/\+358501234567/)).toBeInTheDocument();
+        expect(screen.getByText(/Maksutapa:\s*Kortti/)).toBeInTheDocument();
+        // Older booking without stored details shows no phone number
+        expect(screen.getAllByText(/Puhelin:/)).toHaveLength(1);
+      },
+      { timeout: 3000 }
+    );
+  });
+
+  it("shows the price details of a booking", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    // Older booking without a stored price has no price details
+    const showButtons = await screen.findAllByText("Näytä hintaerittely");
+    expect(showButtons).toHaveLength(1);
+
+    fireEvent.click(showButtons[0]);
+
+    expect(screen.getByText("Yhteensä")).toBeInTheDocument();
+    expect(screen.getByText("ALV 25,5 %")).toBeInTheDocument();
+    expect(screen.getByText("9,96 €")).toBeInTheDocument();
+    expect(screen.getByText("Tulosta kuitti")).toHaveAttribute(
+      "href",
+      `${API_BASE_URL}/api/bookings/1/receipt?format=html`
+    );
+    expect(screen.getByText("Lataa kuitti (PDF)")).toHaveAttribute(
+      "href",
+      `${API_BASE_URL}/api/bookings/1/receipt?format=pdf`
+    );
+
+    fireEvent.click(screen.getByText("Piilota hintaerittely"));
+    expect(screen.queryByText("Yhteensä")).not.toBeInTheDocument();
+  });
+
+  it("hides the receipt download until the booking is paid", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/bookings`, () => {
+        return HttpResponse.json([
+          {
+            id: "1",
+            date: "2025-09-05T08:00:00.000Z",
+            timeSlot: "08:00-10:00",
+            location: "Vantaankatu 3, 01300, Vantaa",
+            paymentMethod: "CASH",
+            status: "CONFIRMED",
+            receiptAvailable: false,
+            receipt: {
+              lines: [],
+              subtotalCents: 4900,
+              discount: null,
+              totalCents: 4900,
+              netCents: 3904,
+              vatCents: 996,
+              vat: [],
+            },
+          },
+        ]);
+      })
+    );
+
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    fireEvent.click(await screen.findByText("Näytä hintaerittely"));
+
+    expect(screen.getByText("Yhteensä")).toBeInTheDocument();
+    expect(screen.queryByText("Tulosta kuitti")).not.toBeInTheDocument();
+  });
+
+  it("links the booking history export", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    expect(
+      await screen.findByText("Lataa varaushistoria (CSV)")
+    ).toHaveAttribute("href", `${API_BASE_URL}/api/bookings/export`);
+  });
+
+  it("links each booking as a calendar event", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    const calendarLinks = await screen.findAllByText("Lisää kalenteriin");
+    expect(calendarLinks).toHaveLength(2);
+    expect(calendarLinks[0]).toHaveAttribute(
+      "href",
+      `${API_BASE_URL}/api/bookings/1/calendar.ics`
+    );
+  });
+
+  it("turns the calendar subscription on and off", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    fireEvent.click(await screen.findByText("Ota kalenteritilaus käyttöön"));
+
+    expect(await screen.findByLabelText("Tilausosoite")).toHaveValue(
+      `${API_BASE_URL}/api/bookings/calendar.ics?token=${"a".repeat(64)}`
+    );
+
+    fireEvent.click(screen.getByText("Poista käytöstä"));
+
+    expect(
+      await screen.findByText("Ota kalenteritilaus käyttöön")
+    ).toBeInTheDocument();
+    expect(screen.queryByLabelText("Tilausosoite")).not.toBeInTheDocument();
+  });
+
+  it("opens the reschedule calendar for a booking", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    const rescheduleButtons = await screen.findAllByText("Siirrä");
+    expect(rescheduleButtons).toHaveLength(2);
+
+    fireEvent.click(rescheduleButtons[0]);
+
+    expect(await screen.findByText("Valitse uusi aika")).toBeInTheDocument();
+    expect(screen.getByText("Vahvista siirto")).toBeDisabled();
+  });
+
+  it("shows cancelled bookings separately from upcoming ones", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/bookings`, () => {
+        return HttpResponse.json([
+          {
+            id: "1",
+            date: "2025-08-30T10:00:00.000Z",
+            timeSlot: "10:00-12:00",
+            location: "Testikatu 1, Helsinki",
+            status: "CONFIRMED",
+          },
+          {
+            id: "2",
+            date: "2025-09-01T14:00:00.000Z",
+            timeSlot: "14:00-16:00",
+            location: "Esimerkkitie 5, Espoo",
+            status: "CANCELLED",
+            cancelledAt: "2025-08-28T09:00:00.000Z",
+            cancellationReason: "Plans changed",
+          },
+        ]);
+      })
+    );
+
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    expect(await screen.findByText("PERUTUT VARAUKSET")).toBeInTheDocument();
+    expect(screen.getByText(/Plans changed/)).toBeInTheDocument();
+    expect(screen.getByText("Peruttu")).toBeInTheDocument();
+    // Only the upcoming booking can be rescheduled or cancelled
+    expect(screen.getAllByText("Siirrä")).toHaveLength(1);
+    expect(screen.getAllByText("Peruuta")).toHaveLength(1);
+  });
+
+  it("shows booking dates on their Helsinki day", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/bookings`, () => {
+        return HttpResponse.json([
+          {
+            id: "1",
+            // 00:30 on 7.10.2025 in Helsinki
+            date: "2025-10-06T21:30:00.000Z",
+            timeSlot: "Aamupäivä",
+            location: "Testikatu 1, Helsinki",
+            status: "CONFIRMED",
+          },
+        ]);
+      })
+    );
+
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    expect(await screen.findByText("7. lokakuuta 2025")).toBeInTheDocument();
+  });
+
+  it("links the invoice of a bank transfer booking", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/api/bookings`, () => {
+        return HttpResponse.json([
+          {
+            id: "1",
+            date: "2025-09-05T08:00:00.000Z",
+            timeSlot: "08:00-10:00",
+            location: "Vantaankatu 3, 01300, Vantaa",
+            paymentMethod: "BANK",
+            status: "CONFIRMED",
+            invoice: {
+              id: "invoice-1",
+              number: 1000,
+              referenceNumber: "10003",
+              amountCents: 4900,
+              status: "UNPAID",
+              dueDate: "2025-09-10T12:00:00.000Z",
+            },
+          },
+        ]);
+      })
+    );
+
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    expect(
+      await screen.findByText("Lasku 1000, eräpäivä 10. syyskuuta 2025")
+    ).toBeInTheDocument();
+    expect(screen.getByText("Viitenumero: 10003")).toBeInTheDocument();
+    expect(screen.getByText("Lataa lasku (PDF)")).toHaveAttribute(
+      "href",
+      `${API_BASE_URL}/api/invoices/invoice-1/pdf`
+    );
+  });
+
+  it("cancels a booking with an optional reason", async () => {
+    const promptSpy = vi
+      .spyOn(window, "prompt")
+      .mockReturnValue("Plans changed");
+
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    const cancelButtons = await screen.findAllByText("Peruuta");
+    fireEvent.click(cancelButtons[0]);
+
+    expect(
+      await screen.findByText("VARAUS PERUTTU ONNISTUNEESTI")
+    ).toBeInTheDocument();
+    expect(screen.getByText("PERUTUT VARAUKSET")).toBeInTheDocument();
+    expect(screen.getByText(/Plans changed/)).toBeInTheDocument();
+    expect(screen.getAllByText("Siirrä")).toHaveLength(1);
+
+    promptSpy.mockRestore();
+  });
+
+  it("keeps the booking when cancellation prompt is dismissed", async () => {
+    const promptSpy = vi.spyOn(window, "prompt").mockReturnValue(null);
+
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    const cancelButtons = await screen.findAllByText("Peruuta");
+    fireEvent.click(cancelButtons[0]);
+
+    expect(promptSpy).toHaveBeenCalled();
+    expect(screen.queryByText("PERUTUT VARAUKSET")).not.toBeInTheDocument();
+    expect(screen.getAllByText("Peruuta")).toHaveLength(2);
+
+    promptSpy.mockRestore();
+  });
+
+  it("saves edited details and default contact details", async () => {
+    let sentUpdates;
+    server.use(
+      http.patch(`${API_BASE_URL}/api/users/me`, async ({ request }) => {
+        sentUpdates = await request.json();
+        return HttpResponse.json({
+          ok: true,
+          message: "Profile updated",
+          user: {
+            id: "1",
+            email: "test@example.com",
+            fullName: "Fixed Name",
+            city: "ESPOO",
+            streetAddress: "Testikatu 1",
+            postalCode: "02100",
+            phoneNumber: "0401234567",
+            createdAt: "2024-02-01T00:00:00.000Z",
+          },
+        });
+      })
+    );
+
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    fireEvent.click(await screen.findByText("Muokkaa tietoja"));
+
+    fireEvent.change(screen.getByLabelText("KOKO NIMI"), {
+      target: { value: "Fixed Name" },
+    });
+    fireEvent.change(screen.getByLabelText("Kaupunki"), {
+      target: { value: "espoo" },
+    });
+    fireEvent.change(screen.getByLabelText("Osoite"), {
+      target: { value: "Testikatu 1, 02100" },
+    });
+    fireEvent.change(screen.getByLabelText("Puhelinnumero"), {
+      target: { value: "0401234567" },
+    });
+    fireEvent.click(screen.getByText("Tallenna"));
+
+    await waitFor(() => {
+      expect(screen.getByTestId("notification-success")).toHaveTextContent(
+        "TIEDOT PÄIVITETTY"
+      );
+    });
+
+    // Only changed fields are sent
+    expect(sentUpdates).toEqual({
+      fullName: "Fixed Name",
+      city: "espoo",
+      address: "Testikatu 1, 02100",
+      phoneNumber: "0401234567",
+    });
+  });
+
+  it("shows an error when the new email address is taken", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    fireEvent.click(await screen.findByText("Muokkaa tietoja"));
+    fireEvent.change(screen.getByLabelText("SÄHKÖPOSTI"), {
+      target: { value: "taken@example.com" },
+    });
+    fireEvent.click(screen.getByText("Tallenna"));
+
+    expect(
+      await screen.findByText("Sähköpostiosoite on jo käytössä")
+    ).toBeInTheDocument();
+  });
+
+  it("changes the password with the current password", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    fireEvent.click(await screen.findByText("Vaihda salasana"));
+
+    fireEvent.change(screen.getByLabelText("Nykyinen salasana"), {
+      target: { value: "wrongpassword" },
+    });
+    fireEvent.change(screen.getByLabelText("Uusi salasana"), {
+      target: { value: "NewPassword123" },
+    });
+    fireEvent.change(screen.getByLabelText("Vahvista Salasana"), {
+      target: { value: "NewPassword123" },
+    });
+    fireEvent.click(screen.getByText("Tallenna"));
+
+    expect(await screen.findByText("Väärä salasana")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Nykyinen salasana"), {
+      target: { value: "Password123" },
+    });
+    fireEvent.click(screen.getByText("Tallenna"));
+
+    await waitFor(() => {
+      expect(screen.getByTestId("notification-success")).toHaveTextContent(
+        "SALASANA VAIHDETTU"
+      );
+    });
+  });
+
+  it("lists saved addresses and vehicles", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    expect(
+      await screen.findByText("Toimisto: Keilaranta 1, 02150")
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText("ABC-123, Toyota Corolla, Punainen")
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByText("Poista")[1]);
+
+    await waitFor(() => {
+      expect(
+        screen.queryByText("ABC-123, Toyota Corolla, Punainen")
+      ).not.toBeInTheDocument();
+    });
+    expect(screen.getByText("Ei tallennettuja autoja")).toBeInTheDocument();
+  });
+
+  it("saves a new vehicle", async () => {
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    fireEvent.click(await screen.findByText("Lisää auto"));
+    fireEvent.change(screen.getByLabelText("Rekisterinumero"), {
+      target: { value: "xyz-987" },
+    });
+    fireEvent.change(screen.getByLabelText("Pysäköintipaikka"), {
+      target: { value: "Taso 2" },
+    });
+    fireEvent.click(screen.getByText("Tallenna"));
+
+    expect(await screen.findByText("XYZ-987")).toBeInTheDocument();
+  });
+
+  it("groups recurring bookings and cancels the series", async () => {
+    const seriesBooking = {
+      timeSlot: "13:00 - 15:00",
+      city: "HELSINKI",
+      location: "Testikatu 1, 00100, Helsinki",
+      streetAddress: "Testikatu 1",
+      postalCode: "00100",
+      phoneNumber: "+358501234567",
+      paymentMethod: "CARD",
+      status: "CONFIRMED",
+      seriesId: "series-123",
+      createdAt: "2025-08-25T12:00:00.000Z",
+    };
+    server.use(
+      http.get(`${API_BASE_URL}/api/bookings`, () =>
+        HttpResponse.json([
+          { ...seriesBooking, id: "s1", date: "2025-09-15T10:00:00.000Z" },
+          { ...seriesBooking, id: "s2", date: "2025-09-22T10:00:00.000Z" },
+        ])
+      )
+    );
+    const promptSpy = vi.spyOn(window, "prompt").mockReturnValue("");
+
+    renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
+
+    expect(
+      await screen.findByText("TOISTUVA VARAUS: maanantai 13:00 - 15:00")
+    ).toBeInTheDocument();
+    expect(screen.getAllByText("Ohita tämä kerta")).toHaveLength(2);
+
+    fireEvent.click(screen.getByText("Peru koko sarja"));
+
+    await waitFor(() => {
+      expect(screen.getByTestId("notification-success")).toHaveTextContent(
+        "TOISTUVA VARAUS PERUTTU"
+      );
+    });
+
+    promptSpy.mockRestore();
+  });
+
   it("shows loading state initially", () => {
     renderWithProviders(<UserModal isOpen={true} onClose={mockOnClose} />);
 
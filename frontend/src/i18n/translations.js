@@ -36,12 +36,19 @@ export const translations = {
       confirmPassword: "Vahvista Salasana",
       cancel: "Peruuta",
       creating: "Luodaan...",
-      registrationSuccess: "Rekisteröinti onnistui!",
+      registrationSuccess:
+        "Rekisteröinti onnistui! Vahvista sähköpostiosoitteesi saamastasi viestistä.",
       loginSuccess: "Kirjautuminen onnistui!",
       forgotPassword: "Unohditko salasanasi?",
       resetPassword: "PALAUTA SALASANA",
       sendReset: "Lähetä",
       passwordResetSuccess: "Palautusviesti lähetetty!",
+      newPasswordTitle: "UUSI SALASANA",
+      setNewPassword: "Tallenna",
+      saving: "Tallennetaan...",
+      newPasswordSuccess: "Salasana vaihdettu! Kirjaudu uudella salasanalla.",
+      requestNewLink: "Pyydä uusi palautuslinkki",
+      emailVerified: "Sähköpostiosoite vahvistettu! Voit nyt tehdä varauksia.",
       successIcon: "Onnistui",
       errorIcon: "Virhe",
       errors: {
@@ -63,6 +70,8 @@ export const translations = {
         registrationFailed: "Rekisteröinti epäonnistui.",
         loginFailed: "Kirjautuminen epäonnistui.",
         networkError: "Verkkovirhe.",
+        verificationFailed:
+          "Vahvistuslinkki on virheellinen tai vanhentunut. Pyydä uusi linkki varauksen yhteydessä.",
       },
     },
     // User Profile
@@ -79,16 +88,60 @@ export const translations = {
       bookingStatus: {
         confirmed: "Vahvistettu",
         draft: "Luonnos",
+        pending_payment: "Odottaa maksua",
         cancelled: "Peruttu",
+        completed: "Suoritettu",
       },
       bookingLocation: "Varauksen sijainti: ",
+      bookingPhone: "Puhelin: ",
+      bookingPaymentMethod: "Maksutapa: ",
+      showReceipt: "Näytä hintaerittely",
+      hideReceipt: "Piilota hintaerittely",
+      invoice: "Lasku",
+      invoiceDue: "eräpäivä",
+      invoicePaid: "maksettu",
+      invoiceReference: "Viitenumero:",
+      downloadInvoice: "Lataa lasku (PDF)",
+      printReceipt: "Tulosta kuitti",
+      downloadReceipt: "Lataa kuitti (PDF)",
+      downloadHistory: "Lataa varaushistoria (CSV)",
+      addToCalendar: "Lisää kalenteriin",
+      calendarFeed: "Kalenteritilaus",
+      calendarFeedInfo:
+        "Tilaa varauksesi Outlookiin tai Google-kalenteriin. Muutokset ja peruutukset päivittyvät kalenteriin automaattisesti.",
+      calendarFeedUrl: "Tilausosoite",
+      calendarFeedEnable: "Ota kalenteritilaus käyttöön",
+      calendarFeedCopy: "Kopioi osoite",
+      calendarFeedCopied: "Osoite kopioitu!",
+      calendarFeedRenew: "Vaihda osoite",
+      calendarFeedDisable: "Poista käytöstä",
+      calendarFeedPrivate:
+        "Pidä osoite yksityisenä. Osoitteen vaihtaminen katkaisee vanhan tilauksen.",
+      calendarFeedError: "Kalenteritilauksen päivitys epäonnistui.",
       loadingBookings: "Ladataan varauksia...",
-      deleteBooking: "Peruuta",
-      deleteBookingConfirm:
-        "Haluatko varmasti peruutta tämän varauksen? Varaus poistetaan pysyvästi!",
-      deletingBooking: "Poistetaan varausta...",
-      bookingDeleted: "VARAUS POISTETTU ONNISTUNEESTI",
-      bookingDeleteError: "VARAUKSEN POISTO EPÄONNISTUI",
+      cancelBooking: "Peruuta",
+      skipOccurrence: "Ohita tämä kerta",
+      seriesTitle: "TOISTUVA VARAUS:",
+      cancelSeries: "Peru koko sarja",
+      cancelSeriesConfirm:
+        "Haluatko varmasti perua kaikki tulevat kerrat? Alle vuorokauden päässä olevia kertoja ei voi enää perua. Voit halutessasi kertoa syyn.",
+      seriesCancelled: "TOISTUVA VARAUS PERUTTU",
+      cancelBookingConfirm:
+        "Haluatko varmasti perua tämän varauksen? Voit halutessasi kertoa peruutuksen syyn.",
+      cancellingBooking: "Perutaan varausta...",
+      cancelledBookings: "PERUTUT VARAUKSET",
+      cancelledAt: "Peruttu: ",
+      cancellationReason: "Syy: ",
+      rescheduleBooking: "Siirrä",
+      rescheduleTitle: "Valitse uusi aika",
+      confirmReschedule: "Vahvista siirto",
+      rescheduling: "Siirretään...",
+      bookingRescheduled: "VARAUS SIIRRETTY ONNISTUNEESTI",
+      rescheduleError: "Varauksen siirto epäonnistui.",
+      previousWeek: "Edellinen viikko",
+      nextWeek: "Seuraava viikko",
+      bookingCancelled: "VARAUS PERUTTU ONNISTUNEESTI",
+      bookingCancelError: "VARAUKSEN PERUUTUS EPÄONNISTUI",
       deleteAccount: "POISTA TILI",
       deleteConfirm: "VAHVISTA TILIN POISTO",
       deleteWarning:
@@ -100,6 +153,45 @@ export const translations = {
       accountDeleted: "Tili poistettu onnistuneesti",
       deleteError: "Tilin poistaminen epäonnistui",
       close: "Sulje",
+      defaultContact: "OLETUSYHTEYSTIEDOT",
+      editProfile: "Muokkaa tietoja",
+      editProfileTitle: "Muokkaa tietojasi",
+      defaultContactInfo:
+        "Oletusyhteystiedot täytetään valmiiksi uusiin varauksiin.",
+      city: "Kaupunki",
+      address: "Osoite",
+      phoneNumber: "Puhelinnumero",
+      save: "Tallenna",
+      saving: "Tallennetaan...",
+      profileUpdated: "TIEDOT PÄIVITETTY",
+      profileUpdatedVerifyEmail:
+        "TIEDOT PÄIVITETTY, VAHVISTA UUSI SÄHKÖPOSTIOSOITTEESI",
+      profileUpdateError: "Tietojen päivitys epäonnistui.",
+      emailInUse: "Sähköpostiosoite on jo käytössä",
+      changePassword: "Vaihda salasana",
+      changePasswordTitle: "Vaihda salasanasi",
+      currentPassword: "Nykyinen salasana",
+      newPassword: "Uusi salasana",
+      wrongPassword: "Väärä salasana",
+      passwordChanged: "SALASANA VAIHDETTU",
+      passwordChangeError: "Salasanan vaihto epäonnistui.",
+      savedAddresses: "Tallennetut osoitteet",
+      savedVehicles: "Tallennetut autot",
+      noSavedAddresses: "Ei tallennettuja osoitteita",
+      noSavedVehicles: "Ei tallennettuja autoja",
+      addAddress: "Lisää osoite",
+      addVehicle: "Lisää auto",
+      removeSaved: "Poista",
+      addressLabel: "Nimi",
+      addressLabelPlaceholder: "Esim. Toimisto",
+      licensePlate: "Rekisterinumero",
+      vehicleMake: "Merkki ja malli",
+      vehicleColor: "Väri",
+      parkingNotes: "Pysäköintipaikka",
+      parkingNotesPlaceholder: "Esim. P-talo, taso 2",
+      savedLoadError: "Tallennettujen tietojen lataus epäonnistui.",
+      savedSaveError: "Tallennus epäonnistui.",
+      savedDeleteError: "Poistaminen epäonnistui.",
     },
     // Booking Success
     bookingSuccess: {
@@ -107,14 +199,89 @@ export const translations = {
       message:
         "Varauksesi on vahvistettu.\nTarkastathan varauksesi tiedot ja ota yhteyttä tarvittaessa.",
       bookingDetails: "Varauksen tiedot:",
+      receipt: "Hintaerittely:",
       date: "Päivämäärä:",
       time: "Aika:",
       city: "Kaupunki:",
       address: "Osoite:",
       phone: "Puhelin:",
       payment: "Maksutapa:",
+      repeat: "Toistuu viikoittain:",
+      times: "kertaa",
+      skippedWeeks: "viikkoa oli jo varattu",
+      addToCalendar: "Lisää kalenteriin (.ics)",
       close: "Sulje",
     },
+    // Price breakdown of a booking
+    receipt: {
+      service: "Palvelu",
+      discount: "Alennus",
+      total: "Yhteensä",
+      vat: "ALV",
+      net: "Veroton hinta",
+    },
+    // Returning from the card or MobilePay payment page
+    payment: {
+      paid: "Maksu vastaanotettu! Varauksesi on vahvistettu.",
+      failed:
+        "Maksu epäonnistui, joten varausta ei vahvistettu. Voit tehdä varauksen uudelleen.",
+      pending:
+        "Maksua käsitellään vielä. Varauksesi vahvistetaan, kun maksu on vastaanotettu.",
+      checkFailed:
+        "Maksun tilaa ei voitu tarkistaa. Näet varauksesi tilan profiilistasi.",
+    },
+    // Admin Dashboard
+    admin: {
+      title: "Työlista",
+      dayView: "Päivä",
+      weekView: "Viikko",
+      previous: "Edellinen",
+      next: "Seuraava",
+      today: "Tänään",
+      allCities: "Kaikki kaupungit",
+      loading: "Ladataan varauksia...",
+      loadError: "Varausten lataaminen epäonnistui",
+      noBookings: "Ei varauksia",
+      customer: "Asiakas:",
+      phone: "Puhelin:",
+      address: "Osoite:",
+      payment: "Maksutapa:",
+      reason: "Peruutuksen syy:",
+      notes: "Lisätiedot:",
+      routeSheet: "Ajolista:",
+      printRouteSheet: "Tulosta",
+      downloadRouteSheet: "Lataa CSV",
+      markDone: "Merkitse tehdyksi",
+      cancelBooking: "Peru",
+      cancelBookingConfirm: "Peruutuksen syy asiakkaalle (valinnainen):",
+      updating: "Päivitetään...",
+      statusUpdateError: "Varauksen tilan päivittäminen epäonnistui",
+      invoices: {
+        title: "Laskut",
+        filters: {
+          unpaid: "Maksamattomat",
+          paid: "Maksetut",
+          all: "Kaikki",
+        },
+        status: {
+          unpaid: "Maksamatta",
+          paid: "Maksettu",
+          cancelled: "Mitätöity",
+        },
+        loading: "Ladataan laskuja...",
+        loadError: "Laskujen lataaminen epäonnistui",
+        noInvoices: "Ei laskuja",
+        number: "Lasku",
+        amount: "Summa:",
+        dueDate: "Eräpäivä:",
+        overdue: "erääntynyt",
+        paidAt: "Maksettu:",
+        download: "Lataa PDF",
+        markPaid: "Merkitse maksetuksi",
+        markUnpaid: "Merkitse maksamattomaksi",
+        statusUpdateError: "Laskun tilan päivittäminen epäonnistui",
+      },
+    },
     // Footer
     footer: {
       contact: "Yhteystiedot",
@@ -145,7 +312,8 @@ export const translations = {
       descriptionFirst:
         "Nopea ja tehokas palvelu, joka siivoaa autosi sisätilat työpäivän aikana. Kun keskityt työhösi toimistossa, siivouspalvelumme huolehtii autosi puhtaudesta parkkipaikalla.",
       descriptionSecond:
-        "Palaat raikkaaseen ja puhtaaseen autoon – eikä sinun tarvitse uhrata viikonloppujasi autosi putsaamiseen. Toimimme Helsinki-Vantaa-Espoo alueella hintaan 49€ (sis. ALV 25,5%).",
+        "Palaat raikkaaseen ja puhtaaseen autoon – eikä sinun tarvitse uhrata viikonloppujasi autosi putsaamiseen. Toimimme Helsinki-Vantaa-Espoo alueella.",
+      priceFrom: "Hinnat alkaen",
       valueProposition:
         "Siivoamme autosi sisätilat työpäivän aikana – jotta voit ajaa kotiin puhtaalla autolla.",
       imagePlaceholder: "Siivouspalvelu työssä",
@@ -153,7 +321,6 @@ export const translations = {
     // Services section
     services: {
       title: "Palvelut",
-      comingSoon: "TULOSSA PIAN!",
     },
     // Explanation/Process section
     explanation: {
@@ -193,17 +360,12 @@ export const translations = {
     },
     // Pricing Calendar
     pricing: {
-      title: "Wocuuming",
-      price: "49€",
-      vatIncluded: "(ALV sisältyy)",
+      vatIncluded: "sis. ALV",
       perCleaning: "per siivous",
       explanation: "Hintaan sisältyy:",
-      services: {
-        vacuuming: "Imurointi",
-        wiping: "Pintojen pyyhintä",
-        windowCleaning: "Ikkunoiden sisäpesu",
-        seatCleaning: "Penkkien kuivapesu",
-      },
+      loadingServices: "Ladataan palveluita...",
+      servicesLoadError:
+        "Palveluiden lataaminen epäonnistui. Yritä myöhemmin uudelleen.",
       features: {
         professional: "Ammattitaitoinen siivouspalvelu.",
         convenient: "Aikataulutus miellyttävästi.",
@@ -248,6 +410,21 @@ export const translations = {
         },
         week: "Viikko",
         pleaseSelectDate: "Valitse ensin päivämäärä",
+        availabilityError:
+          "Vapaiden aikojen lataus epäonnistui. Yritä myöhemmin uudelleen.",
+        slotTaken: "Valitsemasi aika ehdittiin juuri varata.",
+        alternatives: "Vapaita aikoja lähipäivinä:",
+        invalidBooking: "Varausta ei voitu tehdä:",
+        slotHeld:
+          "Aika on varattu sinulle varauksen viimeistelyn ajaksi. Varaus vapautuu klo",
+        holdExpired:
+          "Valitsemasi ajan varaus ehti vanhentua. Valitse aika uudelleen.",
+        emailNotVerified:
+          "Vahvista sähköpostiosoitteesi ennen varaamista. Vahvistuslinkki lähetettiin rekisteröitymisen yhteydessä.",
+        resendVerification: "Lähetä vahvistuslinkki uudelleen",
+        verificationSent: "Vahvistuslinkki lähetetty!",
+        verificationSendError:
+          "Vahvistuslinkin lähetys epäonnistui. Yritä myöhemmin uudelleen.",
         selectDateTime: "Valitse Päivä ja Aika",
         confirmBooking: "Vahvista Varaus",
         bookingConfirmation:
@@ -277,6 +454,21 @@ export const translations = {
           addressPlaceholder: 'Muoto: "Esimerkkitie 14 A, 00750"',
           phoneInput: "Anna puhelinnumero:",
           phonePlaceholder: 'Muoto: "0401234567"',
+          notesInput: "Lisätietoja siivoojille (valinnainen):",
+          notesPlaceholder: "Esim. ovikoodi tai pysäköintiohje",
+          addOns: "Lisäpalvelut (valinnainen):",
+          total: "Yhteensä:",
+          discountCode: "Alennuskoodi (valinnainen):",
+          applyDiscount: "Käytä",
+          removeDiscount: "Poista",
+          discountError: "Alennuskoodia ei voitu tarkistaa.",
+          repeat: "Toista viikoittain:",
+          repeatOnce: "Vain kerran",
+          repeatWeeks: "viikkoa",
+          savedAddress: "Tallennettu osoite:",
+          chooseSavedAddress: "Valitse tallennettu osoite",
+          vehicle: "Auto (valinnainen):",
+          noVehicle: "Ei valittua autoa",
           requirementHeaders: {
             address: "Osoitteen vaatimukset:",
             phone: "Puhelinnumeron vaatimukset:",
@@ -342,12 +534,19 @@ export const translations = {
       confirmPassword: "Confirm Password",
       cancel: "Cancel",
       creating: "Creating...",
-      registrationSuccess: "Registration successful!",
+      registrationSuccess:
+        "Registration successful! Verify your email address from the message we sent you.",
       loginSuccess: "Login successful!",
       forgotPassword: "Forgot your password?",
       resetPassword: "RESET PASSWORD",
       sendReset: "Send",
       passwordResetSuccess: "Email sent successfully!",
+      newPasswordTitle: "NEW PASSWORD",
+      setNewPassword: "Save",
+      saving: "Saving...",
+      newPasswordSuccess: "Password changed! Log in with your new password.",
+      requestNewLink: "Request a new reset link",
+      emailVerified: "Email address verified! You can now make bookings.",
       successIcon: "Success",
       errorIcon: "Error",
       errors: {
@@ -369,6 +568,8 @@ export const translations = {
         registrationFailed: "Registration failed.",
         loginFailed: "Login failed.",
         networkError: "Network error.",
+        verificationFailed:
+          "The verification link is invalid or has expired. Request a new link when booking.",
       },
     },
     // User Profile
@@ -385,16 +586,60 @@ export const translations = {
       bookingStatus: {
         confirmed: "Confirmed",
         draft: "Draft",
+        pending_payment: "Awaiting payment",
         cancelled: "Cancelled",
+        completed: "Completed",
       },
       loadingBookings: "Loading bookings...",
       bookingLocation: "Booking location: ",
-      deleteBooking: "Cancel",
-      deleteBookingConfirm:
-        "Are you sure you want to cancel this booking? The booking will be deleted permanently!",
-      deletingBooking: "Deleting booking...",
-      bookingDeleted: "BOOKING DELETED SUCCESSFULLY",
-      bookingDeleteError: "FAILED TO DELETE BOOKING",
+      bookingPhone: "Phone: ",
+      bookingPaymentMethod: "Payment method: ",
+      showReceipt: "Show price details",
+      hideReceipt: "Hide price details",
+      invoice: "Invoice",
+      invoiceDue: "due",
+      invoicePaid: "paid",
+      invoiceReference: "Reference number:",
+      downloadInvoice: "Download invoice (PDF)",
+      printReceipt: "Print receipt",
+      downloadReceipt: "Download receipt (PDF)",
+      downloadHistory: "Download booking history (CSV)",
+      addToCalendar: "Add to calendar",
+      calendarFeed: "Calendar subscription",
+      calendarFeedInfo:
+        "Subscribe to your bookings in Outlook or Google Calendar. Changes and cancellations update in your calendar automatically.",
+      calendarFeedUrl: "Subscription address",
+      calendarFeedEnable: "Turn on calendar subscription",
+      calendarFeedCopy: "Copy address",
+      calendarFeedCopied: "Address copied!",
+      calendarFeedRenew: "Change address",
+      calendarFeedDisable: "Turn off",
+      calendarFeedPrivate:
+        "Keep the address private. Changing the address stops the old subscription.",
+      calendarFeedError: "Updating the calendar subscription failed.",
+      cancelBooking: "Cancel",
+      skipOccurrence: "Skip this time",
+      seriesTitle: "RECURRING BOOKING:",
+      cancelSeries: "Cancel the series",
+      cancelSeriesConfirm:
+        "Do you really want to cancel all upcoming times? Times less than a day away can no longer be cancelled. You can tell us the reason if you like.",
+      seriesCancelled: "RECURRING BOOKING CANCELLED",
+      cancelBookingConfirm:
+        "Are you sure you want to cancel this booking? You can optionally tell us the reason.",
+      cancellingBooking: "Cancelling booking...",
+      cancelledBookings: "Cancelled Bookings",
+      cancelledAt: "Cancelled: ",
+      cancellationReason: "Reason: ",
+      rescheduleBooking: "Reschedule",
+      rescheduleTitle: "Choose a new time",
+      confirmReschedule: "Confirm new time",
+      rescheduling: "Rescheduling...",
+      bookingRescheduled: "BOOKING RESCHEDULED SUCCESSFULLY",
+      rescheduleError: "Failed to reschedule the booking.",
+      previousWeek: "Previous week",
+      nextWeek: "Next week",
+      bookingCancelled: "BOOKING CANCELLED SUCCESSFULLY",
+      bookingCancelError: "FAILED TO CANCEL BOOKING",
       deleteAccount: "DELETE ACCOUNT",
       deleteConfirm: "CONFIRM ACCOUNT DELETION",
       deleteWarning:
@@ -406,6 +651,45 @@ export const translations = {
       accountDeleted: "Account deleted successfully",
       deleteError: "Failed to delete account",
       close: "Close",
+      defaultContact: "DEFAULT CONTACT DETAILS",
+      editProfile: "Edit details",
+      editProfileTitle: "Edit your details",
+      defaultContactInfo:
+        "Default contact details are prefilled on new bookings.",
+      city: "City",
+      address: "Address",
+      phoneNumber: "Phone number",
+      save: "Save",
+      saving: "Saving...",
+      profileUpdated: "DETAILS UPDATED",
+      profileUpdatedVerifyEmail:
+        "DETAILS UPDATED, VERIFY YOUR NEW EMAIL ADDRESS",
+      profileUpdateError: "Updating your details failed.",
+      emailInUse: "Email address is already in use",
+      changePassword: "Change password",
+      changePasswordTitle: "Change your password",
+      currentPassword: "Current password",
+      newPassword: "New password",
+      wrongPassword: "Wrong password",
+      passwordChanged: "PASSWORD CHANGED",
+      passwordChangeError: "Changing the password failed.",
+      savedAddresses: "Saved addresses",
+      savedVehicles: "Saved cars",
+      noSavedAddresses: "No saved addresses",
+      noSavedVehicles: "No saved cars",
+      addAddress: "Add address",
+      addVehicle: "Add car",
+      removeSaved: "Remove",
+      addressLabel: "Name",
+      addressLabelPlaceholder: "E.g. Office",
+      licensePlate: "License plate",
+      vehicleMake: "Make and model",
+      vehicleColor: "Colour",
+      parkingNotes: "Parking spot",
+      parkingNotesPlaceholder: "E.g. parking garage, level 2",
+      savedLoadError: "Loading the saved details failed.",
+      savedSaveError: "Saving failed.",
+      savedDeleteError: "Removing failed.",
     },
     // Booking Success
     bookingSuccess: {
@@ -413,14 +697,89 @@ export const translations = {
       message:
         "Your booking has been confirmed.\nCheck the booking information and contact us when needed.",
       bookingDetails: "Booking Details:",
+      receipt: "Price details:",
       date: "Date:",
       time: "Time:",
       city: "City:",
       address: "Address:",
       phone: "Phone:",
       payment: "Payment:",
+      repeat: "Repeats weekly:",
+      times: "times",
+      skippedWeeks: "weeks were already booked",
+      addToCalendar: "Add to calendar (.ics)",
       close: "Close",
     },
+    // Price breakdown of a booking
+    receipt: {
+      service: "Service",
+      discount: "Discount",
+      total: "Total",
+      vat: "VAT",
+      net: "Price excl. VAT",
+    },
+    // Returning from the card or MobilePay payment page
+    payment: {
+      paid: "Payment received! Your booking is confirmed.",
+      failed:
+        "The payment failed, so the booking was not confirmed. You can make the booking again.",
+      pending:
+        "The payment is still being processed. Your booking is confirmed once the payment has arrived.",
+      checkFailed:
+        "The payment status could not be checked. You can see the status of your booking in your profile.",
+    },
+    // Admin Dashboard
+    admin: {
+      title: "Job Schedule",
+      dayView: "Day",
+      weekView: "Week",
+      previous: "Previous",
+      next: "Next",
+      today: "Today",
+      allCities: "All cities",
+      loading: "Loading bookings...",
+      loadError: "Failed to load bookings",
+      noBookings: "No bookings",
+      customer: "Customer:",
+      phone: "Phone:",
+      address: "Address:",
+      payment: "Payment:",
+      reason: "Cancellation reason:",
+      notes: "Notes:",
+      routeSheet: "Route sheet:",
+      printRouteSheet: "Print",
+      downloadRouteSheet: "Download CSV",
+      markDone: "Mark done",
+      cancelBooking: "Cancel",
+      cancelBookingConfirm: "Cancellation reason for the customer (optional):",
+      updating: "Updating...",
+      statusUpdateError: "Failed to update booking status",
+      invoices: {
+        title: "Invoices",
+        filters: {
+          unpaid: "Unpaid",
+          paid: "Paid",
+          all: "All",
+        },
+        status: {
+          unpaid: "Unpaid",
+          paid: "Paid",
+          cancelled: "Cancelled",
+        },
+        loading: "Loading invoices...",
+        loadError: "Failed to load invoices",
+        noInvoices: "No invoices",
+        number: "Invoice",
+        amount: "Amount:",
+        dueDate: "Due date:",
+        overdue: "overdue",
+        paidAt: "Paid:",
+        download: "Download PDF",
+        markPaid: "Mark paid",
+        markUnpaid: "Mark unpaid",
+        statusUpdateError: "Failed to update invoice status",
+      },
+    },
     // Footer
     footer: {
       contact: "Contact",
@@ -451,7 +810,8 @@ export const translations = {
       descriptionFirst:
         "WOCUUMING, short for Workday-Vacuuming, is a fast and efficient service that cleans your car interior during your workday. While you focus on your work, our cleaning service takes care of your car's interior in the parking lot.",
       descriptionSecond:
-        "Return from work to a fresh and clean car – no need to sacrifice your weekends cleaning your car. We operate in the Helsinki-Vantaa-Espoo area for 49€ (VAT 25,5% included).",
+        "Return from work to a fresh and clean car – no need to sacrifice your weekends cleaning your car. We operate in the Helsinki-Vantaa-Espoo area.",
+      priceFrom: "Prices from",
       valueProposition:
         "We clean your car interior during your workday – so you can drive home in a clean car.",
       imagePlaceholder: "Cleaning service at work",
@@ -459,7 +819,6 @@ export const translations = {
     // Services section
     services: {
       title: "Services",
-      comingSoon: "COMING SOON!",
     },
     // Explanation/Process section
     explanation: {
@@ -498,17 +857,11 @@ export const translations = {
     },
     // Pricing Calendar
     pricing: {
-      title: "Wocuuming",
-      price: "49€",
-      vatIncluded: "(VAT included)",
+      vatIncluded: "incl. VAT",
       perCleaning: "per cleaning",
       explanation: "Included:",
-      services: {
-        vacuuming: "Vacuuming",
-        wiping: "Surface wiping",
-        windowCleaning: "Interior window cleaning",
-        seatCleaning: "Dry seat cleaning",
-      },
+      loadingServices: "Loading services...",
+      servicesLoadError: "Loading the services failed. Please try again later.",
       features: {
         professional: "Professional cleaning service.",
         convenient: "Scheduled at your convenience.",
@@ -553,6 +906,21 @@ export const translations = {
         },
         week: "Week",
         pleaseSelectDate: "Please select a date first",
+        availabilityError:
+          "Failed to load available times. Please try again later.",
+        slotTaken: "The time you selected was just booked by someone else.",
+        alternatives: "Free times in the coming days:",
+        invalidBooking: "The booking could not be made:",
+        slotHeld:
+          "The time is held for you while you finish the booking. The hold is released at",
+        holdExpired:
+          "The hold on your selected time expired. Please select a time again.",
+        emailNotVerified:
+          "Please verify your email address before booking. The verification link was sent when you registered.",
+        resendVerification: "Resend verification link",
+        verificationSent: "Verification link sent!",
+        verificationSendError:
+          "Sending the verification link failed. Please try again later.",
         selectDateTime: "Select Date and Time",
         confirmBooking: "Confirm Booking",
         bookingConfirmation:
@@ -582,6 +950,21 @@ export const translations = {
           addressPlaceholder: 'Format: "Example Street 14 A, 00750"',
           phoneInput: "Insert phonenumber:",
           phonePlaceholder: 'Format: "0401234567"',
+          notesInput: "Notes for the cleaners (optional):",
+          notesPlaceholder: "E.g. door code or parking instructions",
+          addOns: "Extras (optional):",
+          total: "Total:",
+          discountCode: "Discount code (optional):",
+          applyDiscount: "Apply",
+          removeDiscount: "Remove",
+          discountError: "The discount code couldn't be checked.",
+          repeat: "Repeat weekly:",
+          repeatOnce: "Just once",
+          repeatWeeks: "weeks",
+          savedAddress: "Saved address:",
+          chooseSavedAddress: "Choose a saved address",
+          vehicle: "Car (optional):",
+          noVehicle: "No car selected",
           requirementHeaders: {
             address: "Address requirements:",
             phone: "Phone number requirements:",
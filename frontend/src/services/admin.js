@@ -0,0 +1,227 @@
+/**
+ * Admin service for the operator's booking management API calls
+ */
+
+// Configure API base URL consistently with bookings.js
+const API_BASE_URL = import.meta.env.PROD
+  ? "" // Use same origin in production
+  : import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+
+// CSRF token management
+let csrfToken = null;
+
+/**
+ * Get CSRF token from backend
+ */
+const getCsrfToken = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/csrf-token`, {
+      credentials: "include",
+    });
+    const data = await response.json();
+    csrfToken = data.csrfToken;
+    return csrfToken;
+  } catch (error) {
+    console.error("Failed to get CSRF token:", error);
+    return null;
+  }
+};
+
+/**
+ * Helper function to add CSRF token to headers
+ */
+const getHeaders = async (additionalHeaders = {}) => {
+  const headers = {
+    "Content-Type": "application/json",
+    ...additionalHeaders,
+  };
+
+  // Add CSRF token in production
+  if (import.meta.env.PROD) {
+    if (!csrfToken) {
+      await getCsrfToken();
+    }
+    if (csrfToken) {
+      headers["X-CSRF-Token"] = csrfToken;
+    }
+  }
+
+  return headers;
+};
+
+/**
+ * Get all customers' bookings, drafts excluded unless filtered by status
+ * @param {Object} [filters] - Optional filters and pagination
+ * @param {string} [filters.from] - First day in YYYY-MM-DD format
+ * @param {string} [filters.to] - Last day in YYYY-MM-DD format
+ * @param {string} [filters.city] - helsinki, vantaa or espoo
+ * @param {string} [filters.status] - Booking status
+ * @param {number} [filters.page] - Page number
+ * @param {number} [filters.pageSize] - Bookings per page (max 100)
+ * @returns {Promise<Object>} Bookings and pagination details
+ * @throws {Error} With `status` attached, e.g. 403 for non-admin users
+ */
+export const getAdminBookings = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        params.set(key, value);
+      }
+    });
+    const query = params.toString() ? `?${params.toString()}` : "";
+
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/admin/bookings${query}`, {
+      method: "GET",
+      headers,
+      credentials: "include",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error fetching admin bookings:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the address of a day's route sheet, opened in the browser to print
+ * or download it with the session cookie
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {string} [format="html"] - html (printable) or csv
+ * @returns {string} Route sheet URL
+ */
+export const getRouteSheetUrl = (date, format = "html") =>
+  `${API_BASE_URL}/api/admin/route-sheet?${new URLSearchParams({
+    date,
+    format,
+  }).toString()}`;
+
+/**
+ * Get the invoices of bank transfer bookings, newest first
+ * @param {Object} [filters] - Optional filters and pagination
+ * @param {string} [filters.status] - UNPAID, PAID or CANCELLED
+ * @param {number} [filters.page] - Page number
+ * @param {number} [filters.pageSize] - Invoices per page (max 100)
+ * @returns {Promise<Object>} Invoices and pagination details
+ * @throws {Error} With `status` attached, e.g. 403 for non-admin users
+ */
+export const getAdminInvoices = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        params.set(key, value);
+      }
+    });
+    const query = params.toString() ? `?${params.toString()}` : "";
+
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/admin/invoices${query}`, {
+      method: "GET",
+      headers,
+      credentials: "include",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error fetching admin invoices:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark an invoice paid when the bank transfer has arrived, or unpaid again
+ * @param {string} invoiceId - The invoice ID
+ * @param {string} status - PAID or UNPAID
+ * @returns {Promise<Object>} The updated invoice
+ * @throws {Error} With `status` and response `data` attached
+ */
+export const updateInvoiceStatus = async (invoiceId, status) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(
+      `${API_BASE_URL}/api/admin/invoices/${invoiceId}/status`,
+      {
+        method: "PATCH",
+        headers,
+        credentials: "include",
+        body: JSON.stringify({ status }),
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error updating invoice status:", error);
+    throw error;
+  }
+};
+
+/**
+ * Change the status of a booking
+ * @param {string} bookingId - The booking ID
+ * @param {string} status - CONFIRMED, CANCELLED or COMPLETED
+ * @param {string} [reason] - Optional cancellation reason
+ * @returns {Promise<Object>} The updated booking
+ * @throws {Error} With `status` and response `data` attached
+ */
+export const updateBookingStatus = async (bookingId, status, reason) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(
+      `${API_BASE_URL}/api/admin/bookings/${bookingId}/status`,
+      {
+        method: "PATCH",
+        headers,
+        credentials: "include",
+        body: JSON.stringify(reason ? { status, reason } : { status }),
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error updating booking status:", error);
+    throw error;
+  }
+};
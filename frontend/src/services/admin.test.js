@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import {
+  getAdminBookings,
+  getAdminInvoices,
+  getRouteSheetUrl,
+  updateBookingStatus,
+  updateInvoiceStatus,
+} from "./admin.js";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+describe("Admin Service", () => {
+  beforeEach(() => {
+    // Reset handlers before each test
+    server.resetHandlers();
+  });
+
+  describe("getAdminBookings", () => {
+    it("should send filters as query parameters", async () => {
+      let requestedUrl;
+      server.use(
+        http.get(`${API_BASE_URL}/api/admin/bookings`, ({ request }) => {
+          requestedUrl = new URL(request.url);
+          return HttpResponse.json({
+            bookings: [],
+            pagination: { page: 2, pageSize: 10, total: 0, totalPages: 0 },
+          });
+        })
+      );
+
+      await getAdminBookings({
+        from: "2025-09-15",
+        to: "2025-09-19",
+        city: "",
+        page: 2,
+        pageSize: 10,
+      });
+
+      expect(requestedUrl.searchParams.get("from")).toBe("2025-09-15");
+      expect(requestedUrl.searchParams.get("to")).toBe("2025-09-19");
+      expect(requestedUrl.searchParams.get("page")).toBe("2");
+      expect(requestedUrl.searchParams.has("city")).toBe(false);
+    });
+
+    it("should return bookings with pagination", async () => {
+      const result = await getAdminBookings({ city: "helsinki" });
+
+      expect(result.bookings).toHaveLength(1);
+      expect(result.bookings[0].city).toBe("HELSINKI");
+      expect(result.pagination.total).toBe(1);
+    });
+
+    it("should expose the status of a forbidden request", async () => {
+      server.use(
+        http.get(`${API_BASE_URL}/api/admin/bookings`, () => {
+          return HttpResponse.json(
+            { error: "Insufficient permissions" },
+            { status: 403 }
+          );
+        })
+      );
+
+      await expect(getAdminBookings()).rejects.toMatchObject({
+        message: "Insufficient permissions",
+        status: 403,
+      });
+    });
+  });
+
+  describe("getRouteSheetUrl", () => {
+    it("should point to the printable route sheet by default", () => {
+      expect(getRouteSheetUrl("2025-09-19")).toBe(
+        `${API_BASE_URL}/api/admin/route-sheet?date=2025-09-19&format=html`
+      );
+    });
+
+    it("should point to the CSV route sheet", () => {
+      expect(getRouteSheetUrl("2025-09-19", "csv")).toBe(
+        `${API_BASE_URL}/api/admin/route-sheet?date=2025-09-19&format=csv`
+      );
+    });
+  });
+
+  describe("updateBookingStatus", () => {
+    it("should mark a booking completed", async () => {
+      const result = await updateBookingStatus("admin-1", "COMPLETED");
+
+      expect(result).toMatchObject({ id: "admin-1", status: "COMPLETED" });
+    });
+
+    it("should send the cancellation reason", async () => {
+      const result = await updateBookingStatus(
+        "admin-1",
+        "CANCELLED",
+        "Crew is sick"
+      );
+
+      expect(result.status).toBe("CANCELLED");
+      expect(result.cancellationReason).toBe("Crew is sick");
+    });
+
+    it("should handle booking not found error", async () => {
+      await expect(
+        updateBookingStatus("non-existent", "COMPLETED")
+      ).rejects.toMatchObject({ message: "Booking not found", status: 404 });
+    });
+  });
+
+  describe("getAdminInvoices", () => {
+    it("should return invoices filtered by status", async () => {
+      const result = await getAdminInvoices({ status: "UNPAID" });
+
+      expect(result.invoices).toHaveLength(2);
+      expect(result.invoices.every((i) => i.status === "UNPAID")).toBe(true);
+      expect(result.pagination.total).toBe(2);
+    });
+
+    it("should leave out empty filters", async () => {
+      let requestedUrl;
+      server.use(
+        http.get(`${API_BASE_URL}/api/admin/invoices`, ({ request }) => {
+          requestedUrl = new URL(request.url);
+          return HttpResponse.json({
+            invoices: [],
+            pagination: { page: 1, pageSize: 20, total: 0, totalPages: 0 },
+          });
+        })
+      );
+
+      await getAdminInvoices({ status: "", page: 1 });
+
+      expect(requestedUrl.searchParams.has("status")).toBe(false);
+      expect(requestedUrl.searchParams.get("page")).toBe("1");
+    });
+  });
+
+  describe("updateInvoiceStatus", () => {
+    it("should mark an invoice paid", async () => {
+      const result = await updateInvoiceStatus("invoice-1", "PAID");
+
+      expect(result).toMatchObject({ id: "invoice-1", status: "PAID" });
+      expect(result.paidAt).not.toBeNull();
+    });
+
+    it("should handle invoice not found error", async () => {
+      await expect(
+        updateInvoiceStatus("non-existent", "PAID")
+      ).rejects.toMatchObject({ message: "Invoice not found", status: 404 });
+    });
+  });
+});
@@ -52,13 +52,17 @@ const getHeaders = async (additionalHeaders = {}) => {
 /**
  * Create a new booking
  * @param {Object} bookingData - The booking data
- * @param {string} bookingData.date - Booking date in ISO format
+ * @param {string} bookingData.date - Booking day as a Europe/Helsinki day key
+ * (YYYY-MM-DD)
  * @param {string} bookingData.timeSlot - Selected time slot
  * @param {string} bookingData.city - Selected city
  * @param {string} bookingData.address - Customer address
  * @param {string} bookingData.phoneNumber - Customer phone number
  * @param {string} bookingData.paymentMethod - Selected payment method
- * @returns {Promise<Object>} The created booking
+ * @returns {Promise<Object>} The created booking, card and MobilePay bookings
+ * wait for the payment at `payment.redirectUrl`
+ * @throws {Error} With `status` and response `data` attached, e.g. 409 with
+ * `data.alternatives` when the selected time slot is already full
  */
 export const createBooking = async (bookingData) => {
   try {
@@ -72,9 +76,12 @@ export const createBooking = async (bookingData) => {
 
     if (!response.ok) {
       const errorData = await response.json();
-      throw new Error(
+      const error = new Error(
         errorData.error || `HTTP error! status: ${response.status}`
       );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
     }
 
     return await response.json();
@@ -84,6 +91,125 @@ export const createBooking = async (bookingData) => {
   }
 };
 
+/**
+ * Hold a time slot with a draft booking while the checkout is finished
+ * @param {Object} slot - The slot to hold
+ * @param {string} slot.date - Booking day as a Europe/Helsinki day key
+ * (YYYY-MM-DD)
+ * @param {string} slot.timeSlot - Selected time slot
+ * @returns {Promise<Object>} The draft booking with `holdExpiresAt`
+ * @throws {Error} With `status` and response `data` attached, e.g. 409 with
+ * `data.alternatives` when the selected time slot is already full
+ */
+export const createDraftBooking = async ({ date, timeSlot }) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/bookings/draft`, {
+      method: "POST",
+      headers,
+      credentials: "include",
+      body: JSON.stringify({ date, timeSlot }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error creating draft booking:", error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm a draft booking with the checkout details
+ * @param {string} draftId - The draft booking ID
+ * @param {Object} details - Checkout details
+ * @param {string} details.city - Selected city
+ * @param {string} details.address - Customer address
+ * @param {string} details.phoneNumber - Customer phone number
+ * @param {string} details.paymentMethod - Selected payment method
+ * @returns {Promise<Object>} The confirmed booking, card and MobilePay bookings
+ * wait for the payment at `payment.redirectUrl`
+ * @throws {Error} With `status` and response `data` attached, e.g. 404 when
+ * the hold has expired and the draft was removed
+ */
+export const confirmBooking = async (draftId, details) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(
+      `${API_BASE_URL}/api/bookings/${draftId}/confirm`,
+      {
+        method: "POST",
+        headers,
+        credentials: "include",
+        body: JSON.stringify(details),
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error confirming booking:", error);
+    throw error;
+  }
+};
+
+/**
+ * Book the same weekday and time slot every week, starting from the given date
+ * @param {Object} seriesData - Booking data of the first occurrence with `weeks`
+ * @param {string} seriesData.date - Day of the first occurrence as a
+ * Europe/Helsinki day key (YYYY-MM-DD)
+ * @param {string} seriesData.timeSlot - Selected time slot
+ * @param {number} seriesData.weeks - Number of weeks (2-12)
+ * @returns {Promise<Object>} The series with its `bookings` and the `skipped`
+ * days whose slot was already full, one `payment` covers the whole series
+ * @throws {Error} With `status` and response `data` attached, e.g. 409 with
+ * `data.alternatives` when no week has a free slot
+ */
+export const createBookingSeries = async (seriesData) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/bookings/series`, {
+      method: "POST",
+      headers,
+      credentials: "include",
+      body: JSON.stringify(seriesData),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error creating booking series:", error);
+    throw error;
+  }
+};
+
 /**
  * Get all bookings for the current user
  * @returns {Promise<Array>} Array of user bookings
@@ -112,14 +238,356 @@ export const getUserBookings = async () => {
 };
 
 /**
- * Delete a booking completely
- * @param {string} bookingId - The booking ID to delete
- * @returns {Promise<Object>} The delete confirmation
+ * Get available time slots per day
+ * @param {Object} [range] - Optional day range, defaults to the whole booking window
+ * @param {string} [range.from] - First day in YYYY-MM-DD format
+ * @param {string} [range.to] - Last day in YYYY-MM-DD format
+ * @returns {Promise<Object>} Slot capacity and available slots per day
+ */
+export const getAvailability = async ({ from, to } = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    const query = params.toString() ? `?${params.toString()}` : "";
+
+    const response = await fetch(`${API_BASE_URL}/api/availability${query}`, {
+      method: "GET",
+      credentials: "include",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error fetching availability:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the bookable service tiers in carousel order
+ * @returns {Promise<Array>} Services with names and tasks in both languages,
+ * price in cents (VAT included) and VAT rate
+ */
+export const getServices = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/services`, {
+      method: "GET",
+      credentials: "include",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error fetching services:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the add-ons that can be picked on top of any service tier
+ * @returns {Promise<Array>} Add-ons with names in both languages,
+ * price in cents (VAT included) and VAT rate
+ */
+export const getAddOns = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/services/add-ons`, {
+      method: "GET",
+      credentials: "include",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error fetching add-ons:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the price of a booking with a discount code applied
+ * @param {Object} details - Priced items
+ * @param {string} [details.serviceId] - Service tier
+ * @param {Array<string>} [details.addOnIds] - Picked add-ons
+ * @param {string} [details.discountCode] - Campaign code
+ * @returns {Promise<Object>} Lines, subtotal, discount, total and VAT in cents
+ * @throws {Error} With `status` and response `data` attached, e.g. 400 with
+ * `data.errors.discountCode` when the code can't be used
+ */
+export const getQuote = async (details) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/bookings/quote`, {
+      method: "POST",
+      headers,
+      credentials: "include",
+      body: JSON.stringify(details),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error fetching quote:", error);
+    throw error;
+  }
+};
+
+/**
+ * Reschedule a booking or update its address and phone number
+ * @param {string} bookingId - The booking ID to update
+ * @param {Object} updates - Changed fields (date, timeSlot, address, phoneNumber),
+ * `date` is a Europe/Helsinki day key (YYYY-MM-DD)
+ * @returns {Promise<Object>} The updated booking
  */
-export const deleteBooking = async (bookingId) => {
+export const rescheduleBooking = async (bookingId, updates) => {
   try {
     const headers = await getHeaders();
     const response = await fetch(`${API_BASE_URL}/api/bookings/${bookingId}`, {
+      method: "PATCH",
+      headers,
+      credentials: "include",
+      body: JSON.stringify(updates),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error rescheduling booking:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a booking, the booking is kept with CANCELLED status
+ * @param {string} bookingId - The booking ID to cancel
+ * @param {string} [reason] - Optional cancellation reason
+ * @returns {Promise<Object>} The cancellation confirmation with the cancelled booking
+ */
+export const cancelBooking = async (bookingId, reason) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/bookings/${bookingId}`, {
+      method: "DELETE",
+      headers,
+      credentials: "include",
+      body: JSON.stringify(reason ? { reason } : {}),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error cancelling booking:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a recurring series, occurrences closer than the cancellation cutoff
+ * still take place. A single occurrence is skipped with cancelBooking.
+ * @param {string} seriesId - The series ID to cancel
+ * @param {string} [reason] - Optional cancellation reason
+ * @returns {Promise<Object>} The cancelled series with `cancelledCount`
+ */
+export const cancelBookingSeries = async (seriesId, reason) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(
+      `${API_BASE_URL}/api/bookings/series/${seriesId}`,
+      {
+        method: "DELETE",
+        headers,
+        credentials: "include",
+        body: JSON.stringify(reason ? { reason } : {}),
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error cancelling booking series:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the status of a card or MobilePay payment after returning from the
+ * payment page
+ * @param {string} paymentId - The payment ID from the return address
+ * @returns {Promise<Object>} The payment with `status` and its `bookings`
+ * @throws {Error} With `status` and response `data` attached, e.g. 404 when
+ * the payment belongs to someone else
+ */
+export const getPayment = async (paymentId) => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/payments/${paymentId}`, {
+      method: "GET",
+      headers,
+      credentials: "include",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      const error = new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error fetching payment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the address of an invoice PDF, opened in the browser to download it
+ * with the session cookie
+ * @param {string} invoiceId - The invoice ID
+ * @returns {string} Invoice PDF URL
+ */
+export const getInvoicePdfUrl = (invoiceId) =>
+  `${API_BASE_URL}/api/invoices/${invoiceId}/pdf`;
+
+/**
+ * Get the address of a booking's receipt, opened in the browser to print or
+ * download it with the session cookie
+ * @param {string} bookingId - The booking ID
+ * @param {string} [format="html"] - html (printable) or pdf
+ * @returns {string} Receipt URL
+ */
+export const getReceiptUrl = (bookingId, format = "html") =>
+  `${API_BASE_URL}/api/bookings/${bookingId}/receipt?format=${format}`;
+
+/**
+ * Get the address of the user's booking history as CSV
+ * @returns {string} Booking history export URL
+ */
+export const getBookingHistoryUrl = () => `${API_BASE_URL}/api/bookings/export`;
+
+/**
+ * Get the address of a booking as an .ics calendar event, opened in the
+ * browser to add the booking to a calendar app
+ * @param {string} bookingId - The booking ID
+ * @returns {string} Calendar event URL
+ */
+export const getBookingCalendarUrl = (bookingId) =>
+  `${API_BASE_URL}/api/bookings/${bookingId}/calendar.ics`;
+
+/**
+ * Get the address of the user's calendar feed
+ * @returns {Promise<Object>} `{ url }`, url is null when the feed is off
+ */
+export const getCalendarFeed = async () => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/bookings/calendar-feed`, {
+      method: "GET",
+      headers,
+      credentials: "include",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error fetching calendar feed:", error);
+    throw error;
+  }
+};
+
+/**
+ * Turn on the user's calendar feed with a new address, the previous address
+ * stops working
+ * @returns {Promise<Object>} `{ url }` to subscribe to in a calendar app
+ */
+export const createCalendarFeed = async () => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/bookings/calendar-feed`, {
+      method: "POST",
+      headers,
+      credentials: "include",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error creating calendar feed:", error);
+    throw error;
+  }
+};
+
+/**
+ * Turn off the user's calendar feed
+ * @returns {Promise<Object>} `{ url: null }`
+ */
+export const deleteCalendarFeed = async () => {
+  try {
+    const headers = await getHeaders();
+    const response = await fetch(`${API_BASE_URL}/api/bookings/calendar-feed`, {
       method: "DELETE",
       headers,
       credentials: "include",
@@ -134,7 +602,7 @@ export const deleteBooking = async (bookingId) => {
 
     return await response.json();
   } catch (error) {
-    console.error("Error deleting booking:", error);
+    console.error("Error removing calendar feed:", error);
     throw error;
   }
 };
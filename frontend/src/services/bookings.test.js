@@ -1,7 +1,28 @@
 import { describe, it, expect, beforeEach } from "vitest";
 import { server } from "../test/mocks/server.js";
 import { http, HttpResponse } from "msw";
-import { createBooking, getUserBookings, deleteBooking } from "./bookings.js";
+import {
+  createBooking,
+  getUserBookings,
+  cancelBooking,
+  getAvailability,
+  rescheduleBooking,
+  createDraftBooking,
+  confirmBooking,
+  getServices,
+  getAddOns,
+  getQuote,
+  createBookingSeries,
+  cancelBookingSeries,
+  getPayment,
+  getInvoicePdfUrl,
+  getReceiptUrl,
+  getBookingHistoryUrl,
+  getBookingCalendarUrl,
+  getCalendarFeed,
+  createCalendarFeed,
+  deleteCalendarFeed,
+} from "./bookings.js";
 
 // API base URL from environment or default
 const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
@@ -73,6 +94,69 @@ describe("Bookings Service", () => {
       );
     });
 
+    it("should expose alternatives when the time slot is fully booked", async () => {
+      const alternatives = [
+        {
+          date: "2025-09-16",
+          availableSlots: [{ id: 2, label: "11:00 - 13:00", remaining: 1 }],
+        },
+      ];
+
+      server.use(
+        http.post(`${API_BASE_URL}/api/bookings`, () => {
+          return HttpResponse.json(
+            { error: "Selected time slot is fully booked", alternatives },
+            { status: 409 }
+          );
+        })
+      );
+
+      const bookingData = {
+        date: "2025-09-15T10:00:00.000Z",
+        timeSlot: "09:00 - 11:00",
+        city: "Helsinki",
+        address: "Testikatu 123, 00100",
+        phoneNumber: "+358501234567",
+        paymentMethod: "card",
+      };
+
+      await expect(createBooking(bookingData)).rejects.toMatchObject({
+        message: "Selected time slot is fully booked",
+        status: 409,
+        data: { alternatives },
+      });
+    });
+
+    it("should expose field errors when booking rules are violated", async () => {
+      const errors = {
+        city: ["We only operate in Helsinki, Vantaa and Espoo"],
+      };
+
+      server.use(
+        http.post(`${API_BASE_URL}/api/bookings`, () => {
+          return HttpResponse.json(
+            { error: "Invalid booking data", errors },
+            { status: 400 }
+          );
+        })
+      );
+
+      const bookingData = {
+        date: "2025-09-15T10:00:00.000Z",
+        timeSlot: "09:00 - 11:00",
+        city: "Tampere",
+        address: "Testikatu 123, 00100",
+        phoneNumber: "+358501234567",
+        paymentMethod: "card",
+      };
+
+      await expect(createBooking(bookingData)).rejects.toMatchObject({
+        message: "Invalid booking data",
+        status: 400,
+        data: { errors },
+      });
+    });
+
     it("should handle network errors when creating booking", async () => {
       // Override handler to simulate network error
       server.use(
@@ -119,6 +203,198 @@ describe("Bookings Service", () => {
     });
   });
 
+  describe("createDraftBooking", () => {
+    it("should hold the selected time slot", async () => {
+      const result = await createDraftBooking({
+        date: "2025-09-17T21:00:00.000Z",
+        timeSlot: "13:00 - 15:00",
+      });
+
+      expect(result.id).toBe("draft-123");
+      expect(result.status).toBe("DRAFT");
+      expect(result.timeSlot).toBe("13:00 - 15:00");
+      expect(new Date(result.holdExpiresAt).getTime()).toBeGreaterThan(
+        Date.now()
+      );
+    });
+
+    it("should expose alternatives when the slot is full", async () => {
+      server.use(
+        http.post(`${API_BASE_URL}/api/bookings/draft`, () => {
+          return HttpResponse.json(
+            { error: "Selected time slot is fully booked", alternatives: [] },
+            { status: 409 }
+          );
+        })
+      );
+
+      await expect(
+        createDraftBooking({
+          date: "2025-09-17T21:00:00.000Z",
+          timeSlot: "13:00 - 15:00",
+        })
+      ).rejects.toMatchObject({
+        status: 409,
+        data: { alternatives: [] },
+      });
+    });
+  });
+
+  describe("confirmBooking", () => {
+    it("should confirm the draft with checkout details", async () => {
+      const result = await confirmBooking("draft-123", {
+        city: "helsinki",
+        address: "Testikatu 1, 00100",
+        phoneNumber: "+358501234567",
+        paymentMethod: "card",
+      });
+
+      expect(result.id).toBe("draft-123");
+      expect(result.status).toBe("CONFIRMED");
+      expect(result.paymentMethod).toBe("CARD");
+    });
+
+    it("should report an expired hold", async () => {
+      await expect(
+        confirmBooking("non-existent", {
+          city: "helsinki",
+          address: "Testikatu 1, 00100",
+          phoneNumber: "+358501234567",
+          paymentMethod: "card",
+        })
+      ).rejects.toMatchObject({
+        message: "Draft booking not found",
+        status: 404,
+      });
+    });
+  });
+
+  describe("createBookingSeries", () => {
+    it("should book a weekly series", async () => {
+      const result = await createBookingSeries({
+        date: "2025-09-15",
+        timeSlot: "13:00 - 15:00",
+        weeks: 4,
+        city: "helsinki",
+        address: "Testikatu 1, 00100",
+        phoneNumber: "+358501234567",
+        paymentMethod: "card",
+      });
+
+      expect(result.id).toBe("series-123");
+      expect(result.weeks).toBe(4);
+      expect(result.bookings[0].seriesId).toBe("series-123");
+      expect(result.skipped).toEqual([]);
+    });
+
+    it("should expose field errors for an invalid series", async () => {
+      await expect(
+        createBookingSeries({
+          date: "2025-09-15",
+          timeSlot: "13:00 - 15:00",
+          weeks: 20,
+        })
+      ).rejects.toMatchObject({
+        status: 400,
+        data: { errors: { weeks: ["A series lasts 2 to 12 weeks"] } },
+      });
+    });
+  });
+
+  describe("cancelBookingSeries", () => {
+    it("should cancel the whole series", async () => {
+      const result = await cancelBookingSeries("series-123", "Moving away");
+
+      expect(result.success).toBe(true);
+      expect(result.series.status).toBe("CANCELLED");
+      expect(result.cancelledCount).toBe(2);
+    });
+
+    it("should handle a missing series", async () => {
+      await expect(cancelBookingSeries("non-existent")).rejects.toThrow(
+        "Series not found"
+      );
+    });
+  });
+
+  describe("getPayment", () => {
+    it("should fetch the payment status with its bookings", async () => {
+      const result = await getPayment("payment-123");
+
+      expect(result.status).toBe("PAID");
+      expect(result.amountCents).toBe(4900);
+      expect(result.bookings[0].status).toBe("CONFIRMED");
+    });
+
+    it("should attach the status of a missing payment", async () => {
+      await expect(getPayment("non-existent")).rejects.toMatchObject({
+        message: "Payment not found",
+        status: 404,
+      });
+    });
+  });
+
+  describe("getInvoicePdfUrl", () => {
+    it("should point to the invoice PDF", () => {
+      expect(getInvoicePdfUrl("invoice-1")).toBe(
+        `${API_BASE_URL}/api/invoices/invoice-1/pdf`
+      );
+    });
+  });
+
+  describe("getReceiptUrl", () => {
+    it("should point to the printable receipt by default", () => {
+      expect(getReceiptUrl("1")).toBe(
+        `${API_BASE_URL}/api/bookings/1/receipt?format=html`
+      );
+    });
+
+    it("should point to the receipt PDF", () => {
+      expect(getReceiptUrl("1", "pdf")).toBe(
+        `${API_BASE_URL}/api/bookings/1/receipt?format=pdf`
+      );
+    });
+  });
+
+  describe("getBookingHistoryUrl", () => {
+    it("should point to the CSV export", () => {
+      expect(getBookingHistoryUrl()).toBe(
+        `${API_BASE_URL}/api/bookings/export`
+      );
+    });
+  });
+
+  describe("getBookingCalendarUrl", () => {
+    it("should point to the booking's calendar event", () => {
+      expect(getBookingCalendarUrl("1")).toBe(
+        `${API_BASE_URL}/api/bookings/1/calendar.ics`
+      );
+    });
+  });
+
+  describe("calendar feed", () => {
+    it("should create, read and remove the calendar feed address", async () => {
+      expect(await getCalendarFeed()).toEqual({ url: null });
+
+      const created = await createCalendarFeed();
+      expect(created.url).toContain("/api/bookings/calendar.ics?token=");
+
+      expect(await deleteCalendarFeed()).toEqual({ url: null });
+    });
+
+    it("should throw when the feed can't be updated", async () => {
+      server.use(
+        http.post(`${API_BASE_URL}/api/bookings/calendar-feed`, () =>
+          HttpResponse.json({ error: "Internal server error" }, { status: 500 })
+        )
+      );
+
+      await expect(createCalendarFeed()).rejects.toThrow(
+        "Internal server error"
+      );
+    });
+  });
+
   describe("getUserBookings", () => {
     it("should fetch user bookings successfully", async () => {
       const result = await getUserBookings();
@@ -128,12 +404,17 @@ describe("Bookings Service", () => {
           id: "1",
           date: "2025-08-30T10:00:00.000Z",
           timeSlot: "10:00-12:00",
-          city: "Helsinki",
-          location: "Testikatu 1, Helsinki",
+          city: "HELSINKI",
+          location: "Testikatu 1, 00100, Helsinki",
+          streetAddress: "Testikatu 1",
+          postalCode: "00100",
           phoneNumber: "+358501234567",
-          paymentMethod: "card",
+          paymentMethod: "CARD",
           status: "CONFIRMED",
           createdAt: "2025-08-25T12:00:00.000Z",
+          totalCents: 4900,
+          receiptAvailable: true,
+          receipt: expect.objectContaining({ totalCents: 4900, vatCents: 996 }),
           user: {
             id: "1",
             email: "test@example.com",
@@ -144,10 +425,12 @@ describe("Bookings Service", () => {
           id: "2",
           date: "2025-09-01T14:00:00.000Z",
           timeSlot: "14:00-16:00",
-          city: "Espoo",
+          city: null,
           location: "Esimerkkitie 5, Espoo",
-          phoneNumber: "+358507654321",
-          paymentMethod: "cash",
+          streetAddress: null,
+          postalCode: null,
+          phoneNumber: null,
+          paymentMethod: null,
           status: "CONFIRMED",
           createdAt: "2025-08-26T12:00:00.000Z",
           user: {
@@ -208,21 +491,185 @@ describe("Bookings Service", () => {
     });
   });
 
-  describe("deleteBooking", () => {
-    it("should delete a booking successfully", async () => {
-      const bookingId = "booking-123";
-      const result = await deleteBooking(bookingId);
+  describe("getAvailability", () => {
+    it("should fetch availability for the whole booking window by default", async () => {
+      let requestedUrl = null;
 
-      expect(result).toEqual({
-        message: "Booking deleted successfully",
-        deletedBookingId: bookingId,
+      server.use(
+        http.get(`${API_BASE_URL}/api/availability`, ({ request }) => {
+          requestedUrl = new URL(request.url);
+          return HttpResponse.json({ capacity: 1, dates: [] });
+        })
+      );
+
+      const result = await getAvailability();
+
+      expect(result).toEqual({ capacity: 1, dates: [] });
+      expect(requestedUrl.search).toBe("");
+    });
+
+    it("should pass the requested day range as query parameters", async () => {
+      const result = await getAvailability({
+        from: "2025-09-15",
+        to: "2025-09-19",
       });
+
+      expect(result.from).toBe("2025-09-15");
+      expect(result.to).toBe("2025-09-19");
+      expect(result.dates[0].availableSlots[0].label).toBe("09:00 - 11:00");
+    });
+
+    it("should handle server errors when fetching availability", async () => {
+      server.use(
+        http.get(`${API_BASE_URL}/api/availability`, () => {
+          return HttpResponse.json(
+            { error: "Internal server error" },
+            { status: 500 }
+          );
+        })
+      );
+
+      await expect(getAvailability()).rejects.toThrow("Internal server error");
+    });
+  });
+
+  describe("getServices", () => {
+    it("should fetch the service tiers with prices", async () => {
+      const result = await getServices();
+
+      expect(result.map((service) => service.slug)).toEqual([
+        "basic",
+        "premium",
+      ]);
+      expect(result[0].priceCents).toBe(4900);
+      expect(result[0].vatRate).toBe(25.5);
+      expect(result[1].tasks.en).toContain("Wet cleaning of seats and mats");
+    });
+
+    it("should handle server errors when fetching services", async () => {
+      server.use(
+        http.get(`${API_BASE_URL}/api/services`, () => {
+          return HttpResponse.json(
+            { error: "Internal server error" },
+            { status: 500 }
+          );
+        })
+      );
+
+      await expect(getServices()).rejects.toThrow("Internal server error");
+    });
+  });
+
+  describe("getAddOns", () => {
+    it("should fetch the add-ons with prices", async () => {
+      const result = await getAddOns();
+
+      expect(result.map((addOn) => addOn.slug)).toEqual([
+        "pet-hair",
+        "seat-shampoo",
+      ]);
+      expect(result[0].name.en).toBe("Pet hair removal");
+      expect(result[1].priceCents).toBe(2500);
+    });
+
+    it("should handle server errors when fetching add-ons", async () => {
+      server.use(
+        http.get(`${API_BASE_URL}/api/services/add-ons`, () => {
+          return HttpResponse.json(
+            { error: "Internal server error" },
+            { status: 500 }
+          );
+        })
+      );
+
+      await expect(getAddOns()).rejects.toThrow("Internal server error");
+    });
+  });
+
+  describe("getQuote", () => {
+    it("should return the price with the discount applied", async () => {
+      const result = await getQuote({
+        serviceId: "service-basic",
+        discountCode: "ENSIPESU",
+      });
+
+      expect(result.subtotalCents).toBe(4900);
+      expect(result.discount.amountCents).toBe(2000);
+      expect(result.totalCents).toBe(2900);
+    });
+
+    it("should attach the field errors of an unusable code", async () => {
+      await expect(getQuote({ discountCode: "NOPE" })).rejects.toMatchObject({
+        status: 400,
+        data: { errors: { discountCode: ["Discount code not found"] } },
+      });
+    });
+  });
+
+  describe("rescheduleBooking", () => {
+    it("should send changed fields and return the updated booking", async () => {
+      const result = await rescheduleBooking("1", {
+        date: "2025-09-17T21:00:00.000Z",
+        timeSlot: "13:00 - 15:00",
+      });
+
+      expect(result.id).toBe("1");
+      expect(result.date).toBe("2025-09-17T21:00:00.000Z");
+      expect(result.timeSlot).toBe("13:00 - 15:00");
+    });
+
+    it("should handle booking not found error", async () => {
+      await expect(
+        rescheduleBooking("non-existent", { timeSlot: "13:00 - 15:00" })
+      ).rejects.toMatchObject({
+        message: "Booking not found",
+        status: 404,
+      });
+    });
+
+    it("should expose cutoff errors from the backend", async () => {
+      server.use(
+        http.patch(`${API_BASE_URL}/api/bookings/:id`, () => {
+          return HttpResponse.json(
+            {
+              error:
+                "Bookings can't be changed later than 24 hours before the time slot",
+            },
+            { status: 400 }
+          );
+        })
+      );
+
+      await expect(
+        rescheduleBooking("1", { timeSlot: "13:00 - 15:00" })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe("cancelBooking", () => {
+    it("should cancel a booking successfully", async () => {
+      const bookingId = "booking-123";
+      const result = await cancelBooking(bookingId);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe("Booking cancelled successfully");
+      expect(result.booking).toMatchObject({
+        id: bookingId,
+        status: "CANCELLED",
+        cancellationReason: null,
+      });
+    });
+
+    it("should send the cancellation reason", async () => {
+      const result = await cancelBooking("booking-123", "Plans changed");
+
+      expect(result.booking.cancellationReason).toBe("Plans changed");
     });
 
     it("should handle booking not found error", async () => {
       const bookingId = "non-existent";
 
-      await expect(deleteBooking(bookingId)).rejects.toThrow(
+      await expect(cancelBooking(bookingId)).rejects.toThrow(
         "Booking not found"
       );
     });
@@ -230,12 +677,12 @@ describe("Bookings Service", () => {
     it("should handle unauthorized deletion error", async () => {
       const bookingId = "unauthorized";
 
-      await expect(deleteBooking(bookingId)).rejects.toThrow(
+      await expect(cancelBooking(bookingId)).rejects.toThrow(
         "Unauthorized to delete this booking"
       );
     });
 
-    it("should handle server errors when deleting booking", async () => {
+    it("should handle server errors when cancelling booking", async () => {
       const bookingId = "booking-123";
 
       // Override handler to simulate server error
@@ -248,12 +695,12 @@ describe("Bookings Service", () => {
         })
       );
 
-      await expect(deleteBooking(bookingId)).rejects.toThrow(
+      await expect(cancelBooking(bookingId)).rejects.toThrow(
         "Internal server error"
       );
     });
 
-    it("should handle network errors when deleting booking", async () => {
+    it("should handle network errors when cancelling booking", async () => {
       const bookingId = "booking-123";
 
       // Override handler to simulate network failure
@@ -263,14 +710,14 @@ describe("Bookings Service", () => {
         })
       );
 
-      await expect(deleteBooking(bookingId)).rejects.toThrow();
+      await expect(cancelBooking(bookingId)).rejects.toThrow();
     });
 
     it("should handle missing booking ID", async () => {
       // Test with undefined, null, and empty string
-      await expect(deleteBooking(undefined)).rejects.toThrow();
-      await expect(deleteBooking(null)).rejects.toThrow();
-      await expect(deleteBooking("")).rejects.toThrow();
+      await expect(cancelBooking(undefined)).rejects.toThrow();
+      await expect(cancelBooking(null)).rejects.toThrow();
+      await expect(cancelBooking("")).rejects.toThrow();
     });
   });
 
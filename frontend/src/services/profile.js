@@ -0,0 +1,200 @@
+/**
+ * Profile service for the user's saved addresses and vehicles
+ */
+
+// Configure API base URL consistently with bookings.js
+const API_BASE_URL = import.meta.env.PROD
+  ? "" // Use same origin in production
+  : import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+
+// CSRF token management
+let csrfToken = null;
+
+/**
+ * Get CSRF token from backend
+ */
+const getCsrfToken = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/csrf-token`, {
+      credentials: "include",
+    });
+    const data = await response.json();
+    csrfToken = data.csrfToken;
+    return csrfToken;
+  } catch (error) {
+    console.error("Failed to get CSRF token:", error);
+    return null;
+  }
+};
+
+/**
+ * Helper function to add CSRF token to headers
+ */
+const getHeaders = async (additionalHeaders = {}) => {
+  const headers = {
+    "Content-Type": "application/json",
+    ...additionalHeaders,
+  };
+
+  // Add CSRF token in production
+  if (import.meta.env.PROD) {
+    if (!csrfToken) {
+      await getCsrfToken();
+    }
+    if (csrfToken) {
+      headers["X-CSRF-Token"] = csrfToken;
+    }
+  }
+
+  return headers;
+};
+
+/**
+ * Send a request to the saved details API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api/users/me
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} With `status` and response `data` attached, field-level
+ * validation errors are in `data.errors`
+ */
+const sendRequest = async (method, path, body) => {
+  const headers = await getHeaders();
+  const response = await fetch(`${API_BASE_URL}/api/users/me${path}`, {
+    method,
+    headers,
+    credentials: "include",
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    const error = new Error(
+      errorData.error || `HTTP error! status: ${response.status}`
+    );
+    error.status = response.status;
+    error.data = errorData;
+    throw error;
+  }
+
+  return await response.json();
+};
+
+/**
+ * Get the user's saved addresses
+ * @returns {Promise<Array>} Saved addresses, oldest first
+ */
+export const getAddresses = async () => {
+  try {
+    return await sendRequest("GET", "/addresses");
+  } catch (error) {
+    console.error("Error fetching addresses:", error);
+    throw error;
+  }
+};
+
+/**
+ * Save a new address
+ * @param {Object} address - Address details
+ * @param {string} address.label - Name shown in the picker, e.g. "Office"
+ * @param {string} address.city - helsinki, vantaa or espoo
+ * @param {string} address.address - Street address and postal code
+ * @returns {Promise<Object>} The saved address
+ */
+export const createAddress = async (address) => {
+  try {
+    return await sendRequest("POST", "/addresses", address);
+  } catch (error) {
+    console.error("Error saving address:", error);
+    throw error;
+  }
+};
+
+/**
+ * Change a saved address
+ * @param {string} addressId - The address ID
+ * @param {Object} updates - Changed label, city or address
+ * @returns {Promise<Object>} The updated address
+ */
+export const updateAddress = async (addressId, updates) => {
+  try {
+    return await sendRequest("PATCH", `/addresses/${addressId}`, updates);
+  } catch (error) {
+    console.error("Error updating address:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a saved address
+ * @param {string} addressId - The address ID
+ * @returns {Promise<Object>} Success message
+ */
+export const deleteAddress = async (addressId) => {
+  try {
+    return await sendRequest("DELETE", `/addresses/${addressId}`);
+  } catch (error) {
+    console.error("Error deleting address:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's saved vehicles
+ * @returns {Promise<Array>} Saved vehicles, oldest first
+ */
+export const getVehicles = async () => {
+  try {
+    return await sendRequest("GET", "/vehicles");
+  } catch (error) {
+    console.error("Error fetching vehicles:", error);
+    throw error;
+  }
+};
+
+/**
+ * Save a new vehicle
+ * @param {Object} vehicle - Vehicle details
+ * @param {string} vehicle.licensePlate - Registration number, e.g. ABC-123
+ * @param {string} [vehicle.make] - Make and model
+ * @param {string} [vehicle.color] - Colour
+ * @param {string} [vehicle.parkingNotes] - Where the car is usually parked
+ * @returns {Promise<Object>} The saved vehicle
+ */
+export const createVehicle = async (vehicle) => {
+  try {
+    return await sendRequest("POST", "/vehicles", vehicle);
+  } catch (error) {
+    console.error("Error saving vehicle:", error);
+    throw error;
+  }
+};
+
+/**
+ * Change a saved vehicle, null clears an optional field
+ * @param {string} vehicleId - The vehicle ID
+ * @param {Object} updates - Changed vehicle details
+ * @returns {Promise<Object>} The updated vehicle
+ */
+export const updateVehicle = async (vehicleId, updates) => {
+  try {
+    return await sendRequest("PATCH", `/vehicles/${vehicleId}`, updates);
+  } catch (error) {
+    console.error("Error updating vehicle:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a saved vehicle
+ * @param {string} vehicleId - The vehicle ID
+ * @returns {Promise<Object>} Success message
+ */
+export const deleteVehicle = async (vehicleId) => {
+  try {
+    return await sendRequest("DELETE", `/vehicles/${vehicleId}`);
+  } catch (error) {
+    console.error("Error deleting vehicle:", error);
+    throw error;
+  }
+};
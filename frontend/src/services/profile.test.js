@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { server } from "../test/mocks/server.js";
+import { http, HttpResponse } from "msw";
+import {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  getVehicles,
+  createVehicle,
+  deleteVehicle,
+} from "./profile.js";
+
+// API base URL from environment or default
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+describe("Profile Service", () => {
+  beforeEach(() => {
+    // Reset handlers before each test
+    server.resetHandlers();
+  });
+
+  describe("Saved addresses", () => {
+    it("should list saved addresses", async () => {
+      const addresses = await getAddresses();
+
+      expect(addresses).toHaveLength(1);
+      expect(addresses[0].label).toBe("Toimisto");
+    });
+
+    it("should save a new address", async () => {
+      const address = await createAddress({
+        label: "Koti",
+        city: "helsinki",
+        address: "Testikatu 1, 00100",
+      });
+
+      expect(address).toMatchObject({
+        id: "address-2",
+        city: "HELSINKI",
+        streetAddress: "Testikatu 1",
+      });
+    });
+
+    it("should expose field-level validation errors", async () => {
+      await expect(
+        createAddress({ label: "", city: "helsinki", address: "x" })
+      ).rejects.toMatchObject({
+        status: 400,
+        data: { errors: { label: ["Label is required"] } },
+      });
+    });
+
+    it("should send only the changed fields when updating", async () => {
+      let body;
+      server.use(
+        http.patch(
+          `${API_BASE_URL}/api/users/me/addresses/:id`,
+          async ({ request, params }) => {
+            body = await request.json();
+            return HttpResponse.json({ id: params.id, ...body });
+          }
+        )
+      );
+
+      const address = await updateAddress("address-1", { label: "Työ" });
+
+      expect(body).toEqual({ label: "Työ" });
+      expect(address.label).toBe("Työ");
+    });
+
+    it("should throw 404 for an unknown address", async () => {
+      await expect(deleteAddress("non-existent")).rejects.toMatchObject({
+        status: 404,
+        message: "Address not found",
+      });
+    });
+  });
+
+  describe("Saved vehicles", () => {
+    it("should list saved vehicles", async () => {
+      const vehicles = await getVehicles();
+
+      expect(vehicles[0].licensePlate).toBe("ABC-123");
+    });
+
+    it("should save a new vehicle", async () => {
+      const vehicle = await createVehicle({ licensePlate: "xyz-987" });
+
+      expect(vehicle).toMatchObject({
+        id: "vehicle-2",
+        licensePlate: "XYZ-987",
+      });
+    });
+
+    it("should delete a saved vehicle", async () => {
+      const result = await deleteVehicle("vehicle-1");
+
+      expect(result.message).toBe("Vehicle deleted successfully");
+    });
+  });
+});
@@ -157,6 +157,7 @@ export const checkBackendHealth = async () => {
  * @param {string} userData.email - Email address
  * @param {string} userData.password - Password
  * @param {string} userData.fullName - Full name
+ * @param {string} [userData.language] - Language of emails sent to the user (fi/en)
  */
 export const registerUser = async (userData) => {
   try {
@@ -272,6 +273,99 @@ export const requestPasswordReset = async (resetData) => {
   }
 };
 
+/**
+ * Set a new password with the token from a password reset link
+ * @param {Object} resetData - Password reset confirmation data
+ * @param {string} resetData.token - Token from the reset link
+ * @param {string} resetData.password - New password
+ */
+export const confirmPasswordReset = async (resetData) => {
+  try {
+    const response = await apiClient.post(
+      "/api/users/reset-password/confirm",
+      resetData
+    );
+
+    return {
+      success: response.data.ok,
+      message: response.data.message,
+    };
+  } catch (error) {
+    console.error("Password reset confirmation failed:", error);
+
+    if (error.response?.data?.message) {
+      return {
+        success: false,
+        message: error.response.data.message,
+      };
+    }
+
+    return {
+      success: false,
+      message: "Password reset failed. Please try again.",
+    };
+  }
+};
+
+/**
+ * Verify the email address with the token from a verification link
+ * @param {string} token - Token from the verification link
+ */
+export const verifyEmail = async (token) => {
+  try {
+    const response = await apiClient.get("/api/users/verify-email", {
+      params: { token },
+    });
+
+    return {
+      success: response.data.ok,
+      message: response.data.message,
+    };
+  } catch (error) {
+    console.error("Email verification failed:", error);
+
+    if (error.response?.data?.message) {
+      return {
+        success: false,
+        message: error.response.data.message,
+      };
+    }
+
+    return {
+      success: false,
+      message: "Email verification failed. Please try again.",
+    };
+  }
+};
+
+/**
+ * Send a new verification link to the logged in user's email address
+ */
+export const resendVerificationEmail = async () => {
+  try {
+    const response = await apiClient.post("/api/users/verify-email/resend");
+
+    return {
+      success: response.data.ok,
+      message: response.data.message,
+    };
+  } catch (error) {
+    console.error("Resending verification email failed:", error);
+
+    if (error.response?.data?.message) {
+      return {
+        success: false,
+        message: error.response.data.message,
+      };
+    }
+
+    return {
+      success: false,
+      message: "Sending the verification email failed. Please try again.",
+    };
+  }
+};
+
 /**
  * Logout current user
  */
@@ -402,6 +496,78 @@ export const deleteUser = async (deleteData) => {
   }
 };
 
+/**
+ * Update the logged in user's profile, a changed email address has to be verified again
+ * @param {Object} profileData - Changed fields only
+ * @param {string} [profileData.fullName] - Full name
+ * @param {string} [profileData.email] - Email address
+ * @param {string|null} [profileData.city] - Default city, null clears it
+ * @param {string|null} [profileData.address] - Default street address and postal code, null clears it
+ * @param {string|null} [profileData.phoneNumber] - Default phone number, null clears it
+ */
+export const updateProfile = async (profileData) => {
+  try {
+    const response = await apiClient.patch("/api/users/me", profileData);
+
+    return {
+      success: response.data.ok,
+      message: response.data.message,
+      user: response.data.user,
+    };
+  } catch (error) {
+    console.error("Profile update failed:", error);
+
+    if (error.response?.data?.message) {
+      return {
+        success: false,
+        message: error.response.data.message,
+        errors: error.response.data.errors,
+        status: error.response.status,
+      };
+    }
+
+    return {
+      success: false,
+      message: "Profile update failed. Please try again.",
+    };
+  }
+};
+
+/**
+ * Change the password of the logged in user
+ * @param {Object} passwordData - Password change data
+ * @param {string} passwordData.currentPassword - Current password
+ * @param {string} passwordData.newPassword - New password
+ */
+export const changePassword = async (passwordData) => {
+  try {
+    const response = await apiClient.post(
+      "/api/users/change-password",
+      passwordData
+    );
+
+    return {
+      success: response.data.ok,
+      message: response.data.message,
+    };
+  } catch (error) {
+    console.error("Password change failed:", error);
+
+    if (error.response?.data?.message) {
+      return {
+        success: false,
+        message: error.response.data.message,
+        status: error.response.status,
+      };
+    }
+
+    return {
+      success: false,
+      message: "Password change failed. Please try again.",
+    };
+  }
+};
+
 /**
  * Get user bookings
  */
@@ -8,8 +8,13 @@ import {
   logoutUser,
   getCurrentUser,
   requestPasswordReset,
+  confirmPasswordReset,
+  verifyEmail,
+  resendVerificationEmail,
   deleteUser,
   getUserBookings,
+  updateProfile,
+  changePassword,
 } from "./users.js";
 
 // API base URL from environment or default
@@ -212,6 +217,52 @@ describe("Users Service", () => {
     });
   });
 
+  describe("confirmPasswordReset", () => {
+    it("should set a new password with a valid reset token", async () => {
+      const result = await confirmPasswordReset({
+        token: "valid-reset-token",
+        password: "NewPassword123",
+      });
+
+      expect(result.success).toBe(true);
+    });
+
+    it("should return the error for an expired reset token", async () => {
+      const result = await confirmPasswordReset({
+        token: "expired-token",
+        password: "NewPassword123",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe("Invalid or expired reset link");
+    });
+  });
+
+  describe("verifyEmail", () => {
+    it("should verify the email address with a valid token", async () => {
+      const result = await verifyEmail("valid-verify-token");
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe("Email address verified");
+    });
+
+    it("should return the error for an expired verification token", async () => {
+      const result = await verifyEmail("expired-token");
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe("Invalid or expired verification link");
+    });
+  });
+
+  describe("resendVerificationEmail", () => {
+    it("should send a new verification email", async () => {
+      const result = await resendVerificationEmail();
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe("Verification email sent");
+    });
+  });
+
   describe("deleteUser", () => {
     it("should delete user successfully", async () => {
       const result = await deleteUser({ password: "correctpassword" });
@@ -228,6 +279,44 @@ describe("Users Service", () => {
     });
   });
 
+  describe("updateProfile", () => {
+    it("should return the updated user", async () => {
+      const result = await updateProfile({ fullName: "Fixed Name" });
+
+      expect(result.success).toBe(true);
+      expect(result.user.fullName).toBe("Fixed Name");
+    });
+
+    it("should return the error for an email address in use", async () => {
+      const result = await updateProfile({ email: "taken@example.com" });
+
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(409);
+      expect(result.message).toBe("User with this email already exists");
+    });
+  });
+
+  describe("changePassword", () => {
+    it("should change the password", async () => {
+      const result = await changePassword({
+        currentPassword: "Password123",
+        newPassword: "NewPassword123",
+      });
+
+      expect(result.success).toBe(true);
+    });
+
+    it("should handle a wrong current password", async () => {
+      const result = await changePassword({
+        currentPassword: "wrongpassword",
+        newPassword: "NewPassword123",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe("Invalid password");
+    });
+  });
+
   describe("getUserBookings", () => {
     it("should get user bookings successfully", async () => {
       const result = await getUserBookings();
@@ -238,12 +327,17 @@ describe("Users Service", () => {
         id: "1",
         date: "2025-08-30T10:00:00.000Z",
         timeSlot: "10:00-12:00",
-        city: "Helsinki",
-        location: "Testikatu 1, Helsinki",
+        city: "HELSINKI",
+        location: "Testikatu 1, 00100, Helsinki",
+        streetAddress: "Testikatu 1",
+        postalCode: "00100",
         phoneNumber: "+358501234567",
-        paymentMethod: "card",
+        paymentMethod: "CARD",
         status: "CONFIRMED",
         createdAt: "2025-08-25T12:00:00.000Z",
+        totalCents: 4900,
+        receiptAvailable: true,
+        receipt: expect.objectContaining({ totalCents: 4900, vatCents: 996 }),
         user: {
           id: "1",
           email: "test@example.com",
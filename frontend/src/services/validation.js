@@ -6,28 +6,30 @@
  */
 
 /**
- * Validates user authentication forms (login, register, forgot password)
- * with enhanced input validation and error handling.
+ * Validates user authentication forms (login, register, forgot password,
+ * new password) with enhanced input validation and error handling.
  *
  * @param {Object} formData - The form data to validate
- * @param {string} viewType - The type of form ('login', 'register', 'forgot')
+ * @param {string} viewType - The type of form ('login', 'register', 'forgot', 'newPassword')
  * @param {Object} t - Translation function for error messages
  * @returns {Object} - Object containing validation errors and success status
  */
 export const validateAuthForm = (formData, viewType, t) => {
   const errors = {};
 
-  // Enhanced email validation
-  if (!formData.email?.trim()) {
-    errors.email = t("auth.errors.emailRequired");
-  } else {
-    const emailPattern =
-      /^(?!.*\.\.)[A-Za-z0-9._%+-]+@(?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,63}$/;
+  // Enhanced email validation, a new password is set with the reset link token
+  if (viewType !== "newPassword") {
+    if (!formData.email?.trim()) {
+      errors.email = t("auth.errors.emailRequired");
+    } else {
+      const emailPattern =
+        /^(?!.*\.\.)[A-Za-z0-9._%+-]+@(?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,63}$/;
 
-    if (!emailPattern.test(formData.email)) {
-      errors.email = t("auth.errors.emailInvalid");
-    } else if (formData.email.length > 254) {
-      errors.email = t("auth.errors.emailTooLong");
+      if (!emailPattern.test(formData.email)) {
+        errors.email = t("auth.errors.emailInvalid");
+      } else if (formData.email.length > 254) {
+        errors.email = t("auth.errors.emailTooLong");
+      }
     }
   }
 
@@ -66,8 +68,10 @@ export const validateAuthForm = (formData, viewType, t) => {
         errors.fullName = t("auth.errors.fullNameInvalid");
       }
     }
+  }
 
-    // Confirm password validation
+  // Confirm password validation (registration and new password)
+  if (viewType === "register" || viewType === "newPassword") {
     if (!formData.confirmPassword) {
       errors.confirmPassword = t("auth.errors.passwordRequired");
     } else if (formData.password !== formData.confirmPassword) {
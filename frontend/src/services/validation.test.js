@@ -64,6 +64,24 @@ describe("validation service", () => {
       expect(Object.keys(result.errors)).toHaveLength(0);
     });
 
+    it("validates new password form without an email", () => {
+      const valid = validateAuthForm(
+        { password: "NewPass123", confirmPassword: "NewPass123" },
+        "newPassword",
+        mockT
+      );
+      expect(valid.isValid).toBe(true);
+
+      const mismatch = validateAuthForm(
+        { password: "NewPass123", confirmPassword: "Other123" },
+        "newPassword",
+        mockT
+      );
+      expect(mismatch.isValid).toBe(false);
+      expect(mismatch.errors.email).toBeUndefined();
+      expect(mismatch.errors.confirmPassword).toBeDefined();
+    });
+
     it("returns errors for invalid email", () => {
       const formData = {
         email: "invalid-email",
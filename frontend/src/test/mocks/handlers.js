@@ -97,6 +97,52 @@ export const handlers = [
     });
   }),
 
+  // Password reset confirmation
+  http.post(
+    `${API_BASE_URL}/api/users/reset-password/confirm`,
+    async ({ request }) => {
+      const { token } = await request.json();
+
+      if (token !== "valid-reset-token") {
+        return HttpResponse.json(
+          { ok: false, message: "Invalid or expired reset link" },
+          { status: 400 }
+        );
+      }
+
+      return HttpResponse.json({
+        ok: true,
+        message:
+          "Password has been reset, please log in with your new password",
+      });
+    }
+  ),
+
+  // Email verification
+  http.get(`${API_BASE_URL}/api/users/verify-email`, ({ request }) => {
+    const token = new URL(request.url).searchParams.get("token");
+
+    if (token !== "valid-verify-token") {
+      return HttpResponse.json(
+        { ok: false, message: "Invalid or expired verification link" },
+        { status: 400 }
+      );
+    }
+
+    return HttpResponse.json({
+      ok: true,
+      message: "Email address verified",
+    });
+  }),
+
+  // Resend verification email
+  http.post(`${API_BASE_URL}/api/users/verify-email/resend`, () => {
+    return HttpResponse.json({
+      ok: true,
+      message: "Verification email sent",
+    });
+  }),
+
   // User logout
   http.post(`${API_BASE_URL}/api/users/logout`, () => {
     return HttpResponse.json({
@@ -136,6 +182,132 @@ export const handlers = [
     });
   }),
 
+  // Update profile
+  http.patch(`${API_BASE_URL}/api/users/me`, async ({ request }) => {
+    const updates = await request.json();
+
+    if (updates.email === "taken@example.com") {
+      return HttpResponse.json(
+        { ok: false, message: "User with this email already exists" },
+        { status: 409 }
+      );
+    }
+
+    return HttpResponse.json({
+      ok: true,
+      message: "Profile updated",
+      user: {
+        id: "1",
+        email: "test@example.com",
+        fullName: "Test User",
+        emailVerified: true,
+        createdAt: "2024-02-01T00:00:00.000Z",
+        ...updates,
+      },
+    });
+  }),
+
+  // Change password
+  http.post(
+    `${API_BASE_URL}/api/users/change-password`,
+    async ({ request }) => {
+      const { currentPassword } = await request.json();
+
+      if (currentPassword === "wrongpassword") {
+        return HttpResponse.json(
+          { ok: false, message: "Invalid password" },
+          { status: 401 }
+        );
+      }
+
+      return HttpResponse.json({
+        ok: true,
+        message: "Password changed",
+      });
+    }
+  ),
+
+  // Saved addresses
+  http.get(`${API_BASE_URL}/api/users/me/addresses`, () => {
+    return HttpResponse.json([
+      {
+        id: "address-1",
+        label: "Toimisto",
+        city: "ESPOO",
+        streetAddress: "Keilaranta 1",
+        postalCode: "02150",
+      },
+    ]);
+  }),
+
+  http.post(`${API_BASE_URL}/api/users/me/addresses`, async ({ request }) => {
+    const { label, city, address } = await request.json();
+
+    if (!label) {
+      return HttpResponse.json(
+        { error: "Invalid data", errors: { label: ["Label is required"] } },
+        { status: 400 }
+      );
+    }
+
+    const [streetAddress, postalCode] = address.split(", ");
+    return HttpResponse.json(
+      {
+        id: "address-2",
+        label,
+        city: city.toUpperCase(),
+        streetAddress,
+        postalCode,
+      },
+      { status: 201 }
+    );
+  }),
+
+  http.delete(`${API_BASE_URL}/api/users/me/addresses/:id`, ({ params }) => {
+    if (params.id === "non-existent") {
+      return HttpResponse.json({ error: "Address not found" }, { status: 404 });
+    }
+
+    return HttpResponse.json({ message: "Address deleted successfully" });
+  }),
+
+  // Saved vehicles
+  http.get(`${API_BASE_URL}/api/users/me/vehicles`, () => {
+    return HttpResponse.json([
+      {
+        id: "vehicle-1",
+        licensePlate: "ABC-123",
+        make: "Toyota Corolla",
+        color: "Punainen",
+        parkingNotes: null,
+      },
+    ]);
+  }),
+
+  http.post(`${API_BASE_URL}/api/users/me/vehicles`, async ({ request }) => {
+    const vehicle = await request.json();
+
+    return HttpResponse.json(
+      {
+        id: "vehicle-2",
+        make: null,
+        color: null,
+        parkingNotes: null,
+        ...vehicle,
+        licensePlate: vehicle.licensePlate.toUpperCase(),
+      },
+      { status: 201 }
+    );
+  }),
+
+  http.delete(`${API_BASE_URL}/api/users/me/vehicles/:id`, ({ params }) => {
+    if (params.id === "non-existent") {
+      return HttpResponse.json({ error: "Vehicle not found" }, { status: 404 });
+    }
+
+    return HttpResponse.json({ message: "Vehicle deleted successfully" });
+  }),
+
   // Create booking
   http.post(`${API_BASE_URL}/api/bookings`, async ({ request }) => {
     const bookingData = await request.json();
@@ -174,6 +346,105 @@ export const handlers = [
     });
   }),
 
+  // Hold a time slot with a draft booking
+  http.post(`${API_BASE_URL}/api/bookings/draft`, async ({ request }) => {
+    const { date, timeSlot } = await request.json();
+
+    return HttpResponse.json(
+      {
+        id: "draft-123",
+        date,
+        timeSlot,
+        status: "DRAFT",
+        holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+      },
+      { status: 201 }
+    );
+  }),
+
+  // Book a recurring weekly series
+  http.post(`${API_BASE_URL}/api/bookings/series`, async ({ request }) => {
+    const { date, timeSlot, weeks } = await request.json();
+
+    if (!weeks || weeks < 2 || weeks > 12) {
+      return HttpResponse.json(
+        {
+          error: "Invalid data",
+          errors: { weeks: ["A series lasts 2 to 12 weeks"] },
+        },
+        { status: 400 }
+      );
+    }
+
+    return HttpResponse.json(
+      {
+        id: "series-123",
+        weekday: 1,
+        timeSlot,
+        weeks,
+        status: "ACTIVE",
+        bookings: [
+          {
+            id: "series-booking-1",
+            date: `${date}T10:00:00.000Z`,
+            timeSlot,
+            status: "CONFIRMED",
+            seriesId: "series-123",
+          },
+        ],
+        skipped: [],
+      },
+      { status: 201 }
+    );
+  }),
+
+  // Cancel a recurring series
+  http.delete(`${API_BASE_URL}/api/bookings/series/:id`, ({ params }) => {
+    if (params.id === "non-existent") {
+      return HttpResponse.json({ error: "Series not found" }, { status: 404 });
+    }
+
+    return HttpResponse.json({
+      success: true,
+      message: "Series cancelled successfully",
+      series: { id: params.id, status: "CANCELLED" },
+      cancelledCount: 2,
+      kept: [],
+    });
+  }),
+
+  // Confirm draft booking
+  http.post(
+    `${API_BASE_URL}/api/bookings/:id/confirm`,
+    async ({ params, request }) => {
+      const details = await request.json();
+
+      if (params.id === "non-existent") {
+        return HttpResponse.json(
+          { error: "Draft booking not found" },
+          { status: 404 }
+        );
+      }
+
+      return HttpResponse.json({
+        id: params.id,
+        date: "2025-08-30T10:00:00.000Z",
+        timeSlot: "10:00-12:00",
+        location: `${details.address}, Helsinki`,
+        city: details.city?.toUpperCase(),
+        phoneNumber: details.phoneNumber,
+        paymentMethod: details.paymentMethod?.toUpperCase(),
+        status: "CONFIRMED",
+        createdAt: new Date().toISOString(),
+        user: {
+          id: "1",
+          email: "test@example.com",
+          fullName: "Test User",
+        },
+      });
+    }
+  ),
+
   // Get user bookings
   http.get(`${API_BASE_URL}/api/bookings`, () => {
     // Simulate user bookings
@@ -182,12 +453,36 @@ export const handlers = [
         id: "1",
         date: "2025-08-30T10:00:00.000Z",
         timeSlot: "10:00-12:00",
-        city: "Helsinki",
-        location: "Testikatu 1, Helsinki",
+        city: "HELSINKI",
+        location: "Testikatu 1, 00100, Helsinki",
+        streetAddress: "Testikatu 1",
+        postalCode: "00100",
         phoneNumber: "+358501234567",
-        paymentMethod: "card",
+        paymentMethod: "CARD",
         status: "CONFIRMED",
         createdAt: "2025-08-25T12:00:00.000Z",
+        totalCents: 4900,
+        receiptAvailable: true,
+        receipt: {
+          lines: [
+            {
+              type: "service",
+              id: "service-basic",
+              slug: "basic",
+              name: { fi: "Wocuuming", en: "Wocuuming" },
+              priceCents: 4900,
+              vatRate: 25.5,
+            },
+          ],
+          subtotalCents: 4900,
+          discount: null,
+          totalCents: 4900,
+          netCents: 3904,
+          vatCents: 996,
+          vat: [
+            { vatRate: 25.5, netCents: 3904, vatCents: 996, grossCents: 4900 },
+          ],
+        },
         user: {
           id: "1",
           email: "test@example.com",
@@ -198,10 +493,13 @@ export const handlers = [
         id: "2",
         date: "2025-09-01T14:00:00.000Z",
         timeSlot: "14:00-16:00",
-        city: "Espoo",
+        // Booking made before contact details were stored separately
+        city: null,
         location: "Esimerkkitie 5, Espoo",
-        phoneNumber: "+358507654321",
-        paymentMethod: "cash",
+        streetAddress: null,
+        postalCode: null,
+        phoneNumber: null,
+        paymentMethod: null,
         status: "CONFIRMED",
         createdAt: "2025-08-26T12:00:00.000Z",
         user: {
@@ -213,36 +511,416 @@ export const handlers = [
     ]);
   }),
 
-  // Delete booking
-  http.delete(`${API_BASE_URL}/api/bookings/:id`, ({ params }) => {
-    const { id } = params;
+  // Calendar feed, turned off until the user creates an address
+  http.get(`${API_BASE_URL}/api/bookings/calendar-feed`, () => {
+    return HttpResponse.json({ url: null });
+  }),
+
+  http.post(`${API_BASE_URL}/api/bookings/calendar-feed`, () => {
+    return HttpResponse.json({
+      url: `${API_BASE_URL}/api/bookings/calendar.ics?token=${"a".repeat(64)}`,
+    });
+  }),
 
-    // Handle missing or invalid booking IDs
-    if (!id || id === "undefined" || id === "null" || id === "") {
+  http.delete(`${API_BASE_URL}/api/bookings/calendar-feed`, () => {
+    return HttpResponse.json({ url: null });
+  }),
+
+  // Get availability
+  http.get(`${API_BASE_URL}/api/availability`, ({ request }) => {
+    const url = new URL(request.url);
+    const from = url.searchParams.get("from") || "2025-09-15";
+
+    return HttpResponse.json({
+      from,
+      to: url.searchParams.get("to") || "2025-09-16",
+      capacity: 1,
+      dates: [
+        {
+          date: from,
+          availableSlots: [
+            {
+              id: 1,
+              start: "09:00",
+              end: "11:00",
+              label: "09:00 - 11:00",
+              remaining: 1,
+            },
+          ],
+        },
+      ],
+    });
+  }),
+
+  // Get service tiers
+  http.get(`${API_BASE_URL}/api/services`, () => {
+    return HttpResponse.json([
+      {
+        id: "service-basic",
+        slug: "basic",
+        name: { fi: "Wocuuming", en: "Wocuuming" },
+        tasks: {
+          fi: ["Imurointi", "Pintojen pyyhintä"],
+          en: ["Vacuuming", "Surface wiping"],
+        },
+        priceCents: 4900,
+        vatRate: 25.5,
+        durationMinutes: 120,
+      },
+      {
+        id: "service-premium",
+        slug: "premium",
+        name: { fi: "Wocuuming Plus", en: "Wocuuming Plus" },
+        tasks: {
+          fi: ["Imurointi", "Penkkien ja mattojen märkäpesu"],
+          en: ["Vacuuming", "Wet cleaning of seats and mats"],
+        },
+        priceCents: 7900,
+        vatRate: 25.5,
+        durationMinutes: 120,
+      },
+    ]);
+  }),
+
+  // Get add-ons
+  http.get(`${API_BASE_URL}/api/services/add-ons`, () => {
+    return HttpResponse.json([
+      {
+        id: "addon-pet-hair",
+        slug: "pet-hair",
+        name: { fi: "Lemmikin karvojen poisto", en: "Pet hair removal" },
+        priceCents: 1500,
+        vatRate: 25.5,
+      },
+      {
+        id: "addon-seat-shampoo",
+        slug: "seat-shampoo",
+        name: { fi: "Penkkien shampoopesu", en: "Seat shampoo" },
+        priceCents: 2500,
+        vatRate: 25.5,
+      },
+    ]);
+  }),
+
+  // Price quote, ENSIPESU takes 20 € off
+  http.post(`${API_BASE_URL}/api/bookings/quote`, async ({ request }) => {
+    const { discountCode } = await request.json();
+
+    if (discountCode && discountCode !== "ENSIPESU") {
       return HttpResponse.json(
-        { error: "Booking ID is required" },
+        {
+          error: "Invalid booking data",
+          errors: { discountCode: ["Discount code not found"] },
+        },
         { status: 400 }
       );
     }
 
-    if (id === "non-existent") {
-      return HttpResponse.json({ error: "Booking not found" }, { status: 404 });
+    const discountCents = discountCode ? 2000 : 0;
+    return HttpResponse.json({
+      lines: [
+        {
+          type: "service",
+          id: "service-basic",
+          slug: "basic",
+          name: { fi: "Wocuuming", en: "Wocuuming" },
+          priceCents: 4900,
+          vatRate: 25.5,
+        },
+      ],
+      subtotalCents: 4900,
+      discount: discountCode
+        ? {
+            code: discountCode,
+            type: "FIXED",
+            value: discountCents,
+            amountCents: discountCents,
+          }
+        : null,
+      totalCents: 4900 - discountCents,
+      netCents: discountCode ? 2311 : 3904,
+      vatCents: discountCode ? 589 : 996,
+      vat: [],
+    });
+  }),
+
+  // Reschedule booking
+  http.patch(
+    `${API_BASE_URL}/api/bookings/:id`,
+    async ({ params, request }) => {
+      const updates = await request.json();
+
+      if (params.id === "non-existent") {
+        return HttpResponse.json(
+          { error: "Booking not found" },
+          { status: 404 }
+        );
+      }
+
+      return HttpResponse.json({
+        id: params.id,
+        date: "2025-08-30T10:00:00.000Z",
+        timeSlot: "10:00-12:00",
+        city: "HELSINKI",
+        location: "Testikatu 1, 00100, Helsinki",
+        streetAddress: "Testikatu 1",
+        postalCode: "00100",
+        phoneNumber: "+358501234567",
+        paymentMethod: "CARD",
+        status: "CONFIRMED",
+        createdAt: "2025-08-25T12:00:00.000Z",
+        ...updates,
+        user: {
+          id: "1",
+          email: "test@example.com",
+          fullName: "Test User",
+        },
+      });
     }
+  ),
 
-    if (id === "unauthorized") {
-      return HttpResponse.json(
-        { error: "Unauthorized to delete this booking" },
-        { status: 403 }
-      );
+  // Cancel booking
+  http.delete(
+    `${API_BASE_URL}/api/bookings/:id`,
+    async ({ params, request }) => {
+      const { id } = params;
+
+      // Handle missing or invalid booking IDs
+      if (!id || id === "undefined" || id === "null" || id === "") {
+        return HttpResponse.json(
+          { error: "Booking ID is required" },
+          { status: 400 }
+        );
+      }
+
+      if (id === "non-existent") {
+        return HttpResponse.json(
+          { error: "Booking not found" },
+          { status: 404 }
+        );
+      }
+
+      if (id === "unauthorized") {
+        return HttpResponse.json(
+          { error: "Unauthorized to delete this booking" },
+          { status: 403 }
+        );
+      }
+
+      const { reason } = await request.json().catch(() => ({}));
+
+      // Simulate successful cancellation
+      return HttpResponse.json({
+        success: true,
+        message: "Booking cancelled successfully",
+        booking: {
+          id,
+          date: "2025-08-30T10:00:00.000Z",
+          timeSlot: "10:00-12:00",
+          location: "Testikatu 1, 00100, Helsinki",
+          status: "CANCELLED",
+          cancelledAt: "2025-08-27T12:00:00.000Z",
+          cancellationReason: reason || null,
+        },
+      });
+    }
+  ),
+
+  // Payment status after returning from the payment page
+  http.get(`${API_BASE_URL}/api/payments/:id`, ({ params }) => {
+    if (params.id === "non-existent") {
+      return HttpResponse.json({ error: "Payment not found" }, { status: 404 });
+    }
+
+    const status = params.id === "payment-failed" ? "FAILED" : "PAID";
+    return HttpResponse.json({
+      id: params.id,
+      status,
+      method: "CARD",
+      amountCents: 4900,
+      currency: "EUR",
+      paidAt: status === "PAID" ? "2025-08-25T12:05:00.000Z" : null,
+      bookings: [
+        {
+          id: "new-booking-123",
+          date: "2025-08-30T10:00:00.000Z",
+          timeSlot: "10:00-12:00",
+          status: status === "PAID" ? "CONFIRMED" : "CANCELLED",
+          seriesId: null,
+        },
+      ],
+    });
+  }),
+
+  // Admin: bookings of the requested days
+  http.get(`${API_BASE_URL}/api/admin/bookings`, ({ request }) => {
+    const url = new URL(request.url);
+    const [year, month, day] = (url.searchParams.get("from") || "2025-09-15")
+      .split("-")
+      .map(Number);
+    const city = url.searchParams.get("city");
+
+    const atLocalTime = (hour) =>
+      new Date(year, month - 1, day, hour).toISOString();
+    const customer = {
+      id: "2",
+      email: "customer@example.com",
+      fullName: "Matti Meikäläinen",
+    };
+
+    const bookings = [
+      {
+        id: "admin-1",
+        date: atLocalTime(9),
+        timeSlot: "09:00 - 11:00",
+        location: "Testikatu 1, 00100, Helsinki",
+        city: "HELSINKI",
+        streetAddress: "Testikatu 1",
+        postalCode: "00100",
+        phoneNumber: "+358501234567",
+        paymentMethod: "CARD",
+        status: "CONFIRMED",
+        user: customer,
+      },
+      {
+        id: "admin-2",
+        date: atLocalTime(9),
+        timeSlot: "09:00 - 11:00",
+        location: "Esimerkkitie 5, 02100, Espoo",
+        city: "ESPOO",
+        streetAddress: "Esimerkkitie 5",
+        postalCode: "02100",
+        phoneNumber: "0401234567",
+        paymentMethod: "CASH",
+        status: "COMPLETED",
+        user: { ...customer, id: "3", email: "other@example.com" },
+      },
+      {
+        id: "admin-3",
+        date: atLocalTime(13),
+        timeSlot: "13:00 - 15:00",
+        location: "Vantaankatu 3, 01300, Vantaa",
+        city: "VANTAA",
+        streetAddress: "Vantaankatu 3",
+        postalCode: "01300",
+        phoneNumber: "0409876543",
+        paymentMethod: "MOBILEPAY",
+        status: "CONFIRMED",
+        user: customer,
+      },
+    ].filter((booking) => !city || booking.city === city.toUpperCase());
+
+    return HttpResponse.json({
+      bookings,
+      pagination: {
+        page: 1,
+        pageSize: 100,
+        total: bookings.length,
+        totalPages: 1,
+      },
+    });
+  }),
+
+  // Admin: change booking status
+  http.patch(
+    `${API_BASE_URL}/api/admin/bookings/:id/status`,
+    async ({ params, request }) => {
+      const { status, reason } = await request.json();
+
+      if (params.id === "non-existent") {
+        return HttpResponse.json(
+          { error: "Booking not found" },
+          { status: 404 }
+        );
+      }
+
+      return HttpResponse.json({
+        id: params.id,
+        status,
+        cancelledAt: status === "CANCELLED" ? new Date().toISOString() : null,
+        cancellationReason: status === "CANCELLED" ? reason || null : null,
+      });
     }
+  ),
+
+  // Admin: invoices of bank transfer bookings
+  http.get(`${API_BASE_URL}/api/admin/invoices`, ({ request }) => {
+    const status = new URL(request.url).searchParams.get("status");
+    const customer = {
+      id: "2",
+      email: "customer@example.com",
+      fullName: "Matti Meikäläinen",
+    };
+
+    const invoices = [
+      {
+        id: "invoice-3",
+        number: 1002,
+        referenceNumber: "10029",
+        status: "UNPAID",
+        amountCents: 7900,
+        dueDate: "2099-01-15T12:00:00.000Z",
+        paidAt: null,
+        overdue: false,
+        user: customer,
+      },
+      {
+        id: "invoice-2",
+        number: 1001,
+        referenceNumber: "10016",
+        status: "PAID",
+        amountCents: 4900,
+        dueDate: "2025-09-20T12:00:00.000Z",
+        paidAt: "2025-09-12T09:00:00.000Z",
+        overdue: false,
+        user: { ...customer, id: "3", email: "other@example.com" },
+      },
+      {
+        id: "invoice-1",
+        number: 1000,
+        referenceNumber: "10003",
+        status: "UNPAID",
+        amountCents: 4900,
+        dueDate: "2025-09-10T12:00:00.000Z",
+        paidAt: null,
+        overdue: true,
+        user: customer,
+      },
+    ].filter((invoice) => !status || invoice.status === status.toUpperCase());
 
-    // Simulate successful deletion
     return HttpResponse.json({
-      message: "Booking deleted successfully",
-      deletedBookingId: id,
+      invoices,
+      pagination: {
+        page: 1,
+        pageSize: 20,
+        total: invoices.length,
+        totalPages: 1,
+      },
     });
   }),
 
+  // Admin: mark an invoice paid or unpaid
+  http.patch(
+    `${API_BASE_URL}/api/admin/invoices/:id/status`,
+    async ({ params, request }) => {
+      const { status } = await request.json();
+
+      if (params.id === "non-existent") {
+        return HttpResponse.json(
+          { error: "Invoice not found" },
+          { status: 404 }
+        );
+      }
+
+      return HttpResponse.json({
+        id: params.id,
+        status,
+        overdue: false,
+        paidAt: status === "PAID" ? new Date().toISOString() : null,
+      });
+    }
+  ),
+
   // Fallback handlers for unhandled requests
   http.get("*", ({ request }) => {
     console.warn(`Unhandled GET request: ${request.url}`);
@@ -1,5 +1,15 @@
 // Calendar utility functions and constants for the PricingCalendar component
 
+// Service days and time slots are in Finnish local time whatever the browser's
+// time zone is, the same as in the backend
+export const SERVICE_TIME_ZONE = "Europe/Helsinki";
+
+// Bookings can be made from 2 to 31 days ahead, the same as in the backend
+export const BOOKING_WINDOW = {
+  minDaysAhead: 2,
+  maxDaysAhead: 31,
+};
+
 // Time slots for booking (2-hour intervals from 09:00-17:00)
 export const timeSlots = [
   { id: 1, start: "09:00", end: "11:00", label: "09:00 - 11:00" },
@@ -8,12 +18,26 @@ export const timeSlots = [
   { id: 4, start: "15:00", end: "17:00", label: "15:00 - 17:00" },
 ];
 
-// Get the start of the current week (Monday)
+// Get the start of the week (Monday) of a calendar day, at local midnight
 export const getWeekStart = (date) => {
   const d = new Date(date);
   const day = d.getDay();
   const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
-  return new Date(d.setDate(diff));
+  return new Date(d.getFullYear(), d.getMonth(), diff);
+};
+
+// Today in Helsinki as a local calendar day, so that the calendar starts from
+// the same day as the backend whatever the browser's time zone is
+export const getServiceToday = (now = new Date()) =>
+  fromDayKey(toServiceDayKey(now));
+
+// Add days to a "YYYY-MM-DD" day key, counted in UTC so DST changes don't
+// shift the result
+export const addDaysToDayKey = (dayKey, days) => {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .slice(0, 10);
 };
 
 // Get week days (Monday to Friday only)
@@ -50,18 +74,19 @@ export const canGoToPreviousWeek = (currentWeekStart, availableDates) => {
   return weekDays.some((date) => isDateAvailable(date, availableDates));
 };
 
-// Check if we can go to next week (within one month limit)
-export const canGoToNextWeek = (currentWeekStart) => {
-  const today = new Date();
-  const oneMonthFromToday = new Date(today);
-  oneMonthFromToday.setMonth(today.getMonth() + 1);
+// Check if we can go to next week (has days inside the booking window)
+export const canGoToNextWeek = (currentWeekStart, now = new Date()) => {
+  const lastBookableDay = addDaysToDayKey(
+    toServiceDayKey(now),
+    BOOKING_WINDOW.maxDaysAhead
+  );
 
   const nextWeekStart = new Date(currentWeekStart);
   nextWeekStart.setDate(currentWeekStart.getDate() + 7);
 
-  // Check if any day in the next week is within the one-month limit
+  // Check if any day in the next week is within the booking window
   const nextWeekDays = getWeekDays(nextWeekStart);
-  return nextWeekDays.some((date) => date <= oneMonthFromToday);
+  return nextWeekDays.some((date) => toDayKey(date) <= lastBookableDay);
 };
 
 // Get week number for a given date (used by getWeekDisplayText)
@@ -176,33 +201,77 @@ export const getAvailabilityBoxColorClass = (
   }
 };
 
-// Generate placeholder available dates (TODO: Replace with API call)
-export const generateAvailableDates = () => {
-  const dates = [];
-  const today = new Date();
-
-  // Generate dates for the next 30 days with minimum 2-day booking window
-  for (let i = 2; i <= 31; i++) {
-    const date = new Date(today);
-    date.setDate(today.getDate() + i);
-
-    // Business rule: Only weekdays (Monday-Friday)
-    if (date.getDay() !== 0 && date.getDay() !== 6) {
-      // Randomly assign available slots (placeholder logic)
-      const availableSlotCount = Math.floor(Math.random() * 5); // 0-4 slots
-      const availableSlots = timeSlots.slice(0, availableSlotCount);
-
-      // Validate date before adding
-      if (date instanceof Date && !isNaN(date)) {
-        dates.push({
-          date: date,
-          availableSlots: availableSlots,
-        });
-      }
-    }
+/**
+ * Format a local date as a "YYYY-MM-DD" day key used by the API
+ * @param {Date} date - Local calendar day
+ * @returns {string} Day key of the date
+ */
+export const toDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Turn a "YYYY-MM-DD" day key into a local date at midnight
+export const fromDayKey = (dayKey) => {
+  const [year, month, day] = String(dayKey || "")
+    .split("-")
+    .map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const DAY_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const serviceDayFormatter = new Intl.DateTimeFormat("en-GB", {
+  timeZone: SERVICE_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+// Helsinki day key of an API timestamp, e.g. the start of a booked slot.
+// Day keys are returned as they are.
+export const toServiceDayKey = (value) => {
+  if (typeof value === "string" && DAY_KEY_REGEX.test(value)) {
+    return value;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date)) return "";
+
+  const parts = Object.fromEntries(
+    serviceDayFormatter
+      .formatToParts(date)
+      .map(({ type, value: part }) => [type, part])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Day of a booking as a local date for the calendar views. Bookings store
+// the slot start in UTC, older ones only have the date.
+export const getBookingDay = (booking) =>
+  fromDayKey(toServiceDayKey(booking?.startsAt ?? booking?.date));
+
+// Convert availability from the API into calendar entries.
+// API days are plain "YYYY-MM-DD" strings, which are turned into local dates
+// so that the week view compares them against the same calendar day.
+export const mapAvailabilityToDates = (availabilityDates) => {
+  if (!Array.isArray(availabilityDates)) {
+    return [];
   }
 
-  return dates;
+  return availabilityDates
+    .map((entry) => {
+      const date = fromDayKey(entry?.date);
+
+      return {
+        date,
+        availableSlots: Array.isArray(entry?.availableSlots)
+          ? entry.availableSlots
+          : [],
+      };
+    })
+    .filter((entry) => !isNaN(entry.date));
 };
 
 // Check if a date is available (has at least one available time slot)
@@ -290,7 +359,8 @@ export const getAvailableTimeSlotsForDate = (date, availableDates) => {
     : [];
 };
 
-// Format date for display with localization support
+// Format date for display with localization support. Local dates from the
+// calendar are shown as they are, API timestamps on their Helsinki day.
 export const formatDateForDisplay = (date, t, language = "fi") => {
   if (!date) return "";
 
@@ -346,7 +416,10 @@ export const formatDateForDisplay = (date, t, language = "fi") => {
     ],
   };
 
-  const dateObj = new Date(date);
+  const dateObj =
+    date instanceof Date ? date : fromDayKey(toServiceDayKey(date));
+  if (isNaN(dateObj)) return "";
+
   const weekday =
     weekdayNames[language]?.[dateObj.getDay()] ||
     weekdayNames.fi[dateObj.getDay()];
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import {
+  addDaysToDayKey,
+  canGoToNextWeek,
+  getServiceToday,
+  getWeekStart,
+  toDayKey,
+} from "./calendarUtils";
+
+describe("calendarUtils", () => {
+  describe("getServiceToday", () => {
+    it("should use the Helsinki day", () => {
+      // 00:30 on Sunday in Helsinki, still Saturday in UTC
+      const today = getServiceToday(new Date("2026-01-31T22:30:00.000Z"));
+
+      expect(toDayKey(today)).toBe("2026-02-01");
+    });
+  });
+
+  describe("getWeekStart", () => {
+    it("should return Monday at midnight", () => {
+      const weekStart = getWeekStart(new Date(2026, 1, 1, 15, 30));
+
+      expect(toDayKey(weekStart)).toBe("2026-01-26");
+      expect(weekStart.getHours()).toBe(0);
+    });
+  });
+
+  describe("addDaysToDayKey", () => {
+    it("should add days across months and DST changes", () => {
+      expect(addDaysToDayKey("2026-01-31", 31)).toBe("2026-03-03");
+      expect(addDaysToDayKey("2026-03-28", 2)).toBe("2026-03-30");
+    });
+  });
+
+  describe("canGoToNextWeek", () => {
+    // Sunday 1 February in Helsinki, the last bookable day is 4 March
+    const now = new Date("2026-01-31T22:30:00.000Z");
+
+    it("should allow a week that starts inside the booking window", () => {
+      expect(canGoToNextWeek(new Date(2026, 1, 23), now)).toBe(true);
+    });
+
+    it("should not allow a week after the booking window", () => {
+      expect(canGoToNextWeek(new Date(2026, 2, 2), now)).toBe(false);
+    });
+  });
+});
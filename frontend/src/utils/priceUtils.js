@@ -0,0 +1,22 @@
+/**
+ * Format a price in cents as euros in the UI language, whole euros are
+ * shown without decimals like the price in the service carousel
+ * @param {number} cents - Price in cents, VAT included
+ * @param {string} language - Current language code
+ * @returns {string} e.g. "49 €" or "€49"
+ */
+export const formatPrice = (cents, language) =>
+  new Intl.NumberFormat(language === "fi" ? "fi-FI" : "en-US", {
+    style: "currency",
+    currency: "EUR",
+    minimumFractionDigits: cents % 100 === 0 ? 0 : 2,
+  }).format(cents / 100);
+
+/**
+ * Format a VAT rate in the UI language
+ * @param {number} vatRate - VAT rate in percent
+ * @param {string} language - Current language code
+ * @returns {string} e.g. "25,5 %" or "25.5 %"
+ */
+export const formatVatRate = (vatRate, language) =>
+  `${vatRate.toLocaleString(language === "fi" ? "fi-FI" : "en-US")} %`;
@@ -0,0 +1,28 @@
+/**
+ * URL utilities for links that open the app with a one-time query parameter,
+ * e.g. password reset, email verification and payment return links
+ */
+
+/**
+ * Read a query parameter and remove it from the address bar, so it stays out
+ * of the browser history and reloading the page doesn't act on it again
+ * @param {string} name - Query parameter name
+ * @returns {string|null} The parameter value, null if it isn't in the URL
+ */
+export const consumeQueryParam = (name) => {
+  const params = new URLSearchParams(window.location.search);
+  const value = params.get(name);
+  if (!value) return null;
+
+  params.delete(name);
+  const query = params.toString();
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${query ? `?${query}` : ""}${
+      window.location.hash
+    }`
+  );
+
+  return value;
+};